@@ -7,6 +7,7 @@ const runtimeGlobals = {
   AbortController: 'readonly',
   AbortSignal: 'readonly',
   atob: 'readonly',
+  BigInt: 'readonly',
   btoa: 'readonly',
   Bun: 'readonly',
   caches: 'readonly',
@@ -19,9 +20,11 @@ const runtimeGlobals = {
   global: 'readonly',
   globalThis: 'readonly',
   Headers: 'readonly',
+  Intl: 'readonly',
   navigator: 'readonly',
   performance: 'readonly',
   process: 'readonly',
+  ReadableStream: 'readonly',
   Request: 'readonly',
   Response: 'readonly',
   setInterval: 'readonly',
@@ -28,6 +28,9 @@ import { buildError } from './utils/responseBuilder.js';
 // 路由模块
 import discoveryRoutes from './routes/discovery.js';
 import ipsRoutes from './routes/ips.js';
+import countriesRoutes from './routes/countries.js';
+import geofencesRoutes from './routes/geofences.js';
+import jobsRoutes from './routes/jobs.js';
 import systemRoutes from './routes/system.js';
 
 const app = new Hono();
@@ -139,6 +142,15 @@ async function initializeApplication() {
       critical: true
     });
 
+    // 上游配额：任一 provider 的日/月用量达到 providers.<name>.quota.warnPercent
+    monitoringService.alertManager.addRule('provider_quota_high', {
+      level: 'warning',
+      condition: () => geoLookup.getQuotaWarnings().length > 0,
+      getDetails: () => ({ providers: geoLookup.getQuotaWarnings() }),
+      message: 'Provider quota usage above warn threshold',
+      critical: false
+    });
+
     // 仅真实 Node 进程启动后台清理；workerd 中后台定时器不可靠
     if (isNodeRuntime() && process.env.NODE_ENV !== 'test') {
       startMemoryCleanup();
@@ -278,6 +290,9 @@ app.use('*', createAuthMiddleware({
 // ============================================================
 app.route('/', discoveryRoutes);
 app.route('/', ipsRoutes);
+app.route('/', countriesRoutes);
+app.route('/', geofencesRoutes);
+app.route('/', jobsRoutes);
 app.route('/', systemRoutes);
 
 // ============================================================
@@ -307,7 +322,21 @@ app.notFound((c) => {
           'GET /api/v1/ips',
           'GET /api/v1/ips/self',
           'GET /api/v1/ips/:ip',
+          'GET /api/v1/ips/:ip/registration',
+          'GET /api/v1/ips/:ip/distance',
+          'GET /api/v1/ips/:ip/geofences',
           'POST /api/v1/ips:batch',
+          'POST /api/v1/ips:distance',
+          'POST /api/v1/ips:nearest',
+          'GET /api/v1/countries',
+          'GET /api/v1/countries/:code',
+          'GET /api/v1/geofences',
+          'POST /api/v1/geofences',
+          'GET /api/v1/geofences/:name',
+          'DELETE /api/v1/geofences/:name',
+          'POST /api/v1/jobs',
+          'GET /api/v1/jobs/:id',
+          'GET /api/v1/jobs/:id/results',
           'GET /api/v1/system/*'
         ]
       },
@@ -383,5 +412,7 @@ if (typeof process !== 'undefined') {
   });
 }
 
+// Durable Object 类须由入口模块导出（jobs.store = durable-object，见 wrangler.toml.example）
+export { JobStoreObject } from './services/jobStore.js';
 export { app };
 export default app;
@@ -6,6 +6,52 @@
 import { z } from 'zod';
 import { ENVIRONMENT } from './environment.js';
 
+// 上游配额（GeoLookup 据此跳过预算耗尽的 provider，见 services/quotaBudget.js）
+const providerQuotaSchema = z.object({
+  ratePerMinute: z.number().min(1).optional(),
+  burst: z.number().min(1).optional(),
+  daily: z.number().min(0).optional(),
+  monthly: z.number().min(0).optional(),
+  warnPercent: z.number().min(1).max(100).default(80)
+});
+
+// 声明式 HTTP provider（providers/httpMapping.js）：字段映射目标限定为 createGeoData 的叶子字段
+const GEO_FIELD_PATH = new RegExp(
+  '^(ip|country\\.(name|code|region|city|continent|continentCode)|location\\.(timezone|postalCode' +
+  '|coordinates\\.(latitude|longitude|accuracy))|network\\.(asn|organization|isp|domain))$'
+);
+// 与 ProviderErrorCode 保持一致；NO_DATA = 视为「无该 IP 记录」返回 null
+const HTTP_STATUS_OUTCOMES = [
+  'AUTH_FAILURE', 'RATE_LIMITED', 'TIMEOUT', 'NETWORK_FAILURE', 'PARSE_ERROR', 'UPSTREAM_ERROR', 'NO_DATA'
+];
+
+const httpProviderSchema = z.object({
+  name: z.string().regex(/^[a-zA-Z][a-zA-Z0-9_-]*$/),
+  displayName: z.string().optional(),
+  url: z.string().regex(/^https?:\/\//).refine((url) => url.includes('{ip}'), 'url 必须包含 {ip} 占位符'),
+  priority: z.number().min(1).max(1000).default(30),
+  tier: z.enum(['primary', 'fallback']).optional(),
+  timeout: z.number().min(100).max(30000).default(5000),
+  // secret 为 env 绑定名（不是值）；header / query 至少其一
+  auth: z.object({
+    secret: z.string(),
+    header: z.string().optional(),
+    query: z.string().optional(),
+    prefix: z.string().default('')
+  }).refine((auth) => auth.header || auth.query, 'auth 需要 header 或 query').optional(),
+  headers: z.record(z.string()).default({}),
+  fields: z.record(z.string()).refine(
+    (fields) => Object.keys(fields).length > 0 && Object.keys(fields).every((target) => GEO_FIELD_PATH.test(target)),
+    'fields 的键必须是 GeoData 字段路径（如 country.code）'
+  ),
+  statusCodes: z.record(z.enum(HTTP_STATUS_OUTCOMES)).default({}),
+  // 2xx 但响应体表示无数据（如 { success: false }）
+  noDataWhen: z.object({
+    path: z.string(),
+    equals: z.union([z.string(), z.number(), z.boolean(), z.null()])
+  }).optional()
+});
+
 /**
  * 🎯 配置Schema定义
  */
@@ -26,6 +72,8 @@ export const configSchema = z.object({
     maxConcurrentRequests: z.number().min(1).max(1000).default(100),
     enableCors: z.boolean().default(true),
     enableCompression: z.boolean().default(true),
+    // IP 资源 GET 响应的 ETag / Last-Modified 与条件请求 304
+    enableETag: z.boolean().default(true),
     corsOrigins: z.array(z.string()).default([])
   }),
 
@@ -55,7 +103,12 @@ export const configSchema = z.object({
     strategy: z.enum(['lru', 'fifo', 'random']).default('lru'),
     enableEncryption: z.boolean().default(true),
     compressionEnabled: z.boolean().default(true),
-    enableMetrics: z.boolean().default(true)
+    enableMetrics: z.boolean().default(true),
+    // GeoLookup 结果缓存的存储后端（见 services/cacheStore.js）；kv 用 kvBinding 绑定，file 仅 Node 部署
+    store: z.enum(['memory', 'kv', 'cache-api', 'file']).default('memory'),
+    kvBinding: z.string().default('GEO_CACHE'),
+    keyPrefix: z.string().default('geo:'),
+    fileDir: z.string().default('.cache/geo')
   }),
 
   // 性能配置
@@ -89,21 +142,31 @@ export const configSchema = z.object({
       timeout: z.number().min(1000).max(30000).default(5000),
       retryAttempts: z.number().min(0).max(5).default(2)
     }),
+    // enabled=false 显式停用（GeoLookup.getOptimizedProviders 过滤）；启用后仍需凭证齐备（isConfigured）
     maxmind: z.object({
-      enabled: z.boolean().default(false),
+      enabled: z.boolean().default(true),
       priority: z.number().min(1).max(10).default(2),
       timeout: z.number().min(1000).max(30000).default(3000),
       retryAttempts: z.number().min(0).max(5).default(1),
       databasePath: z.string().optional(),
-      licenseKey: z.string().optional()
+      licenseKey: z.string().optional(),
+      quota: providerQuotaSchema.optional()
     }),
     ipinfo: z.object({
-      enabled: z.boolean().default(false),
+      enabled: z.boolean().default(true),
       priority: z.number().min(1).max(10).default(3),
       timeout: z.number().min(1000).max(30000).default(4000),
       retryAttempts: z.number().min(0).max(5).default(1),
-      apiToken: z.string().optional()
-    })
+      apiToken: z.string().optional(),
+      quota: providerQuotaSchema.optional()
+    }),
+    // ip-api.com 免费版：45 req/min
+    ipapicom: z.object({
+      enabled: z.boolean().default(true),
+      quota: providerQuotaSchema.default({ ratePerMinute: 45 })
+    }).default({}),
+    // 配置驱动的上游（无需写 provider 类），GeoLookup 首次查询时注册
+    http: z.array(httpProviderSchema).default([])
   }),
 
   // 威胁检测配置
@@ -131,13 +194,83 @@ export const configSchema = z.object({
   // GeoLookup 内部参数（ResultCache/BatchProcessor/withTimeout/PRIMARY_THRESHOLD/ProviderPool）
   geo: z.object({
     resultTtlMs: z.number().default(300000),
+    // 软 TTL（resultTtlMs）后到 resultHardTtlMs 前返回旧值并后台刷新；staleIfErrorMs 内仅 provider 失败（无可用数据）时兜底
+    resultHardTtlMs: z.number().default(3600000),
+    staleIfErrorMs: z.number().default(86400000),
+    // provider 均正常应答但无可用数据的结果（dataAvailable=false）单独缓存，到期即删，不参与 stale
+    negativeTtlMs: z.number().default(60000),
     resultMaxSize: z.number().default(1000),
     batchMaxSize: z.number().default(10),
     batchWaitMs: z.number().default(50),
     providerTimeoutMs: z.number().default(5000),
     primaryThreshold: z.number().default(50),
+    // 按查询 IP 作答的同步 provider（本地 MMDB）已给出国家码与坐标时不再调用异步 primary；Cloudflare 不参与
+    syncShortCircuit: z.boolean().default(true),
     poolCleanupIntervalMs: z.number().default(300000),
-    poolMaxAgeMs: z.number().default(600000)
+    poolMaxAgeMs: z.number().default(600000),
+    // 多 provider 合并：priority = 按优先级填空；consensus = 逐段加权投票 + confidence
+    mergeStrategy: z.enum(['priority', 'consensus']).default('priority'),
+    consensusToleranceKm: z.number().min(0).default(100),
+    // 网段前缀缓存（见 services/prefixCache.js）：provider 未报告网段时按兜底前缀长度缓存；TTL 同 resultTtlMs
+    prefixCache: z.object({
+      enabled: z.boolean().default(true),
+      maxSize: z.number().min(1).default(5000),
+      fallbackPrefixV4: z.number().int().min(8).max(32).default(24),
+      fallbackPrefixV6: z.number().int().min(16).max(128).default(48)
+    }).default({}),
+    // Provider 熔断器（见 services/circuitBreaker.js）
+    circuitBreaker: z.object({
+      failureThreshold: z.number().min(1).default(3),
+      openMs: z.number().min(0).default(30000),
+      authOpenMs: z.number().min(0).default(900000),
+      rateLimitOpenMs: z.number().min(0).default(60000),
+      maxOpenMs: z.number().min(0).default(3600000),
+      halfOpenMaxProbes: z.number().min(1).default(1)
+    }).default({})
+  }).default({}),
+
+  // 反向 DNS（PTR + 正向确认），经 DNS-over-HTTPS JSON API（见 services/reverseDns.js）；
+  // 仅 includeThreat / include=hostname 的查询使用，timeoutMs 是整个 PTR + 正向确认序列的截止时间
+  dns: z.object({
+    enabled: z.boolean().default(true),
+    dohEndpoint: z.string().url().default('https://cloudflare-dns.com/dns-query'),
+    timeoutMs: z.number().min(100).max(10000).default(1000),
+    cacheTtlMs: z.number().min(0).default(3600000),
+    cacheMaxSize: z.number().min(1).default(5000)
+  }).default({}),
+
+  // RDAP 注册信息（见 services/rdapClient.js）；未设 baseUrl 时按打包的 IANA bootstrap 选择 RIR
+  rdap: z.object({
+    baseUrl: z.string().url().optional(),
+    timeoutMs: z.number().min(100).max(30000).default(5000),
+    cacheTtlMs: z.number().min(0).default(86400000), // 注册信息变化极少，默认 24h
+    cacheMaxSize: z.number().min(1).default(2000)
+  }).default({}),
+
+  // 地理围栏定义（见 services/geofences.js）；kv 用 kvBinding 绑定，全量列表按 cacheTtlMs 在 isolate 内缓存
+  geofences: z.object({
+    store: z.enum(['memory', 'kv']).default('memory'),
+    kvBinding: z.string().default('GEOFENCES'),
+    keyPrefix: z.string().default('geofence:'),
+    maxFences: z.number().int().min(1).default(500),
+    cacheTtlMs: z.number().min(0).default(30000)
+  }).default({}),
+
+  // 异步批量查询任务（见 services/bulkJobs.js）；chunkSize 决定单个存储值的大小（KV / Durable Object 有单值上限）
+  jobs: z.object({
+    store: z.enum(['memory', 'kv', 'durable-object']).default('memory'),
+    kvBinding: z.string().default('JOBS'),
+    durableObjectBinding: z.string().default('JOB_STORE'),
+    keyPrefix: z.string().default('job:'),
+    maxIps: z.number().int().min(1).default(500000),
+    maxJobs: z.number().int().min(1).default(100), // 仅 memory：isolate 内保留的任务数
+    chunkSize: z.number().int().min(1).max(1000).default(100), // 每次查询并写入结果的 IP 数
+    // 输入分片的 IP 数（向下取 chunkSize 的整数倍）；创建任务时逐片写入，须在单次调用的存储写入上限内
+    inputChunkSize: z.number().int().min(1).max(10000).default(2500),
+    concurrency: z.number().int().min(1).max(50).default(10),
+    lookupTimeoutMs: z.number().min(100).max(30000).default(10000),
+    ttlMs: z.number().min(60000).default(86400000),
+    staleAfterMs: z.number().min(1000).default(60000) // 下限，实际阈值不短于单片最长耗时
   }).default({}),
 
   // 内存监控阈值（memoryOptimizer）
@@ -241,16 +374,20 @@ export class ConfigManager {
           retryAttempts: 2
         },
         maxmind: {
-          enabled: false,
+          enabled: true,
           priority: 2,
           timeout: 3000,
           retryAttempts: 1
         },
         ipinfo: {
-          enabled: false,
+          enabled: true,
           priority: 3,
           timeout: 4000,
           retryAttempts: 1
+        },
+        ipapicom: {
+          enabled: true,
+          quota: { ratePerMinute: 45 }
         }
       },
       threat: {
@@ -406,6 +543,10 @@ export class ConfigManager {
       config.api = { ...(config.api || {}), baseUrl: env.API_BASE_URL };
     }
 
+    if (env.API_ENABLE_ETAG) {
+      config.api = { ...(config.api || {}), enableETag: env.API_ENABLE_ETAG.toLowerCase() === 'true' };
+    }
+
     if (env.API_RATE_LIMIT) {
       config.security = { rateLimitMaxRequests: parseInt(env.API_RATE_LIMIT) };
     }
@@ -429,6 +570,14 @@ export class ConfigManager {
     if (env.CACHE_SALT) {
       config.cache = { ...(config.cache || {}), salt: env.CACHE_SALT };
     }
+    if (env.CACHE_STORE || env.CACHE_KV_BINDING || env.CACHE_FILE_DIR) {
+      config.cache = {
+        ...(config.cache || {}),
+        ...(env.CACHE_STORE && { store: env.CACHE_STORE }),
+        ...(env.CACHE_KV_BINDING && { kvBinding: env.CACHE_KV_BINDING }),
+        ...(env.CACHE_FILE_DIR && { fileDir: env.CACHE_FILE_DIR })
+      };
+    }
     if (env.AUTH_MAX_ENTRIES || env.RATE_LIMIT_MAX_ENTRIES) {
       config.security = {
         ...(config.security || {}),
@@ -439,14 +588,61 @@ export class ConfigManager {
     // GeoLookup 内部参数
     const geo = {};
     if (env.GEO_RESULT_TTL_MS) geo.resultTtlMs = parseInt(env.GEO_RESULT_TTL_MS);
+    if (env.GEO_RESULT_HARD_TTL_MS) geo.resultHardTtlMs = parseInt(env.GEO_RESULT_HARD_TTL_MS);
+    if (env.GEO_STALE_IF_ERROR_MS) geo.staleIfErrorMs = parseInt(env.GEO_STALE_IF_ERROR_MS);
+    if (env.GEO_NEGATIVE_TTL_MS) geo.negativeTtlMs = parseInt(env.GEO_NEGATIVE_TTL_MS);
     if (env.GEO_RESULT_MAX_SIZE) geo.resultMaxSize = parseInt(env.GEO_RESULT_MAX_SIZE);
     if (env.GEO_BATCH_MAX_SIZE) geo.batchMaxSize = parseInt(env.GEO_BATCH_MAX_SIZE);
     if (env.GEO_BATCH_WAIT_MS) geo.batchWaitMs = parseInt(env.GEO_BATCH_WAIT_MS);
     if (env.GEO_PROVIDER_TIMEOUT_MS) geo.providerTimeoutMs = parseInt(env.GEO_PROVIDER_TIMEOUT_MS);
     if (env.GEO_PRIMARY_THRESHOLD) geo.primaryThreshold = parseInt(env.GEO_PRIMARY_THRESHOLD);
+    if (env.GEO_SYNC_SHORT_CIRCUIT) geo.syncShortCircuit = env.GEO_SYNC_SHORT_CIRCUIT.toLowerCase() === 'true';
     if (env.GEO_POOL_CLEANUP_INTERVAL_MS) geo.poolCleanupIntervalMs = parseInt(env.GEO_POOL_CLEANUP_INTERVAL_MS);
     if (env.GEO_POOL_MAX_AGE_MS) geo.poolMaxAgeMs = parseInt(env.GEO_POOL_MAX_AGE_MS);
+    if (env.GEO_MERGE_STRATEGY) geo.mergeStrategy = env.GEO_MERGE_STRATEGY;
+    if (env.GEO_CONSENSUS_TOLERANCE_KM) geo.consensusToleranceKm = parseFloat(env.GEO_CONSENSUS_TOLERANCE_KM);
+    const breaker = {};
+    if (env.GEO_BREAKER_FAILURE_THRESHOLD) breaker.failureThreshold = parseInt(env.GEO_BREAKER_FAILURE_THRESHOLD);
+    if (env.GEO_BREAKER_OPEN_MS) breaker.openMs = parseInt(env.GEO_BREAKER_OPEN_MS);
+    if (env.GEO_BREAKER_AUTH_OPEN_MS) breaker.authOpenMs = parseInt(env.GEO_BREAKER_AUTH_OPEN_MS);
+    if (env.GEO_BREAKER_RATE_LIMIT_OPEN_MS) breaker.rateLimitOpenMs = parseInt(env.GEO_BREAKER_RATE_LIMIT_OPEN_MS);
+    if (Object.keys(breaker).length) geo.circuitBreaker = breaker;
+    const prefixCache = {};
+    if (env.GEO_PREFIX_CACHE_ENABLED) prefixCache.enabled = env.GEO_PREFIX_CACHE_ENABLED.toLowerCase() === 'true';
+    if (env.GEO_PREFIX_FALLBACK_V4) prefixCache.fallbackPrefixV4 = parseInt(env.GEO_PREFIX_FALLBACK_V4);
+    if (env.GEO_PREFIX_FALLBACK_V6) prefixCache.fallbackPrefixV6 = parseInt(env.GEO_PREFIX_FALLBACK_V6);
+    if (Object.keys(prefixCache).length) geo.prefixCache = prefixCache;
     if (Object.keys(geo).length) config.geo = { ...(config.geo || {}), ...geo };
+    // 反向 DNS
+    const dns = {};
+    if (env.RDNS_ENABLED) dns.enabled = env.RDNS_ENABLED.toLowerCase() === 'true';
+    if (env.DOH_ENDPOINT) dns.dohEndpoint = env.DOH_ENDPOINT;
+    if (env.DOH_TIMEOUT_MS) dns.timeoutMs = parseInt(env.DOH_TIMEOUT_MS);
+    if (Object.keys(dns).length) config.dns = dns;
+    // RDAP
+    const rdap = {};
+    if (env.RDAP_BASE_URL) rdap.baseUrl = env.RDAP_BASE_URL;
+    if (env.RDAP_TIMEOUT_MS) rdap.timeoutMs = parseInt(env.RDAP_TIMEOUT_MS);
+    if (env.RDAP_CACHE_TTL_MS) rdap.cacheTtlMs = parseInt(env.RDAP_CACHE_TTL_MS);
+    if (Object.keys(rdap).length) config.rdap = rdap;
+    // 地理围栏
+    const geofences = {};
+    if (env.GEOFENCE_STORE) geofences.store = env.GEOFENCE_STORE;
+    if (env.GEOFENCE_KV_BINDING) geofences.kvBinding = env.GEOFENCE_KV_BINDING;
+    if (env.GEOFENCE_MAX) geofences.maxFences = parseInt(env.GEOFENCE_MAX);
+    if (Object.keys(geofences).length) config.geofences = geofences;
+    // 批量查询任务
+    const jobs = {};
+    if (env.JOB_STORE_BACKEND) jobs.store = env.JOB_STORE_BACKEND;
+    if (env.JOB_KV_BINDING) jobs.kvBinding = env.JOB_KV_BINDING;
+    if (env.JOB_DO_BINDING) jobs.durableObjectBinding = env.JOB_DO_BINDING;
+    if (env.JOB_MAX_IPS) jobs.maxIps = parseInt(env.JOB_MAX_IPS);
+    if (env.JOB_CONCURRENCY) jobs.concurrency = parseInt(env.JOB_CONCURRENCY);
+    if (env.JOB_CHUNK_SIZE) jobs.chunkSize = parseInt(env.JOB_CHUNK_SIZE);
+    if (env.JOB_INPUT_CHUNK_SIZE) jobs.inputChunkSize = parseInt(env.JOB_INPUT_CHUNK_SIZE);
+    if (env.JOB_LOOKUP_TIMEOUT_MS) jobs.lookupTimeoutMs = parseInt(env.JOB_LOOKUP_TIMEOUT_MS);
+    if (env.JOB_STALE_AFTER_MS) jobs.staleAfterMs = parseInt(env.JOB_STALE_AFTER_MS);
+    if (Object.keys(jobs).length) config.jobs = jobs;
     // 内存监控
     const mem = {};
     if (env.MEMORY_MAX_HEAP_BYTES) mem.maxHeapBytes = parseInt(env.MEMORY_MAX_HEAP_BYTES);
@@ -457,6 +653,29 @@ export class ConfigManager {
 
     // Provider 凭证（IPINFO_TOKEN / MAXMIND_*）由 security.js PROVIDERS_CONFIG
     // 从 globalThis 读取并直接注入 provider，不经过此配置树（曾在此重复读取，已删除）。
+    // MaxMind 本地库路径（非凭证）：Node 部署经配置树给 MaxMindDatabaseProvider
+    const providers = {};
+    if (env.MAXMIND_DB_PATH) {
+      providers.maxmind = { databasePath: env.MAXMIND_DB_PATH };
+    }
+    // 上游配额：<PROVIDER>_QUOTA_PER_MINUTE / _DAILY / _MONTHLY / _WARN_PERCENT（如 IPINFO_QUOTA_MONTHLY）
+    for (const key of ['maxmind', 'ipinfo', 'ipapicom']) {
+      const prefix = `${key.toUpperCase()}_QUOTA_`;
+      const quota = {};
+      if (env[`${prefix}PER_MINUTE`]) quota.ratePerMinute = parseInt(env[`${prefix}PER_MINUTE`]);
+      if (env[`${prefix}DAILY`]) quota.daily = parseInt(env[`${prefix}DAILY`]);
+      if (env[`${prefix}MONTHLY`]) quota.monthly = parseInt(env[`${prefix}MONTHLY`]);
+      if (env[`${prefix}WARN_PERCENT`]) quota.warnPercent = parseInt(env[`${prefix}WARN_PERCENT`]);
+      if (Object.keys(quota).length) providers[key] = { ...providers[key], quota };
+    }
+    if (env.GEO_HTTP_PROVIDERS) {
+      try {
+        providers.http = JSON.parse(env.GEO_HTTP_PROVIDERS);
+      } catch (error) {
+        console.warn('⚠️ GEO_HTTP_PROVIDERS is not valid JSON, ignored:', error.message);
+      }
+    }
+    if (Object.keys(providers).length) config.providers = providers;
 
     return config;
   }
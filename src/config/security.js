@@ -57,6 +57,7 @@ export const PROVIDERS_CONFIG = {
   // 数据提供商优先级（数字越高优先级越高）
   priorities: {
     cloudflare: 100,
+    maxmindDb: 90,
     maxmind: 80,
     ipinfo: 60,
     ipapicom: 40,
@@ -226,7 +226,9 @@ export const THREAT_RULES = {
     vpnUserAgent: 40,
     missingHeaders: 10,
     botPattern: 15,
-    maliciousPattern: 60
+    maliciousPattern: 60,
+    hostingHostname: 20,
+    spoofedCrawler: 40
   },
 
   // 风险级别阈值
@@ -284,6 +286,21 @@ export const THREAT_RULES = {
     ]
   },
 
+  // 反向 DNS 主机名分类（按标签关键词匹配，不依赖主机名中嵌入的 IP 数字——爬虫主机名也常带 IP）
+  hostnamePatterns: {
+    residential: [
+      /(^|[.-])(dyn|dynamic|dhcp|pool|dsl|adsl|vdsl|xdsl|cable|hsd|broadband|ppp|pppoe|dialup|dial)([.-]|\d|$)/i,
+      /(^|[.-])(res|resi|residential|customer|cust|client|subscriber|user|home|fios|ftth|fttx|cpe)([.-]|\d|$)/i,
+      /(^|[.-])(mobile|cellular|wireless|lte|4g|5g)([.-]|\d|$)/i
+    ],
+    hosting: [
+      /(^|[.-])(vps|vds|server|srv|host|hosting|hosted|cloud|compute)([.-]|\d|$)/i,
+      /(^|[.-])(dedicated|colo|colocation|datacenter|dc)([.-]|\d|$)/i,
+      /(amazonaws\.com|googleusercontent\.com|cloudapp\.net|linodeusercontent\.com|digitalocean\.com)$/i,
+      /(your-server\.de|hetzner\.(com|de)|ovh\.(net|com)|vultrusercontent\.com|contaboserver\.net|scaleway\.com)$/i
+    ]
+  },
+
   // 指示VPN/代理使用的头部
   suspiciousHeaders: {
     vpn: ['x-vpn-client', 'x-tunnel-type', 'x-original-forwarded-for'],
@@ -8,7 +8,8 @@
  *  2. 「合法 ISP 的 IP」仍可能托管代理/VPN/僵尸网络——按 /8 名誉放行违背「信号驱动」原则。
  * 威胁检测现改为信号驱动（proxy/VPN/Tor/行为/UA/头部）。云/CDN 流量会被如实标记为
  * hosting/datacenter——这是**正确信号**而非误报（blockSuspicious=false，仅风险分）。
- * 仅保留基于域名的白名单（legitimateDomains，可经反向 DNS 验证）。
+ * 仅保留基于域名的白名单（legitimateDomains / verifiedCrawlers），经反向 DNS 正向确认后生效
+ * （services/reverseDns.js，ThreatService 消费）。
  *
  * 若将来确需按网段精确放行，应使用权威 CIDR 并运行时拉取（云厂商网段每周更新，
  * 如 AWS 的 ip-ranges.json），而非硬编码 /8。
@@ -43,8 +44,7 @@ export const THREAT_WHITELIST = {
     'tiktok.com',
     'youtube.com',
 
-    // 云服务
-    'amazonaws.com',
+    // 云服务（不含 amazonaws.com 等客户实例主机名所在域——任何 EC2 租户的 PTR 都能正向确认）
     'cloud.google.com',
     'azure.microsoft.com',
     'cloudflare.com',
@@ -88,9 +88,63 @@ export const THREAT_WHITELIST = {
     'kaspersky.com',
     'trendmicro.com',
     'sophos.com'
+  ],
+
+  // 搜索引擎爬虫：UA 声称的爬虫只有在反向 DNS 正向确认（FCrDNS）后、主机名落在官方域名下才算真
+  // （各家官方文档给出的验证方式；UA 可任意伪造）。不收 googleusercontent.com：任何 GCE 实例的 PTR 都落在该域下
+  verifiedCrawlers: [
+    {
+      name: 'Googlebot',
+      userAgent: /googlebot|google-inspectiontool|googleother|adsbot-google|mediapartners-google/i,
+      domains: ['googlebot.com', 'google.com']
+    },
+    { name: 'Bingbot', userAgent: /bingbot|msnbot|adidxbot|bingpreview/i, domains: ['search.msn.com'] },
+    { name: 'Applebot', userAgent: /applebot/i, domains: ['applebot.apple.com'] },
+    {
+      name: 'YandexBot',
+      userAgent: /yandex(bot|images|mobilebot)/i,
+      domains: ['yandex.ru', 'yandex.net', 'yandex.com']
+    },
+    { name: 'Baiduspider', userAgent: /baiduspider/i, domains: ['baidu.com', 'baidu.jp'] }
   ]
 };
 
+/**
+ * 主机名是否等于 domain 或为其子域（`crawl-66-249-66-1.googlebot.com` ∈ `googlebot.com`）
+ */
+export function hostnameInDomain(hostname, domain) {
+  if (!hostname || !domain) {
+    return false;
+  }
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * 经验证主机名所属的 legitimateDomains 条目；不在白名单返回 null
+ */
+export function findLegitimateDomain(hostname) {
+  return THREAT_WHITELIST.legitimateDomains.find((domain) => hostnameInDomain(hostname, domain)) || null;
+}
+
+/**
+ * 主机名所属的爬虫（verifiedCrawlers 条目，按官方域名匹配）；调用方需自行确认主机名已正向确认
+ */
+export function crawlerForHostname(hostname) {
+  return THREAT_WHITELIST.verifiedCrawlers
+    .find((crawler) => crawler.domains.some((domain) => hostnameInDomain(hostname, domain))) || null;
+}
+
+/**
+ * UA 声称的爬虫（verifiedCrawlers 条目）；不声称任何已知爬虫返回 null
+ */
+export function claimedCrawler(userAgent) {
+  if (!userAgent) {
+    return null;
+  }
+  return THREAT_WHITELIST.verifiedCrawlers.find((crawler) => crawler.userAgent.test(userAgent)) || null;
+}
+
 /**
  * 辅助函数：检查 IP 是否在指定白名单类别中。
  * IP 前缀类别已清空 → 恒返回 false（威胁检测改为信号驱动）。
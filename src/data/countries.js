@@ -0,0 +1,470 @@
+/**
+ * 🌐 ISO 3166-1 国家 / 大洲名称数据集（多语言）
+ *
+ * 随代码打包，供 GeoLookup 在合并后补齐 provider 未给出的 country.name / continent / continentCode。
+ * 国家名取自 CLDR（Unicode 区域显示名，HK / MO / PS 取短名）；大洲归属与名称与 MaxMind GeoIP2 一致
+ * （塞浦路斯归欧洲，土耳其、高加索三国归亚洲）。含非 ISO 正式码 XK（科索沃，多数 provider 使用）。
+ * 更新：按 CLDR 新版本替换名称，新增国家时同时给出大洲码。
+ */
+
+// 名称数组的语言顺序；pt 为巴西葡萄牙语，zh 为简体中文
+export const COUNTRY_NAME_LANGUAGES = Object.freeze(['en', 'zh', 'de', 'fr', 'es', 'ja', 'ru', 'pt']);
+
+// 大洲码 → 名称（按 COUNTRY_NAME_LANGUAGES 顺序）
+export const CONTINENTS = Object.freeze({
+  AF: ['Africa', '非洲', 'Afrika', 'Afrique', 'África', 'アフリカ', 'Африка', 'África'],
+  AN: ['Antarctica', '南极洲', 'Antarktis', 'Antarctique', 'Antártida', '南極大陸', 'Антарктида', 'Antártica'],
+  AS: ['Asia', '亚洲', 'Asien', 'Asie', 'Asia', 'アジア', 'Азия', 'Ásia'],
+  EU: ['Europe', '欧洲', 'Europa', 'Europe', 'Europa', 'ヨーロッパ', 'Европа', 'Europa'],
+  NA: [
+    'North America', '北美洲', 'Nordamerika', 'Amérique du Nord', 'Norteamérica', '北アメリカ', 'Северная Америка',
+    'América do Norte'
+  ],
+  OC: ['Oceania', '大洋洲', 'Ozeanien', 'Océanie', 'Oceanía', 'オセアニア', 'Океания', 'Oceania'],
+  SA: [
+    'South America', '南美洲', 'Südamerika', 'Amérique du Sud', 'Sudamérica', '南アメリカ', 'Южная Америка',
+    'América do Sul'
+  ]
+});
+
+// ISO 3166-1 alpha-2 → [大洲码, ...名称（按 COUNTRY_NAME_LANGUAGES 顺序）]
+export const COUNTRIES = Object.freeze({
+  AD: ['EU', 'Andorra', '安道尔', 'Andorra', 'Andorre', 'Andorra', 'アンドラ', 'Андорра', 'Andorra'],
+  AE: [
+    'AS', 'United Arab Emirates', '阿拉伯联合酋长国', 'Vereinigte Arabische Emirate', 'Émirats arabes unis',
+    'Emiratos Árabes Unidos', 'アラブ首長国連邦', 'ОАЭ', 'Emirados Árabes Unidos'
+  ],
+  AF: ['AS', 'Afghanistan', '阿富汗', 'Afghanistan', 'Afghanistan', 'Afganistán', 'アフガニスタン', 'Афганистан', 'Afeganistão'],
+  AG: [
+    'NA', 'Antigua & Barbuda', '安提瓜和巴布达', 'Antigua und Barbuda', 'Antigua-et-Barbuda', 'Antigua y Barbuda',
+    'アンティグア・バーブーダ', 'Антигуа и Барбуда', 'Antígua e Barbuda'
+  ],
+  AI: ['NA', 'Anguilla', '安圭拉', 'Anguilla', 'Anguilla', 'Anguila', 'アンギラ', 'Ангилья', 'Anguila'],
+  AL: ['EU', 'Albania', '阿尔巴尼亚', 'Albanien', 'Albanie', 'Albania', 'アルバニア', 'Албания', 'Albânia'],
+  AM: ['AS', 'Armenia', '亚美尼亚', 'Armenien', 'Arménie', 'Armenia', 'アルメニア', 'Армения', 'Armênia'],
+  AO: ['AF', 'Angola', '安哥拉', 'Angola', 'Angola', 'Angola', 'アンゴラ', 'Ангола', 'Angola'],
+  AQ: ['AN', 'Antarctica', '南极洲', 'Antarktis', 'Antarctique', 'Antártida', '南極', 'Антарктида', 'Antártida'],
+  AR: ['SA', 'Argentina', '阿根廷', 'Argentinien', 'Argentine', 'Argentina', 'アルゼンチン', 'Аргентина', 'Argentina'],
+  AS: [
+    'OC', 'American Samoa', '美属萨摩亚', 'Amerikanisch-Samoa', 'Samoa américaines', 'Samoa Americana', '米領サモア',
+    'Американское Самоа', 'Samoa Americana'
+  ],
+  AT: ['EU', 'Austria', '奥地利', 'Österreich', 'Autriche', 'Austria', 'オーストリア', 'Австрия', 'Áustria'],
+  AU: ['OC', 'Australia', '澳大利亚', 'Australien', 'Australie', 'Australia', 'オーストラリア', 'Австралия', 'Austrália'],
+  AW: ['NA', 'Aruba', '阿鲁巴', 'Aruba', 'Aruba', 'Aruba', 'アルバ', 'Аруба', 'Aruba'],
+  AX: [
+    'EU', 'Åland Islands', '奥兰群岛', 'Ålandinseln', 'Îles Åland', 'Islas Aland', 'オーランド諸島', 'Аландские о-ва',
+    'Ilhas Aland'
+  ],
+  AZ: [
+    'AS', 'Azerbaijan', '阿塞拜疆', 'Aserbaidschan', 'Azerbaïdjan', 'Azerbaiyán', 'アゼルバイジャン', 'Азербайджан', 'Azerbaijão'
+  ],
+  BA: [
+    'EU', 'Bosnia & Herzegovina', '波斯尼亚和黑塞哥维那', 'Bosnien und Herzegowina', 'Bosnie-Herzégovine', 'Bosnia y Herzegovina',
+    'ボスニア・ヘルツェゴビナ', 'Босния и Герцеговина', 'Bósnia e Herzegovina'
+  ],
+  BB: ['NA', 'Barbados', '巴巴多斯', 'Barbados', 'Barbade', 'Barbados', 'バルバドス', 'Барбадос', 'Barbados'],
+  BD: ['AS', 'Bangladesh', '孟加拉国', 'Bangladesch', 'Bangladesh', 'Bangladés', 'バングラデシュ', 'Бангладеш', 'Bangladesh'],
+  BE: ['EU', 'Belgium', '比利时', 'Belgien', 'Belgique', 'Bélgica', 'ベルギー', 'Бельгия', 'Bélgica'],
+  BF: [
+    'AF', 'Burkina Faso', '布基纳法索', 'Burkina Faso', 'Burkina Faso', 'Burkina Faso', 'ブルキナファソ', 'Буркина-Фасо',
+    'Burquina Faso'
+  ],
+  BG: ['EU', 'Bulgaria', '保加利亚', 'Bulgarien', 'Bulgarie', 'Bulgaria', 'ブルガリア', 'Болгария', 'Bulgária'],
+  BH: ['AS', 'Bahrain', '巴林', 'Bahrain', 'Bahreïn', 'Baréin', 'バーレーン', 'Бахрейн', 'Barein'],
+  BI: ['AF', 'Burundi', '布隆迪', 'Burundi', 'Burundi', 'Burundi', 'ブルンジ', 'Бурунди', 'Burundi'],
+  BJ: ['AF', 'Benin', '贝宁', 'Benin', 'Bénin', 'Benín', 'ベナン', 'Бенин', 'Benin'],
+  BL: [
+    'NA', 'St. Barthélemy', '圣巴泰勒米', 'St. Barthélemy', 'Saint-Barthélemy', 'San Bartolomé', 'サン・バルテルミー',
+    'Сен-Бартелеми', 'São Bartolomeu'
+  ],
+  BM: ['NA', 'Bermuda', '百慕大', 'Bermuda', 'Bermudes', 'Bermudas', 'バミューダ', 'Бермудские о-ва', 'Bermudas'],
+  BN: ['AS', 'Brunei', '文莱', 'Brunei Darussalam', 'Brunei', 'Brunéi', 'ブルネイ', 'Бруней', 'Brunei'],
+  BO: ['SA', 'Bolivia', '玻利维亚', 'Bolivien', 'Bolivie', 'Bolivia', 'ボリビア', 'Боливия', 'Bolívia'],
+  BQ: [
+    'NA', 'Caribbean Netherlands', '荷属加勒比区', 'Karibische Niederlande', 'Pays-Bas caribéens', 'Caribe neerlandés',
+    'オランダ領カリブ', 'Бонэйр, Синт-Эстатиус и Саба', 'Países Baixos Caribenhos'
+  ],
+  BR: ['SA', 'Brazil', '巴西', 'Brasilien', 'Brésil', 'Brasil', 'ブラジル', 'Бразилия', 'Brasil'],
+  BS: ['NA', 'Bahamas', '巴哈马', 'Bahamas', 'Bahamas', 'Bahamas', 'バハマ', 'Багамы', 'Bahamas'],
+  BT: ['AS', 'Bhutan', '不丹', 'Bhutan', 'Bhoutan', 'Bután', 'ブータン', 'Бутан', 'Butão'],
+  BV: ['AN', 'Bouvet Island', '布韦岛', 'Bouvetinsel', 'Île Bouvet', 'Isla Bouvet', 'ブーベ島', 'о-в Буве', 'Ilha Bouvet'],
+  BW: ['AF', 'Botswana', '博茨瓦纳', 'Botsuana', 'Botswana', 'Botsuana', 'ボツワナ', 'Ботсвана', 'Botsuana'],
+  BY: ['EU', 'Belarus', '白俄罗斯', 'Belarus', 'Biélorussie', 'Bielorrusia', 'ベラルーシ', 'Беларусь', 'Bielorrússia'],
+  BZ: ['NA', 'Belize', '伯利兹', 'Belize', 'Belize', 'Belice', 'ベリーズ', 'Белиз', 'Belize'],
+  CA: ['NA', 'Canada', '加拿大', 'Kanada', 'Canada', 'Canadá', 'カナダ', 'Канада', 'Canadá'],
+  CC: [
+    'AS', 'Cocos (Keeling) Islands', '科科斯（基林）群岛', 'Kokosinseln', 'Îles Cocos', 'Islas Cocos', 'ココス(キーリング)諸島',
+    'Кокосовые о-ва', 'Ilhas Cocos (Keeling)'
+  ],
+  CD: [
+    'AF', 'Congo - Kinshasa', '刚果（金）', 'Kongo-Kinshasa', 'Congo-Kinshasa', 'República Democrática del Congo',
+    'コンゴ民主共和国(キンシャサ)', 'Конго - Киншаса', 'Congo - Kinshasa'
+  ],
+  CF: [
+    'AF', 'Central African Republic', '中非共和国', 'Zentralafrikanische Republik', 'République centrafricaine',
+    'República Centroafricana', '中央アフリカ共和国', 'Центрально-Африканская Республика', 'República Centro-Africana'
+  ],
+  CG: [
+    'AF', 'Congo - Brazzaville', '刚果（布）', 'Kongo-Brazzaville', 'Congo-Brazzaville', 'Congo', 'コンゴ共和国(ブラザビル)',
+    'Конго - Браззавиль', 'República do Congo'
+  ],
+  CH: ['EU', 'Switzerland', '瑞士', 'Schweiz', 'Suisse', 'Suiza', 'スイス', 'Швейцария', 'Suíça'],
+  CI: [
+    'AF', 'Côte d\'Ivoire', '科特迪瓦', 'Côte d\'Ivoire', 'Côte d\'Ivoire', 'Côte d\'Ivoire', 'コートジボワール', 'Кот-д\'Ивуар',
+    'Costa do Marfim'
+  ],
+  CK: ['OC', 'Cook Islands', '库克群岛', 'Cookinseln', 'Îles Cook', 'Islas Cook', 'クック諸島', 'о-ва Кука', 'Ilhas Cook'],
+  CL: ['SA', 'Chile', '智利', 'Chile', 'Chili', 'Chile', 'チリ', 'Чили', 'Chile'],
+  CM: ['AF', 'Cameroon', '喀麦隆', 'Kamerun', 'Cameroun', 'Camerún', 'カメルーン', 'Камерун', 'Camarões'],
+  CN: ['AS', 'China', '中国', 'China', 'Chine', 'China', '中国', 'Китай', 'China'],
+  CO: ['SA', 'Colombia', '哥伦比亚', 'Kolumbien', 'Colombie', 'Colombia', 'コロンビア', 'Колумбия', 'Colômbia'],
+  CR: ['NA', 'Costa Rica', '哥斯达黎加', 'Costa Rica', 'Costa Rica', 'Costa Rica', 'コスタリカ', 'Коста-Рика', 'Costa Rica'],
+  CU: ['NA', 'Cuba', '古巴', 'Kuba', 'Cuba', 'Cuba', 'キューバ', 'Куба', 'Cuba'],
+  CV: ['AF', 'Cape Verde', '佛得角', 'Cabo Verde', 'Cap-Vert', 'Cabo Verde', 'カーボベルデ', 'Кабо-Верде', 'Cabo Verde'],
+  CW: ['NA', 'Curaçao', '库拉索', 'Curaçao', 'Curaçao', 'Curazao', 'キュラソー', 'Кюрасао', 'Curaçao'],
+  CX: [
+    'AS', 'Christmas Island', '圣诞岛', 'Weihnachtsinsel', 'Île Christmas', 'Isla de Navidad', 'クリスマス島', 'о-в Рождества',
+    'Ilha Christmas'
+  ],
+  CY: ['EU', 'Cyprus', '塞浦路斯', 'Zypern', 'Chypre', 'Chipre', 'キプロス', 'Кипр', 'Chipre'],
+  CZ: ['EU', 'Czechia', '捷克', 'Tschechien', 'Tchéquie', 'Chequia', 'チェコ', 'Чехия', 'Tchéquia'],
+  DE: ['EU', 'Germany', '德国', 'Deutschland', 'Allemagne', 'Alemania', 'ドイツ', 'Германия', 'Alemanha'],
+  DJ: ['AF', 'Djibouti', '吉布提', 'Dschibuti', 'Djibouti', 'Yibuti', 'ジブチ', 'Джибути', 'Djibuti'],
+  DK: ['EU', 'Denmark', '丹麦', 'Dänemark', 'Danemark', 'Dinamarca', 'デンマーク', 'Дания', 'Dinamarca'],
+  DM: ['NA', 'Dominica', '多米尼克', 'Dominica', 'Dominique', 'Dominica', 'ドミニカ国', 'Доминика', 'Dominica'],
+  DO: [
+    'NA', 'Dominican Republic', '多米尼加共和国', 'Dominikanische Republik', 'République dominicaine', 'República Dominicana',
+    'ドミニカ共和国', 'Доминиканская Республика', 'República Dominicana'
+  ],
+  DZ: ['AF', 'Algeria', '阿尔及利亚', 'Algerien', 'Algérie', 'Argelia', 'アルジェリア', 'Алжир', 'Argélia'],
+  EC: ['SA', 'Ecuador', '厄瓜多尔', 'Ecuador', 'Équateur', 'Ecuador', 'エクアドル', 'Эквадор', 'Equador'],
+  EE: ['EU', 'Estonia', '爱沙尼亚', 'Estland', 'Estonie', 'Estonia', 'エストニア', 'Эстония', 'Estônia'],
+  EG: ['AF', 'Egypt', '埃及', 'Ägypten', 'Égypte', 'Egipto', 'エジプト', 'Египет', 'Egito'],
+  EH: [
+    'AF', 'Western Sahara', '西撒哈拉', 'Westsahara', 'Sahara occidental', 'Sáhara Occidental', '西サハラ', 'Западная Сахара',
+    'Saara Ocidental'
+  ],
+  ER: ['AF', 'Eritrea', '厄立特里亚', 'Eritrea', 'Érythrée', 'Eritrea', 'エリトリア', 'Эритрея', 'Eritreia'],
+  ES: ['EU', 'Spain', '西班牙', 'Spanien', 'Espagne', 'España', 'スペイン', 'Испания', 'Espanha'],
+  ET: ['AF', 'Ethiopia', '埃塞俄比亚', 'Äthiopien', 'Éthiopie', 'Etiopía', 'エチオピア', 'Эфиопия', 'Etiópia'],
+  FI: ['EU', 'Finland', '芬兰', 'Finnland', 'Finlande', 'Finlandia', 'フィンランド', 'Финляндия', 'Finlândia'],
+  FJ: ['OC', 'Fiji', '斐济', 'Fidschi', 'Fidji', 'Fiyi', 'フィジー', 'Фиджи', 'Fiji'],
+  FK: [
+    'SA', 'Falkland Islands', '福克兰群岛', 'Falklandinseln', 'Îles Malouines', 'Islas Malvinas', 'フォークランド諸島',
+    'Фолклендские о-ва', 'Ilhas Malvinas'
+  ],
+  FM: [
+    'OC', 'Micronesia', '密克罗尼西亚', 'Mikronesien', 'Micronésie', 'Micronesia', 'ミクロネシア連邦',
+    'Федеративные Штаты Микронезии', 'Micronésia'
+  ],
+  FO: ['EU', 'Faroe Islands', '法罗群岛', 'Färöer', 'Îles Féroé', 'Islas Feroe', 'フェロー諸島', 'Фарерские о-ва', 'Ilhas Faroé'],
+  FR: ['EU', 'France', '法国', 'Frankreich', 'France', 'Francia', 'フランス', 'Франция', 'França'],
+  GA: ['AF', 'Gabon', '加蓬', 'Gabun', 'Gabon', 'Gabón', 'ガボン', 'Габон', 'Gabão'],
+  GB: [
+    'EU', 'United Kingdom', '英国', 'Vereinigtes Königreich', 'Royaume-Uni', 'Reino Unido', 'イギリス', 'Великобритания',
+    'Reino Unido'
+  ],
+  GD: ['NA', 'Grenada', '格林纳达', 'Grenada', 'Grenade', 'Granada', 'グレナダ', 'Гренада', 'Granada'],
+  GE: ['AS', 'Georgia', '格鲁吉亚', 'Georgien', 'Géorgie', 'Georgia', 'ジョージア', 'Грузия', 'Geórgia'],
+  GF: [
+    'SA', 'French Guiana', '法属圭亚那', 'Französisch-Guayana', 'Guyane française', 'Guayana Francesa', '仏領ギアナ',
+    'Французская Гвиана', 'Guiana Francesa'
+  ],
+  GG: ['EU', 'Guernsey', '根西岛', 'Guernsey', 'Guernesey', 'Guernesey', 'ガーンジー', 'Гернси', 'Guernsey'],
+  GH: ['AF', 'Ghana', '加纳', 'Ghana', 'Ghana', 'Ghana', 'ガーナ', 'Гана', 'Gana'],
+  GI: ['EU', 'Gibraltar', '直布罗陀', 'Gibraltar', 'Gibraltar', 'Gibraltar', 'ジブラルタル', 'Гибралтар', 'Gibraltar'],
+  GL: ['NA', 'Greenland', '格陵兰', 'Grönland', 'Groenland', 'Groenlandia', 'グリーンランド', 'Гренландия', 'Groenlândia'],
+  GM: ['AF', 'Gambia', '冈比亚', 'Gambia', 'Gambie', 'Gambia', 'ガンビア', 'Гамбия', 'Gâmbia'],
+  GN: ['AF', 'Guinea', '几内亚', 'Guinea', 'Guinée', 'Guinea', 'ギニア', 'Гвинея', 'Guiné'],
+  GP: ['NA', 'Guadeloupe', '瓜德罗普', 'Guadeloupe', 'Guadeloupe', 'Guadalupe', 'グアドループ', 'Гваделупа', 'Guadalupe'],
+  GQ: [
+    'AF', 'Equatorial Guinea', '赤道几内亚', 'Äquatorialguinea', 'Guinée équatoriale', 'Guinea Ecuatorial', '赤道ギニア',
+    'Экваториальная Гвинея', 'Guiné Equatorial'
+  ],
+  GR: ['EU', 'Greece', '希腊', 'Griechenland', 'Grèce', 'Grecia', 'ギリシャ', 'Греция', 'Grécia'],
+  GS: [
+    'AN', 'South Georgia & South Sandwich Islands', '南乔治亚和南桑威奇群岛', 'Südgeorgien und die Südlichen Sandwichinseln',
+    'Géorgie du Sud-et-les Îles Sandwich du Sud', 'Islas Georgia del Sur y Sandwich del Sur', 'サウスジョージア・サウスサンドウィッチ諸島',
+    'Южная Георгия и Южные Сандвичевы о-ва', 'Ilhas Geórgia do Sul e Sandwich do Sul'
+  ],
+  GT: ['NA', 'Guatemala', '危地马拉', 'Guatemala', 'Guatemala', 'Guatemala', 'グアテマラ', 'Гватемала', 'Guatemala'],
+  GU: ['OC', 'Guam', '关岛', 'Guam', 'Guam', 'Guam', 'グアム', 'Гуам', 'Guam'],
+  GW: [
+    'AF', 'Guinea-Bissau', '几内亚比绍', 'Guinea-Bissau', 'Guinée-Bissau', 'Guinea-Bisáu', 'ギニアビサウ', 'Гвинея-Бисау',
+    'Guiné-Bissau'
+  ],
+  GY: ['SA', 'Guyana', '圭亚那', 'Guyana', 'Guyana', 'Guyana', 'ガイアナ', 'Гайана', 'Guiana'],
+  HK: ['AS', 'Hong Kong', '香港', 'Hongkong', 'Hong Kong', 'Hong Kong', '香港', 'Гонконг', 'Hong Kong'],
+  HM: [
+    'AN', 'Heard & McDonald Islands', '赫德岛和麦克唐纳群岛', 'Heard und McDonaldinseln', 'Îles Heard-et-MacDonald',
+    'Islas Heard y McDonald', 'ハード島・マクドナルド諸島', 'о-ва Херд и Макдональд', 'Ilhas Heard e McDonald'
+  ],
+  HN: ['NA', 'Honduras', '洪都拉斯', 'Honduras', 'Honduras', 'Honduras', 'ホンジュラス', 'Гондурас', 'Honduras'],
+  HR: ['EU', 'Croatia', '克罗地亚', 'Kroatien', 'Croatie', 'Croacia', 'クロアチア', 'Хорватия', 'Croácia'],
+  HT: ['NA', 'Haiti', '海地', 'Haiti', 'Haïti', 'Haití', 'ハイチ', 'Гаити', 'Haiti'],
+  HU: ['EU', 'Hungary', '匈牙利', 'Ungarn', 'Hongrie', 'Hungría', 'ハンガリー', 'Венгрия', 'Hungria'],
+  ID: ['AS', 'Indonesia', '印度尼西亚', 'Indonesien', 'Indonésie', 'Indonesia', 'インドネシア', 'Индонезия', 'Indonésia'],
+  IE: ['EU', 'Ireland', '爱尔兰', 'Irland', 'Irlande', 'Irlanda', 'アイルランド', 'Ирландия', 'Irlanda'],
+  IL: ['AS', 'Israel', '以色列', 'Israel', 'Israël', 'Israel', 'イスラエル', 'Израиль', 'Israel'],
+  IM: ['EU', 'Isle of Man', '马恩岛', 'Isle of Man', 'Île de Man', 'Isla de Man', 'マン島', 'о-в Мэн', 'Ilha de Man'],
+  IN: ['AS', 'India', '印度', 'Indien', 'Inde', 'India', 'インド', 'Индия', 'Índia'],
+  IO: [
+    'AS', 'British Indian Ocean Territory', '英属印度洋领地', 'Britisches Territorium im Indischen Ozean',
+    'Territoire britannique de l\'océan Indien', 'Territorio Británico del Océano Índico', '英領インド洋地域',
+    'Британская территория в Индийском океане', 'Território Britânico do Oceano Índico'
+  ],
+  IQ: ['AS', 'Iraq', '伊拉克', 'Irak', 'Irak', 'Irak', 'イラク', 'Ирак', 'Iraque'],
+  IR: ['AS', 'Iran', '伊朗', 'Iran', 'Iran', 'Irán', 'イラン', 'Иран', 'Irã'],
+  IS: ['EU', 'Iceland', '冰岛', 'Island', 'Islande', 'Islandia', 'アイスランド', 'Исландия', 'Islândia'],
+  IT: ['EU', 'Italy', '意大利', 'Italien', 'Italie', 'Italia', 'イタリア', 'Италия', 'Itália'],
+  JE: ['EU', 'Jersey', '泽西岛', 'Jersey', 'Jersey', 'Jersey', 'ジャージー', 'Джерси', 'Jersey'],
+  JM: ['NA', 'Jamaica', '牙买加', 'Jamaika', 'Jamaïque', 'Jamaica', 'ジャマイカ', 'Ямайка', 'Jamaica'],
+  JO: ['AS', 'Jordan', '约旦', 'Jordanien', 'Jordanie', 'Jordania', 'ヨルダン', 'Иордания', 'Jordânia'],
+  JP: ['AS', 'Japan', '日本', 'Japan', 'Japon', 'Japón', '日本', 'Япония', 'Japão'],
+  KE: ['AF', 'Kenya', '肯尼亚', 'Kenia', 'Kenya', 'Kenia', 'ケニア', 'Кения', 'Quênia'],
+  KG: ['AS', 'Kyrgyzstan', '吉尔吉斯斯坦', 'Kirgisistan', 'Kirghizstan', 'Kirguistán', 'キルギス', 'Киргизия', 'Quirguistão'],
+  KH: ['AS', 'Cambodia', '柬埔寨', 'Kambodscha', 'Cambodge', 'Camboya', 'カンボジア', 'Камбоджа', 'Camboja'],
+  KI: ['OC', 'Kiribati', '基里巴斯', 'Kiribati', 'Kiribati', 'Kiribati', 'キリバス', 'Кирибати', 'Quiribati'],
+  KM: ['AF', 'Comoros', '科摩罗', 'Komoren', 'Comores', 'Comoras', 'コモロ', 'Коморы', 'Comores'],
+  KN: [
+    'NA', 'St. Kitts & Nevis', '圣基茨和尼维斯', 'St. Kitts und Nevis', 'Saint-Christophe-et-Niévès', 'San Cristóbal y Nieves',
+    'セントクリストファー・ネーヴィス', 'Сент-Китс и Невис', 'São Cristóvão e Névis'
+  ],
+  KP: ['AS', 'North Korea', '朝鲜', 'Nordkorea', 'Corée du Nord', 'Corea del Norte', '北朝鮮', 'КНДР', 'Coreia do Norte'],
+  KR: [
+    'AS', 'South Korea', '韩国', 'Südkorea', 'Corée du Sud', 'Corea del Sur', '韓国', 'Республика Корея', 'Coreia do Sul'
+  ],
+  KW: ['AS', 'Kuwait', '科威特', 'Kuwait', 'Koweït', 'Kuwait', 'クウェート', 'Кувейт', 'Kuwait'],
+  KY: [
+    'NA', 'Cayman Islands', '开曼群岛', 'Kaimaninseln', 'Îles Caïmans', 'Islas Caimán', 'ケイマン諸島', 'о-ва Кайман',
+    'Ilhas Cayman'
+  ],
+  KZ: ['AS', 'Kazakhstan', '哈萨克斯坦', 'Kasachstan', 'Kazakhstan', 'Kazajistán', 'カザフスタン', 'Казахстан', 'Cazaquistão'],
+  LA: ['AS', 'Laos', '老挝', 'Laos', 'Laos', 'Laos', 'ラオス', 'Лаос', 'Laos'],
+  LB: ['AS', 'Lebanon', '黎巴嫩', 'Libanon', 'Liban', 'Líbano', 'レバノン', 'Ливан', 'Líbano'],
+  LC: ['NA', 'St. Lucia', '圣卢西亚', 'St. Lucia', 'Sainte-Lucie', 'Santa Lucía', 'セントルシア', 'Сент-Люсия', 'Santa Lúcia'],
+  LI: [
+    'EU', 'Liechtenstein', '列支敦士登', 'Liechtenstein', 'Liechtenstein', 'Liechtenstein', 'リヒテンシュタイン', 'Лихтенштейн',
+    'Liechtenstein'
+  ],
+  LK: ['AS', 'Sri Lanka', '斯里兰卡', 'Sri Lanka', 'Sri Lanka', 'Sri Lanka', 'スリランカ', 'Шри-Ланка', 'Sri Lanka'],
+  LR: ['AF', 'Liberia', '利比里亚', 'Liberia', 'Liberia', 'Liberia', 'リベリア', 'Либерия', 'Libéria'],
+  LS: ['AF', 'Lesotho', '莱索托', 'Lesotho', 'Lesotho', 'Lesoto', 'レソト', 'Лесото', 'Lesoto'],
+  LT: ['EU', 'Lithuania', '立陶宛', 'Litauen', 'Lituanie', 'Lituania', 'リトアニア', 'Литва', 'Lituânia'],
+  LU: ['EU', 'Luxembourg', '卢森堡', 'Luxemburg', 'Luxembourg', 'Luxemburgo', 'ルクセンブルク', 'Люксембург', 'Luxemburgo'],
+  LV: ['EU', 'Latvia', '拉脱维亚', 'Lettland', 'Lettonie', 'Letonia', 'ラトビア', 'Латвия', 'Letônia'],
+  LY: ['AF', 'Libya', '利比亚', 'Libyen', 'Libye', 'Libia', 'リビア', 'Ливия', 'Líbia'],
+  MA: ['AF', 'Morocco', '摩洛哥', 'Marokko', 'Maroc', 'Marruecos', 'モロッコ', 'Марокко', 'Marrocos'],
+  MC: ['EU', 'Monaco', '摩纳哥', 'Monaco', 'Monaco', 'Mónaco', 'モナコ', 'Монако', 'Mônaco'],
+  MD: ['EU', 'Moldova', '摩尔多瓦', 'Republik Moldau', 'Moldavie', 'Moldavia', 'モルドバ', 'Молдова', 'Moldávia'],
+  ME: ['EU', 'Montenegro', '黑山', 'Montenegro', 'Monténégro', 'Montenegro', 'モンテネグロ', 'Черногория', 'Montenegro'],
+  MF: [
+    'NA', 'St. Martin', '法属圣马丁', 'St. Martin', 'Saint-Martin', 'San Martín', 'サン・マルタン', 'Сен-Мартен', 'São Martinho'
+  ],
+  MG: ['AF', 'Madagascar', '马达加斯加', 'Madagaskar', 'Madagascar', 'Madagascar', 'マダガスカル', 'Мадагаскар', 'Madagascar'],
+  MH: [
+    'OC', 'Marshall Islands', '马绍尔群岛', 'Marshallinseln', 'Îles Marshall', 'Islas Marshall', 'マーシャル諸島',
+    'Маршалловы о-ва', 'Ilhas Marshall'
+  ],
+  MK: [
+    'EU', 'North Macedonia', '北马其顿', 'Nordmazedonien', 'Macédoine du Nord', 'Macedonia del Norte', '北マケドニア',
+    'Северная Македония', 'Macedônia do Norte'
+  ],
+  ML: ['AF', 'Mali', '马里', 'Mali', 'Mali', 'Mali', 'マリ', 'Мали', 'Mali'],
+  MM: [
+    'AS', 'Myanmar (Burma)', '缅甸', 'Myanmar', 'Myanmar (Birmanie)', 'Myanmar (Birmania)', 'ミャンマー (ビルマ)',
+    'Мьянма (Бирма)', 'Mianmar (Birmânia)'
+  ],
+  MN: ['AS', 'Mongolia', '蒙古', 'Mongolei', 'Mongolie', 'Mongolia', 'モンゴル', 'Монголия', 'Mongólia'],
+  MO: ['AS', 'Macao', '澳门', 'Macau', 'Macao', 'Macao', 'マカオ', 'Макао', 'Macau'],
+  MP: [
+    'OC', 'Northern Mariana Islands', '北马里亚纳群岛', 'Nördliche Marianen', 'Îles Mariannes du Nord',
+    'Islas Marianas del Norte', '北マリアナ諸島', 'Северные Марианские о-ва', 'Ilhas Marianas do Norte'
+  ],
+  MQ: ['NA', 'Martinique', '马提尼克', 'Martinique', 'Martinique', 'Martinica', 'マルティニーク', 'Мартиника', 'Martinica'],
+  MR: ['AF', 'Mauritania', '毛里塔尼亚', 'Mauretanien', 'Mauritanie', 'Mauritania', 'モーリタニア', 'Мавритания', 'Mauritânia'],
+  MS: ['NA', 'Montserrat', '蒙特塞拉特', 'Montserrat', 'Montserrat', 'Montserrat', 'モントセラト', 'Монтсеррат', 'Montserrat'],
+  MT: ['EU', 'Malta', '马耳他', 'Malta', 'Malte', 'Malta', 'マルタ', 'Мальта', 'Malta'],
+  MU: ['AF', 'Mauritius', '毛里求斯', 'Mauritius', 'Maurice', 'Mauricio', 'モーリシャス', 'Маврикий', 'Maurício'],
+  MV: ['AS', 'Maldives', '马尔代夫', 'Malediven', 'Maldives', 'Maldivas', 'モルディブ', 'Мальдивы', 'Maldivas'],
+  MW: ['AF', 'Malawi', '马拉维', 'Malawi', 'Malawi', 'Malaui', 'マラウイ', 'Малави', 'Malaui'],
+  MX: ['NA', 'Mexico', '墨西哥', 'Mexiko', 'Mexique', 'México', 'メキシコ', 'Мексика', 'México'],
+  MY: ['AS', 'Malaysia', '马来西亚', 'Malaysia', 'Malaisie', 'Malasia', 'マレーシア', 'Малайзия', 'Malásia'],
+  MZ: ['AF', 'Mozambique', '莫桑比克', 'Mosambik', 'Mozambique', 'Mozambique', 'モザンビーク', 'Мозамбик', 'Moçambique'],
+  NA: ['AF', 'Namibia', '纳米比亚', 'Namibia', 'Namibie', 'Namibia', 'ナミビア', 'Намибия', 'Namíbia'],
+  NC: [
+    'OC', 'New Caledonia', '新喀里多尼亚', 'Neukaledonien', 'Nouvelle-Calédonie', 'Nueva Caledonia', 'ニューカレドニア',
+    'Новая Каледония', 'Nova Caledônia'
+  ],
+  NE: ['AF', 'Niger', '尼日尔', 'Niger', 'Niger', 'Níger', 'ニジェール', 'Нигер', 'Níger'],
+  NF: [
+    'OC', 'Norfolk Island', '诺福克岛', 'Norfolkinsel', 'Île Norfolk', 'Isla Norfolk', 'ノーフォーク島', 'о-в Норфолк',
+    'Ilha Norfolk'
+  ],
+  NG: ['AF', 'Nigeria', '尼日利亚', 'Nigeria', 'Nigeria', 'Nigeria', 'ナイジェリア', 'Нигерия', 'Nigéria'],
+  NI: ['NA', 'Nicaragua', '尼加拉瓜', 'Nicaragua', 'Nicaragua', 'Nicaragua', 'ニカラグア', 'Никарагуа', 'Nicarágua'],
+  NL: ['EU', 'Netherlands', '荷兰', 'Niederlande', 'Pays-Bas', 'Países Bajos', 'オランダ', 'Нидерланды', 'Países Baixos'],
+  NO: ['EU', 'Norway', '挪威', 'Norwegen', 'Norvège', 'Noruega', 'ノルウェー', 'Норвегия', 'Noruega'],
+  NP: ['AS', 'Nepal', '尼泊尔', 'Nepal', 'Népal', 'Nepal', 'ネパール', 'Непал', 'Nepal'],
+  NR: ['OC', 'Nauru', '瑙鲁', 'Nauru', 'Nauru', 'Nauru', 'ナウル', 'Науру', 'Nauru'],
+  NU: ['OC', 'Niue', '纽埃', 'Niue', 'Niue', 'Niue', 'ニウエ', 'Ниуэ', 'Niue'],
+  NZ: [
+    'OC', 'New Zealand', '新西兰', 'Neuseeland', 'Nouvelle-Zélande', 'Nueva Zelanda', 'ニュージーランド', 'Новая Зеландия',
+    'Nova Zelândia'
+  ],
+  OM: ['AS', 'Oman', '阿曼', 'Oman', 'Oman', 'Omán', 'オマーン', 'Оман', 'Omã'],
+  PA: ['NA', 'Panama', '巴拿马', 'Panama', 'Panama', 'Panamá', 'パナマ', 'Панама', 'Panamá'],
+  PE: ['SA', 'Peru', '秘鲁', 'Peru', 'Pérou', 'Perú', 'ペルー', 'Перу', 'Peru'],
+  PF: [
+    'OC', 'French Polynesia', '法属波利尼西亚', 'Französisch-Polynesien', 'Polynésie française', 'Polinesia Francesa',
+    '仏領ポリネシア', 'Французская Полинезия', 'Polinésia Francesa'
+  ],
+  PG: [
+    'OC', 'Papua New Guinea', '巴布亚新几内亚', 'Papua-Neuguinea', 'Papouasie-Nouvelle-Guinée', 'Papúa Nueva Guinea',
+    'パプアニューギニア', 'Папуа — Новая Гвинея', 'Papua-Nova Guiné'
+  ],
+  PH: ['AS', 'Philippines', '菲律宾', 'Philippinen', 'Philippines', 'Filipinas', 'フィリピン', 'Филиппины', 'Filipinas'],
+  PK: ['AS', 'Pakistan', '巴基斯坦', 'Pakistan', 'Pakistan', 'Pakistán', 'パキスタン', 'Пакистан', 'Paquistão'],
+  PL: ['EU', 'Poland', '波兰', 'Polen', 'Pologne', 'Polonia', 'ポーランド', 'Польша', 'Polônia'],
+  PM: [
+    'NA', 'St. Pierre & Miquelon', '圣皮埃尔和密克隆群岛', 'St. Pierre und Miquelon', 'Saint-Pierre-et-Miquelon',
+    'San Pedro y Miquelón', 'サンピエール島・ミクロン島', 'Сен-Пьер и Микелон', 'São Pedro e Miquelão'
+  ],
+  PN: [
+    'OC', 'Pitcairn Islands', '皮特凯恩群岛', 'Pitcairninseln', 'Îles Pitcairn', 'Islas Pitcairn', 'ピトケアン諸島', 'о-ва Питкэрн',
+    'Ilhas Pitcairn'
+  ],
+  PR: ['NA', 'Puerto Rico', '波多黎各', 'Puerto Rico', 'Porto Rico', 'Puerto Rico', 'プエルトリコ', 'Пуэрто-Рико', 'Porto Rico'],
+  PS: ['AS', 'Palestine', '巴勒斯坦', 'Palästina', 'Palestine', 'Palestina', 'パレスチナ', 'Палестина', 'Palestina'],
+  PT: ['EU', 'Portugal', '葡萄牙', 'Portugal', 'Portugal', 'Portugal', 'ポルトガル', 'Португалия', 'Portugal'],
+  PW: ['OC', 'Palau', '帕劳', 'Palau', 'Palaos', 'Palaos', 'パラオ', 'Палау', 'Palau'],
+  PY: ['SA', 'Paraguay', '巴拉圭', 'Paraguay', 'Paraguay', 'Paraguay', 'パラグアイ', 'Парагвай', 'Paraguai'],
+  QA: ['AS', 'Qatar', '卡塔尔', 'Katar', 'Qatar', 'Catar', 'カタール', 'Катар', 'Catar'],
+  RE: ['AF', 'Réunion', '留尼汪', 'Réunion', 'La Réunion', 'Reunión', 'レユニオン', 'Реюньон', 'Reunião'],
+  RO: ['EU', 'Romania', '罗马尼亚', 'Rumänien', 'Roumanie', 'Rumanía', 'ルーマニア', 'Румыния', 'Romênia'],
+  RS: ['EU', 'Serbia', '塞尔维亚', 'Serbien', 'Serbie', 'Serbia', 'セルビア', 'Сербия', 'Sérvia'],
+  RU: ['EU', 'Russia', '俄罗斯', 'Russland', 'Russie', 'Rusia', 'ロシア', 'Россия', 'Rússia'],
+  RW: ['AF', 'Rwanda', '卢旺达', 'Ruanda', 'Rwanda', 'Ruanda', 'ルワンダ', 'Руанда', 'Ruanda'],
+  SA: [
+    'AS', 'Saudi Arabia', '沙特阿拉伯', 'Saudi-Arabien', 'Arabie saoudite', 'Arabia Saudí', 'サウジアラビア', 'Саудовская Аравия',
+    'Arábia Saudita'
+  ],
+  SB: [
+    'OC', 'Solomon Islands', '所罗门群岛', 'Salomonen', 'Îles Salomon', 'Islas Salomón', 'ソロモン諸島', 'Соломоновы о-ва',
+    'Ilhas Salomão'
+  ],
+  SC: ['AF', 'Seychelles', '塞舌尔', 'Seychellen', 'Seychelles', 'Seychelles', 'セーシェル', 'Сейшельские о-ва', 'Seicheles'],
+  SD: ['AF', 'Sudan', '苏丹', 'Sudan', 'Soudan', 'Sudán', 'スーダン', 'Судан', 'Sudão'],
+  SE: ['EU', 'Sweden', '瑞典', 'Schweden', 'Suède', 'Suecia', 'スウェーデン', 'Швеция', 'Suécia'],
+  SG: ['AS', 'Singapore', '新加坡', 'Singapur', 'Singapour', 'Singapur', 'シンガポール', 'Сингапур', 'Singapura'],
+  SH: [
+    'AF', 'St. Helena', '圣赫勒拿', 'St. Helena', 'Sainte-Hélène', 'Santa Elena', 'セントヘレナ', 'о-в Св. Елены', 'Santa Helena'
+  ],
+  SI: ['EU', 'Slovenia', '斯洛文尼亚', 'Slowenien', 'Slovénie', 'Eslovenia', 'スロベニア', 'Словения', 'Eslovênia'],
+  SJ: [
+    'EU', 'Svalbard & Jan Mayen', '斯瓦尔巴和扬马延', 'Spitzbergen und Jan Mayen', 'Svalbard et Jan Mayen',
+    'Svalbard y Jan Mayen', 'スバールバル諸島・ヤンマイエン島', 'Шпицберген и Ян-Майен', 'Svalbard e Jan Mayen'
+  ],
+  SK: ['EU', 'Slovakia', '斯洛伐克', 'Slowakei', 'Slovaquie', 'Eslovaquia', 'スロバキア', 'Словакия', 'Eslováquia'],
+  SL: [
+    'AF', 'Sierra Leone', '塞拉利昂', 'Sierra Leone', 'Sierra Leone', 'Sierra Leona', 'シエラレオネ', 'Сьерра-Леоне', 'Serra Leoa'
+  ],
+  SM: ['EU', 'San Marino', '圣马力诺', 'San Marino', 'Saint-Marin', 'San Marino', 'サンマリノ', 'Сан-Марино', 'San Marino'],
+  SN: ['AF', 'Senegal', '塞内加尔', 'Senegal', 'Sénégal', 'Senegal', 'セネガル', 'Сенегал', 'Senegal'],
+  SO: ['AF', 'Somalia', '索马里', 'Somalia', 'Somalie', 'Somalia', 'ソマリア', 'Сомали', 'Somália'],
+  SR: ['SA', 'Suriname', '苏里南', 'Suriname', 'Suriname', 'Surinam', 'スリナム', 'Суринам', 'Suriname'],
+  SS: [
+    'AF', 'South Sudan', '南苏丹', 'Südsudan', 'Soudan du Sud', 'Sudán del Sur', '南スーダン', 'Южный Судан', 'Sudão do Sul'
+  ],
+  ST: [
+    'AF', 'São Tomé & Príncipe', '圣多美和普林西比', 'São Tomé und Príncipe', 'Sao Tomé-et-Principe', 'Santo Tomé y Príncipe',
+    'サントメ・プリンシペ', 'Сан-Томе и Принсипи', 'São Tomé e Príncipe'
+  ],
+  SV: ['NA', 'El Salvador', '萨尔瓦多', 'El Salvador', 'Salvador', 'El Salvador', 'エルサルバドル', 'Сальвадор', 'El Salvador'],
+  SX: [
+    'NA', 'Sint Maarten', '荷属圣马丁', 'Sint Maarten', 'Saint-Martin (partie néerlandaise)', 'Sint Maarten', 'シント・マールテン',
+    'Синт-Мартен', 'Sint Maarten'
+  ],
+  SY: ['AS', 'Syria', '叙利亚', 'Syrien', 'Syrie', 'Siria', 'シリア', 'Сирия', 'Síria'],
+  SZ: ['AF', 'Eswatini', '斯威士兰', 'Eswatini', 'Eswatini', 'Esuatini', 'エスワティニ', 'Эсватини', 'Essuatíni'],
+  TC: [
+    'NA', 'Turks & Caicos Islands', '特克斯和凯科斯群岛', 'Turks- und Caicosinseln', 'Îles Turques-et-Caïques',
+    'Islas Turcas y Caicos', 'タークス・カイコス諸島', 'Тёркс и Кайкос', 'Ilhas Turcas e Caicos'
+  ],
+  TD: ['AF', 'Chad', '乍得', 'Tschad', 'Tchad', 'Chad', 'チャド', 'Чад', 'Chade'],
+  TF: [
+    'AN', 'French Southern Territories', '法属南部领地', 'Französische Süd- und Antarktisgebiete',
+    'Terres australes françaises', 'Territorios Australes Franceses', '仏領極南諸島', 'Французские Южные территории',
+    'Territórios Franceses do Sul'
+  ],
+  TG: ['AF', 'Togo', '多哥', 'Togo', 'Togo', 'Togo', 'トーゴ', 'Того', 'Togo'],
+  TH: ['AS', 'Thailand', '泰国', 'Thailand', 'Thaïlande', 'Tailandia', 'タイ', 'Таиланд', 'Tailândia'],
+  TJ: [
+    'AS', 'Tajikistan', '塔吉克斯坦', 'Tadschikistan', 'Tadjikistan', 'Tayikistán', 'タジキスタン', 'Таджикистан', 'Tadjiquistão'
+  ],
+  TK: ['OC', 'Tokelau', '托克劳', 'Tokelau', 'Tokelau', 'Tokelau', 'トケラウ', 'Токелау', 'Tokelau'],
+  TL: [
+    'AS', 'Timor-Leste', '东帝汶', 'Timor-Leste', 'Timor oriental', 'Timor-Leste', '東ティモール', 'Восточный Тимор',
+    'Timor-Leste'
+  ],
+  TM: [
+    'AS', 'Turkmenistan', '土库曼斯坦', 'Turkmenistan', 'Turkménistan', 'Turkmenistán', 'トルクメニスタン', 'Туркменистан',
+    'Turcomenistão'
+  ],
+  TN: ['AF', 'Tunisia', '突尼斯', 'Tunesien', 'Tunisie', 'Túnez', 'チュニジア', 'Тунис', 'Tunísia'],
+  TO: ['OC', 'Tonga', '汤加', 'Tonga', 'Tonga', 'Tonga', 'トンガ', 'Тонга', 'Tonga'],
+  TR: ['AS', 'Türkiye', '土耳其', 'Türkei', 'Turquie', 'Turquía', 'トルコ', 'Турция', 'Turquia'],
+  TT: [
+    'NA', 'Trinidad & Tobago', '特立尼达和多巴哥', 'Trinidad und Tobago', 'Trinité-et-Tobago', 'Trinidad y Tobago',
+    'トリニダード・トバゴ', 'Тринидад и Тобаго', 'Trinidad e Tobago'
+  ],
+  TV: ['OC', 'Tuvalu', '图瓦卢', 'Tuvalu', 'Tuvalu', 'Tuvalu', 'ツバル', 'Тувалу', 'Tuvalu'],
+  TW: ['AS', 'Taiwan', '台湾', 'Taiwan', 'Taïwan', 'Taiwán', '台湾', 'Тайвань', 'Taiwan'],
+  TZ: ['AF', 'Tanzania', '坦桑尼亚', 'Tansania', 'Tanzanie', 'Tanzania', 'タンザニア', 'Танзания', 'Tanzânia'],
+  UA: ['EU', 'Ukraine', '乌克兰', 'Ukraine', 'Ukraine', 'Ucrania', 'ウクライナ', 'Украина', 'Ucrânia'],
+  UG: ['AF', 'Uganda', '乌干达', 'Uganda', 'Ouganda', 'Uganda', 'ウガンダ', 'Уганда', 'Uganda'],
+  UM: [
+    'OC', 'U.S. Outlying Islands', '美国本土外小岛屿', 'Amerikanische Überseeinseln', 'Îles mineures éloignées des États-Unis',
+    'Islas menores alejadas de EE. UU.', '合衆国領有小離島', 'Внешние малые о-ва (США)', 'Ilhas Menores Distantes dos EUA'
+  ],
+  US: [
+    'NA', 'United States', '美国', 'Vereinigte Staaten', 'États-Unis', 'Estados Unidos', 'アメリカ合衆国', 'Соединенные Штаты',
+    'Estados Unidos'
+  ],
+  UY: ['SA', 'Uruguay', '乌拉圭', 'Uruguay', 'Uruguay', 'Uruguay', 'ウルグアイ', 'Уругвай', 'Uruguai'],
+  UZ: ['AS', 'Uzbekistan', '乌兹别克斯坦', 'Usbekistan', 'Ouzbékistan', 'Uzbekistán', 'ウズベキスタン', 'Узбекистан', 'Uzbequistão'],
+  VA: [
+    'EU', 'Vatican City', '梵蒂冈', 'Vatikanstadt', 'État de la Cité du Vatican', 'Ciudad del Vaticano', 'バチカン市国',
+    'Ватикан', 'Cidade do Vaticano'
+  ],
+  VC: [
+    'NA', 'St. Vincent & Grenadines', '圣文森特和格林纳丁斯', 'St. Vincent und die Grenadinen', 'Saint-Vincent-et-les Grenadines',
+    'San Vicente y las Granadinas', 'セントビンセント及びグレナディーン諸島', 'Сент-Винсент и Гренадины', 'São Vicente e Granadinas'
+  ],
+  VE: ['SA', 'Venezuela', '委内瑞拉', 'Venezuela', 'Venezuela', 'Venezuela', 'ベネズエラ', 'Венесуэла', 'Venezuela'],
+  VG: [
+    'NA', 'British Virgin Islands', '英属维尔京群岛', 'Britische Jungferninseln', 'Îles Vierges britanniques',
+    'Islas Vírgenes Británicas', '英領ヴァージン諸島', 'Виргинские о-ва (Великобритания)', 'Ilhas Virgens Britânicas'
+  ],
+  VI: [
+    'NA', 'U.S. Virgin Islands', '美属维尔京群岛', 'Amerikanische Jungferninseln', 'Îles Vierges des États-Unis',
+    'Islas Vírgenes de EE. UU.', '米領ヴァージン諸島', 'Виргинские о-ва (США)', 'Ilhas Virgens Americanas'
+  ],
+  VN: ['AS', 'Vietnam', '越南', 'Vietnam', 'Viêt Nam', 'Vietnam', 'ベトナム', 'Вьетнам', 'Vietnã'],
+  VU: ['OC', 'Vanuatu', '瓦努阿图', 'Vanuatu', 'Vanuatu', 'Vanuatu', 'バヌアツ', 'Вануату', 'Vanuatu'],
+  WF: [
+    'OC', 'Wallis & Futuna', '瓦利斯和富图纳', 'Wallis und Futuna', 'Wallis-et-Futuna', 'Wallis y Futuna', 'ウォリス・フツナ',
+    'Уоллис и Футуна', 'Wallis e Futuna'
+  ],
+  WS: ['OC', 'Samoa', '萨摩亚', 'Samoa', 'Samoa', 'Samoa', 'サモア', 'Самоа', 'Samoa'],
+  XK: ['EU', 'Kosovo', '科索沃', 'Kosovo', 'Kosovo', 'Kosovo', 'コソボ', 'Косово', 'Kosovo'],
+  YE: ['AS', 'Yemen', '也门', 'Jemen', 'Yémen', 'Yemen', 'イエメン', 'Йемен', 'Iêmen'],
+  YT: ['AF', 'Mayotte', '马约特', 'Mayotte', 'Mayotte', 'Mayotte', 'マヨット', 'Майотта', 'Mayotte'],
+  ZA: [
+    'AF', 'South Africa', '南非', 'Südafrika', 'Afrique du Sud', 'Sudáfrica', '南アフリカ', 'Южно-Африканская Республика',
+    'África do Sul'
+  ],
+  ZM: ['AF', 'Zambia', '赞比亚', 'Sambia', 'Zambie', 'Zambia', 'ザンビア', 'Замбия', 'Zâmbia'],
+  ZW: ['AF', 'Zimbabwe', '津巴布韦', 'Simbabwe', 'Zimbabwe', 'Zimbabue', 'ジンバブエ', 'Зимбабве', 'Zimbábue']
+});
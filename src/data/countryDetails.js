@@ -0,0 +1,280 @@
+/**
+ * 🏳️ 国家元数据数据集（首都、货币、电话区号、官方语言、顶级域、陆上邻国）
+ *
+ * 来源：mledoze/countries（world-countries 5.1.0，ODbL 1.0）。语言为 BCP 47 规范码（有 ISO 639-1 时取两字母），
+ * 货币为 ISO 4217，邻国为 alpha-2；本地化名称（国家 / 货币 / 语言）在运行时由 countries.js 与 Intl.DisplayNames 提供。
+ * 更新：用新版 world-countries 重新生成；北美编号计划国家按号段列出区号，美 / 加与俄 / 哈只列国际冠码。
+ */
+
+// 欧盟成员国（27）
+export const EU_MEMBERS = Object.freeze([
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU', 'IE', 'IT', 'LT', 'LU', 'LV',
+  'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+]);
+
+// 欧洲经济区 = 欧盟 + 冰岛、列支敦士登、挪威
+export const EEA_MEMBERS = Object.freeze([...EU_MEMBERS, 'IS', 'LI', 'NO']);
+
+// alpha-2 → [首都（'|' 分隔）, 货币, 电话区号, 官方语言, 顶级域, 邻国]；多值字段以空格分隔，无数据为 ''
+export const COUNTRY_DETAILS = Object.freeze({
+  AD: ['Andorra la Vella', 'EUR', '+376', 'ca', '.ad', 'ES FR'],
+  AE: ['Abu Dhabi', 'AED', '+971', 'ar', '.ae امارات.', 'OM SA'],
+  AF: ['Kabul', 'AFN', '+93', 'fa-AF ps tk', '.af', 'CN IR PK TJ TM UZ'],
+  AG: ['Saint John\'s', 'XCD', '+1268', 'en', '.ag', ''],
+  AI: ['The Valley', 'XCD', '+1264', 'en', '.ai', ''],
+  AL: ['Tirana', 'ALL', '+355', 'sq', '.al', 'GR ME MK XK'],
+  AM: ['Yerevan', 'AMD', '+374', 'hy', '.am', 'AZ GE IR TR'],
+  AO: ['Luanda', 'AOA', '+244', 'pt', '.ao', 'CD CG NA ZM'],
+  AQ: ['', '', '', '', '.aq', ''],
+  AR: ['Buenos Aires', 'ARS', '+54', 'gn es', '.ar', 'BO BR CL PY UY'],
+  AS: ['Pago Pago', 'USD', '+1684', 'en sm', '.as', ''],
+  AT: ['Vienna', 'EUR', '+43', 'bar', '.at', 'CH CZ DE HU IT LI SI SK'],
+  AU: ['Canberra', 'AUD', '+61', 'en', '.au', ''],
+  AW: ['Oranjestad', 'AWG', '+297', 'nl pap', '.aw', ''],
+  AX: ['Mariehamn', 'EUR', '+35818', 'sv', '.ax', ''],
+  AZ: ['Baku', 'AZN', '+994', 'az ru', '.az', 'AM GE IR RU TR'],
+  BA: ['Sarajevo', 'BAM', '+387', 'bs hr sr', '.ba', 'HR ME RS'],
+  BB: ['Bridgetown', 'BBD', '+1246', 'en', '.bb', ''],
+  BD: ['Dhaka', 'BDT', '+880', 'bn', '.bd', 'IN MM'],
+  BE: ['Brussels', 'EUR', '+32', 'de fr nl', '.be', 'DE FR LU NL'],
+  BF: ['Ouagadougou', 'XOF', '+226', 'fr', '.bf', 'BJ CI GH ML NE TG'],
+  BG: ['Sofia', 'BGN', '+359', 'bg', '.bg', 'GR MK RO RS TR'],
+  BH: ['Manama', 'BHD', '+973', 'ar', '.bh', ''],
+  BI: ['Gitega', 'BIF', '+257', 'fr rn', '.bi', 'CD RW TZ'],
+  BJ: ['Porto-Novo', 'XOF', '+229', 'fr', '.bj', 'BF NE NG TG'],
+  BL: ['Gustavia', 'EUR', '+590', 'fr', '.bl', ''],
+  BM: ['Hamilton', 'BMD', '+1441', 'en', '.bm', ''],
+  BN: ['Bandar Seri Begawan', 'BND SGD', '+673', 'ms', '.bn', 'MY'],
+  BO: ['Sucre', 'BOB', '+591', 'ay gn qu es', '.bo', 'AR BR CL PE PY'],
+  BQ: ['Kralendijk|Oranjestad|The Bottom', 'USD', '+599', 'en nl pap', '.bq .nl', ''],
+  BR: ['Brasília', 'BRL', '+55', 'pt', '.br', 'AR BO CO GF GY PE PY SR UY VE'],
+  BS: ['Nassau', 'BSD USD', '+1242', 'en', '.bs', ''],
+  BT: ['Thimphu', 'BTN INR', '+975', 'dz', '.bt', 'CN IN'],
+  BV: ['', '', '+47', 'no', '.bv', ''],
+  BW: ['Gaborone', 'BWP', '+267', 'en tn', '.bw', 'NA ZA ZM ZW'],
+  BY: ['Minsk', 'BYN', '+375', 'be ru', '.by', 'LT LV PL RU UA'],
+  BZ: ['Belmopan', 'BZD', '+501', 'bjz en es', '.bz', 'GT MX'],
+  CA: ['Ottawa', 'CAD', '+1', 'en fr', '.ca', 'US'],
+  CC: ['West Island', 'AUD', '+61', 'en', '.cc', ''],
+  CD: ['Kinshasa', 'CDF', '+243', 'fr kg ln lua sw', '.cd', 'AO BI CF CG RW SS TZ UG ZM'],
+  CF: ['Bangui', 'XAF', '+236', 'fr sg', '.cf', 'CD CG CM SD SS TD'],
+  CG: ['Brazzaville', 'XAF', '+242', 'fr kg ln', '.cg', 'AO CD CF CM GA'],
+  CH: ['Bern', 'CHF', '+41', 'fr gsw it rm', '.ch', 'AT DE FR IT LI'],
+  CI: ['Yamoussoukro', 'XOF', '+225', 'fr', '.ci', 'BF GH GN LR ML'],
+  CK: ['Avarua', 'CKD NZD', '+682', 'en rar', '.ck', ''],
+  CL: ['Santiago', 'CLP', '+56', 'es', '.cl', 'AR BO PE'],
+  CM: ['Yaoundé', 'XAF', '+237', 'en fr', '.cm', 'CF CG GA GQ NG TD'],
+  CN: ['Beijing', 'CNY', '+86', 'zh', '.cn .中国 .中國 .公司 .网络', 'AF BT HK IN KG KP KZ LA MM MN MO NP PK RU TJ VN'],
+  CO: ['Bogotá', 'COP', '+57', 'es', '.co', 'BR EC PA PE VE'],
+  CR: ['San José', 'CRC', '+506', 'es', '.cr', 'NI PA'],
+  CU: ['Havana', 'CUC CUP', '+53', 'es', '.cu', ''],
+  CV: ['Praia', 'CVE', '+238', 'pt', '.cv', ''],
+  CW: ['Willemstad', 'ANG', '+599', 'en nl pap', '.cw', ''],
+  CX: ['Flying Fish Cove', 'AUD', '+61', 'en', '.cx', ''],
+  CY: ['Nicosia', 'EUR', '+357', 'el tr', '.cy', ''],
+  CZ: ['Prague', 'CZK', '+420', 'cs sk', '.cz', 'AT DE PL SK'],
+  DE: ['Berlin', 'EUR', '+49', 'de', '.de', 'AT BE CH CZ DK FR LU NL PL'],
+  DJ: ['Djibouti', 'DJF', '+253', 'ar fr', '.dj', 'ER ET SO'],
+  DK: ['Copenhagen', 'DKK', '+45', 'da', '.dk', 'DE'],
+  DM: ['Roseau', 'XCD', '+1767', 'en', '.dm', ''],
+  DO: ['Santo Domingo', 'DOP', '+1809 +1829 +1849', 'es', '.do', 'HT'],
+  DZ: ['Algiers', 'DZD', '+213', 'ar', '.dz الجزائر.', 'EH LY MA ML MR NE TN'],
+  EC: ['Quito', 'USD', '+593', 'es', '.ec', 'CO PE'],
+  EE: ['Tallinn', 'EUR', '+372', 'et', '.ee', 'LV RU'],
+  EG: ['Cairo', 'EGP', '+20', 'ar', '.eg .مصر', 'IL LY PS SD'],
+  EH: ['El Aaiún', 'DZD MAD MRU', '+212', 'ber mey es', '.eh', 'DZ MA MR'],
+  ER: ['Asmara', 'ERN', '+291', 'ar en ti', '.er', 'DJ ET SD'],
+  ES: ['Madrid', 'EUR', '+34', 'es', '.es', 'AD FR GI MA PT'],
+  ET: ['Addis Ababa', 'ETB', '+251', 'am', '.et', 'DJ ER KE SD SO SS'],
+  FI: ['Helsinki', 'EUR', '+358', 'fi sv', '.fi', 'NO RU SE'],
+  FJ: ['Suva', 'FJD', '+679', 'en fj hif', '.fj', ''],
+  FK: ['Stanley', 'FKP', '+500', 'en', '.fk', ''],
+  FM: ['Palikir', '', '+691', 'en', '.fm', ''],
+  FO: ['Tórshavn', 'DKK FOK', '+298', 'da fo', '.fo', ''],
+  FR: ['Paris', 'EUR', '+33', 'fr', '.fr', 'AD BE CH DE ES IT LU MC'],
+  GA: ['Libreville', 'XAF', '+241', 'fr', '.ga', 'CG CM GQ'],
+  GB: ['London', 'GBP', '+44', 'en', '.uk', 'IE'],
+  GD: ['St. George\'s', 'XCD', '+1473', 'en', '.gd', ''],
+  GE: ['Tbilisi', 'GEL', '+995', 'ka', '.ge', 'AM AZ RU TR'],
+  GF: ['Cayenne', 'EUR', '+594', 'fr', '.gf', 'BR SR'],
+  GG: ['St. Peter Port', 'GBP GGP', '+44', 'en fr nfr', '.gg', ''],
+  GH: ['Accra', 'GHS', '+233', 'en', '.gh', 'BF CI TG'],
+  GI: ['Gibraltar', 'GIP', '+350', 'en', '.gi', 'ES'],
+  GL: ['Nuuk', 'DKK', '+299', 'kl', '.gl', ''],
+  GM: ['Banjul', 'GMD', '+220', 'en', '.gm', 'SN'],
+  GN: ['Conakry', 'GNF', '+224', 'fr', '.gn', 'CI GW LR ML SL SN'],
+  GP: ['Basse-Terre', 'EUR', '+590', 'fr', '.gp', ''],
+  GQ: ['Malabo', 'XAF', '+240', 'fr pt es', '.gq', 'CM GA'],
+  GR: ['Athens', 'EUR', '+30', 'el', '.gr', 'AL BG MK TR'],
+  GS: ['King Edward Point', 'SHP', '+500', 'en', '.gs', ''],
+  GT: ['Guatemala City', 'GTQ', '+502', 'es', '.gt', 'BZ HN MX SV'],
+  GU: ['Hagåtña', 'USD', '+1671', 'ch en es', '.gu', ''],
+  GW: ['Bissau', 'XOF', '+245', 'pt pov', '.gw', 'GN SN'],
+  GY: ['Georgetown', 'GYD', '+592', 'en', '.gy', 'BR SR VE'],
+  HK: ['City of Victoria', 'HKD', '+852', 'en zh', '.hk .香港', 'CN'],
+  HM: ['', '', '', 'en', '.hm .aq', ''],
+  HN: ['Tegucigalpa', 'HNL', '+504', 'es', '.hn', 'GT NI SV'],
+  HR: ['Zagreb', 'EUR', '+385', 'hr', '.hr', 'BA HU ME RS SI'],
+  HT: ['Port-au-Prince', 'HTG', '+509', 'fr ht', '.ht', 'DO'],
+  HU: ['Budapest', 'HUF', '+36', 'hu', '.hu', 'AT HR RO RS SI SK UA'],
+  ID: ['Jakarta', 'IDR', '+62', 'id', '.id', 'MY PG TL'],
+  IE: ['Dublin', 'EUR', '+353', 'en ga', '.ie', 'GB'],
+  IL: ['Jerusalem', 'ILS', '+972', 'ar he', '.il', 'EG JO LB PS SY'],
+  IM: ['Douglas', 'GBP IMP', '+44', 'en gv', '.im', ''],
+  IN: ['New Delhi', 'INR', '+91', 'en hi ta', '.in', 'BD BT CN MM NP PK'],
+  IO: ['Diego Garcia', 'USD', '+246', 'en', '.io', ''],
+  IQ: ['Baghdad', 'IQD', '+964', 'ar arc ckb', '.iq', 'IR JO KW SA SY TR'],
+  IR: ['Tehran', 'IRR', '+98', 'fa', '.ir ایران.', 'AF AM AZ IQ PK TM TR'],
+  IS: ['Reykjavik', 'ISK', '+354', 'is', '.is', ''],
+  IT: ['Rome', 'EUR', '+39', 'it', '.it', 'AT CH FR SI SM VA'],
+  JE: ['Saint Helier', 'GBP JEP', '+44', 'en fr nrf', '.je', ''],
+  JM: ['Kingston', 'JMD', '+1876', 'en jam', '.jm', ''],
+  JO: ['Amman', 'JOD', '+962', 'ar', '.jo الاردن.', 'IL IQ PS SA SY'],
+  JP: ['Tokyo', 'JPY', '+81', 'ja', '.jp .みんな', ''],
+  KE: ['Nairobi', 'KES', '+254', 'en sw', '.ke', 'ET SO SS TZ UG'],
+  KG: ['Bishkek', 'KGS', '+996', 'ky ru', '.kg', 'CN KZ TJ UZ'],
+  KH: ['Phnom Penh', 'KHR USD', '+855', 'km', '.kh', 'LA TH VN'],
+  KI: ['South Tarawa', 'AUD KID', '+686', 'en gil', '.ki', ''],
+  KM: ['Moroni', 'KMF', '+269', 'ar fr zdj', '.km', ''],
+  KN: ['Basseterre', 'XCD', '+1869', 'en', '.kn', ''],
+  KP: ['Pyongyang', 'KPW', '+850', 'ko', '.kp', 'CN KR RU'],
+  KR: ['Seoul', 'KRW', '+82', 'ko', '.kr .한국', 'KP'],
+  KW: ['Kuwait City', 'KWD', '+965', 'ar', '.kw', 'IQ SA'],
+  KY: ['George Town', 'KYD', '+1345', 'en', '.ky', ''],
+  KZ: ['Astana', 'KZT', '+7', 'kk ru', '.kz .қаз', 'CN KG RU TM UZ'],
+  LA: ['Vientiane', 'LAK', '+856', 'lo', '.la', 'CN KH MM TH VN'],
+  LB: ['Beirut', 'LBP', '+961', 'ar fr', '.lb', 'IL SY'],
+  LC: ['Castries', 'XCD', '+1758', 'en', '.lc', ''],
+  LI: ['Vaduz', 'CHF', '+423', 'de', '.li', 'AT CH'],
+  LK: ['Colombo', 'LKR', '+94', 'si ta', '.lk .இலங்கை .ලංකා', 'IN'],
+  LR: ['Monrovia', 'LRD', '+231', 'en', '.lr', 'CI GN SL'],
+  LS: ['Maseru', 'LSL ZAR', '+266', 'en st', '.ls', 'ZA'],
+  LT: ['Vilnius', 'EUR', '+370', 'lt', '.lt', 'BY LV PL RU'],
+  LU: ['Luxembourg', 'EUR', '+352', 'de fr lb', '.lu', 'BE DE FR'],
+  LV: ['Riga', 'EUR', '+371', 'lv', '.lv', 'BY EE LT RU'],
+  LY: ['Tripoli', 'LYD', '+218', 'ar', '.ly', 'DZ EG NE SD TD TN'],
+  MA: ['Rabat', 'MAD', '+212', 'ar ber', '.ma المغرب.', 'DZ EH ES'],
+  MC: ['Monaco', 'EUR', '+377', 'fr', '.mc', 'FR'],
+  MD: ['Chișinău', 'MDL', '+373', 'ro', '.md', 'RO UA'],
+  ME: ['Podgorica', 'EUR', '+382', 'sr-ME', '.me', 'AL BA HR RS XK'],
+  MF: ['Marigot', 'EUR', '+590', 'fr', '.fr .gp', 'SX'],
+  MG: ['Antananarivo', 'MGA', '+261', 'fr mg', '.mg', ''],
+  MH: ['Majuro', 'USD', '+692', 'en mh', '.mh', ''],
+  MK: ['Skopje', 'MKD', '+389', 'mk', '.mk', 'AL BG GR RS XK'],
+  ML: ['Bamako', 'XOF', '+223', 'fr', '.ml', 'BF CI DZ GN MR NE SN'],
+  MM: ['Naypyidaw', 'MMK', '+95', 'my', '.mm', 'BD CN IN LA TH'],
+  MN: ['Ulan Bator', 'MNT', '+976', 'mn', '.mn', 'CN RU'],
+  MO: ['', 'MOP', '+853', 'pt zh', '.mo', 'CN'],
+  MP: ['Saipan', 'USD', '+1670', 'cal ch en', '.mp', ''],
+  MQ: ['Fort-de-France', 'EUR', '+596', 'fr', '.mq', ''],
+  MR: ['Nouakchott', 'MRU', '+222', 'ar', '.mr', 'DZ EH ML SN'],
+  MS: ['Plymouth', 'XCD', '+1664', 'en', '.ms', ''],
+  MT: ['Valletta', 'EUR', '+356', 'en mt', '.mt', ''],
+  MU: ['Port Louis', 'MUR', '+230', 'en fr mfe', '.mu', ''],
+  MV: ['Malé', 'MVR', '+960', 'dv', '.mv', ''],
+  MW: ['Lilongwe', 'MWK', '+265', 'en ny', '.mw', 'MZ TZ ZM'],
+  MX: ['Mexico City', 'MXN', '+52', 'es', '.mx', 'BZ GT US'],
+  MY: ['Kuala Lumpur', 'MYR', '+60', 'en ms', '.my', 'BN ID TH'],
+  MZ: ['Maputo', 'MZN', '+258', 'pt', '.mz', 'MW SZ TZ ZA ZM ZW'],
+  NA: ['Windhoek', 'NAD ZAR', '+264', 'af de en hz hgm kwn loz ng tn', '.na', 'AO BW ZA ZM'],
+  NC: ['Nouméa', 'XPF', '+687', 'fr', '.nc', ''],
+  NE: ['Niamey', 'XOF', '+227', 'fr', '.ne', 'BF BJ DZ LY ML NG TD'],
+  NF: ['Kingston', 'AUD', '+672', 'en pih', '.nf', ''],
+  NG: ['Abuja', 'NGN', '+234', 'en', '.ng', 'BJ CM NE TD'],
+  NI: ['Managua', 'NIO', '+505', 'es', '.ni', 'CR HN'],
+  NL: ['Amsterdam', 'EUR', '+31', 'nl', '.nl', 'BE DE'],
+  NO: ['Oslo', 'NOK', '+47', 'nn nb smi', '.no', 'FI RU SE'],
+  NP: ['Kathmandu', 'NPR', '+977', 'ne', '.np', 'CN IN'],
+  NR: ['Yaren', 'AUD', '+674', 'en na', '.nr', ''],
+  NU: ['Alofi', 'NZD', '+683', 'en niu', '.nu', ''],
+  NZ: ['Wellington', 'NZD', '+64', 'en mi nzs', '.nz', ''],
+  OM: ['Muscat', 'OMR', '+968', 'ar', '.om', 'AE SA YE'],
+  PA: ['Panama City', 'PAB USD', '+507', 'es', '.pa', 'CO CR'],
+  PE: ['Lima', 'PEN', '+51', 'ay qu es', '.pe', 'BO BR CL CO EC'],
+  PF: ['Papeetē', 'XPF', '+689', 'fr', '.pf', ''],
+  PG: ['Port Moresby', 'PGK', '+675', 'en ho tpi', '.pg', 'ID'],
+  PH: ['Manila', 'PHP', '+63', 'en fil', '.ph', ''],
+  PK: ['Islamabad', 'PKR', '+92', 'en ur', '.pk', 'AF CN IN IR'],
+  PL: ['Warsaw', 'PLN', '+48', 'pl', '.pl', 'BY CZ DE LT RU SK UA'],
+  PM: ['Saint-Pierre', 'EUR', '+508', 'fr', '.pm', ''],
+  PN: ['Adamstown', 'NZD', '+64', 'en', '.pn', ''],
+  PR: ['San Juan', 'USD', '+1787 +1939', 'en es', '.pr', ''],
+  PS: ['Ramallah', 'EGP ILS JOD', '+970', 'ar', '.ps فلسطين.', 'EG IL JO'],
+  PT: ['Lisbon', 'EUR', '+351', 'pt', '.pt', 'ES'],
+  PW: ['Ngerulmud', 'USD', '+680', 'en pau', '.pw', ''],
+  PY: ['Asunción', 'PYG', '+595', 'gn es', '.py', 'AR BO BR'],
+  QA: ['Doha', 'QAR', '+974', 'ar', '.qa قطر.', 'SA'],
+  RE: ['Saint-Denis', 'EUR', '+262', 'fr', '.re', ''],
+  RO: ['Bucharest', 'RON', '+40', 'ro', '.ro', 'BG HU MD RS UA'],
+  RS: ['Belgrade', 'RSD', '+381', 'sr', '.rs .срб', 'BA BG HR HU ME MK RO XK'],
+  RU: ['Moscow', 'RUB', '+7', 'ru', '.ru .su .рф', 'AZ BY CN EE FI GE KP KZ LT LV MN NO PL UA'],
+  RW: ['Kigali', 'RWF', '+250', 'en fr rw', '.rw', 'BI CD TZ UG'],
+  SA: ['Riyadh', 'SAR', '+966', 'ar', '.sa .السعودية', 'AE IQ JO KW OM QA YE'],
+  SB: ['Honiara', 'SBD', '+677', 'en', '.sb', ''],
+  SC: ['Victoria', 'SCR', '+248', 'crs en fr', '.sc', ''],
+  SD: ['Khartoum', 'SDG', '+249', 'ar en', '.sd', 'CF EG ER ET LY SS TD'],
+  SE: ['Stockholm', 'SEK', '+46', 'sv', '.se', 'FI NO'],
+  SG: ['Singapore', 'SGD', '+65', 'en ms ta zh', '.sg .新加坡 .சிங்கப்பூர்', ''],
+  SH: ['Jamestown', 'GBP SHP', '+290 +247', 'en', '.sh .ac', ''],
+  SI: ['Ljubljana', 'EUR', '+386', 'sl', '.si', 'AT HR HU IT'],
+  SJ: ['Longyearbyen', 'NOK', '+4779', 'no', '.sj', ''],
+  SK: ['Bratislava', 'EUR', '+421', 'sk', '.sk', 'AT CZ HU PL UA'],
+  SL: ['Freetown', 'SLL', '+232', 'en', '.sl', 'GN LR'],
+  SM: ['City of San Marino', 'EUR', '+378', 'it', '.sm', 'IT'],
+  SN: ['Dakar', 'XOF', '+221', 'fr', '.sn', 'GM GN GW ML MR'],
+  SO: ['Mogadishu', 'SOS', '+252', 'ar so', '.so', 'DJ ET KE'],
+  SR: ['Paramaribo', 'SRD', '+597', 'nl', '.sr', 'BR GF GY'],
+  SS: ['Juba', 'SSP', '+211', 'en', '.ss', 'CD CF ET KE SD UG'],
+  ST: ['São Tomé', 'STN', '+239', 'pt', '.st', ''],
+  SV: ['San Salvador', 'USD', '+503', 'es', '.sv', 'GT HN'],
+  SX: ['Philipsburg', 'ANG', '+1721', 'en fr nl', '.sx', 'MF'],
+  SY: ['Damascus', 'SYP', '+963', 'ar', '.sy سوريا.', 'IL IQ JO LB TR'],
+  SZ: ['Lobamba', 'SZL ZAR', '+268', 'en ss', '.sz', 'MZ ZA'],
+  TC: ['Cockburn Town', 'USD', '+1649', 'en', '.tc', ''],
+  TD: ['N\'Djamena', 'XAF', '+235', 'ar fr', '.td', 'CF CM LY NE NG SD'],
+  TF: ['Port-aux-Français', 'EUR', '+262', 'fr', '.tf', ''],
+  TG: ['Lomé', 'XOF', '+228', 'fr', '.tg', 'BF BJ GH'],
+  TH: ['Bangkok', 'THB', '+66', 'th', '.th .ไทย', 'KH LA MM MY'],
+  TJ: ['Dushanbe', 'TJS', '+992', 'ru tg', '.tj', 'AF CN KG UZ'],
+  TK: ['Fakaofo', 'NZD', '+690', 'en sm tkl', '.tk', ''],
+  TL: ['Dili', 'USD', '+670', 'pt tet', '.tl', 'ID'],
+  TM: ['Ashgabat', 'TMT', '+993', 'ru tk', '.tm', 'AF IR KZ UZ'],
+  TN: ['Tunis', 'TND', '+216', 'ar', '.tn', 'DZ LY'],
+  TO: ['Nuku\'alofa', 'TOP', '+676', 'en to', '.to', ''],
+  TR: ['Ankara', 'TRY', '+90', 'tr', '.tr', 'AM AZ BG GE GR IQ IR SY'],
+  TT: ['Port of Spain', 'TTD', '+1868', 'en', '.tt', ''],
+  TV: ['Funafuti', 'AUD TVD', '+688', 'en tvl', '.tv', ''],
+  TW: ['Taipei', 'TWD', '+886', 'zh', '.tw .台灣 .台湾', ''],
+  TZ: ['Dodoma', 'TZS', '+255', 'en sw', '.tz', 'BI CD KE MW MZ RW UG ZM'],
+  UA: ['Kyiv', 'UAH', '+380', 'uk', '.ua .укр', 'BY HU MD PL RO RU SK'],
+  UG: ['Kampala', 'UGX', '+256', 'en sw', '.ug', 'CD KE RW SS TZ'],
+  UM: ['', 'USD', '+268', 'en', '.us', ''],
+  US: ['Washington D.C.', 'USD', '+1', 'en', '.us', 'CA MX'],
+  UY: ['Montevideo', 'UYU', '+598', 'es', '.uy', 'AR BR'],
+  UZ: ['Tashkent', 'UZS', '+998', 'ru uz', '.uz', 'AF KG KZ TJ TM'],
+  VA: ['Vatican City', 'EUR', '+379 +39', 'it la', '.va', 'IT'],
+  VC: ['Kingstown', 'XCD', '+1784', 'en', '.vc', ''],
+  VE: ['Caracas', 'VES', '+58', 'es', '.ve', 'BR CO GY'],
+  VG: ['Road Town', 'USD', '+1284', 'en', '.vg', ''],
+  VI: ['Charlotte Amalie', 'USD', '+1340', 'en', '.vi', ''],
+  VN: ['Hanoi', 'VND', '+84', 'vi', '.vn', 'CN KH LA'],
+  VU: ['Port Vila', 'VUV', '+678', 'bi en fr', '.vu', ''],
+  WF: ['Mata-Utu', 'XPF', '+681', 'fr', '.wf', ''],
+  WS: ['Apia', 'WST', '+685', 'en sm', '.ws', ''],
+  XK: ['Pristina', 'EUR', '+383', 'sq sr', '.xk', 'AL ME MK RS'],
+  YE: ['Sana\'a', 'YER', '+967', 'ar', '.ye', 'OM SA'],
+  YT: ['Mamoudzou', 'EUR', '+262', 'fr', '.yt', ''],
+  ZA: [
+    'Pretoria|Bloemfontein|Cape Town', 'ZAR', '+27', 'af en nr nso st ss tn ts ve xh zu', '.za',
+    'BW LS MZ NA SZ ZW'
+  ],
+  ZM: ['Lusaka', 'ZMW', '+260', 'en', '.zm', 'AO BW CD MW MZ NA TZ ZW'],
+  ZW: [
+    'Harare',
+    'BWP CNY EUR GBP INR JPY USD ZAR ZWB',
+    '+263',
+    'bwg en kck khi ndc nd ny sn st toi tn ts ve xh zib',
+    '.zw',
+    'BW MZ ZA ZM'
+  ]
+});
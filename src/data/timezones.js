@@ -0,0 +1,198 @@
+/**
+ * 🕒 时区代表点数据集（tzdata 2025b zone.tab）
+ *
+ * 每个 IANA 时区在 zone.tab 中的代表坐标（通常为主要城市）及所属国家码。推断时区时（utils/timezone.js）
+ * 边界查询给出时区名，这里提供国家归属：核对 provider 的国家码，以及坐标在海上时取单时区国家的时区。
+ * 更新：用新版 tzdata 的 zone.tab 重新生成（坐标换算为十进制度，保留两位小数）。
+ */
+
+// [国家码, 纬度, 经度, IANA 时区名]
+export const TIMEZONE_POINTS = Object.freeze([
+  ['AD', 42.5, 1.52, 'Europe/Andorra'], ['AE', 25.3, 55.3, 'Asia/Dubai'], ['AF', 34.52, 69.2, 'Asia/Kabul'],
+  ['AG', 17.05, -61.8, 'America/Antigua'], ['AI', 18.2, -63.07, 'America/Anguilla'],
+  ['AL', 41.33, 19.83, 'Europe/Tirane'], ['AM', 40.18, 44.5, 'Asia/Yerevan'], ['AO', -8.8, 13.23, 'Africa/Luanda'],
+  ['AQ', -64.8, -64.1, 'Antarctica/Palmer'], ['AQ', -66.28, 110.52, 'Antarctica/Casey'],
+  ['AQ', -66.67, 140.02, 'Antarctica/DumontDUrville'], ['AQ', -67.57, -68.13, 'Antarctica/Rothera'],
+  ['AQ', -67.6, 62.88, 'Antarctica/Mawson'], ['AQ', -68.58, 77.97, 'Antarctica/Davis'],
+  ['AQ', -69.01, 39.59, 'Antarctica/Syowa'], ['AQ', -72.01, 2.53, 'Antarctica/Troll'],
+  ['AQ', -77.83, 166.6, 'Antarctica/McMurdo'], ['AQ', -78.4, 106.9, 'Antarctica/Vostok'],
+  ['AR', -24.18, -65.3, 'America/Argentina/Jujuy'], ['AR', -24.78, -65.42, 'America/Argentina/Salta'],
+  ['AR', -26.82, -65.22, 'America/Argentina/Tucuman'], ['AR', -28.47, -65.78, 'America/Argentina/Catamarca'],
+  ['AR', -29.43, -66.85, 'America/Argentina/La_Rioja'], ['AR', -31.4, -64.18, 'America/Argentina/Cordoba'],
+  ['AR', -31.53, -68.52, 'America/Argentina/San_Juan'], ['AR', -32.88, -68.82, 'America/Argentina/Mendoza'],
+  ['AR', -33.32, -66.35, 'America/Argentina/San_Luis'], ['AR', -34.6, -58.45, 'America/Argentina/Buenos_Aires'],
+  ['AR', -51.63, -69.22, 'America/Argentina/Rio_Gallegos'], ['AR', -54.8, -68.3, 'America/Argentina/Ushuaia'],
+  ['AS', -14.27, -170.7, 'Pacific/Pago_Pago'], ['AT', 48.22, 16.33, 'Europe/Vienna'],
+  ['AU', -12.47, 130.83, 'Australia/Darwin'], ['AU', -20.27, 149, 'Australia/Lindeman'],
+  ['AU', -27.47, 153.03, 'Australia/Brisbane'], ['AU', -31.55, 159.08, 'Australia/Lord_Howe'],
+  ['AU', -31.72, 128.87, 'Australia/Eucla'], ['AU', -31.95, 115.85, 'Australia/Perth'],
+  ['AU', -31.95, 141.45, 'Australia/Broken_Hill'], ['AU', -33.87, 151.22, 'Australia/Sydney'],
+  ['AU', -34.92, 138.58, 'Australia/Adelaide'], ['AU', -37.82, 144.97, 'Australia/Melbourne'],
+  ['AU', -42.88, 147.32, 'Australia/Hobart'], ['AU', -54.5, 158.95, 'Antarctica/Macquarie'],
+  ['AW', 12.5, -69.97, 'America/Aruba'], ['AX', 60.1, 19.95, 'Europe/Mariehamn'], ['AZ', 40.38, 49.85, 'Asia/Baku'],
+  ['BA', 43.87, 18.42, 'Europe/Sarajevo'], ['BB', 13.1, -59.62, 'America/Barbados'], ['BD', 23.72, 90.42, 'Asia/Dhaka'],
+  ['BE', 50.83, 4.33, 'Europe/Brussels'], ['BF', 12.37, -1.52, 'Africa/Ouagadougou'],
+  ['BG', 42.68, 23.32, 'Europe/Sofia'], ['BH', 26.38, 50.58, 'Asia/Bahrain'], ['BI', -3.38, 29.37, 'Africa/Bujumbura'],
+  ['BJ', 6.48, 2.62, 'Africa/Porto-Novo'], ['BL', 17.88, -62.85, 'America/St_Barthelemy'],
+  ['BM', 32.28, -64.77, 'Atlantic/Bermuda'], ['BN', 4.93, 114.92, 'Asia/Brunei'],
+  ['BO', -16.5, -68.15, 'America/La_Paz'], ['BQ', 12.15, -68.28, 'America/Kralendijk'],
+  ['BR', -1.45, -48.48, 'America/Belem'], ['BR', -12.98, -38.52, 'America/Bahia'],
+  ['BR', -15.58, -56.08, 'America/Cuiaba'], ['BR', -2.43, -54.87, 'America/Santarem'],
+  ['BR', -20.45, -54.62, 'America/Campo_Grande'], ['BR', -23.53, -46.62, 'America/Sao_Paulo'],
+  ['BR', -3.13, -60.02, 'America/Manaus'], ['BR', -3.72, -38.5, 'America/Fortaleza'],
+  ['BR', -3.85, -32.42, 'America/Noronha'], ['BR', -6.67, -69.87, 'America/Eirunepe'],
+  ['BR', -7.2, -48.2, 'America/Araguaina'], ['BR', -8.05, -34.9, 'America/Recife'],
+  ['BR', -8.77, -63.9, 'America/Porto_Velho'], ['BR', -9.67, -35.72, 'America/Maceio'],
+  ['BR', -9.97, -67.8, 'America/Rio_Branco'], ['BR', 2.82, -60.67, 'America/Boa_Vista'],
+  ['BS', 25.08, -77.35, 'America/Nassau'], ['BT', 27.47, 89.65, 'Asia/Thimphu'],
+  ['BW', -24.65, 25.92, 'Africa/Gaborone'], ['BY', 53.9, 27.57, 'Europe/Minsk'], ['BZ', 17.5, -88.2, 'America/Belize'],
+  ['CA', 43.65, -79.38, 'America/Toronto'], ['CA', 44.65, -63.6, 'America/Halifax'],
+  ['CA', 46.1, -64.78, 'America/Moncton'], ['CA', 46.2, -59.95, 'America/Glace_Bay'],
+  ['CA', 47.57, -52.72, 'America/St_Johns'], ['CA', 48.76, -91.62, 'America/Atikokan'],
+  ['CA', 49.1, -116.52, 'America/Creston'], ['CA', 49.27, -123.12, 'America/Vancouver'],
+  ['CA', 49.88, -97.15, 'America/Winnipeg'], ['CA', 50.28, -107.83, 'America/Swift_Current'],
+  ['CA', 50.4, -104.65, 'America/Regina'], ['CA', 51.42, -57.12, 'America/Blanc-Sablon'],
+  ['CA', 53.33, -60.42, 'America/Goose_Bay'], ['CA', 53.55, -113.47, 'America/Edmonton'],
+  ['CA', 55.77, -120.23, 'America/Dawson_Creek'], ['CA', 58.8, -122.7, 'America/Fort_Nelson'],
+  ['CA', 60.72, -135.05, 'America/Whitehorse'], ['CA', 62.82, -92.08, 'America/Rankin_Inlet'],
+  ['CA', 63.73, -68.47, 'America/Iqaluit'], ['CA', 64.07, -139.42, 'America/Dawson'],
+  ['CA', 68.35, -133.72, 'America/Inuvik'], ['CA', 69.11, -105.05, 'America/Cambridge_Bay'],
+  ['CA', 74.7, -94.83, 'America/Resolute'], ['CC', -12.17, 96.92, 'Indian/Cocos'],
+  ['CD', -11.67, 27.47, 'Africa/Lubumbashi'], ['CD', -4.3, 15.3, 'Africa/Kinshasa'],
+  ['CF', 4.37, 18.58, 'Africa/Bangui'], ['CG', -4.27, 15.28, 'Africa/Brazzaville'],
+  ['CH', 47.38, 8.53, 'Europe/Zurich'], ['CI', 5.32, -4.03, 'Africa/Abidjan'],
+  ['CK', -21.23, -159.77, 'Pacific/Rarotonga'], ['CL', -27.15, -109.43, 'Pacific/Easter'],
+  ['CL', -33.45, -70.67, 'America/Santiago'], ['CL', -45.57, -72.07, 'America/Coyhaique'],
+  ['CL', -53.15, -70.92, 'America/Punta_Arenas'], ['CM', 4.05, 9.7, 'Africa/Douala'],
+  ['CN', 31.23, 121.47, 'Asia/Shanghai'], ['CN', 43.8, 87.58, 'Asia/Urumqi'], ['CO', 4.6, -74.08, 'America/Bogota'],
+  ['CR', 9.93, -84.08, 'America/Costa_Rica'], ['CU', 23.13, -82.37, 'America/Havana'],
+  ['CV', 14.92, -23.52, 'Atlantic/Cape_Verde'], ['CW', 12.18, -69, 'America/Curacao'],
+  ['CX', -10.42, 105.72, 'Indian/Christmas'], ['CY', 35.12, 33.95, 'Asia/Famagusta'],
+  ['CY', 35.17, 33.37, 'Asia/Nicosia'], ['CZ', 50.08, 14.43, 'Europe/Prague'], ['DE', 47.7, 8.68, 'Europe/Busingen'],
+  ['DE', 52.5, 13.37, 'Europe/Berlin'], ['DJ', 11.6, 43.15, 'Africa/Djibouti'],
+  ['DK', 55.67, 12.58, 'Europe/Copenhagen'], ['DM', 15.3, -61.4, 'America/Dominica'],
+  ['DO', 18.47, -69.9, 'America/Santo_Domingo'], ['DZ', 36.78, 3.05, 'Africa/Algiers'],
+  ['EC', -0.9, -89.6, 'Pacific/Galapagos'], ['EC', -2.17, -79.83, 'America/Guayaquil'],
+  ['EE', 59.42, 24.75, 'Europe/Tallinn'], ['EG', 30.05, 31.25, 'Africa/Cairo'], ['EH', 27.15, -13.2, 'Africa/El_Aaiun'],
+  ['ER', 15.33, 38.88, 'Africa/Asmara'], ['ES', 28.1, -15.4, 'Atlantic/Canary'], ['ES', 35.88, -5.32, 'Africa/Ceuta'],
+  ['ES', 40.4, -3.68, 'Europe/Madrid'], ['ET', 9.03, 38.7, 'Africa/Addis_Ababa'],
+  ['FI', 60.17, 24.97, 'Europe/Helsinki'], ['FJ', -18.13, 178.42, 'Pacific/Fiji'],
+  ['FK', -51.7, -57.85, 'Atlantic/Stanley'], ['FM', 5.32, 162.98, 'Pacific/Kosrae'],
+  ['FM', 6.97, 158.22, 'Pacific/Pohnpei'], ['FM', 7.42, 151.78, 'Pacific/Chuuk'],
+  ['FO', 62.02, -6.77, 'Atlantic/Faroe'], ['FR', 48.87, 2.33, 'Europe/Paris'], ['GA', 0.38, 9.45, 'Africa/Libreville'],
+  ['GB', 51.51, -0.13, 'Europe/London'], ['GD', 12.05, -61.75, 'America/Grenada'], ['GE', 41.72, 44.82, 'Asia/Tbilisi'],
+  ['GF', 4.93, -52.33, 'America/Cayenne'], ['GG', 49.45, -2.54, 'Europe/Guernsey'], ['GH', 5.55, -0.22, 'Africa/Accra'],
+  ['GI', 36.13, -5.35, 'Europe/Gibraltar'], ['GL', 64.18, -51.73, 'America/Nuuk'],
+  ['GL', 70.48, -21.97, 'America/Scoresbysund'], ['GL', 76.57, -68.78, 'America/Thule'],
+  ['GL', 76.77, -18.67, 'America/Danmarkshavn'], ['GM', 13.47, -16.65, 'Africa/Banjul'],
+  ['GN', 9.52, -13.72, 'Africa/Conakry'], ['GP', 16.23, -61.53, 'America/Guadeloupe'],
+  ['GQ', 3.75, 8.78, 'Africa/Malabo'], ['GR', 37.97, 23.72, 'Europe/Athens'],
+  ['GS', -54.27, -36.53, 'Atlantic/South_Georgia'], ['GT', 14.63, -90.52, 'America/Guatemala'],
+  ['GU', 13.47, 144.75, 'Pacific/Guam'], ['GW', 11.85, -15.58, 'Africa/Bissau'], ['GY', 6.8, -58.17, 'America/Guyana'],
+  ['HK', 22.28, 114.15, 'Asia/Hong_Kong'], ['HN', 14.1, -87.22, 'America/Tegucigalpa'],
+  ['HR', 45.8, 15.97, 'Europe/Zagreb'], ['HT', 18.53, -72.33, 'America/Port-au-Prince'],
+  ['HU', 47.5, 19.08, 'Europe/Budapest'], ['ID', -0.03, 109.33, 'Asia/Pontianak'],
+  ['ID', -2.53, 140.7, 'Asia/Jayapura'], ['ID', -5.12, 119.4, 'Asia/Makassar'], ['ID', -6.17, 106.8, 'Asia/Jakarta'],
+  ['IE', 53.33, -6.25, 'Europe/Dublin'], ['IL', 31.78, 35.22, 'Asia/Jerusalem'],
+  ['IM', 54.15, -4.47, 'Europe/Isle_of_Man'], ['IN', 22.53, 88.37, 'Asia/Kolkata'],
+  ['IO', -7.33, 72.42, 'Indian/Chagos'], ['IQ', 33.35, 44.42, 'Asia/Baghdad'], ['IR', 35.67, 51.43, 'Asia/Tehran'],
+  ['IS', 64.15, -21.85, 'Atlantic/Reykjavik'], ['IT', 41.9, 12.48, 'Europe/Rome'],
+  ['JE', 49.18, -2.11, 'Europe/Jersey'], ['JM', 17.97, -76.79, 'America/Jamaica'], ['JO', 31.95, 35.93, 'Asia/Amman'],
+  ['JP', 35.65, 139.74, 'Asia/Tokyo'], ['KE', -1.28, 36.82, 'Africa/Nairobi'], ['KG', 42.9, 74.6, 'Asia/Bishkek'],
+  ['KH', 11.55, 104.92, 'Asia/Phnom_Penh'], ['KI', -2.78, -171.72, 'Pacific/Kanton'],
+  ['KI', 1.42, 173, 'Pacific/Tarawa'], ['KI', 1.87, -157.33, 'Pacific/Kiritimati'],
+  ['KM', -11.68, 43.27, 'Indian/Comoro'], ['KN', 17.3, -62.72, 'America/St_Kitts'],
+  ['KP', 39.02, 125.75, 'Asia/Pyongyang'], ['KR', 37.55, 126.97, 'Asia/Seoul'], ['KW', 29.33, 47.98, 'Asia/Kuwait'],
+  ['KY', 19.3, -81.38, 'America/Cayman'], ['KZ', 43.25, 76.95, 'Asia/Almaty'], ['KZ', 44.52, 50.27, 'Asia/Aqtau'],
+  ['KZ', 44.8, 65.47, 'Asia/Qyzylorda'], ['KZ', 47.12, 51.93, 'Asia/Atyrau'], ['KZ', 50.28, 57.17, 'Asia/Aqtobe'],
+  ['KZ', 51.22, 51.35, 'Asia/Oral'], ['KZ', 53.2, 63.62, 'Asia/Qostanay'], ['LA', 17.97, 102.6, 'Asia/Vientiane'],
+  ['LB', 33.88, 35.5, 'Asia/Beirut'], ['LC', 14.02, -61, 'America/St_Lucia'], ['LI', 47.15, 9.52, 'Europe/Vaduz'],
+  ['LK', 6.93, 79.85, 'Asia/Colombo'], ['LR', 6.3, -10.78, 'Africa/Monrovia'], ['LS', -29.47, 27.5, 'Africa/Maseru'],
+  ['LT', 54.68, 25.32, 'Europe/Vilnius'], ['LU', 49.6, 6.15, 'Europe/Luxembourg'], ['LV', 56.95, 24.1, 'Europe/Riga'],
+  ['LY', 32.9, 13.18, 'Africa/Tripoli'], ['MA', 33.65, -7.58, 'Africa/Casablanca'], ['MC', 43.7, 7.38, 'Europe/Monaco'],
+  ['MD', 47, 28.83, 'Europe/Chisinau'], ['ME', 42.43, 19.27, 'Europe/Podgorica'],
+  ['MF', 18.07, -63.08, 'America/Marigot'], ['MG', -18.92, 47.52, 'Indian/Antananarivo'],
+  ['MH', 7.15, 171.2, 'Pacific/Majuro'], ['MH', 9.08, 167.33, 'Pacific/Kwajalein'],
+  ['MK', 41.98, 21.43, 'Europe/Skopje'], ['ML', 12.65, -8, 'Africa/Bamako'], ['MM', 16.78, 96.17, 'Asia/Yangon'],
+  ['MN', 47.92, 106.88, 'Asia/Ulaanbaatar'], ['MN', 48.02, 91.65, 'Asia/Hovd'], ['MO', 22.2, 113.54, 'Asia/Macau'],
+  ['MP', 15.2, 145.75, 'Pacific/Saipan'], ['MQ', 14.6, -61.08, 'America/Martinique'],
+  ['MR', 18.1, -15.95, 'Africa/Nouakchott'], ['MS', 16.72, -62.22, 'America/Montserrat'],
+  ['MT', 35.9, 14.52, 'Europe/Malta'], ['MU', -20.17, 57.5, 'Indian/Mauritius'], ['MV', 4.17, 73.5, 'Indian/Maldives'],
+  ['MW', -15.78, 35, 'Africa/Blantyre'], ['MX', 19.4, -99.15, 'America/Mexico_City'],
+  ['MX', 20.8, -105.25, 'America/Bahia_Banderas'], ['MX', 20.97, -89.62, 'America/Merida'],
+  ['MX', 21.08, -86.77, 'America/Cancun'], ['MX', 23.22, -106.42, 'America/Mazatlan'],
+  ['MX', 25.67, -100.32, 'America/Monterrey'], ['MX', 25.83, -97.5, 'America/Matamoros'],
+  ['MX', 28.63, -106.08, 'America/Chihuahua'], ['MX', 29.07, -110.97, 'America/Hermosillo'],
+  ['MX', 29.57, -104.42, 'America/Ojinaga'], ['MX', 31.73, -106.48, 'America/Ciudad_Juarez'],
+  ['MX', 32.53, -117.02, 'America/Tijuana'], ['MY', 1.55, 110.33, 'Asia/Kuching'],
+  ['MY', 3.17, 101.7, 'Asia/Kuala_Lumpur'], ['MZ', -25.97, 32.58, 'Africa/Maputo'],
+  ['NA', -22.57, 17.1, 'Africa/Windhoek'], ['NC', -22.27, 166.45, 'Pacific/Noumea'],
+  ['NE', 13.52, 2.12, 'Africa/Niamey'], ['NF', -29.05, 167.97, 'Pacific/Norfolk'], ['NG', 6.45, 3.4, 'Africa/Lagos'],
+  ['NI', 12.15, -86.28, 'America/Managua'], ['NL', 52.37, 4.9, 'Europe/Amsterdam'], ['NO', 59.92, 10.75, 'Europe/Oslo'],
+  ['NP', 27.72, 85.32, 'Asia/Kathmandu'], ['NR', -0.52, 166.92, 'Pacific/Nauru'],
+  ['NU', -19.02, -169.92, 'Pacific/Niue'], ['NZ', -36.87, 174.77, 'Pacific/Auckland'],
+  ['NZ', -43.95, -176.55, 'Pacific/Chatham'], ['OM', 23.6, 58.58, 'Asia/Muscat'],
+  ['PA', 8.97, -79.53, 'America/Panama'], ['PE', -12.05, -77.05, 'America/Lima'],
+  ['PF', -17.53, -149.57, 'Pacific/Tahiti'], ['PF', -23.13, -134.95, 'Pacific/Gambier'],
+  ['PF', -9, -139.5, 'Pacific/Marquesas'], ['PG', -6.22, 155.57, 'Pacific/Bougainville'],
+  ['PG', -9.5, 147.17, 'Pacific/Port_Moresby'], ['PH', 14.59, 120.97, 'Asia/Manila'],
+  ['PK', 24.87, 67.05, 'Asia/Karachi'], ['PL', 52.25, 21, 'Europe/Warsaw'], ['PM', 47.05, -56.33, 'America/Miquelon'],
+  ['PN', -25.07, -130.08, 'Pacific/Pitcairn'], ['PR', 18.47, -66.11, 'America/Puerto_Rico'],
+  ['PS', 31.5, 34.47, 'Asia/Gaza'], ['PS', 31.53, 35.1, 'Asia/Hebron'], ['PT', 32.63, -16.9, 'Atlantic/Madeira'],
+  ['PT', 37.73, -25.67, 'Atlantic/Azores'], ['PT', 38.72, -9.13, 'Europe/Lisbon'],
+  ['PW', 7.33, 134.48, 'Pacific/Palau'], ['PY', -25.27, -57.67, 'America/Asuncion'], ['QA', 25.28, 51.53, 'Asia/Qatar'],
+  ['RE', -20.87, 55.47, 'Indian/Reunion'], ['RO', 44.43, 26.1, 'Europe/Bucharest'],
+  ['RS', 44.83, 20.5, 'Europe/Belgrade'], ['RU', 43.17, 131.93, 'Asia/Vladivostok'],
+  ['RU', 46.35, 48.05, 'Europe/Astrakhan'], ['RU', 46.97, 142.7, 'Asia/Sakhalin'],
+  ['RU', 48.73, 44.42, 'Europe/Volgograd'], ['RU', 51.57, 46.03, 'Europe/Saratov'], ['RU', 52.05, 113.47, 'Asia/Chita'],
+  ['RU', 52.27, 104.33, 'Asia/Irkutsk'], ['RU', 53.02, 158.65, 'Asia/Kamchatka'], ['RU', 53.2, 50.15, 'Europe/Samara'],
+  ['RU', 53.37, 83.75, 'Asia/Barnaul'], ['RU', 53.75, 87.12, 'Asia/Novokuznetsk'],
+  ['RU', 54.33, 48.4, 'Europe/Ulyanovsk'], ['RU', 54.72, 20.5, 'Europe/Kaliningrad'], ['RU', 55, 73.4, 'Asia/Omsk'],
+  ['RU', 55.03, 82.92, 'Asia/Novosibirsk'], ['RU', 55.76, 37.62, 'Europe/Moscow'],
+  ['RU', 56.02, 92.83, 'Asia/Krasnoyarsk'], ['RU', 56.5, 84.97, 'Asia/Tomsk'],
+  ['RU', 56.85, 60.6, 'Asia/Yekaterinburg'], ['RU', 58.6, 49.65, 'Europe/Kirov'], ['RU', 59.57, 150.8, 'Asia/Magadan'],
+  ['RU', 62, 129.67, 'Asia/Yakutsk'], ['RU', 62.66, 135.55, 'Asia/Khandyga'], ['RU', 64.56, 143.23, 'Asia/Ust-Nera'],
+  ['RU', 64.75, 177.48, 'Asia/Anadyr'], ['RU', 67.47, 153.72, 'Asia/Srednekolymsk'],
+  ['RW', -1.95, 30.07, 'Africa/Kigali'], ['SA', 24.63, 46.72, 'Asia/Riyadh'],
+  ['SB', -9.53, 160.2, 'Pacific/Guadalcanal'], ['SC', -4.67, 55.47, 'Indian/Mahe'],
+  ['SD', 15.6, 32.53, 'Africa/Khartoum'], ['SE', 59.33, 18.05, 'Europe/Stockholm'],
+  ['SG', 1.28, 103.85, 'Asia/Singapore'], ['SH', -15.92, -5.7, 'Atlantic/St_Helena'],
+  ['SI', 46.05, 14.52, 'Europe/Ljubljana'], ['SJ', 78, 16, 'Arctic/Longyearbyen'],
+  ['SK', 48.15, 17.12, 'Europe/Bratislava'], ['SL', 8.5, -13.25, 'Africa/Freetown'],
+  ['SM', 43.92, 12.47, 'Europe/San_Marino'], ['SN', 14.67, -17.43, 'Africa/Dakar'],
+  ['SO', 2.07, 45.37, 'Africa/Mogadishu'], ['SR', 5.83, -55.17, 'America/Paramaribo'],
+  ['SS', 4.85, 31.62, 'Africa/Juba'], ['ST', 0.33, 6.73, 'Africa/Sao_Tome'], ['SV', 13.7, -89.2, 'America/El_Salvador'],
+  ['SX', 18.05, -63.05, 'America/Lower_Princes'], ['SY', 33.5, 36.3, 'Asia/Damascus'],
+  ['SZ', -26.3, 31.1, 'Africa/Mbabane'], ['TC', 21.47, -71.13, 'America/Grand_Turk'],
+  ['TD', 12.12, 15.05, 'Africa/Ndjamena'], ['TF', -49.35, 70.22, 'Indian/Kerguelen'], ['TG', 6.13, 1.22, 'Africa/Lome'],
+  ['TH', 13.75, 100.52, 'Asia/Bangkok'], ['TJ', 38.58, 68.8, 'Asia/Dushanbe'],
+  ['TK', -9.37, -171.23, 'Pacific/Fakaofo'], ['TL', -8.55, 125.58, 'Asia/Dili'], ['TM', 37.95, 58.38, 'Asia/Ashgabat'],
+  ['TN', 36.8, 10.18, 'Africa/Tunis'], ['TO', -21.13, -175.2, 'Pacific/Tongatapu'],
+  ['TR', 41.02, 28.97, 'Europe/Istanbul'], ['TT', 10.65, -61.52, 'America/Port_of_Spain'],
+  ['TV', -8.52, 179.22, 'Pacific/Funafuti'], ['TW', 25.05, 121.5, 'Asia/Taipei'],
+  ['TZ', -6.8, 39.28, 'Africa/Dar_es_Salaam'], ['UA', 44.95, 34.1, 'Europe/Simferopol'],
+  ['UA', 50.43, 30.52, 'Europe/Kyiv'], ['UG', 0.32, 32.42, 'Africa/Kampala'], ['UM', 19.28, 166.62, 'Pacific/Wake'],
+  ['UM', 28.22, -177.37, 'Pacific/Midway'], ['US', 21.31, -157.86, 'Pacific/Honolulu'],
+  ['US', 33.45, -112.07, 'America/Phoenix'], ['US', 34.05, -118.24, 'America/Los_Angeles'],
+  ['US', 36.83, -84.85, 'America/Kentucky/Monticello'], ['US', 37.95, -86.76, 'America/Indiana/Tell_City'],
+  ['US', 38.25, -85.76, 'America/Kentucky/Louisville'], ['US', 38.38, -86.34, 'America/Indiana/Marengo'],
+  ['US', 38.49, -87.28, 'America/Indiana/Petersburg'], ['US', 38.68, -87.53, 'America/Indiana/Vincennes'],
+  ['US', 38.75, -85.07, 'America/Indiana/Vevay'], ['US', 39.74, -104.98, 'America/Denver'],
+  ['US', 39.77, -86.16, 'America/Indiana/Indianapolis'], ['US', 40.71, -74.01, 'America/New_York'],
+  ['US', 41.05, -86.6, 'America/Indiana/Winamac'], ['US', 41.3, -86.62, 'America/Indiana/Knox'],
+  ['US', 41.85, -87.65, 'America/Chicago'], ['US', 42.33, -83.05, 'America/Detroit'],
+  ['US', 43.61, -116.2, 'America/Boise'], ['US', 45.11, -87.61, 'America/Menominee'],
+  ['US', 46.85, -101.41, 'America/North_Dakota/New_Salem'], ['US', 47.12, -101.3, 'America/North_Dakota/Center'],
+  ['US', 47.26, -101.78, 'America/North_Dakota/Beulah'], ['US', 51.88, -176.66, 'America/Adak'],
+  ['US', 55.13, -131.58, 'America/Metlakatla'], ['US', 57.18, -135.3, 'America/Sitka'],
+  ['US', 58.3, -134.42, 'America/Juneau'], ['US', 59.55, -139.73, 'America/Yakutat'],
+  ['US', 61.22, -149.9, 'America/Anchorage'], ['US', 64.5, -165.41, 'America/Nome'],
+  ['UY', -34.91, -56.21, 'America/Montevideo'], ['UZ', 39.67, 66.8, 'Asia/Samarkand'],
+  ['UZ', 41.33, 69.3, 'Asia/Tashkent'], ['VA', 41.9, 12.45, 'Europe/Vatican'],
+  ['VC', 13.15, -61.23, 'America/St_Vincent'], ['VE', 10.5, -66.93, 'America/Caracas'],
+  ['VG', 18.45, -64.62, 'America/Tortola'], ['VI', 18.35, -64.93, 'America/St_Thomas'],
+  ['VN', 10.75, 106.67, 'Asia/Ho_Chi_Minh'], ['VU', -17.67, 168.42, 'Pacific/Efate'],
+  ['WF', -13.3, -176.17, 'Pacific/Wallis'], ['WS', -13.83, -171.73, 'Pacific/Apia'], ['YE', 12.75, 45.2, 'Asia/Aden'],
+  ['YT', -12.78, 45.23, 'Indian/Mayotte'], ['ZA', -26.25, 28, 'Africa/Johannesburg'],
+  ['ZM', -15.42, 28.28, 'Africa/Lusaka'], ['ZW', -17.83, 31.05, 'Africa/Harare']
+]);
@@ -11,6 +11,7 @@
  */
 
 import { getDefaultUserAgent } from '../utils/userAgent.js';
+import { parseCIDR } from '../utils/ipValidation.js';
 
 export const ProviderErrorCode = Object.freeze({
   AUTH_FAILURE: 'AUTH_FAILURE', // 401/403 凭证或权限问题
@@ -34,10 +35,29 @@ export class ProviderError extends Error {
     if (options.httpStatus !== undefined) {
       this.httpStatus = options.httpStatus;
     }
+    if (Number.isFinite(options.retryAfterMs)) {
+      this.retryAfterMs = options.retryAfterMs;
+    }
   }
 }
 
-const cleanStr = (v) => {
+/**
+ * 解析 Retry-After 头（秒数或 HTTP 日期）→ 毫秒。无法解析返回 null。
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// 上游字符串脱敏：去除 HTML 敏感字符与控制字符，截断到 255；RdapClient 同样经此清洗
+export const cleanStr = (v) => {
   if (typeof v !== 'string') {
     return null;
   }
@@ -57,6 +77,12 @@ const cleanNum = (v) => {
   return null;
 };
 
+// 命中网段（CIDR）：规范为网络地址 + 前缀长度，无效为 null
+const cleanPrefix = (v) => {
+  const block = typeof v === 'string' ? parseCIDR(v) : null;
+  return block ? `${block.address}/${block.prefixLength}` : null;
+};
+
 /**
  * 规范 GeoData 构造器：所有 provider 经此产出统一形状。
  * 在此完成字符串脱敏与数字校验（provider→响应的唯一安全边界）。
@@ -72,6 +98,7 @@ export function createGeoData({ ip, country = {}, location = {}, network = {} }
       name: cleanStr(c.name),
       code: cleanStr(c.code),
       region: cleanStr(c.region),
+      regionCode: cleanStr(c.regionCode),
       city: cleanStr(c.city),
       continent: cleanStr(c.continent),
       continentCode: cleanStr(c.continentCode)
@@ -89,7 +116,8 @@ export function createGeoData({ ip, country = {}, location = {}, network = {} }
       asn: cleanNum(n.asn),
       organization: cleanStr(n.organization),
       isp: cleanStr(n.isp),
-      domain: cleanStr(n.domain)
+      domain: cleanStr(n.domain),
+      prefix: cleanPrefix(n.prefix)
     }
   };
 }
@@ -104,6 +132,11 @@ export class BaseProvider {
     this.config = config;
     this.priority = config.priority || 1;
     this.tier = config.tier || 'async';
+    // 按查询 IP 给出结果的本地库（MMDB）；同步层命中时可让 GeoLookup 跳过异步 primary（geo.syncShortCircuit）。
+    // Cloudflare 的 request.cf 描述的是调用方而非查询 IP，不属于此类
+    this.authoritative = Boolean(config.authoritative);
+    // configManager `providers.<configKey>` 段（retryAttempts 等）；无对应配置段时为 null
+    this.configKey = config.configKey || null;
   }
 
   /** 是否已配置（凭证齐备/可用）。orchestrator 据此过滤。子类可重写。 */
@@ -114,9 +147,9 @@ export class BaseProvider {
   /**
    * 同步快速路径（tier0）：进程内 provider（Cloudflare request.cf）零开销返回。
    * 默认返回 null（表示「我是异步 provider」或「本次请求无进程内数据」）。
-   * 仅 tier:'sync' 的 provider 重写。
+   * 仅 tier:'sync' 的 provider 重写。opts 与 fetch 相同（language 等），本地库 provider 据此本地化。
    */
-  tryExtractSync(_ip, _ctx) {
+  tryExtractSync(_ip, _ctx, _opts = {}) {
     return null;
   }
 
@@ -144,6 +177,28 @@ export class BaseProvider {
     });
   }
 
+  /**
+   * 上游非 2xx 响应 → 类型化 ProviderError（携带 httpStatus；429 附 Retry-After）。
+   * 熔断器据 code / retryAfterMs 决策，不再依赖 message 正则。
+   */
+  httpError(response, operation, detail = '') {
+    const status = response.status;
+    const message = `${operation}: ${status} ${response.statusText || ''}${detail ? ` - ${detail}` : ''}`.trim();
+    if (status === 401 || status === 403) {
+      return new ProviderError(ProviderErrorCode.AUTH_FAILURE, this.name, message, { httpStatus: status });
+    }
+    if (status === 429) {
+      return new ProviderError(ProviderErrorCode.RATE_LIMITED, this.name, message, {
+        httpStatus: status,
+        retryAfterMs: parseRetryAfter(response.headers?.get?.('retry-after'))
+      });
+    }
+    return new ProviderError(ProviderErrorCode.UPSTREAM_ERROR, this.name, message, {
+      httpStatus: status,
+      retryable: status >= 500
+    });
+  }
+
   /**
    * 将任意上游失败映射为类型化 ProviderError（轻量 D）。
    * 子类可重写以补充上游特定映射（如按 HTTP 状态码）。
@@ -155,7 +210,7 @@ export class BaseProvider {
     const name = error?.name || '';
     const msg = error?.message || String(error);
     if (/timeout|abort/i.test(name) || /timeout|超时/i.test(msg)) {
-      return new ProviderError(ProviderErrorCode.TIMEOUT, this.name, `${operation}: ${msg}`);
+      return new ProviderError(ProviderErrorCode.TIMEOUT, this.name, `${operation}: ${msg}`, { retryable: true });
     }
     if (/\b401\b|403|auth|认证|权限/.test(msg)) {
       return new ProviderError(ProviderErrorCode.AUTH_FAILURE, this.name, `${operation}: ${msg}`);
@@ -164,7 +219,9 @@ export class BaseProvider {
       return new ProviderError(ProviderErrorCode.RATE_LIMITED, this.name, `${operation}: ${msg}`);
     }
     if (/network|fetch|ENOTFOUND|ECONN|网络/.test(msg)) {
-      return new ProviderError(ProviderErrorCode.NETWORK_FAILURE, this.name, `${operation}: ${msg}`);
+      return new ProviderError(ProviderErrorCode.NETWORK_FAILURE, this.name, `${operation}: ${msg}`, {
+        retryable: true
+      });
     }
     if (/json|parse|invalid.*format|解析|格式/.test(msg)) {
       return new ProviderError(ProviderErrorCode.PARSE_ERROR, this.name, `${operation}: ${msg}`);
@@ -12,6 +12,7 @@ export class CloudflareProvider extends BaseProvider {
   constructor() {
     super('Cloudflare', {
       priority: PROVIDERS_CONFIG.priorities.cloudflare,
+      configKey: 'cloudflare',
       tier: 'sync'
     });
   }
@@ -34,6 +35,7 @@ export class CloudflareProvider extends BaseProvider {
         name: null, // CF 仅给 ISO code，不提供国名；不编造
         code: cf.country || h('cf-ipcountry'),
         region: cf.region || h('cf-region') || h('cf-region-code'),
+        regionCode: cf.regionCode || h('cf-region-code'),
         city: cf.city || h('cf-ipcity'),
         continent: cf.continent ?? null,
         continentCode: null
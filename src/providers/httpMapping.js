@@ -0,0 +1,172 @@
+/**
+ * 🧩 声明式 HTTP JSON Provider（配置驱动，providers.http[]）
+ *
+ * 新上游无需写 provider 类，由一份定义描述：
+ * - url：模板，{ip} / {lang} 占位符（值经 URL 编码）
+ * - auth：{ secret, header?, query?, prefix? }，secret 为 env 绑定名；缺失时 isConfigured=false
+ * - fields：GeoData 字段路径 → 响应 JSON 路径（点号 + 数组下标，如 `connection.asn`、`data[0].lat`）
+ * - statusCodes：HTTP 状态码 → ProviderErrorCode；NO_DATA 表示「无该 IP 记录」（返回 null）
+ *   未映射的非 2xx 沿用 BaseProvider.httpError（401/403 AUTH、429 RATE_LIMITED、其余 UPSTREAM_ERROR）
+ * - noDataWhen：{ path, equals }，2xx 响应体表示无数据时返回 null
+ *
+ * GeoLookup 用 defineHttpMappingProvider(definition) 生成子类并 registerProvider，与内置 provider 同样池化。
+ */
+
+import { BaseProvider, ProviderError, ProviderErrorCode, createGeoData, parseRetryAfter } from './BaseProvider.js';
+import { generateProviderUserAgent } from '../utils/userAgent.js';
+
+export const NO_DATA = 'NO_DATA';
+
+const RETRYABLE_CODES = new Set([ProviderErrorCode.TIMEOUT, ProviderErrorCode.NETWORK_FAILURE]);
+
+function runtimeValue(env, name) {
+  return env?.[name] || (typeof globalThis !== 'undefined' ? globalThis[name] : undefined) || null;
+}
+
+/**
+ * 按点号 / 下标路径取值：`a.b[0].c` 与 `a.b.0.c` 等价；路径不存在返回 undefined
+ */
+export function readPath(obj, path) {
+  return String(path)
+    .split(/[.[\]]/)
+    .filter(Boolean)
+    .reduce((current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined), obj);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let current = target;
+  for (const key of keys) {
+    if (typeof current[key] !== 'object' || current[key] === null) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[last] = value;
+}
+
+// "AS15169 Google LLC" / "AS15169" / 15169 → 15169
+function parseAsn(value) {
+  if (typeof value === 'number') return value;
+  const match = typeof value === 'string' ? value.match(/^(?:AS)?(\d+)/i) : null;
+  return match ? parseInt(match[1], 10) : null;
+}
+
+export class HttpMappingProvider extends BaseProvider {
+  constructor(env = {}, definition = {}) {
+    super(definition.displayName || definition.name, {
+      priority: definition.priority,
+      tier: 'async',
+      timeout: definition.timeout || 5000
+    });
+    this.definition = definition;
+    this.secret = definition.auth ? runtimeValue(env, definition.auth.secret) : null;
+  }
+
+  isConfigured() {
+    return !this.definition.auth || Boolean(this.secret);
+  }
+
+  buildUrl(ip, opts = {}) {
+    const lang = (opts.language || 'en').slice(0, 5);
+    const url = new URL(this.definition.url
+      .replaceAll('{ip}', encodeURIComponent(ip))
+      .replaceAll('{lang}', encodeURIComponent(lang)));
+    const auth = this.definition.auth;
+    if (auth?.query && this.secret) {
+      url.searchParams.set(auth.query, this.secret);
+    }
+    return url.toString();
+  }
+
+  async buildHeaders() {
+    const headers = {
+      Accept: 'application/json',
+      'User-Agent': await generateProviderUserAgent(this.name),
+      ...this.definition.headers
+    };
+    const auth = this.definition.auth;
+    if (auth?.header && this.secret) {
+      headers[auth.header] = `${auth.prefix || ''}${this.secret}`;
+    }
+    return headers;
+  }
+
+  async fetch(ip, opts = {}) {
+    try {
+      const response = await fetch(this.buildUrl(ip, opts), {
+        method: 'GET',
+        headers: await this.buildHeaders(),
+        signal: opts.signal || AbortSignal.timeout(this.config.timeout)
+      });
+
+      const mapped = this.definition.statusCodes?.[String(response.status)];
+      if (mapped === NO_DATA) {
+        return null;
+      }
+      if (mapped) {
+        throw this.statusError(response, mapped);
+      }
+      if (!response.ok) {
+        throw this.httpError(response, `${this.name} API error`);
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw new ProviderError(ProviderErrorCode.PARSE_ERROR, this.name, `invalid JSON: ${error.message}`);
+      }
+      return this.mapResponse(ip, data);
+    } catch (error) {
+      throw this.classify(error, `${this.name} lookup`);
+    }
+  }
+
+  statusError(response, code) {
+    const status = response.status;
+    return new ProviderError(code, this.name, `${this.name} API error: ${status}`, {
+      httpStatus: status,
+      retryable: RETRYABLE_CODES.has(code) || (code === ProviderErrorCode.UPSTREAM_ERROR && status >= 500),
+      ...(code === ProviderErrorCode.RATE_LIMITED && {
+        retryAfterMs: parseRetryAfter(response.headers?.get?.('retry-after'))
+      })
+    });
+  }
+
+  /**
+   * 响应 JSON → GeoData（经 createGeoData 统一清洗）；noDataWhen 命中或无任何字段时返回 null
+   */
+  mapResponse(ip, data) {
+    if (!data || typeof data !== 'object') {
+      throw new ProviderError(ProviderErrorCode.PARSE_ERROR, this.name, 'response is not a JSON object');
+    }
+    const noData = this.definition.noDataWhen;
+    if (noData && readPath(data, noData.path) === noData.equals) {
+      return null;
+    }
+
+    const geo = { ip };
+    let found = 0;
+    for (const [target, source] of Object.entries(this.definition.fields || {})) {
+      let value = readPath(data, source);
+      if (value === undefined || value === null) continue;
+      if (target === 'network.asn') value = parseAsn(value);
+      setPath(geo, target, value);
+      found++;
+    }
+    return found > 0 ? createGeoData(geo) : null;
+  }
+}
+
+/**
+ * 由定义生成可被注册表实例化的子类（构造参数仅 env）
+ */
+export function defineHttpMappingProvider(definition) {
+  return class extends HttpMappingProvider {
+    constructor(env = {}) {
+      super(env, definition);
+    }
+  };
+}
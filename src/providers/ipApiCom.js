@@ -35,6 +35,7 @@ export class IPApiComProvider extends BaseProvider {
   constructor(env = {}) {
     super('IPApiCom', {
       priority: PROVIDERS_CONFIG.priorities.ipapicom,
+      configKey: 'ipapicom',
       tier: 'async',
       ...PROVIDERS_CONFIG.endpoints.ipapicom,
       env
@@ -64,7 +65,7 @@ export class IPApiComProvider extends BaseProvider {
       });
 
       if (!response.ok) {
-        throw new Error(`ip-api.com HTTP ${response.status} ${response.statusText}`);
+        throw this.httpError(response, 'ip-api.com HTTP');
       }
 
       const data = await response.json();
@@ -91,6 +92,7 @@ export class IPApiComProvider extends BaseProvider {
         name: data.country || null, // ip-api.com 的 country 是国名全称
         code: data.countryCode || null,
         region: data.regionName || data.region || null,
+        regionCode: data.region || null, // region 为一级行政区代码（如 CA），regionName 为名称
         city: data.city || null,
         continent: null, // 免费版不返回 continent
         continentCode: null
@@ -13,6 +13,7 @@ export class IPInfoProvider extends BaseProvider {
   constructor(env = {}) {
     super('IPInfo', {
       priority: PROVIDERS_CONFIG.priorities.ipinfo,
+      configKey: 'ipinfo',
       tier: 'async',
       ...PROVIDERS_CONFIG.endpoints.ipinfo,
       token: runtimeValue(env, 'IPINFO_TOKEN')
@@ -49,10 +50,7 @@ export class IPInfoProvider extends BaseProvider {
       });
 
       if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error(
-          `IPInfo API error: ${response.status} ${response.statusText} - ${errorBody}`
-        );
+        throw this.httpError(response, 'IPInfo API error', await response.text());
       }
 
       const data = await response.json();
@@ -86,10 +84,11 @@ export class IPInfoProvider extends BaseProvider {
         postalCode: response.postal || null // 修复字段漂移：IPInfo 的 postal → postalCode
       },
       network: {
-        asn: this.parseASN(response.asn),
+        asn: this.parseASN(response.asn?.asn ?? response.asn),
         organization: response.org || null,
         isp: response.org || null,
-        domain: null
+        domain: null,
+        prefix: response.asn?.route || null // 仅付费套餐（asn 为对象）提供
       }
     });
   }
@@ -6,6 +6,58 @@ function runtimeValue(env, name) {
   return env?.[name] || (typeof globalThis !== 'undefined' ? globalThis[name] : undefined) || null;
 }
 
+// MaxMind names 的键是 'zh-CN' / 'pt-BR' 这类区域化标签，单纯取前两位会错过
+const MAXMIND_LANGUAGE_ALIASES = { zh: 'zh-CN', pt: 'pt-BR' };
+
+function localizedName(obj, language) {
+  const names = obj?.names;
+  if (!names) {
+    return null;
+  }
+  const lang = String(language || 'en');
+  const short = lang.slice(0, 2);
+  return names[lang] || names[short] || names[MAXMIND_LANGUAGE_ALIASES[short]] || names.en || null;
+}
+
+/**
+ * GeoIP2 记录 → 规范 GeoData。Web Service 响应与 MMDB 库记录结构相同，两者共用。
+ * ASN 字段兼容 traits.*（Insights/Enterprise）与顶层字段（GeoLite2-ASN 库）。
+ * 库记录不含 traits.ip_address / traits.network，由调用方经 ip / network 参数补齐。
+ */
+export function parseMaxMindRecord(record, language = 'en', ip = null, network = null) {
+  const names = (obj) => localizedName(obj, language);
+  const traits = record.traits || {};
+
+  return createGeoData({
+    ip: traits.ip_address || ip,
+    country: {
+      name: names(record.country),
+      code: record.country?.iso_code || null,
+      region: names(record.subdivisions?.[0]) || null,
+      regionCode: record.subdivisions?.[0]?.iso_code || null,
+      city: names(record.city),
+      continent: names(record.continent),
+      continentCode: record.continent?.code || null
+    },
+    location: {
+      coordinates: {
+        latitude: record.location?.latitude,
+        longitude: record.location?.longitude,
+        accuracy: record.location?.accuracy_radius
+      },
+      timezone: record.location?.time_zone || null,
+      postalCode: record.postal?.code || null
+    },
+    network: {
+      asn: traits.autonomous_system_number ?? record.autonomous_system_number ?? null,
+      organization: traits.autonomous_system_organization || record.autonomous_system_organization || null,
+      isp: traits.isp || null,
+      domain: traits.domain || null,
+      prefix: traits.network || network
+    }
+  });
+}
+
 /**
  * 🔵 MaxMind GeoIP2 Provider（异步，需凭证）
  * 支持 language（names[lang]）—— pain point #6。
@@ -14,6 +66,7 @@ export class MaxMindProvider extends BaseProvider {
   constructor(env = {}) {
     super('MaxMind', {
       priority: PROVIDERS_CONFIG.priorities.maxmind,
+      configKey: 'maxmind',
       tier: 'async',
       ...PROVIDERS_CONFIG.endpoints.maxmind,
       userId: runtimeValue(env, 'MAXMIND_USER_ID'),
@@ -30,7 +83,7 @@ export class MaxMindProvider extends BaseProvider {
       return this.parseGeoResponse(response, opts);
     } catch (error) {
       // 404（IP 不在库）→ 无数据；其他失败 → 类型化错误（可观测）
-      if (/\b404\b|not found/i.test(error.message || '')) {
+      if (error.httpStatus === 404 || /\b404\b|not found/i.test(error.message || '')) {
         return null;
       }
       throw this.classify(error, 'MaxMind lookup');
@@ -54,10 +107,7 @@ export class MaxMindProvider extends BaseProvider {
       });
 
       if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error(
-          `MaxMind API error: ${response.status} ${response.statusText} - ${errorBody}`
-        );
+        throw this.httpError(response, 'MaxMind API error', await response.text());
       }
 
       return await response.json();
@@ -70,35 +120,7 @@ export class MaxMindProvider extends BaseProvider {
   }
 
   parseGeoResponse(response, opts = {}) {
-    const lang = (opts.language || 'en').slice(0, 2);
-    const names = (obj) => obj?.names?.[lang] || obj?.names?.en || null;
-
-    return createGeoData({
-      ip: response.traits?.ip_address || null,
-      country: {
-        name: names(response.country),
-        code: response.country?.iso_code || null,
-        region: names(response.subdivisions?.[0]) || null,
-        city: names(response.city),
-        continent: names(response.continent),
-        continentCode: response.continent?.code || null
-      },
-      location: {
-        coordinates: {
-          latitude: response.location?.latitude,
-          longitude: response.location?.longitude,
-          accuracy: response.location?.accuracy_radius
-        },
-        timezone: response.location?.time_zone || null,
-        postalCode: response.postal?.code || null
-      },
-      network: {
-        asn: response.traits?.autonomous_system_number ?? null,
-        organization: response.traits?.autonomous_system_organization || null,
-        isp: response.traits?.isp || null,
-        domain: response.traits?.domain || null
-      }
-    });
+    return parseMaxMindRecord(response, opts.language);
   }
 
   isConfigured() {
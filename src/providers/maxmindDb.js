@@ -0,0 +1,122 @@
+/**
+ * 🗄️ MaxMind 本地库 Provider（同步，tier0，零网络调用）
+ *
+ * 读取本地 GeoLite2 / GeoIP2 MMDB 文件，进程内二分搜索树查询，无按次计费。
+ * 数据源（按优先顺序）：
+ * - 打包资产：env/globalThis 上的 MAXMIND_DB（ArrayBuffer / Uint8Array）。
+ *   Workers 中以 wrangler `[[rules]] type = "Data"` 导入 .mmdb 后挂到 globalThis.MAXMIND_DB。
+ * - Node 文件路径：MAXMIND_DB_PATH 或 config `providers.maxmind.databasePath`。
+ *
+ * 同一数据源的读取器在模块级缓存，ProviderPool 重建实例不会重复读文件/解析元数据。
+ */
+
+import { PROVIDERS_CONFIG } from '../config/security.js';
+import { config } from '../config/configManager.js';
+import { BaseProvider, ProviderError, ProviderErrorCode } from './BaseProvider.js';
+import { parseMaxMindRecord } from './maxmind.js';
+import { MMDBReader } from '../utils/mmdbReader.js';
+
+const pathReaders = new Map(); // path → { reader, error }
+const bufferReaders = new WeakMap(); // ArrayBuffer → { reader, error }
+
+function runtimeValue(env, name) {
+  return env?.[name] || (typeof globalThis !== 'undefined' ? globalThis[name] : undefined) || null;
+}
+
+function configuredDatabasePath() {
+  try {
+    return config.get('providers.maxmind.databasePath', null);
+  } catch {
+    return null; // configManager 未 init
+  }
+}
+
+/**
+ * 解析本次实例的数据源：{ kind: 'bundled', buffer } | { kind: 'path', path } | null
+ */
+export function resolveDatabaseSource(env = {}) {
+  const buffer = runtimeValue(env, 'MAXMIND_DB');
+  if (buffer instanceof ArrayBuffer || ArrayBuffer.isView(buffer)) {
+    return { kind: 'bundled', buffer };
+  }
+  const path = runtimeValue(env, 'MAXMIND_DB_PATH') || configuredDatabasePath();
+  return path ? { kind: 'path', path: String(path) } : null;
+}
+
+function readFileSync(path) {
+  // process.getBuiltinModule（Node ≥ 20.16）同步取 fs，避免静态 import 'node:fs' 破坏 Workers 打包
+  const getBuiltin = typeof process !== 'undefined' ? process.getBuiltinModule : undefined;
+  const fs = typeof getBuiltin === 'function' ? getBuiltin('node:fs') : null;
+  if (!fs) {
+    throw new Error('File-based MMDB requires Node.js >= 20.16; bundle the database as MAXMIND_DB instead');
+  }
+  return fs.readFileSync(path);
+}
+
+function openReader(source) {
+  if (source.kind === 'bundled') {
+    const key = ArrayBuffer.isView(source.buffer) ? source.buffer.buffer : source.buffer;
+    if (!bufferReaders.has(key)) {
+      bufferReaders.set(key, tryOpen(() => new MMDBReader(source.buffer), 'bundled asset'));
+    }
+    return bufferReaders.get(key);
+  }
+  if (!pathReaders.has(source.path)) {
+    pathReaders.set(source.path, tryOpen(() => new MMDBReader(readFileSync(source.path)), source.path));
+  }
+  return pathReaders.get(source.path);
+}
+
+// 打开失败只记录一次：坏文件不应在每个请求上重复 IO + 报错
+function tryOpen(open, label) {
+  try {
+    return { reader: open(), error: null };
+  } catch (error) {
+    console.warn(`⚠️ MaxMind database unavailable (${label}): ${error.message}`);
+    return { reader: null, error };
+  }
+}
+
+export class MaxMindDatabaseProvider extends BaseProvider {
+  constructor(env = {}) {
+    super('MaxMindDB', {
+      priority: PROVIDERS_CONFIG.priorities.maxmindDb,
+      tier: 'sync',
+      authoritative: true,
+      source: resolveDatabaseSource(env)
+    });
+  }
+
+  getReader() {
+    if (!this.config.source) {
+      return null;
+    }
+    return openReader(this.config.source).reader;
+  }
+
+  /** 库元数据（database_type / build_epoch / languages 等），未配置时 null */
+  getMetadata() {
+    return this.getReader()?.metadata || null;
+  }
+
+  tryExtractSync(ip, _ctx, opts = {}) {
+    const reader = this.getReader();
+    if (!reader) {
+      return null;
+    }
+    let hit;
+    try {
+      hit = reader.lookup(ip);
+    } catch (error) {
+      throw new ProviderError(ProviderErrorCode.PARSE_ERROR, this.name, error.message);
+    }
+    if (!hit || !hit.record || typeof hit.record !== 'object') {
+      return null; // 库中无此 IP（保留/未分配网段）属正常无数据
+    }
+    return parseMaxMindRecord(hit.record, opts.language, ip, `${ip}/${hit.prefixLength}`);
+  }
+
+  isConfigured() {
+    return Boolean(this.getReader());
+  }
+}
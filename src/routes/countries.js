@@ -0,0 +1,100 @@
+/**
+ * 🏳️ 国家目录路由 (/api/v1/countries)
+ *
+ * 数据全部来自内置数据集（无上游请求），需 API 密钥：
+ *   GET /api/v1/countries        全部国家，可按 continent / eu / eea 筛选
+ *   GET /api/v1/countries/:code  单个国家（ISO 3166-1 alpha-2，大小写不敏感）
+ *
+ * 名称按 lang 本地化；同一条目也可经 /api/v1/ips 的 include=countryDetails 嵌入地理资源。
+ */
+
+import { Hono } from 'hono';
+import { z } from 'zod';
+import { generateRequestId } from '../utils/response.js';
+import { ENVIRONMENT } from '../config/environment.js';
+import { CONTINENTS } from '../data/countries.js';
+import { describeCountry, listCountries } from '../services/countryCatalog.js';
+import {
+  buildSuccess,
+  buildError,
+  buildLinks,
+  getBaseUrl
+} from '../utils/responseBuilder.js';
+
+const app = new Hono();
+
+// 数据集随部署更新，客户端可长时间缓存
+const CACHE_CONTROL = 'public, max-age=86400';
+
+const flag = z.enum(['true', 'false']).transform((v) => v === 'true');
+
+const countriesQuerySchema = z.object({
+  lang: z.string()
+    .regex(/^[a-z]{2}(-[A-Z]{2})?$/, 'lang 格式无效（如 en、en-US）')
+    .optional()
+    .default('en'),
+  continent: z.string()
+    .transform((v) => v.toUpperCase())
+    .refine((v) => Object.hasOwn(CONTINENTS, v), `continent 只支持 ${Object.keys(CONTINENTS).join(' | ')}`)
+    .optional(),
+  eu: flag.optional(),
+  eea: flag.optional()
+});
+
+function ctx(c) {
+  return { requestId: c.get('requestId') || generateRequestId() };
+}
+
+function parseQuery(c, startTime) {
+  const parsed = countriesQuerySchema.safeParse(c.req.query());
+  if (parsed.success) return { query: parsed.data };
+  const details = ENVIRONMENT.isDevelopment() ? { issues: parsed.error.issues } : undefined;
+  return {
+    response: c.json(buildError('BAD_REQUEST', '输入校验失败', details, { ctx: ctx(c), startTime }), { status: 400 })
+  };
+}
+
+// GET /api/v1/countries — 全部国家
+app.get('/api/v1/countries', (c) => {
+  const startTime = Date.now();
+  const { query, response } = parseQuery(c, startTime);
+  if (response) return response;
+
+  const { lang, ...filter } = query;
+  const countries = listCountries(lang, filter);
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, {
+    self: { href: `${base}/api/v1/countries`, method: 'GET' },
+    ips: { href: `${base}/api/v1/ips`, method: 'GET' }
+  });
+
+  c.header('Cache-Control', CACHE_CONTROL);
+  return c.json(buildSuccess({ countries, total: countries.length }, { ctx: ctx(c), startTime, links }));
+});
+
+// GET /api/v1/countries/:code — 单个国家
+app.get('/api/v1/countries/:code', (c) => {
+  const startTime = Date.now();
+  const { query, response } = parseQuery(c, startTime);
+  if (response) return response;
+
+  const code = c.req.param('code');
+  const country = /^[A-Za-z]{2}$/.test(code) ? describeCountry(code, query.lang) : null;
+  if (!country) {
+    return c.json(
+      buildError('NOT_FOUND', `未知国家代码: ${code}`, undefined, { ctx: ctx(c), startTime }),
+      { status: 404 }
+    );
+  }
+
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, {
+    self: { href: `${base}/api/v1/countries/${country.code}`, method: 'GET' },
+    collection: { href: `${base}/api/v1/countries`, method: 'GET' }
+  });
+
+  c.header('Cache-Control', CACHE_CONTROL);
+  return c.json(buildSuccess(country, { ctx: ctx(c), startTime, links }));
+});
+
+export default app;
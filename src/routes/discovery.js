@@ -101,6 +101,7 @@ app.get('/api/v1', (c) => {
     ipsCollection: { href: `${base}/api/v1/ips`, method: 'GET' },
     ipsSelf: { href: `${base}/api/v1/ips/self`, method: 'GET' },
     ipsBatch: { href: `${base}/api/v1/ips:batch`, method: 'POST' },
+    countries: { href: `${base}/api/v1/countries`, method: 'GET' },
     systemHealth: { href: `${base}/api/v1/system/health`, method: 'GET' }
   });
 
@@ -119,7 +120,8 @@ app.get('/docs', (c) => {
   const resource = {
     authentication: {
       header: 'X-API-Key',
-      description: '所有 /api/v1/ips 与 /api/v1/system 端点需 API 密钥；运维端点需管理员密钥。'
+      description: '所有 /api/v1/ips、/api/v1/countries、/api/v1/geofences、/api/v1/jobs 与 /api/v1/system 端点需 API 密钥；' +
+        '围栏定义与运维端点需管理员密钥。'
     },
     publicEndpoints: [
       'GET /',
@@ -132,7 +134,21 @@ app.get('/docs', (c) => {
       'GET /api/v1/ips         查询集合（默认返回调用方自身 IP 的地理位置）',
       'GET /api/v1/ips/self    显式查询调用方自身 IP',
       'GET /api/v1/ips/:ip     查询指定 IP（公网 IP）',
-      'POST /api/v1/ips:batch  批量查询（body: {"ips":["8.8.8.8","1.1.1.1"]}，最多 20 个 IP）'
+      'GET /api/v1/ips/:ip/registration  RDAP 注册信息（网段 CIDR、网段名、RIR、注册日期、abuse 联系人）',
+      'POST /api/v1/ips:batch  批量查询（body: {"ips":["8.8.8.8","1.1.1.1"]}，最多 20 个 IP）',
+      'GET /api/v1/ips/:ip/distance?to=<ip|lat,lng>  两端距离（km / mi，含误差区间）、方位角与同国家 / ASN / 时区',
+      'POST /api/v1/ips:distance  距离矩阵（body: {"points":["8.8.8.8","48.85,2.35"]}，最多 10 个端点）',
+      'POST /api/v1/ips:nearest   按与调用方 IP 的距离排列命名点位（body: {"points":[{"name","latitude","longitude"}]}）',
+      'GET /api/v1/countries   国家目录（?continent=EU&eu=true 筛选）',
+      'GET /api/v1/countries/:code  单个国家（首都、货币、区号、官方语言、顶级域、欧盟 / EEA、邻国）',
+      'GET /api/v1/ips/:ip/geofences?names=<name,...>  该 IP 对各地理围栏的判定（含到边界距离与定位误差）',
+      'GET    /api/v1/geofences        地理围栏列表（管理员）',
+      'POST   /api/v1/geofences        创建围栏：polygon（GeoJSON）/ circle / region（国家 / 行政区 / 大洲码）（管理员）',
+      'GET    /api/v1/geofences/:name  单个围栏（管理员）',
+      'DELETE /api/v1/geofences/:name  删除围栏（管理员）',
+      'POST /api/v1/jobs       异步批量查询任务（JSON 数组 / 换行文本 / CSV，去重后后台执行，返回 202）',
+      'GET  /api/v1/jobs/:id   任务状态与进度',
+      'GET  /api/v1/jobs/:id/results?format=ndjson|csv  流式导出结果'
     ],
     systemEndpoints: [
       'GET  /api/v1/system/health         详细健康检查',
@@ -143,13 +159,22 @@ app.get('/docs', (c) => {
       'GET  /api/v1/system/memory         内存统计',
       'POST /api/v1/system/memory:cleanup 触发内存清理',
       'POST /api/v1/system/memory:optimize 触发内存优化',
-      'GET  /api/v1/system/performance    性能统计'
+      'GET  /api/v1/system/performance    性能统计',
+      'GET  /api/v1/system/providers      Provider 状态',
+      'PATCH /api/v1/system/providers/:name Provider 运行时覆盖',
+      'GET  /api/v1/system/cache          缓存统计、热点键与年龄分布',
+      'DELETE /api/v1/system/cache/ips/:ip 删除某 IP 的缓存',
+      'POST /api/v1/system/cache:purge    按网段 / provider / 年龄清除缓存',
+      'POST /api/v1/system/cache:warm     按 IP 列表预热缓存'
     ],
     queryParameters: {
       format: 'json | xml | csv（默认 json）',
       lang: 'ISO 语言代码，如 en、zh',
       fields: '逗号分隔的字段投影，支持点路径（如 location.coordinates.latitude）',
       includeThreat: 'true | false，是否附带威胁/安全评估',
+      include: 'countryDetails，按国家码嵌入国家目录条目；hostname，查询反向 DNS 填充 network.hostname',
+      includeTimezone: 'true | false，附带时区块（本地时间、UTC 偏移、缩写、夏令时与下一次切换）',
+      explain: 'true | false，附带 provenance（逐字段来源 provider、各 provider 的 tier 与错误码）',
       pretty: 'true | false，JSON 美化输出',
       callback: 'JSONP 回调函数名（默认禁用；仅 ENABLE_JSONP=true 时可用）',
       timeout: '请求超时毫秒数（100-10000）'
@@ -226,13 +251,28 @@ function buildOpenApiSpec(serverUrl) {
             requestId: { type: 'string' },
             timestamp: { type: 'string', format: 'date-time' },
             apiVersion: { type: 'string', example: 'v1' },
-            processingTimeMs: { type: 'integer' }
+            processingTimeMs: { type: 'integer' },
+            cached: { type: 'boolean', description: '结果来自 GeoLookup 结果缓存（存储后端见 CACHE_STORE）' },
+            stale: {
+              type: 'boolean',
+              description: '返回的是过期缓存（后台刷新中，或上游失败时的兜底）；新鲜结果无此字段'
+            },
+            dataAvailable: {
+              type: 'boolean',
+              description: '是否有可用地理数据；provider 均明确无数据时为 false（按 GEO_NEGATIVE_TTL_MS 短期缓存）'
+            },
+            outcome: {
+              type: 'string',
+              enum: ['data', 'no-data', 'error'],
+              description: '查询结果分类；error 表示 provider 报错且无旧值兜底（不缓存，响应 Cache-Control: no-store）'
+            }
           }
         },
         GeoLocation: {
           type: 'object',
           properties: {
-            ip: { type: 'string', example: '8.8.8.8' },
+            ip: { type: 'string', example: '8.8.8.8', description: '规范形式（RFC 5952；v4-mapped / NAT64 解包为 IPv4）' },
+            input: { type: 'string', example: '::ffff:8.8.8.8', description: '调用方提供的原始写法' },
             type: { type: 'string', enum: ['ipv4', 'ipv6'] },
             version: { type: 'integer' },
             flag: { type: 'string', nullable: true },
@@ -258,7 +298,7 @@ function buildOpenApiSpec(serverUrl) {
                     accuracy: { type: 'number' }
                   }
                 },
-                timezone: { type: 'string' },
+                timezone: { type: 'string', description: 'IANA 时区名；provider 只给坐标时按内置时区边界推断（无法确定时为空）' },
                 postalCode: { type: 'string' }
               }
             },
@@ -268,10 +308,278 @@ function buildOpenApiSpec(serverUrl) {
                 asn: { type: 'integer', nullable: true },
                 organization: { type: 'string' },
                 isp: { type: 'string' },
-                domain: { type: 'string' }
+                domain: { type: 'string' },
+                prefix: { type: 'string', nullable: true, description: 'provider 命中的网段（CIDR），同网段查询复用结果' },
+                hostname: {
+                  type: 'string', nullable: true,
+                  description: '反向 DNS（PTR）主机名；仅 include=hostname 或 includeThreat=true 时查询'
+                },
+                hostnameVerified: { type: 'boolean', nullable: true, description: 'PTR 主机名经正向解析确认（FCrDNS）' }
+              }
+            },
+            provider: { type: 'string' },
+            timezone: { $ref: '#/components/schemas/Timezone' },
+            countryDetails: { $ref: '#/components/schemas/Country' },
+            geofences: {
+              type: 'array',
+              description: '仅 geofences=all | <name,...> 时出现',
+              items: { $ref: '#/components/schemas/GeofenceResult' }
+            },
+            provenance: { $ref: '#/components/schemas/Provenance' },
+            confidence: {
+              type: 'object',
+              description: '共识合并（geo.mergeStrategy=consensus）的逐段置信度；某段无来源时为 null',
+              properties: {
+                country: { $ref: '#/components/schemas/SectionConfidence' },
+                location: { $ref: '#/components/schemas/SectionConfidence' },
+                network: { $ref: '#/components/schemas/SectionConfidence' }
+              }
+            }
+          }
+        },
+        DistanceEndpoint: {
+          type: 'object',
+          properties: {
+            input: { type: 'string' },
+            ip: { type: 'string', nullable: true, description: '坐标端点为 null' },
+            coordinates: {
+              type: 'object',
+              nullable: true,
+              properties: { latitude: { type: 'number' }, longitude: { type: 'number' } }
+            },
+            accuracyKm: { type: 'number', nullable: true, description: '定位误差半径；坐标端点为 0' },
+            countryCode: { type: 'string', nullable: true },
+            asn: { type: 'integer', nullable: true },
+            timezone: { type: 'string', nullable: true }
+          }
+        },
+        DistanceComparison: {
+          type: 'object',
+          properties: {
+            distance: {
+              type: 'object',
+              nullable: true,
+              description: '任一端无坐标为 null；任一 IP 端误差半径未知时 uncertaintyKm / minKm / maxKm 为 null',
+              properties: {
+                km: { type: 'number' },
+                mi: { type: 'number' },
+                uncertaintyKm: { type: 'number', nullable: true },
+                minKm: { type: 'number', nullable: true },
+                maxKm: { type: 'number', nullable: true }
+              }
+            },
+            bearing: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                degrees: { type: 'number', description: '初始方位角，正北 0°，顺时针' },
+                compass: { type: 'string', enum: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'] }
+              }
+            },
+            sameCountry: { type: 'boolean', nullable: true, description: '任一端未知为 null' },
+            sameAsn: { type: 'boolean', nullable: true },
+            sameTimezone: { type: 'boolean', nullable: true }
+          }
+        },
+        Country: {
+          type: 'object',
+          nullable: true,
+          description: '内置国家目录条目；作为 countryDetails 时仅 include=countryDetails 出现，无国家码为 null',
+          properties: {
+            code: { type: 'string', example: 'DE' },
+            name: { type: 'string', description: '按 lang 本地化' },
+            flag: { type: 'string', example: '🇩🇪' },
+            continent: {
+              type: 'object',
+              properties: { code: { type: 'string', example: 'EU' }, name: { type: 'string' } }
+            },
+            capitals: { type: 'array', items: { type: 'string' }, description: '英文名' },
+            currencies: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  code: { type: 'string', example: 'EUR' },
+                  name: { type: 'string' },
+                  symbol: { type: 'string', example: '€' }
+                }
+              }
+            },
+            callingCodes: { type: 'array', items: { type: 'string', example: '+49' } },
+            languages: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { code: { type: 'string', example: 'de' }, name: { type: 'string' } }
+              }
+            },
+            tlds: { type: 'array', items: { type: 'string', example: '.de' } },
+            membership: {
+              type: 'object',
+              properties: { eu: { type: 'boolean' }, eea: { type: 'boolean' } }
+            },
+            neighbours: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { code: { type: 'string' }, name: { type: 'string' } }
+              }
+            }
+          }
+        },
+        Geofence: {
+          type: 'object',
+          required: ['name', 'type'],
+          description: 'polygon 需 geometry；circle 需 center + radiusKm；region 需 countries、subdivisions 或 continents',
+          properties: {
+            name: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$', description: '唯一名称（不能为 all）' },
+            type: { type: 'string', enum: ['polygon', 'circle', 'region'] },
+            description: { type: 'string', nullable: true },
+            geometry: {
+              type: 'object',
+              description: 'GeoJSON Polygon / MultiPolygon（[lng, lat]，环须闭合，不跨 180° 经线，顶点总数 ≤ 10000）',
+              properties: {
+                type: { type: 'string', enum: ['Polygon', 'MultiPolygon'] },
+                coordinates: { type: 'array', items: {} }
+              }
+            },
+            center: {
+              type: 'object',
+              properties: { latitude: { type: 'number' }, longitude: { type: 'number' } }
+            },
+            radiusKm: { type: 'number', maximum: 20000 },
+            countries: { type: 'array', items: { type: 'string', example: 'DE' } },
+            subdivisions: {
+              type: 'array',
+              items: { type: 'string', example: 'US-CA' },
+              description: 'ISO 3166-2 一级行政区代码；按 provider 给出的行政区码判定，缺失时为 unknown'
+            },
+            continents: { type: 'array', items: { type: 'string', example: 'EU' } },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        GeofenceResult: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['polygon', 'circle', 'region'] },
+            contains: { type: 'boolean', nullable: true, description: '坐标点（region 为国家 / 行政区 / 大洲码）是否在围栏内；缺数据为 null' },
+            status: {
+              type: 'string',
+              enum: ['inside', 'outside', 'boundary', 'unknown'],
+              description: 'boundary = 到边界距离小于定位误差半径，实际位置可能在任一侧'
+            },
+            distanceToEdgeKm: { type: 'number', nullable: true, description: '到最近边界的距离；region 围栏为 null' }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+            options: {
+              type: 'object',
+              properties: { lang: { type: 'string' }, includeThreat: { type: 'boolean' } }
+            },
+            input: {
+              type: 'object',
+              description: '提交的值数、去重后的 IP 数、重复数、无效 / 私有地址数与前 10 个样例',
+              properties: {
+                received: { type: 'integer' },
+                unique: { type: 'integer' },
+                duplicates: { type: 'integer' },
+                invalid: { type: 'integer' },
+                invalidSamples: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { value: { type: 'string' }, reason: { type: 'string', enum: ['invalid', 'private'] } }
+                  }
+                }
+              }
+            },
+            progress: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                processed: { type: 'integer' },
+                succeeded: { type: 'integer' },
+                failed: { type: 'integer' },
+                noData: { type: 'integer' },
+                percent: { type: 'number' }
+              }
+            },
+            error: {
+              type: 'object',
+              nullable: true,
+              properties: { code: { type: 'string' }, message: { type: 'string' } }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            updatedAt: { type: 'string', format: 'date-time' },
+            completedAt: { type: 'string', format: 'date-time', nullable: true },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        CountryList: {
+          type: 'object',
+          properties: {
+            countries: { type: 'array', items: { $ref: '#/components/schemas/Country' } },
+            total: { type: 'integer' }
+          }
+        },
+        Timezone: {
+          type: 'object',
+          nullable: true,
+          description: '仅 includeTimezone=true 时出现；无时区名时为 null。由 Intl.DateTimeFormat 即时计算',
+          properties: {
+            name: { type: 'string', example: 'Europe/Berlin' },
+            localTime: { type: 'string', example: '2026-03-29T03:00:00+02:00', description: '带偏移的本地时间' },
+            utcOffsetSeconds: { type: 'integer', example: 7200 },
+            abbreviation: { type: 'string', nullable: true, example: 'GMT+2' },
+            isDst: { type: 'boolean' },
+            nextTransition: {
+              type: 'object',
+              nullable: true,
+              description: '一年内的下一次偏移切换；不实行夏令时为 null',
+              properties: {
+                at: { type: 'string', format: 'date-time' },
+                utcOffsetSeconds: { type: 'integer' },
+                isDst: { type: 'boolean' }
               }
+            }
+          }
+        },
+        Provenance: {
+          type: 'object',
+          description: '仅 explain=true 时出现',
+          properties: {
+            fields: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              description: '点路径字段 → 提供该值的 provider（如 "country.city": "IPInfo"）'
             },
-            provider: { type: 'string' }
+            providers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  tier: { type: 'string', enum: ['sync', 'primary', 'fallback'] },
+                  outcome: { type: 'string', enum: ['data', 'null', 'error', 'skipped'] },
+                  code: { type: 'string', description: 'error 时为 ProviderError.code；skipped 时为跳过原因' }
+                }
+              }
+            }
+          }
+        },
+        SectionConfidence: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            score: { type: 'number', minimum: 0, maximum: 1, description: '胜出值权重 / 报告该字段的总权重' },
+            sources: { type: 'integer', description: '同意胜出值的来源数' },
+            reporting: { type: 'integer', description: '报告该字段的来源数' }
           }
         },
         BatchRequest: {
@@ -287,11 +595,74 @@ function buildOpenApiSpec(serverUrl) {
             }
           }
         },
+        ProviderOverride: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean', nullable: true },
+            priority: { type: 'integer', minimum: 1, maximum: 1000, nullable: true },
+            tier: { type: 'string', enum: ['primary', 'fallback'], nullable: true, description: '仅异步 provider' },
+            timeout: { type: 'integer', minimum: 100, maximum: 30000, nullable: true, description: '毫秒（含重试的总预算）' }
+          }
+        },
+        CachePurge: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          description: '条件之间为「且」',
+          properties: {
+            cidr: { type: 'string', description: '清除落在该网段内的 IP 与与之重叠的网段缓存' },
+            provider: { type: 'string', description: '结果归因的 provider 名' },
+            olderThanSeconds: { type: 'integer', minimum: 0, description: '写入时间早于此秒数' }
+          }
+        },
+        CacheWarm: {
+          type: 'object',
+          required: ['ips'],
+          additionalProperties: false,
+          properties: {
+            ips: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 1000 },
+            language: { type: 'string' },
+            includeThreat: { type: 'boolean' },
+            concurrency: { type: 'integer', minimum: 1, maximum: 20, default: 5 }
+          }
+        },
+        Registration: {
+          type: 'object',
+          description: 'RDAP 注册信息（按 IANA bootstrap 选择 RIR，或经 RDAP_BASE_URL 指定服务器）',
+          properties: {
+            ip: { type: 'string' },
+            cidr: { type: 'string', nullable: true, description: '包含该 IP 的网段 CIDR' },
+            cidrs: { type: 'array', items: { type: 'string' }, description: '网段的全部 CIDR（起止区间可能跨多个前缀）' },
+            startAddress: { type: 'string', nullable: true },
+            endAddress: { type: 'string', nullable: true },
+            name: { type: 'string', nullable: true, description: '网段名（netname）' },
+            handle: { type: 'string', nullable: true },
+            type: { type: 'string', nullable: true },
+            country: { type: 'string', nullable: true },
+            parentHandle: { type: 'string', nullable: true },
+            rir: { type: 'string', nullable: true, enum: ['AFRINIC', 'APNIC', 'ARIN', 'LACNIC', 'RIPE', null] },
+            registrationDate: { type: 'string', format: 'date-time', nullable: true },
+            lastChangedDate: { type: 'string', format: 'date-time', nullable: true },
+            abuse: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                name: { type: 'string', nullable: true },
+                email: { type: 'string', nullable: true },
+                phone: { type: 'string', nullable: true }
+              }
+            },
+            source: { type: 'string', nullable: true, description: '实际应答的 RDAP 服务器主机' }
+          }
+        },
         BatchResult: {
           type: 'object',
           description: '单条批量结果：成功含 data+cached，失败含 error（二者互斥，无 success 布尔）',
           properties: {
-            ip: { type: 'string' },
+            ip: { type: 'string', description: '规范形式' },
+            input: { type: 'string', description: '请求体中的原始写法' },
             data: { $ref: '#/components/schemas/GeoLocation' },
             error: {
               type: 'object',
@@ -300,7 +671,9 @@ function buildOpenApiSpec(serverUrl) {
                 message: { type: 'string' }
               }
             },
-            cached: { type: 'boolean' }
+            cached: { type: 'boolean' },
+            stale: { type: 'boolean', description: '同 Meta.stale' },
+            dataAvailable: { type: 'boolean', description: '同 Meta.dataAvailable；有数据时无此字段' }
           }
         }
       },
@@ -313,6 +686,26 @@ function buildOpenApiSpec(serverUrl) {
           name: 'includeThreat', in: 'query', required: false,
           schema: { type: 'boolean', default: false }
         },
+        IncludeParam: {
+          name: 'include', in: 'query', required: false,
+          schema: { type: 'string', enum: ['countryDetails', 'hostname'] },
+          description: '逗号分隔的附加块；countryDetails = 按国家码嵌入国家目录条目；hostname = 查询反向 DNS（includeThreat=true 时总是查询）'
+        },
+        GeofencesParam: {
+          name: 'geofences', in: 'query', required: false,
+          schema: { type: 'string' },
+          description: 'all 或逗号分隔的围栏名（最多 20 个），附带 geofences 判定块；未知围栏名 400'
+        },
+        IncludeTimezoneParam: {
+          name: 'includeTimezone', in: 'query', required: false,
+          schema: { type: 'boolean', default: false },
+          description: '附带 timezone 块（本地时间、UTC 偏移、缩写、夏令时与下一次切换）'
+        },
+        ExplainParam: {
+          name: 'explain', in: 'query', required: false,
+          schema: { type: 'boolean', default: false },
+          description: '附带 provenance 块（逐字段来源 provider、各 provider 的 tier / 结果 / 错误码）'
+        },
         FieldsParam: {
           name: 'fields', in: 'query', required: false,
           schema: { type: 'string' },
@@ -365,11 +758,16 @@ function buildOpenApiSpec(serverUrl) {
           parameters: [
             { $ref: '#/components/parameters/FormatParam' },
             { $ref: '#/components/parameters/IncludeThreatParam' },
+            { $ref: '#/components/parameters/IncludeTimezoneParam' },
+            { $ref: '#/components/parameters/GeofencesParam' },
+            { $ref: '#/components/parameters/IncludeParam' },
+            { $ref: '#/components/parameters/ExplainParam' },
             { $ref: '#/components/parameters/FieldsParam' },
             { $ref: '#/components/parameters/LangParam' }
           ],
           responses: {
             ...okRef('调用方自身 IP 的地理位置资源'),
+            '304': notModifiedRef(),
             '401': errorRef(),
             '429': errorRef()
           }
@@ -382,9 +780,13 @@ function buildOpenApiSpec(serverUrl) {
           security: [{ ApiKeyAuth: [] }],
           parameters: [
             { $ref: '#/components/parameters/FormatParam' },
-            { $ref: '#/components/parameters/IncludeThreatParam' }
+            { $ref: '#/components/parameters/IncludeThreatParam' },
+            { $ref: '#/components/parameters/IncludeTimezoneParam' },
+            { $ref: '#/components/parameters/GeofencesParam' },
+            { $ref: '#/components/parameters/IncludeParam' },
+            { $ref: '#/components/parameters/ExplainParam' }
           ],
-          responses: { ...okRef('调用方自身 IP 资源'), '401': errorRef() }
+          responses: { ...okRef('调用方自身 IP 资源'), '304': notModifiedRef(), '401': errorRef() }
         }
       },
       '/api/v1/ips/{ip}': {
@@ -396,16 +798,40 @@ function buildOpenApiSpec(serverUrl) {
             { name: 'ip', in: 'path', required: true, schema: { type: 'string' }, description: '公网 IPv4/IPv6' },
             { $ref: '#/components/parameters/FormatParam' },
             { $ref: '#/components/parameters/IncludeThreatParam' },
+            { $ref: '#/components/parameters/IncludeTimezoneParam' },
+            { $ref: '#/components/parameters/GeofencesParam' },
+            { $ref: '#/components/parameters/IncludeParam' },
+            { $ref: '#/components/parameters/ExplainParam' },
             { $ref: '#/components/parameters/FieldsParam' }
           ],
           responses: {
             ...okRef('指定 IP 的地理位置资源'),
+            '304': notModifiedRef(),
             '400': errorRef(),
             '401': errorRef(),
             '404': errorRef()
           }
         }
       },
+      '/api/v1/ips/{ip}/registration': {
+        get: {
+          tags: ['ips'],
+          summary: '指定 IP 的 RDAP 注册信息（独立长 TTL 缓存）',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { name: 'ip', in: 'path', required: true, schema: { type: 'string' }, description: '公网 IPv4/IPv6' }
+          ],
+          responses: {
+            ...okRef('网段、RIR、注册日期与 abuse 联系人', 'Registration'),
+            '304': notModifiedRef(),
+            '400': errorRef(),
+            '401': errorRef(),
+            '404': errorRef(),
+            '502': errorRef(),
+            '504': errorRef()
+          }
+        }
+      },
       '/api/v1/ips:batch': {
         post: {
           tags: ['ips'],
@@ -417,7 +843,11 @@ function buildOpenApiSpec(serverUrl) {
           },
           parameters: [
             { $ref: '#/components/parameters/FormatParam' },
-            { $ref: '#/components/parameters/IncludeThreatParam' }
+            { $ref: '#/components/parameters/IncludeThreatParam' },
+            { $ref: '#/components/parameters/IncludeTimezoneParam' },
+            { $ref: '#/components/parameters/GeofencesParam' },
+            { $ref: '#/components/parameters/IncludeParam' },
+            { $ref: '#/components/parameters/ExplainParam' }
           ],
           responses: {
             '200': {
@@ -453,6 +883,294 @@ function buildOpenApiSpec(serverUrl) {
           }
         }
       },
+      '/api/v1/ips/{ip}/distance': {
+        get: {
+          tags: ['ips'],
+          summary: '与另一 IP 或坐标的距离、方位角与同国家 / ASN / 时区',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { name: 'ip', in: 'path', required: true, schema: { type: 'string' }, description: '公网 IPv4/IPv6' },
+            {
+              name: 'to', in: 'query', required: true, schema: { type: 'string' },
+              description: '公网 IP 或 "lat,lng"'
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'from / to 端点摘要与比较结果',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      data: {
+                        allOf: [
+                          { $ref: '#/components/schemas/DistanceComparison' },
+                          {
+                            type: 'object',
+                            properties: {
+                              from: { $ref: '#/components/schemas/DistanceEndpoint' },
+                              to: { $ref: '#/components/schemas/DistanceEndpoint' }
+                            }
+                          }
+                        ]
+                      },
+                      meta: { $ref: '#/components/schemas/Meta' }
+                    }
+                  }
+                }
+              }
+            },
+            '400': errorRef(),
+            '401': errorRef()
+          }
+        }
+      },
+      '/api/v1/ips:distance': {
+        post: {
+          tags: ['ips'],
+          summary: '距离矩阵（自定义方法）',
+          security: [{ ApiKeyAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['points'],
+                  properties: {
+                    points: {
+                      type: 'array',
+                      minItems: 2,
+                      maxItems: 10,
+                      items: {
+                        oneOf: [
+                          { type: 'string', description: '公网 IP 或 "lat,lng"' },
+                          {
+                            type: 'object',
+                            properties: { latitude: { type: 'number' }, longitude: { type: 'number' } }
+                          }
+                        ]
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'points（端点摘要）、matrix.km / matrix.mi（N×N）与 pairs（i < j 的逐对比较）'
+            },
+            '400': errorRef(),
+            '401': errorRef()
+          }
+        }
+      },
+      '/api/v1/ips:nearest': {
+        post: {
+          tags: ['ips'],
+          summary: '按与调用方 IP（或 from）的距离排列命名点位（自定义方法）',
+          security: [{ ApiKeyAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['points'],
+                  properties: {
+                    from: { type: 'string', description: '公网 IP 或 "lat,lng"；缺省为调用方 IP（取不到或为私有地址时 400）' },
+                    points: {
+                      type: 'array',
+                      minItems: 1,
+                      maxItems: 100,
+                      items: {
+                        type: 'object',
+                        required: ['name', 'latitude', 'longitude'],
+                        properties: {
+                          name: { type: 'string' },
+                          latitude: { type: 'number' },
+                          longitude: { type: 'number' }
+                        }
+                      }
+                    },
+                    limit: { type: 'integer', minimum: 1, maximum: 100 }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'origin 与按距离升序的 results；possiblyNearest 表示考虑 origin 误差半径后仍可能是最近点'
+            },
+            '400': errorRef(),
+            '401': errorRef()
+          }
+        }
+      },
+      '/api/v1/ips/{ip}/geofences': {
+        get: {
+          tags: ['ips'],
+          summary: '该 IP 对各地理围栏的判定',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { name: 'ip', in: 'path', required: true, schema: { type: 'string' }, description: '公网 IPv4/IPv6' },
+            {
+              name: 'names', in: 'query', required: false, schema: { type: 'string' },
+              description: 'all 或逗号分隔的围栏名；缺省为全部围栏'
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'IP 的坐标、误差半径、国家 / 行政区（subdivisionCode）/ 大洲码，逐围栏判定（geofences），' +
+                '以及 status 为 inside / boundary 的围栏名（inside / boundary）'
+            },
+            '400': errorRef(),
+            '401': errorRef()
+          }
+        }
+      },
+      '/api/v1/geofences': {
+        get: {
+          tags: ['geofences'],
+          summary: '地理围栏列表（管理员）',
+          security: [{ ApiKeyAuth: [] }],
+          responses: { '200': { description: 'geofences（按 name 排序）与 total' }, '403': errorRef() }
+        },
+        post: {
+          tags: ['geofences'],
+          summary: '创建地理围栏（管理员）',
+          security: [{ ApiKeyAuth: [] }],
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Geofence' } } }
+          },
+          responses: {
+            '201': { description: '已创建的围栏' },
+            '400': errorRef(),
+            '403': errorRef(),
+            '409': errorRef()
+          }
+        }
+      },
+      '/api/v1/geofences/{name}': {
+        get: {
+          tags: ['geofences'],
+          summary: '单个地理围栏（管理员）',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { ...okRef('围栏定义', 'Geofence'), '403': errorRef(), '404': errorRef() }
+        },
+        delete: {
+          tags: ['geofences'],
+          summary: '删除地理围栏（管理员）',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { '200': { description: '{ name, deleted: true }' }, '403': errorRef(), '404': errorRef() }
+        }
+      },
+      '/api/v1/jobs': {
+        post: {
+          tags: ['jobs'],
+          summary: '创建异步批量查询任务',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { $ref: '#/components/parameters/LangParam' },
+            { name: 'includeThreat', in: 'query', required: false, schema: { type: 'boolean' } },
+            {
+              name: 'column', in: 'query', required: false, schema: { type: 'string' },
+              description: 'CSV 的 IP 列（列名或从 0 开始的序号）；缺省按表头 ip / ip_address / address 等识别，否则第一列'
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    { type: 'array', items: { type: 'string' } },
+                    { type: 'object', properties: { ips: { type: 'array', items: { type: 'string' } } } }
+                  ]
+                }
+              },
+              'text/plain': { schema: { type: 'string', description: '每行一个 IP，忽略空行与 # 注释行' } },
+              'text/csv': { schema: { type: 'string' } },
+              'multipart/form-data': {
+                schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } } }
+              }
+            }
+          },
+          responses: {
+            '202': { description: '已创建的任务（Location 指向任务资源）' },
+            '400': errorRef(),
+            '401': errorRef(),
+            '413': errorRef(),
+            '415': errorRef(),
+            '503': errorRef()
+          }
+        }
+      },
+      '/api/v1/jobs/{id}': {
+        get: {
+          tags: ['jobs'],
+          summary: '任务状态与进度',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+          responses: { ...okRef('任务', 'Job'), '401': errorRef(), '404': errorRef() }
+        }
+      },
+      '/api/v1/jobs/{id}/results': {
+        get: {
+          tags: ['jobs'],
+          summary: '流式导出任务结果',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
+            { name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['ndjson', 'csv'] } }
+          ],
+          responses: {
+            '200': {
+              description: '已完成分片的结果（X-Job-Status 为任务状态）。NDJSON 每行 { ip, data } 或 { ip, error }；' +
+                'CSV 为固定列',
+              content: { 'application/x-ndjson': {}, 'text/csv': {} }
+            },
+            '400': errorRef(),
+            '401': errorRef(),
+            '404': errorRef()
+          }
+        }
+      },
+      '/api/v1/countries': {
+        get: {
+          tags: ['countries'],
+          summary: '国家目录（内置数据集）',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { $ref: '#/components/parameters/LangParam' },
+            {
+              name: 'continent', in: 'query', required: false,
+              schema: { type: 'string', enum: ['AF', 'AN', 'AS', 'EU', 'NA', 'OC', 'SA'] }
+            },
+            { name: 'eu', in: 'query', required: false, schema: { type: 'boolean' } },
+            { name: 'eea', in: 'query', required: false, schema: { type: 'boolean' } }
+          ],
+          responses: { ...okRef('国家列表', 'CountryList'), '400': errorRef(), '401': errorRef() }
+        }
+      },
+      '/api/v1/countries/{code}': {
+        get: {
+          tags: ['countries'],
+          summary: '单个国家',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { name: 'code', in: 'path', required: true, schema: { type: 'string' }, description: 'ISO 3166-1 alpha-2' },
+            { $ref: '#/components/parameters/LangParam' }
+          ],
+          responses: { ...okRef('国家目录条目', 'Country'), '401': errorRef(), '404': errorRef() }
+        }
+      },
       '/api/v1/system/health': {
         get: {
           tags: ['system'],
@@ -476,12 +1194,42 @@ function buildOpenApiSpec(serverUrl) {
       '/api/v1/system/memory': sysGet('内存统计', '内存统计'),
       '/api/v1/system/memory:cleanup': sysGet('触发内存清理', '清理结果', 'post'),
       '/api/v1/system/memory:optimize': sysGet('触发内存优化', '优化结果', 'post'),
-      '/api/v1/system/performance': sysGet('性能统计', '性能统计')
+      '/api/v1/system/performance': sysGet('性能统计', '性能统计'),
+      '/api/v1/system/providers': sysGet('Provider 注册表状态（配置、tier、调用计数、延迟）', 'Provider 状态'),
+      '/api/v1/system/providers/{name}': {
+        patch: {
+          tags: ['system'],
+          summary: 'Provider 运行时覆盖（enabled / priority / tier / timeout，null 清除覆盖）',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string' }, description: '注册表名，如 ipinfo' }
+          ],
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ProviderOverride' } } }
+          },
+          responses: { ...okRef('覆盖后的 provider 状态'), '400': errorRef(), '403': errorRef(), '404': errorRef() }
+        }
+      },
+      '/api/v1/system/cache': sysGet('缓存统计、命中最多的键（?limit=，默认 10）与按年龄分桶', '缓存视图'),
+      '/api/v1/system/cache/ips/{ip}': {
+        delete: {
+          tags: ['system'],
+          summary: '删除某 IP 的结果缓存（全部选项变体）与包含它的网段缓存',
+          security: [{ ApiKeyAuth: [] }],
+          parameters: [
+            { name: 'ip', in: 'path', required: true, schema: { type: 'string' }, description: 'IPv4/IPv6' }
+          ],
+          responses: { ...okRef('各层删除数'), '400': errorRef(), '403': errorRef() }
+        }
+      },
+      '/api/v1/system/cache:purge': sysPost('按网段 / provider / 年龄清除缓存', '各层删除数', 'CachePurge'),
+      '/api/v1/system/cache:warm': sysPost('按 IP 列表经 GeoLookup 预热缓存（并发受限）', '预热汇总', 'CacheWarm')
     }
   };
 }
 
-function okRef(description) {
+function okRef(description, schema = 'GeoLocation') {
   return {
     '200': {
       description,
@@ -490,7 +1238,7 @@ function okRef(description) {
           schema: {
             type: 'object',
             properties: {
-              data: { $ref: '#/components/schemas/GeoLocation' },
+              data: { $ref: `#/components/schemas/${schema}` },
               meta: { $ref: '#/components/schemas/Meta' },
               links: { type: 'object' }
             }
@@ -501,6 +1249,13 @@ function okRef(description) {
   };
 }
 
+/**
+ * 条件 GET 命中（If-None-Match / If-Modified-Since）：无 body
+ */
+function notModifiedRef() {
+  return { description: '资源未变化（ETag / Last-Modified 与请求条件一致），无响应体' };
+}
+
 function errorRef() {
   return {
     description: '错误',
@@ -522,5 +1277,23 @@ function sysGet(summary, okDesc, method = 'get') {
   };
 }
 
+/**
+ * 带 JSON 请求体的 system 自定义方法（POST）
+ */
+function sysPost(summary, okDesc, bodySchema) {
+  return {
+    post: {
+      tags: ['system'],
+      summary,
+      security: [{ ApiKeyAuth: [] }],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${bodySchema}` } } }
+      },
+      responses: { ...okRef(okDesc), '400': errorRef(), '403': errorRef() }
+    }
+  };
+}
+
 export { app, buildOpenApiSpec };
 export default app;
@@ -0,0 +1,187 @@
+/**
+ * 🗺️ 地理围栏定义路由 (/api/v1/geofences)
+ *
+ * 全部端点需管理员 API 密钥（X-API-Key = API_KEY_ADMIN）：
+ *   GET    /api/v1/geofences        全部围栏
+ *   POST   /api/v1/geofences        创建围栏（polygon / circle / region）；同名已存在或数量达上限 409
+ *                                   region 围栏按国家（DE）、一级行政区（ISO 3166-2，US-CA）、大洲（EU）代码集合判定
+ *   GET    /api/v1/geofences/:name  单个围栏
+ *   DELETE /api/v1/geofences/:name  删除围栏
+ *
+ * 判定在 IP 资源上进行：GET /api/v1/ips/:ip/geofences，或查询参数 geofences=all | <name,...>。
+ */
+
+import { Hono } from 'hono';
+import { z } from 'zod';
+import { generateRequestId } from '../utils/response.js';
+import { ENVIRONMENT } from '../config/environment.js';
+import secureLogger from '../utils/secureLogger.js';
+import { createAdminAuthMiddleware } from '../middleware/auth.js';
+import { COUNTRIES, CONTINENTS } from '../data/countries.js';
+import { GEOFENCE_NAME_PATTERN, geofenceService } from '../services/geofences.js';
+import {
+  buildSuccess,
+  buildError,
+  buildLinks,
+  getBaseUrl
+} from '../utils/responseBuilder.js';
+
+const app = new Hono();
+
+// 单个围栏的顶点总数上限（每次判定逐边计算距离）
+const MAX_VERTICES = 10000;
+
+app.use('/api/v1/geofences', createAdminAuthMiddleware());
+app.use('/api/v1/geofences/*', createAdminAuthMiddleware());
+
+function ctx(c) {
+  return { requestId: c.get('requestId') || generateRequestId() };
+}
+
+// 'all' 保留给查询参数 geofences=all
+const geofenceNameSchema = z.string()
+  .regex(GEOFENCE_NAME_PATTERN, 'name 只允许字母、数字、_ 与 -（至多 64 个字符）')
+  .refine((name) => name !== 'all', 'name 不能为 all');
+
+// GeoJSON 位置 [lng, lat(, alt)] → [lng, lat]
+const positionSchema = z.array(z.number()).min(2).max(3)
+  .refine(([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90, '坐标超出经纬度范围')
+  .transform(([lng, lat]) => [lng, lat]);
+
+// 线性环：至少 4 个位置且首尾相同
+const ringSchema = z.array(positionSchema).min(4, '环至少 4 个位置')
+  .refine((ring) => ring[0].every((value, i) => value === ring[ring.length - 1][i]), '环必须闭合');
+
+const polygonCoordinatesSchema = z.array(ringSchema).min(1);
+
+const geometrySchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('Polygon'), coordinates: polygonCoordinatesSchema }),
+  z.object({ type: z.literal('MultiPolygon'), coordinates: z.array(polygonCoordinatesSchema).min(1) })
+]).refine((geometry) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.flat().reduce((sum, ring) => sum + ring.length, 0) <= MAX_VERTICES;
+}, `顶点总数上限 ${MAX_VERTICES}`);
+
+const codeList = (table, label) => z.array(z.string()
+  .transform((code) => code.toUpperCase())
+  .refine((code) => Object.hasOwn(table, code), `未知${label}代码`))
+  .max(300)
+  .default([])
+  .transform((codes) => [...new Set(codes)]);
+
+// ISO 3166-2：国家码 + 1~3 位行政区码；只校验国家部分（行政区码表随各国调整，不内置）
+const subdivisionList = z.array(z.string()
+  .transform((code) => code.toUpperCase())
+  .refine((code) => /^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(code), '行政区代码须为 ISO 3166-2 形式（如 US-CA）')
+  .refine((code) => Object.hasOwn(COUNTRIES, code.slice(0, 2)), '未知国家代码'))
+  .max(300)
+  .default([])
+  .transform((codes) => [...new Set(codes)]);
+
+const common = {
+  name: geofenceNameSchema,
+  description: z.string().max(500).optional()
+};
+
+const geofenceBodySchema = z.discriminatedUnion('type', [
+  z.object({ ...common, type: z.literal('polygon'), geometry: geometrySchema }).strict(),
+  z.object({
+    ...common,
+    type: z.literal('circle'),
+    center: z.object({
+      latitude: z.number().min(-90).max(90),
+      longitude: z.number().min(-180).max(180)
+    }).strict(),
+    radiusKm: z.number().positive().max(20000)
+  }).strict(),
+  z.object({
+    ...common,
+    type: z.literal('region'),
+    countries: codeList(COUNTRIES, '国家'),
+    subdivisions: subdivisionList,
+    continents: codeList(CONTINENTS, '大洲')
+  }).strict()
+]).refine((fence) => fence.type !== 'region' ||
+  fence.countries.length + fence.subdivisions.length + fence.continents.length > 0, {
+  message: '至少提供一个国家、行政区或大洲代码',
+  path: ['countries']
+});
+
+const fenceLinks = (base, name) => ({
+  self: { href: `${base}/api/v1/geofences/${encodeURIComponent(name)}`, method: 'GET' },
+  collection: { href: `${base}/api/v1/geofences`, method: 'GET' }
+});
+
+function notFound(c, name, startTime) {
+  return c.json(
+    buildError('NOT_FOUND', `未知地理围栏: ${name}`, undefined, { ctx: ctx(c), startTime }),
+    { status: 404 }
+  );
+}
+
+// GET /api/v1/geofences — 全部围栏（按 name 排序）
+app.get('/api/v1/geofences', async(c) => {
+  const startTime = Date.now();
+  const geofences = await geofenceService.list(c.env);
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, { self: { href: `${base}/api/v1/geofences`, method: 'GET' } });
+  return c.json(buildSuccess({ geofences, total: geofences.length }, { ctx: ctx(c), startTime, links }));
+});
+
+// POST /api/v1/geofences — 创建围栏
+app.post('/api/v1/geofences', async(c) => {
+  const startTime = Date.now();
+  const parsed = geofenceBodySchema.safeParse(await c.req.json().catch(() => null));
+  if (!parsed.success) {
+    const details = ENVIRONMENT.isDevelopment() ? { issues: parsed.error.issues } : undefined;
+    return c.json(buildError('BAD_REQUEST', '地理围栏校验失败', details, { ctx: ctx(c), startTime }), { status: 400 });
+  }
+
+  const { name } = parsed.data;
+  const conflict = (message) => c.json(buildError('CONFLICT', message, undefined, { ctx: ctx(c), startTime }), {
+    status: 409
+  });
+  if (await geofenceService.get(name, c.env)) {
+    return conflict(`地理围栏已存在: ${name}`);
+  }
+  if ((await geofenceService.list(c.env)).length >= geofenceService.maxFences) {
+    return conflict(`地理围栏数量已达上限 ${geofenceService.maxFences}`);
+  }
+
+  const fence = { ...parsed.data, description: parsed.data.description ?? null, createdAt: new Date().toISOString() };
+  await geofenceService.put(fence, c.env);
+  secureLogger.info('Geofence created', { name, type: fence.type });
+
+  const base = getBaseUrl(c);
+  return c.json(buildSuccess(fence, { ctx: ctx(c), startTime, links: buildLinks(base, fenceLinks(base, name)) }), {
+    status: 201
+  });
+});
+
+// GET /api/v1/geofences/:name — 单个围栏
+app.get('/api/v1/geofences/:name', async(c) => {
+  const startTime = Date.now();
+  const name = c.req.param('name');
+  const fence = GEOFENCE_NAME_PATTERN.test(name) ? await geofenceService.get(name, c.env) : null;
+  if (!fence) {
+    return notFound(c, name, startTime);
+  }
+  const base = getBaseUrl(c);
+  return c.json(buildSuccess(fence, { ctx: ctx(c), startTime, links: buildLinks(base, fenceLinks(base, name)) }));
+});
+
+// DELETE /api/v1/geofences/:name — 删除围栏
+app.delete('/api/v1/geofences/:name', async(c) => {
+  const startTime = Date.now();
+  const name = c.req.param('name');
+  if (!GEOFENCE_NAME_PATTERN.test(name) || !(await geofenceService.remove(name, c.env))) {
+    return notFound(c, name, startTime);
+  }
+  secureLogger.info('Geofence deleted', { name });
+
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, { collection: { href: `${base}/api/v1/geofences`, method: 'GET' } });
+  return c.json(buildSuccess({ name, deleted: true }, { ctx: ctx(c), startTime, links }));
+});
+
+export default app;
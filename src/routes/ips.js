@@ -5,9 +5,15 @@
  *   GET  /api/v1/ips         集合（默认返回调用方自身 IP 的地理位置）
  *   GET  /api/v1/ips/self    调用方自身 IP（显式）
  *   GET  /api/v1/ips/:ip     指定公网 IP 资源
+ *   GET  /api/v1/ips/:ip/registration  RDAP 注册信息（网段、RIR、abuse 联系人）
  *   POST /api/v1/ips:batch   批量查询（Google AIP 自定义方法风格）
+ *   GET  /api/v1/ips/:ip/distance  与另一 IP / 坐标的距离、方位角与同国家 / ASN / 时区
+ *   POST /api/v1/ips:distance 距离矩阵
+ *   POST /api/v1/ips:nearest  按与调用方 IP 的距离排列命名点位
+ *   GET  /api/v1/ips/:ip/geofences 该 IP 落在哪些地理围栏内（含到边界距离与定位误差判定）
  *
- * 查询参数全部 camelCase：format / lang / fields / includeThreat / pretty / callback / timeout
+ * 查询参数全部 camelCase：format / lang / fields / include / includeThreat / includeTimezone / explain / pretty /
+ * callback / timeout / geofences
  */
 
 import { Hono } from 'hono';
@@ -17,7 +23,7 @@ import { geoLookup } from '../services/geoLookup.js';
 import { generateRequestId } from '../utils/response.js';
 import { ENVIRONMENT } from '../config/environment.js';
 import secureLogger from '../utils/secureLogger.js';
-import { getGeoCache, getRateLimitCache, SecureCache } from '../utils/secureCache.js';
+import { getRateLimitCache, getRegistrationCache } from '../utils/secureCache.js';
 import { SecurityChecker } from '../utils/inputValidator.js';
 import { ErrorFactory, ERROR_TYPES } from '../utils/errorHandler.js';
 import { config } from '../config/configManager.js';
@@ -29,6 +35,17 @@ import {
   getBaseUrl
 } from '../utils/responseBuilder.js';
 import { buildGeoResource, serializeByFormat } from '../utils/geoFormatter.js';
+import { computeETag, isNotModified, stableBody } from '../utils/conditionalRequest.js';
+import { canonicalizeIP } from '../utils/ipValidation.js';
+import { createRdapClient, RdapErrorCode } from '../services/rdapClient.js';
+import {
+  compareEndpoints,
+  endpointFromGeo,
+  endpointFromPoint,
+  parseLatLng,
+  rankByDistance
+} from '../services/proximity.js';
+import { GEOFENCE_NAME_PATTERN, evaluateGeofences, geofenceService, geofenceSubject } from '../services/geofences.js';
 
 const app = new Hono();
 
@@ -36,8 +53,13 @@ const MAX_FIELD_DEPTH = 5;
 const MAX_FIELDS_COUNT = 50;
 const MAX_BATCH_SIZE = 20;
 const MAX_BATCH_CONCURRENCY = 5;
+const MAX_DISTANCE_POINTS = 10;
+const MAX_NEAREST_POINTS = 100;
+const MAX_GEOFENCE_NAMES = 20;
+// include 查询参数可选的附加块
+const INCLUDE_OPTIONS = ['countryDetails', 'hostname'];
 
-// 私有/环回/链路本地/保留地址前缀（拒绝查询）
+// 私有/环回/链路本地/保留地址前缀（拒绝查询；routes/jobs.js 与 system.js 的 cache:warm 复用 isBlockedIp）
 const BLOCKED_IP_PATTERNS = [
   /^10\./,
   /^172\.(1[6-9]|2[0-9]|3[01])\./,
@@ -55,17 +77,23 @@ const BLOCKED_IP_PATTERNS = [
 const isBlockedIp = (ip) => BLOCKED_IP_PATTERNS.some((re) => re.test(ip));
 
 const productionConfig = () => ({
-  CACHE_TTL: config.get('cache.ttl', 300000),
   REQUEST_TIMEOUT: config.get('api.timeout', 10000),
   MAX_CONCURRENT_REQUESTS: config.get('api.maxConcurrentRequests', 100)
 });
 
-const getCache = () => getGeoCache();
 const getRateLimitMap = () => getRateLimitCache();
 
 /**
  * 查询参数 Schema（camelCase 规范）
  */
+// 'all' → []（全部围栏）；否则去重后的围栏名数组
+const geofenceNamesSchema = z.string()
+  .max(1500, 'geofences 参数过长')
+  .refine((v) => v.split(',').some((name) => name.trim()), 'geofences 不能为空')
+  .transform((v) => (v.trim() === 'all' ? [] : [...new Set(v.split(',').map((name) => name.trim()).filter(Boolean))]))
+  .refine((names) => names.length <= MAX_GEOFENCE_NAMES, `最多 ${MAX_GEOFENCE_NAMES} 个围栏`)
+  .refine((names) => names.every((name) => GEOFENCE_NAME_PATTERN.test(name)), 'geofences 含非法围栏名');
+
 const geoQuerySchema = z.object({
   format: z.enum(['json', 'xml', 'csv'], {
     errorMap: () => ({ message: 'format 必须是 json | xml | csv 之一' })
@@ -115,6 +143,30 @@ const geoQuerySchema = z.object({
     z.boolean()
   ]).optional().default(false),
 
+  // 逗号分隔的附加块：countryDetails（国家目录条目）、hostname（反向 DNS，includeThreat 时总是查询）
+  include: z.string()
+    .max(100, 'include 参数过长')
+    .transform((v) => v.split(',').map((item) => item.trim()).filter(Boolean))
+    .refine((items) => items.every((item) => INCLUDE_OPTIONS.includes(item)), {
+      message: `include 只支持 ${INCLUDE_OPTIONS.join(' | ')}`
+    })
+    .optional(),
+
+  // 附带 geofences 块：all 或逗号分隔的围栏名（解析为名称数组，all 为空数组）
+  geofences: geofenceNamesSchema.optional(),
+
+  // 附带 timezone 块（本地时间 / UTC 偏移 / 缩写 / 夏令时 / 下一次切换）
+  includeTimezone: z.union([
+    z.string().transform((v) => v.toLowerCase() === 'true'),
+    z.boolean()
+  ]).optional().default(false),
+
+  // 附带 provenance（逐字段来源 provider + 各 provider 的 tier / 结果 / 错误码）
+  explain: z.union([
+    z.string().transform((v) => v.toLowerCase() === 'true'),
+    z.boolean()
+  ]).optional().default(false),
+
   timeout: z.coerce.number()
     .min(100, 'timeout 至少 100ms')
     .max(10000, 'timeout 不超过 10000ms')
@@ -128,25 +180,86 @@ const geoQuerySchema = z.object({
   return data;
 });
 
+// 规范化为 canonicalizeIP 形式后再做私有/保留地址判定（`::ffff:127.0.0.1` 按 127.0.0.1 拒绝）
+const canonical = (ip) => canonicalizeIP(ip) || ip;
+
 /**
- * 路径参数 Schema：合法 IP + 拒绝私有/保留地址
+ * 路径参数 Schema：合法 IP → 规范形式 + 拒绝私有/保留地址（原始写法经 c.req.param('ip') 读取）
  */
 const ipParamSchema = z.object({
   ip: z.string()
     .ip('IP 地址格式无效')
+    .transform(canonical)
     .refine((ip) => !isBlockedIp(ip), '不允许查询私有/环回 IP 地址')
 });
 
 /**
- * 批量请求体 Schema
+ * 批量请求体 Schema：每项转为 { input: 原始写法, ip: 规范形式 }
  */
 const batchBodySchema = z.object({
-  ips: z.array(z.string().ip('包含无效 IP 地址'))
+  ips: z.array(z.string().ip('包含无效 IP 地址').transform((input) => ({ input, ip: canonical(input) })))
     .min(1, '至少提供 1 个 IP')
     .max(MAX_BATCH_SIZE, `单次最多 ${MAX_BATCH_SIZE} 个 IP`)
-    .refine((ips) => ips.every((ip) => !isBlockedIp(ip)), '批量查询不允许包含私有/环回 IP')
+    .refine((ips) => ips.every(({ ip }) => !isBlockedIp(ip)), '批量查询不允许包含私有/环回 IP')
 });
 
+/**
+ * 距离端点：'lat,lng' → { input, point }；公网 IP → { input, ip（规范形式） }；其他（含私有地址）→ null
+ */
+function parseEndpointInput(input) {
+  const point = parseLatLng(input);
+  if (point) return { input, point };
+  if (!z.string().ip().safeParse(input).success) return null;
+  const ip = canonical(input);
+  return isBlockedIp(ip) ? null : { input, ip };
+}
+
+const endpointInputSchema = z.string()
+  .max(100, '端点过长')
+  .transform(parseEndpointInput)
+  .refine((endpoint) => endpoint !== null, '端点必须是公网 IP 或 "lat,lng"');
+
+const coordinatesSchema = {
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180)
+};
+
+const distanceQuerySchema = z.object({
+  to: endpointInputSchema,
+  timeout: z.coerce.number()
+    .min(100, 'timeout 至少 100ms')
+    .max(10000, 'timeout 不超过 10000ms')
+    .optional()
+});
+
+const geofenceQuerySchema = z.object({
+  names: geofenceNamesSchema.optional(),
+  timeout: z.coerce.number()
+    .min(100, 'timeout 至少 100ms')
+    .max(10000, 'timeout 不超过 10000ms')
+    .optional()
+});
+
+// 矩阵：端点为 IP / 'lat,lng' 字符串或 { latitude, longitude }
+const distanceBodySchema = z.object({
+  points: z.array(z.union([
+    endpointInputSchema,
+    z.object(coordinatesSchema).strict()
+      .transform((point) => ({ input: `${point.latitude},${point.longitude}`, point }))
+  ]))
+    .min(2, '至少提供 2 个端点')
+    .max(MAX_DISTANCE_POINTS, `最多 ${MAX_DISTANCE_POINTS} 个端点`)
+}).strict();
+
+// 邻近排名：from 缺省为调用方 IP
+const nearestBodySchema = z.object({
+  from: endpointInputSchema.optional(),
+  points: z.array(z.object({ name: z.string().min(1).max(100), ...coordinatesSchema }).strict())
+    .min(1, '至少提供 1 个点位')
+    .max(MAX_NEAREST_POINTS, `最多 ${MAX_NEAREST_POINTS} 个点位`),
+  limit: z.number().int().min(1).max(MAX_NEAREST_POINTS).optional()
+}).strict();
+
 // 标准校验失败钩子
 const validationHook = (result, c) => {
   if (result.success) return;
@@ -182,48 +295,80 @@ async function secureGeoLookup(ip, request, options) {
   return geoLookup.get(ip, request, options);
 }
 
-// Cache key 已集中到 SecureCache.cacheKeyFor（候选 3）；route 直接调用，不留 wrapper。
+// 客户端 Cache-Control: no-cache / no-store 跳过缓存读取，强制重新查询
+const wantsRefresh = (c) => /\bno-(?:cache|store)\b/i.test(c.req.header('Cache-Control') || '');
 
-const getFromCache = (key) => getCache().get(key);
-const setCache = (key, data) => getCache().set(key, data, productionConfig().CACHE_TTL);
+// stale 结果的后台刷新挂到 Workers executionCtx.waitUntil；Node / 测试环境下 Hono 访问 executionCtx 会抛错
+function waitUntilOf(c) {
+  try {
+    const executionCtx = c.executionCtx;
+    return typeof executionCtx?.waitUntil === 'function' ? (promise) => executionCtx.waitUntil(promise) : undefined;
+  } catch {
+    return undefined;
+  }
+}
 
 /**
- * 单次 geo 查询 + 缓存 + 监控，返回标准化的响应信封
+ * 带超时的 geo 查询（query.timeout，缺省 api.timeout）；客户端 no-cache 时跳过缓存读取
  */
-async function resolveGeo(c, ip, query, requestId) {
-  const startTime = Date.now();
-  const ctx = { requestId };
-  const cacheKey = SecureCache.cacheKeyFor(ip, query);
-
-  const cached = getFromCache(cacheKey);
-  if (cached) {
-    monitoringService.metricsCollector.incrementCounter('cache_hits', 1, { endpoint: 'ips', cached: true });
-    const body = buildSuccess(cached.data, {
-      ctx,
-      startTime,
-      links: cached.links,
-      meta: { cached: true, provider: cached.data?.provider || 'unknown' }
-    });
-    return body;
-  }
-
-  const cfg = productionConfig();
+async function lookupWithTimeout(c, ip, query) {
   const controller = new AbortController();
-  const timeout = query.timeout || cfg.REQUEST_TIMEOUT;
+  const timeout = query.timeout || productionConfig().REQUEST_TIMEOUT;
   const timer = setTimeout(() => controller.abort(new Error('Request timeout')), timeout);
-  let geoInfo;
   try {
-    geoInfo = await secureGeoLookup(ip, c.req, {
+    return await secureGeoLookup(ip, c.req, {
       language: query.lang,
       includeThreat: query.includeThreat,
+      includeHostname: query.include?.includes('hostname'),
       env: c.env,
-      signal: controller.signal
+      signal: controller.signal,
+      refresh: wantsRefresh(c),
+      waitUntil: waitUntilOf(c)
     });
   } finally {
     clearTimeout(timer);
   }
+}
+
+/**
+ * geofences 查询参数 → query.fences（围栏定义，供 buildGeoResource 判定）；有未知围栏名时返回 400 响应
+ */
+async function withGeofences(c, query, requestId, startTime) {
+  if (!query.geofences) return { query };
+  const { fences, missing } = await geofenceService.select(query.geofences, c.env);
+  if (missing.length > 0) {
+    return {
+      response: c.json(
+        buildError('BAD_REQUEST', `未知地理围栏: ${missing.join(', ')}`, undefined, { ctx: { requestId }, startTime }),
+        { status: 400 }
+      )
+    };
+  }
+  return { query: { ...query, fences } };
+}
+
+/**
+ * 单次 geo 查询 + 监控，返回标准化的响应信封。
+ * 缓存只在 GeoLookup 结果缓存一层（CacheStore）；资源投影（fields / explain / input）每次按 query 重算。
+ * @param {string} ip - 规范形式 IP
+ * @param {string} [input] - 调用方提供的原始写法（默认同 ip）
+ */
+async function resolveGeo(c, ip, query, requestId, input = ip) {
+  const startTime = Date.now();
+  const ctx = { requestId };
 
-  const resource = buildGeoResource(geoInfo, ip, query);
+  const geoInfo = await lookupWithTimeout(c, ip, query);
+
+  // cached：结果缓存命中；stale：旧值（软 TTL 后后台刷新中，或 provider 失败时兜底）
+  // dataAvailable：false 表示没有可用的地理数据（provider 均明确无数据，或报错且无旧值可兜底）
+  const cached = Boolean(geoInfo?.cached);
+  const stale = Boolean(geoInfo?.stale);
+  const dataAvailable = geoInfo?.dataAvailable !== false;
+  // outcome：'data' | 'no-data' | 'error'（provider 报错且无旧值兜底）；早于该字段写入的缓存条目按 dataAvailable 推断
+  const outcome = geoInfo?.outcome || (dataAvailable ? 'data' : 'no-data');
+  // Last-Modified：结果缓存条目的写入时间；本次新查询即为现在
+  c.set('lastModified', cached && geoInfo.storedAt ? geoInfo.storedAt : Date.now());
+  const resource = buildGeoResource(geoInfo, ip, query, input);
   const base = getBaseUrl(c);
   const links = buildLinks(base, {
     self: { href: `${base}/api/v1/ips/${encodeURIComponent(ip)}`, method: 'GET' },
@@ -235,11 +380,13 @@ async function resolveGeo(c, ip, query, requestId) {
     ctx,
     startTime,
     links,
-    meta: { cached: false, provider: resource.provider || 'unknown' }
+    meta: { cached, ...(stale && { stale }), dataAvailable, outcome, provider: resource.provider || 'unknown' }
   });
 
-  // 缓存 data + links（不含 meta，meta 每次重算 requestId/processingTimeMs）
-  setCache(cacheKey, { data: resource, links });
+  if (cached) {
+    monitoringService.metricsCollector.incrementCounter('cache_hits', 1, { endpoint: 'ips', cached: true });
+    return body;
+  }
 
   const processingTime = Date.now() - startTime;
   monitoringService.metricsCollector.recordHistogram('request_duration', processingTime, {
@@ -298,10 +445,30 @@ function handleError(c, error, ip, requestId, startTime) {
   );
 }
 
+// api.enableETag；配置未初始化时按默认开启
+function etagEnabled() {
+  try {
+    return config.get('api.enableETag', true) !== false;
+  } catch {
+    return true;
+  }
+}
+
 /**
- * 按格式序列化响应信封并输出
+ * 响应的 Cache-Control：provider 报错（meta.outcome 'error'）不允许任何缓存，下次请求即重试；
+ * 旧值（meta.stale）需重新验证；其余可共享缓存 5 分钟
  */
-function sendFormatted(c, body, query) {
+function cacheControlFor(meta) {
+  if (meta?.outcome === 'error') return 'no-store';
+  return meta?.stale ? 'public, max-age=0' : 'public, max-age=300';
+}
+
+/**
+ * 按格式序列化响应信封并输出。
+ * GET 响应带 ETag（剔除易变 meta 后的序列化结果）与 Last-Modified（c.get('lastModified')），
+ * If-None-Match / If-Modified-Since 命中时返回无 body 的 304。api.enableETag=false 时关闭。
+ */
+async function sendFormatted(c, body, query) {
   if (query.callback && String(c.env?.ENABLE_JSONP || '').toLowerCase() !== 'true') {
     const requestId = c.get('requestId') || generateRequestId();
     const startTime = c.get('startTime') || Date.now();
@@ -313,10 +480,25 @@ function sendFormatted(c, body, query) {
   const { content, contentType, disposition } = serializeByFormat(body, query);
   const headers = {
     'Content-Type': contentType,
-    'Cache-Control': 'public, max-age=300',
+    'Cache-Control': cacheControlFor(body?.meta),
     'Vary': 'Accept-Encoding'
   };
   if (disposition) headers['Content-Disposition'] = disposition;
+
+  if (c.req.method === 'GET' && etagEnabled()) {
+    const validators = {
+      etag: await computeETag(serializeByFormat(stableBody(body), query).content, contentType),
+      lastModified: c.get('lastModified')
+    };
+    headers['ETag'] = validators.etag;
+    if (typeof validators.lastModified === 'number') {
+      headers['Last-Modified'] = new Date(validators.lastModified).toUTCString();
+    }
+    if (isNotModified((name) => c.req.header(name), validators)) {
+      const { 'Content-Type': _type, 'Content-Disposition': _disposition, ...notModified } = headers;
+      return new Response(null, { status: 304, headers: notModified });
+    }
+  }
   return new Response(content, { headers });
 }
 
@@ -332,7 +514,9 @@ app.get('/api/v1/ips', validate('query', geoQuerySchema), async(c) => {
     const query = c.req.valid('query');
     secureLogger.info('IP collection lookup', { requestId, clientIP, query });
 
-    const body = await resolveGeo(c, clientIP, query, requestId);
+    const fenced = await withGeofences(c, query, requestId, startTime);
+    if (fenced.response) return fenced.response;
+    const body = await resolveGeo(c, clientIP, fenced.query, requestId);
     return sendFormatted(c, body, query);
   } catch (error) {
     return handleError(c, error, c.get('clientIP'), requestId, startTime);
@@ -351,7 +535,9 @@ app.get('/api/v1/ips/self', validate('query', geoQuerySchema), async(c) => {
     const query = c.req.valid('query');
     secureLogger.info('IP self lookup', { requestId, clientIP });
 
-    const body = await resolveGeo(c, clientIP, query, requestId);
+    const fenced = await withGeofences(c, query, requestId, startTime);
+    if (fenced.response) return fenced.response;
+    const body = await resolveGeo(c, clientIP, fenced.query, requestId);
     // self 的 self 链接指向 /self
     body.links = buildLinks(getBaseUrl(c), {
       self: { href: `${getBaseUrl(c)}/api/v1/ips/self`, method: 'GET' },
@@ -378,7 +564,9 @@ app.get('/api/v1/ips/:ip',
       const query = c.req.valid('query');
       secureLogger.info('IP resource lookup', { requestId, targetIP: ip, query });
 
-      const body = await resolveGeo(c, ip, query, requestId);
+      const fenced = await withGeofences(c, query, requestId, startTime);
+      if (fenced.response) return fenced.response;
+      const body = await resolveGeo(c, ip, fenced.query, requestId, c.req.param('ip'));
       return sendFormatted(c, body, query);
     } catch (error) {
       return handleError(c, error, ip, requestId, startTime);
@@ -386,6 +574,69 @@ app.get('/api/v1/ips/:ip',
   }
 );
 
+// RdapError.code → HTTP 状态 / 信封错误码
+const RDAP_ERROR_RESPONSES = {
+  [RdapErrorCode.NOT_FOUND]: { status: 404, code: 'NOT_FOUND', message: '未找到该 IP 的注册信息' },
+  [RdapErrorCode.NO_REGISTRY]: { status: 404, code: 'NOT_FOUND', message: '该 IP 不属于任何 RIR 分配' },
+  [RdapErrorCode.TIMEOUT]: { status: 504, code: 'GATEWAY_TIMEOUT', message: 'RDAP 服务器响应超时' },
+  [RdapErrorCode.UPSTREAM_ERROR]: { status: 502, code: 'BAD_GATEWAY', message: 'RDAP 服务器返回异常' }
+};
+
+// ============================================================
+// GET /api/v1/ips/:ip/registration — RDAP 注册信息（独立长 TTL 缓存）
+// ============================================================
+app.get('/api/v1/ips/:ip/registration', validate('param', ipParamSchema), async(c) => {
+  const startTime = Date.now();
+  const requestId = c.get('requestId') || generateRequestId();
+  const ctx = { requestId };
+  const { ip } = c.req.valid('param');
+  const cacheKey = `rdap:${ip}`;
+
+  const cached = getRegistrationCache().get(cacheKey);
+  if (cached) {
+    monitoringService.metricsCollector.incrementCounter('cache_hits', 1, { endpoint: 'registration', cached: true });
+    c.set('lastModified', cached.storedAt);
+    const body = buildSuccess(cached.data, { ctx, startTime, links: cached.links, meta: { cached: true } });
+    return sendFormatted(c, body, {});
+  }
+
+  try {
+    secureLogger.info('IP registration lookup', { requestId, targetIP: ip });
+    const registration = await createRdapClient().lookup(ip);
+
+    const base = getBaseUrl(c);
+    const links = buildLinks(base, {
+      self: { href: `${base}/api/v1/ips/${encodeURIComponent(ip)}/registration`, method: 'GET' },
+      geo: { href: `${base}/api/v1/ips/${encodeURIComponent(ip)}`, method: 'GET' }
+    });
+    const storedAt = Date.now();
+    getRegistrationCache().set(cacheKey, { data: registration, links, storedAt });
+    monitoringService.metricsCollector.incrementCounter('cache_misses', 1, { endpoint: 'registration' });
+
+    c.set('lastModified', storedAt);
+    return sendFormatted(c, buildSuccess(registration, { ctx, startTime, links, meta: { cached: false } }), {});
+  } catch (error) {
+    const mapped = RDAP_ERROR_RESPONSES[error.code];
+    if (!mapped) {
+      return handleError(c, error, ip, requestId, startTime);
+    }
+    secureLogger.warn('IP registration lookup failed', { requestId, targetIP: ip, error: error.message });
+    monitoringService.metricsCollector.incrementCounter('api_errors', 1, {
+      endpoint: 'registration',
+      error_type: error.code.toLowerCase()
+    });
+    return c.json(
+      buildError(
+        mapped.code,
+        mapped.message,
+        ENVIRONMENT.isDevelopment() ? { error: error.message } : undefined,
+        { ctx, startTime }
+      ),
+      { status: mapped.status }
+    );
+  }
+});
+
 // ============================================================
 // POST /api/v1/ips:batch — 批量查询（自定义方法）
 // ============================================================
@@ -414,9 +665,11 @@ app.post('/api/v1/ips:batch', validate('query', geoQuerySchema), async(c) => {
   }
 
   const { ips } = parsed.data;
-  const query = c.req.valid('query');
 
   try {
+    const fenced = await withGeofences(c, c.req.valid('query'), requestId, startTime);
+    if (fenced.response) return fenced.response;
+    const { query } = fenced;
     secureLogger.info('IP batch lookup', { requestId, ipCount: ips.length, format: query.format });
 
     const cfg = productionConfig();
@@ -425,35 +678,25 @@ app.post('/api/v1/ips:batch', validate('query', geoQuerySchema), async(c) => {
 
     for (let i = 0; i < ips.length; i += concurrency) {
       const slice = ips.slice(i, i + concurrency);
-      const batchResults = await Promise.all(slice.map(async(ip) => {
+      const batchResults = await Promise.all(slice.map(async({ input, ip }) => {
         try {
-          const cacheKey = SecureCache.cacheKeyFor(ip, query);
-          const cached = getFromCache(cacheKey);
-          if (cached) {
-            return { ip, data: cached.data, cached: true };
-          }
-          const controller = new AbortController();
-          const timeout = query.timeout || cfg.REQUEST_TIMEOUT;
-          const timer = setTimeout(() => controller.abort(new Error('Request timeout')), timeout);
-          let geoInfo;
-          try {
-            geoInfo = await secureGeoLookup(ip, c.req, {
-              language: query.lang,
-              includeThreat: query.includeThreat,
-              env: c.env,
-              signal: controller.signal
-            });
-          } finally {
-            clearTimeout(timer);
-          }
-          const resource = buildGeoResource(geoInfo, ip, query);
-          setCache(cacheKey, { data: resource, links: null });
-          return { ip, data: resource, cached: false };
+          const geoInfo = await lookupWithTimeout(c, ip, query);
+          const resource = buildGeoResource(geoInfo, ip, query, input);
+          return {
+            ip,
+            input,
+            data: resource,
+            cached: Boolean(geoInfo?.cached),
+            ...(geoInfo?.stale && { stale: true }),
+            ...(geoInfo?.dataAvailable === false && { dataAvailable: false }),
+            ...(geoInfo?.outcome === 'error' && { outcome: 'error' })
+          };
         } catch (error) {
           secureLogger.warn('Batch lookup failed for IP', { requestId, ip, error: error.message });
           const isTimeout = error.name === 'TimeoutError' || /timeout|aborted/i.test(error.message || '');
           return {
             ip,
+            input,
             error: {
               code: isTimeout ? 'REQUEST_TIMEOUT' : 'GEOLOCATION_ERROR',
               message: isTimeout ? '请求超时' : '获取地理位置信息失败'
@@ -487,7 +730,8 @@ app.post('/api/v1/ips:batch', validate('query', geoQuerySchema), async(c) => {
           ipCount: ips.length,
           format: query.format,
           language: query.lang,
-          includeThreat: query.includeThreat
+          includeThreat: query.includeThreat,
+          explain: query.explain
         }
       }
     });
@@ -504,7 +748,187 @@ app.post('/api/v1/ips:batch', validate('query', geoQuerySchema), async(c) => {
   }
 });
 
+/**
+ * 端点 → 摘要；IP 经 GeoLookup 定位（语言固定 en，不做威胁检测）
+ */
+async function resolveEndpoint(c, endpoint, timeout) {
+  if (endpoint.point) {
+    return endpointFromPoint(endpoint.input, endpoint.point);
+  }
+  const geoInfo = await lookupWithTimeout(c, endpoint.ip, { lang: 'en', timeout });
+  return endpointFromGeo(endpoint.input, endpoint.ip, geoInfo);
+}
+
+function invalidBody(c, message, parsed, startTime, requestId) {
+  const details = ENVIRONMENT.isDevelopment() ? { issues: parsed.error.issues } : undefined;
+  return c.json(buildError('BAD_REQUEST', message, details, { ctx: { requestId }, startTime }), { status: 400 });
+}
+
+// ============================================================
+// GET /api/v1/ips/:ip/distance?to=<ip|lat,lng> — 两端距离、方位角与同国家 / ASN / 时区
+// ============================================================
+app.get('/api/v1/ips/:ip/distance',
+  validate('param', ipParamSchema),
+  validate('query', distanceQuerySchema),
+  async(c) => {
+    const startTime = Date.now();
+    const requestId = c.get('requestId') || generateRequestId();
+    const { ip } = c.req.valid('param');
+    const { to, timeout } = c.req.valid('query');
+
+    try {
+      const [from, target] = await Promise.all([
+        resolveEndpoint(c, { input: c.req.param('ip'), ip }, timeout),
+        resolveEndpoint(c, to, timeout)
+      ]);
+      const comparison = compareEndpoints(from, target);
+
+      const base = getBaseUrl(c);
+      const links = buildLinks(base, {
+        self: { href: `${base}/api/v1/ips/${encodeURIComponent(ip)}/distance`, method: 'GET' },
+        geo: { href: `${base}/api/v1/ips/${encodeURIComponent(ip)}`, method: 'GET' },
+        matrix: { href: `${base}/api/v1/ips:distance`, method: 'POST' }
+      });
+      return c.json(buildSuccess({ from, to: target, ...comparison }, {
+        ctx: { requestId },
+        startTime,
+        links,
+        meta: { dataAvailable: comparison.distance !== null }
+      }));
+    } catch (error) {
+      return handleError(c, error, ip, requestId, startTime);
+    }
+  }
+);
+
+// ============================================================
+// POST /api/v1/ips:distance — 距离矩阵（自定义方法）
+// ============================================================
+app.post('/api/v1/ips:distance', async(c) => {
+  const startTime = Date.now();
+  const requestId = c.get('requestId') || generateRequestId();
+  const raw = await c.req.json().catch(() => null);
+  const parsed = distanceBodySchema.safeParse(raw);
+  if (!parsed.success) {
+    return invalidBody(c, '距离请求体校验失败', parsed, startTime, requestId);
+  }
+
+  try {
+    const points = await Promise.all(parsed.data.points.map((endpoint) => resolveEndpoint(c, endpoint)));
+    const km = points.map(() => points.map(() => null));
+    const mi = points.map(() => points.map(() => null));
+    const pairs = [];
+    for (let i = 0; i < points.length; i++) {
+      km[i][i] = points[i].coordinates ? 0 : null;
+      mi[i][i] = km[i][i];
+      for (let j = i + 1; j < points.length; j++) {
+        const comparison = compareEndpoints(points[i], points[j]);
+        km[i][j] = km[j][i] = comparison.distance?.km ?? null;
+        mi[i][j] = mi[j][i] = comparison.distance?.mi ?? null;
+        pairs.push({ from: i, to: j, ...comparison });
+      }
+    }
+
+    const base = getBaseUrl(c);
+    const links = buildLinks(base, {
+      self: { href: `${base}/api/v1/ips:distance`, method: 'POST' },
+      nearest: { href: `${base}/api/v1/ips:nearest`, method: 'POST' }
+    });
+    return c.json(buildSuccess({ points, matrix: { km, mi }, pairs }, { ctx: { requestId }, startTime, links }));
+  } catch (error) {
+    return handleError(c, error, 'distance', requestId, startTime);
+  }
+});
+
+// ============================================================
+// POST /api/v1/ips:nearest — 按与调用方 IP（或 from）的距离排列命名点位（自定义方法）
+// ============================================================
+app.post('/api/v1/ips:nearest', async(c) => {
+  const startTime = Date.now();
+  const requestId = c.get('requestId') || generateRequestId();
+  const raw = await c.req.json().catch(() => null);
+  const parsed = nearestBodySchema.safeParse(raw);
+  if (!parsed.success) {
+    return invalidBody(c, '邻近请求体校验失败', parsed, startTime, requestId);
+  }
+
+  const { from, points, limit } = parsed.data;
+  // 缺省 from 时以调用方 IP 为原点；取不到或为私有 / 保留地址（本地开发、内网代理）时无法定位，要求显式 from
+  const clientIP = c.get('clientIP') || c.req.header('CF-Connecting-IP');
+  const clientOrigin = clientIP && canonicalizeIP(clientIP);
+  if (!from && (!clientOrigin || isBlockedIp(clientOrigin))) {
+    return c.json(buildError('BAD_REQUEST', '无法以调用方 IP 为原点（缺失或为私有/保留地址），请提供 from', undefined, {
+      ctx: { requestId },
+      startTime
+    }), { status: 400 });
+  }
+  const originInput = from ?? { input: clientIP, ip: clientOrigin };
+
+  try {
+    const origin = await resolveEndpoint(c, originInput);
+    const results = origin.coordinates ? rankByDistance(origin, points).slice(0, limit ?? points.length) : [];
+
+    const base = getBaseUrl(c);
+    const links = buildLinks(base, {
+      self: { href: `${base}/api/v1/ips:nearest`, method: 'POST' },
+      matrix: { href: `${base}/api/v1/ips:distance`, method: 'POST' }
+    });
+    return c.json(buildSuccess({ origin, results }, {
+      ctx: { requestId },
+      startTime,
+      links,
+      meta: { dataAvailable: origin.coordinates !== null }
+    }));
+  } catch (error) {
+    return handleError(c, error, originInput.input, requestId, startTime);
+  }
+});
+
+// ============================================================
+// GET /api/v1/ips/:ip/geofences?names=<name,...> — 该 IP 对各地理围栏的判定（缺省全部围栏）
+// ============================================================
+app.get('/api/v1/ips/:ip/geofences',
+  validate('param', ipParamSchema),
+  validate('query', geofenceQuerySchema),
+  async(c) => {
+    const startTime = Date.now();
+    const requestId = c.get('requestId') || generateRequestId();
+    const { ip } = c.req.valid('param');
+    const { names, timeout } = c.req.valid('query');
+
+    try {
+      const fenced = await withGeofences(c, { geofences: names ?? [] }, requestId, startTime);
+      if (fenced.response) return fenced.response;
+      const geoInfo = await lookupWithTimeout(c, ip, { lang: 'en', timeout });
+      const subject = geofenceSubject(geoInfo);
+      const geofences = evaluateGeofences(fenced.query.fences, geoInfo);
+      const namesWith = (status) => geofences.filter((result) => result.status === status).map(({ name }) => name);
+
+      const base = getBaseUrl(c);
+      const links = buildLinks(base, {
+        self: { href: `${base}/api/v1/ips/${encodeURIComponent(ip)}/geofences`, method: 'GET' },
+        geo: { href: `${base}/api/v1/ips/${encodeURIComponent(ip)}`, method: 'GET' }
+      });
+      return c.json(buildSuccess({
+        ip,
+        input: c.req.param('ip'),
+        ...subject,
+        geofences,
+        inside: namesWith('inside'),
+        boundary: namesWith('boundary')
+      }, {
+        ctx: { requestId },
+        startTime,
+        links,
+        meta: { dataAvailable: geoInfo?.dataAvailable !== false }
+      }));
+    } catch (error) {
+      return handleError(c, error, ip, requestId, startTime);
+    }
+  }
+);
+
 // 导出缓存/限流统计访问器（system 路由复用）
-export { getCache, getRateLimitMap, productionConfig as getIpsProductionConfig };
+export { getRateLimitMap, isBlockedIp, productionConfig as getIpsProductionConfig };
 export { app };
 export default app;
@@ -0,0 +1,304 @@
+/**
+ * 🧾 异步批量查询任务路由 (/api/v1/jobs)
+ *
+ * 面向日志富化等大批量场景（POST /api/v1/ips:batch 单次上限 20 个、同步返回）：
+ *   POST /api/v1/jobs              提交 IP 列表，去重后在后台分片查询，立即返回 202 与任务
+ *   GET  /api/v1/jobs/:id          任务状态与进度（processed / total / percent）
+ *   GET  /api/v1/jobs/:id/results  流式导出结果：format=ndjson（默认，每行一个结果）| csv（固定列）
+ *
+ * 请求体按 Content-Type：
+ *   application/json     IP 字符串数组，或 { "ips": [...] }
+ *   text/plain           每行一个 IP（忽略空行与 # 注释行）
+ *   text/csv             按表头识别 IP 列（ip / ip_address / address …），或 column=<列名|列序号>
+ *   multipart/form-data  file 字段上传文件；.csv 或 text/csv 按 CSV 解析，其余按行解析
+ * 查询参数：lang / includeThreat（作用于整个任务）、column（CSV）。
+ * 私有 / 保留地址与无效值计入 input.invalid（附前 10 个样例），不中止任务。
+ * 任务存储已满且全部任务未结束（memory 后端 jobs.maxJobs）时返回 503 + Retry-After。
+ */
+
+import { Hono } from 'hono';
+import { z } from 'zod';
+import { generateRequestId } from '../utils/response.js';
+import { ENVIRONMENT } from '../config/environment.js';
+import secureLogger from '../utils/secureLogger.js';
+import { isBlockedIp } from './ips.js';
+import { JobStoreFullError } from '../services/jobStore.js';
+import {
+  bulkJobService,
+  collectIps,
+  csvHeader,
+  describeJob,
+  extractCsvColumn,
+  extractLines,
+  serializeRows
+} from '../services/bulkJobs.js';
+import {
+  buildSuccess,
+  buildError,
+  buildLinks,
+  getBaseUrl
+} from '../utils/responseBuilder.js';
+
+const app = new Hono();
+
+// 请求体上限：约 50 万行 IPv6 文本。Content-Length 预检，读取时再按实际字节数强制（分块上传无 Content-Length）
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+
+// 任务存储已满（全部任务进行中）时建议的重试间隔
+const STORE_FULL_RETRY_AFTER_SECONDS = 60;
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function ctx(c) {
+  return { requestId: c.get('requestId') || generateRequestId() };
+}
+
+// 后台执行挂到 Workers executionCtx.waitUntil；Node / 测试环境下 Hono 访问 executionCtx 会抛错，任务在进程内继续
+function waitUntilOf(c) {
+  try {
+    const executionCtx = c.executionCtx;
+    return typeof executionCtx?.waitUntil === 'function' ? (promise) => executionCtx.waitUntil(promise) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+const createQuerySchema = z.object({
+  lang: z.string()
+    .regex(/^[a-z]{2}(-[A-Z]{2})?$/, 'lang 格式无效（如 en、en-US）')
+    .optional()
+    .default('en'),
+  includeThreat: z.string().transform((v) => v.toLowerCase() === 'true').optional().default('false'),
+  column: z.string().max(100).optional()
+});
+
+const resultsQuerySchema = z.object({
+  format: z.enum(['ndjson', 'csv'], {
+    errorMap: () => ({ message: 'format 必须是 ndjson | csv 之一' })
+  }).optional().default('ndjson')
+});
+
+const jsonBodySchema = z.union([
+  z.array(z.unknown()),
+  z.object({ ips: z.array(z.unknown()) })
+]).transform((body) => (Array.isArray(body) ? body : body.ips));
+
+class InputError extends Error {
+  constructor(message, status = 400, code = 'BAD_REQUEST') {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * 逐块读取请求体，累计超过 MAX_BODY_BYTES 时取消读取并抛 413
+ * @returns {Promise<Uint8Array>}
+ */
+async function readBodyBytes(c) {
+  const body = c.req.raw.body;
+  if (!body) return new Uint8Array(0);
+  const reader = body.getReader();
+  const parts = [];
+  let size = 0;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > MAX_BODY_BYTES) {
+      await reader.cancel().catch(() => {});
+      throw new InputError(`请求体超过 ${MAX_BODY_BYTES} 字节`, 413, 'PAYLOAD_TOO_LARGE');
+    }
+    parts.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.byteLength;
+  }
+  return bytes;
+}
+
+/**
+ * 请求体 → 原始值列表（按 Content-Type 选择解析方式）
+ */
+async function readValues(c, column) {
+  const contentType = c.req.header('Content-Type') || 'text/plain';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  const fromCsv = (text) => {
+    const values = extractCsvColumn(text, column);
+    if (values === null) throw new InputError(`CSV 中没有列: ${column}`);
+    return values;
+  };
+  const readText = async() => new TextDecoder().decode(await readBodyBytes(c));
+
+  switch (type) {
+  case 'application/json': {
+    let body = null;
+    try {
+      body = JSON.parse(await readText());
+    } catch (error) {
+      if (error instanceof InputError) throw error;
+    }
+    const parsed = jsonBodySchema.safeParse(body);
+    if (!parsed.success) throw new InputError('JSON 请求体必须是 IP 数组或 { "ips": [...] }');
+    return parsed.data;
+  }
+  case 'text/plain':
+    return extractLines(await readText());
+  case 'text/csv':
+    return fromCsv(await readText());
+  case 'multipart/form-data': {
+    const bytes = await readBodyBytes(c);
+    const form = await new Response(bytes, { headers: { 'Content-Type': contentType } }).formData().catch(() => null);
+    const file = form?.get('file');
+    if (!file || typeof file.text !== 'function') throw new InputError('multipart 请求须在 file 字段上传文件');
+    const isCsv = /\.csv$/i.test(file.name || '') || /csv/i.test(file.type || '');
+    return isCsv ? fromCsv(await file.text()) : extractLines(await file.text());
+  }
+  default:
+    throw new InputError(`不支持的 Content-Type: ${type}`, 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+}
+
+const jobLinks = (base, id) => ({
+  self: { href: `${base}/api/v1/jobs/${id}`, method: 'GET' },
+  results: { href: `${base}/api/v1/jobs/${id}/results`, method: 'GET', type: 'application/x-ndjson' },
+  resultsCsv: { href: `${base}/api/v1/jobs/${id}/results?format=csv`, method: 'GET', type: 'text/csv' }
+});
+
+function notFound(c, id, startTime) {
+  return c.json(
+    buildError('NOT_FOUND', `未知任务: ${id}`, undefined, { ctx: ctx(c), startTime }),
+    { status: 404 }
+  );
+}
+
+async function findJob(c) {
+  const id = c.req.param('id');
+  return { id, job: JOB_ID_PATTERN.test(id) ? await bulkJobService.get(id, c.env) : null };
+}
+
+// POST /api/v1/jobs — 创建任务并在后台执行
+app.post('/api/v1/jobs', async(c) => {
+  const startTime = Date.now();
+  const fail = (message, status = 400, code = 'BAD_REQUEST', details) => c.json(
+    buildError(code, message, details, { ctx: ctx(c), startTime }),
+    { status }
+  );
+
+  const query = createQuerySchema.safeParse(c.req.query());
+  if (!query.success) {
+    return fail('输入校验失败', 400, 'BAD_REQUEST', ENVIRONMENT.isDevelopment() ? { issues: query.error.issues } : undefined);
+  }
+  if (parseInt(c.req.header('Content-Length') || '0', 10) > MAX_BODY_BYTES) {
+    return fail(`请求体超过 ${MAX_BODY_BYTES} 字节`, 413, 'PAYLOAD_TOO_LARGE');
+  }
+
+  let values;
+  try {
+    values = await readValues(c, query.data.column);
+  } catch (error) {
+    if (error instanceof InputError) return fail(error.message, error.status, error.code);
+    throw error;
+  }
+
+  const { maxIps } = bulkJobService;
+  const collected = collectIps(values, { isBlocked: isBlockedIp, maxIps });
+  if (collected.overLimit) {
+    return fail(`去重后的 IP 超过单个任务上限 ${maxIps}`, 413, 'PAYLOAD_TOO_LARGE');
+  }
+  if (collected.ips.length === 0) {
+    return fail('没有可查询的公网 IP', 400, 'BAD_REQUEST', {
+      received: collected.received,
+      invalid: collected.invalid,
+      invalidSamples: collected.invalidSamples
+    });
+  }
+
+  let job;
+  try {
+    job = await bulkJobService.create(collected, query.data, c.env);
+  } catch (error) {
+    if (!(error instanceof JobStoreFullError)) throw error;
+    // 存储内全是未结束的任务：无可淘汰的条目，提示稍后重试
+    c.header('Retry-After', String(STORE_FULL_RETRY_AFTER_SECONDS));
+    return fail(`进行中的任务已达上限 ${error.maxJobs}，请稍后重试`, 503, 'SERVICE_UNAVAILABLE');
+  }
+  bulkJobService.start(job.id, c.env, waitUntilOf(c));
+
+  const base = getBaseUrl(c);
+  c.header('Location', `${base}/api/v1/jobs/${job.id}`);
+  return c.json(
+    buildSuccess(describeJob(job), { ctx: ctx(c), startTime, links: buildLinks(base, jobLinks(base, job.id)) }),
+    { status: 202 }
+  );
+});
+
+// GET /api/v1/jobs/:id — 任务状态与进度；执行已中断的任务在此续跑
+app.get('/api/v1/jobs/:id', async(c) => {
+  const startTime = Date.now();
+  const { id, job } = await findJob(c);
+  if (!job) {
+    return notFound(c, id, startTime);
+  }
+  bulkJobService.resumeIfStalled(job, c.env, waitUntilOf(c));
+
+  const base = getBaseUrl(c);
+  c.header('Cache-Control', 'no-store');
+  const links = buildLinks(base, jobLinks(base, id));
+  return c.json(buildSuccess(describeJob(job), { ctx: ctx(c), startTime, links }));
+});
+
+// GET /api/v1/jobs/:id/results — 逐片流式输出；未完成的任务只含已完成的分片（X-Job-Status 标明任务状态）
+app.get('/api/v1/jobs/:id/results', async(c) => {
+  const startTime = Date.now();
+  const parsed = resultsQuerySchema.safeParse(c.req.query());
+  if (!parsed.success) {
+    return c.json(buildError('BAD_REQUEST', parsed.error.issues[0].message, undefined, { ctx: ctx(c), startTime }), {
+      status: 400
+    });
+  }
+  const { id, job } = await findJob(c);
+  if (!job) {
+    return notFound(c, id, startTime);
+  }
+
+  const { format } = parsed.data;
+  const encoder = new TextEncoder();
+  const chunks = bulkJobService.resultChunks(job, c.env);
+  let headerSent = format !== 'csv';
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        if (!headerSent) {
+          headerSent = true;
+          controller.enqueue(encoder.encode(csvHeader(job)));
+          return;
+        }
+        const { value, done } = await chunks.next();
+        if (done) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(encoder.encode(serializeRows(value, format, job)));
+      } catch (error) {
+        secureLogger.error('Bulk job result stream failed', { jobId: id, error: error.message });
+        controller.error(error);
+      }
+    }
+  });
+
+  const headers = {
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'X-Job-Status': job.status
+  };
+  if (format === 'csv') {
+    headers['Content-Disposition'] = `attachment; filename="job-${id}.csv"`;
+  }
+  return c.body(body, 200, headers);
+});
+
+export default app;
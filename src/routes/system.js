@@ -11,9 +11,16 @@
  *   POST /api/v1/system/memory:cleanup  触发内存清理（自定义方法）
  *   POST /api/v1/system/memory:optimize 触发内存优化（自定义方法）
  *   GET  /api/v1/system/performance     性能统计
+ *   GET  /api/v1/system/providers       Provider 状态
+ *   PATCH /api/v1/system/providers/:name Provider 运行时覆盖（enabled / priority / tier / timeout）
+ *   GET  /api/v1/system/cache           缓存统计、热点键与年龄分布
+ *   DELETE /api/v1/system/cache/ips/:ip 删除某 IP 的缓存条目
+ *   POST /api/v1/system/cache:purge     按网段 / provider / 年龄清除（自定义方法）
+ *   POST /api/v1/system/cache:warm      按 IP 列表预热（自定义方法）
  */
 
 import { Hono } from 'hono';
+import { z } from 'zod';
 import { generateRequestId } from '../utils/response.js';
 import { ENVIRONMENT } from '../config/environment.js';
 import secureLogger from '../utils/secureLogger.js';
@@ -23,6 +30,8 @@ import { monitoringService } from '../monitoring/monitoringService.js';
 import { geoLookup } from '../services/geoLookup.js';
 import memoryOptimizer from '../services/memoryOptimizer.js';
 import { getMemoryUsage, getUptime } from '../utils/runtime.js';
+import { canonicalizeIP, parseCIDR } from '../utils/ipValidation.js';
+import { isBlockedIp } from './ips.js';
 import {
   buildSuccess,
   buildError,
@@ -39,6 +48,24 @@ function ctx(c) {
   return { requestId: c.get('requestId') || generateRequestId() };
 }
 
+/**
+ * 各缓存层命中统计（由外到内）：result = GeoLookup 逐 IP 结果缓存（store 为所用 CacheStore 后端），
+ * prefix = 网段前缀缓存（关闭时为 null）。hitRate 为本层自身命中率（0-1）；KV / Cache API 等后端 size 为 null。
+ */
+function cacheLayerStats() {
+  const layer = ({ size, hits, misses }) => ({
+    size,
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : 0
+  });
+  const perf = geoLookup.getStats();
+  return {
+    result: { ...layer(perf.cache), store: perf.cache.store },
+    prefix: perf.prefixCache ? layer(perf.prefixCache) : null
+  };
+}
+
 // GET /api/v1/system — 运维根（索引）
 app.get('/api/v1/system', (c) => {
   const startTime = Date.now();
@@ -53,7 +80,13 @@ app.get('/api/v1/system', (c) => {
       'GET /api/v1/system/memory',
       'POST /api/v1/system/memory:cleanup',
       'POST /api/v1/system/memory:optimize',
-      'GET /api/v1/system/performance'
+      'GET /api/v1/system/performance',
+      'GET /api/v1/system/providers',
+      'PATCH /api/v1/system/providers/{name}',
+      'GET /api/v1/system/cache',
+      'DELETE /api/v1/system/cache/ips/{ip}',
+      'POST /api/v1/system/cache:purge',
+      'POST /api/v1/system/cache:warm'
     ]
   };
   const links = buildLinks(base, {
@@ -62,7 +95,9 @@ app.get('/api/v1/system', (c) => {
     metrics: { href: `${base}/api/v1/system/metrics`, method: 'GET' },
     status: { href: `${base}/api/v1/system/status`, method: 'GET' },
     memory: { href: `${base}/api/v1/system/memory`, method: 'GET' },
-    performance: { href: `${base}/api/v1/system/performance`, method: 'GET' }
+    performance: { href: `${base}/api/v1/system/performance`, method: 'GET' },
+    providers: { href: `${base}/api/v1/system/providers`, method: 'GET' },
+    cache: { href: `${base}/api/v1/system/cache`, method: 'GET' }
   });
   return c.json(buildSuccess(resource, { ctx: ctx(c), startTime, links }));
 });
@@ -138,7 +173,13 @@ app.get('/api/v1/system/metrics', async(c) => {
     const requestedFormat = c.req.query('format');
 
     if (acceptHeader.includes('text/plain') || requestedFormat === 'prometheus') {
-      const prometheusMetrics = buildPrometheusMetrics(monitoringMetrics, monitoringStatus, memoryUsage);
+      const prometheusMetrics = buildPrometheusMetrics(
+        monitoringMetrics,
+        monitoringStatus,
+        memoryUsage,
+        geoLookup.describeProviders(c.env || {}),
+        cacheLayerStats()
+      );
       return new Response(prometheusMetrics, {
         headers: {
           'Content-Type': 'text/plain; version=0.0.4',
@@ -380,6 +421,7 @@ app.get('/api/v1/system/performance', (c) => {
 
   return c.json(buildSuccess({
     performance: perfStats,
+    cacheLayers: cacheLayerStats(),
     memory: memoryStats,
     memoryLeaksDetected: memoryLeaks ? memoryLeaks.detected : false,
     leakIndicators: memoryLeaks ? memoryLeaks.indicators : [],
@@ -390,10 +432,244 @@ app.get('/api/v1/system/performance', (c) => {
   }, { ctx: ctx(c), startTime, links }));
 });
 
+// GET /api/v1/system/providers — 注册表逐项状态（配置、tier、调用计数、延迟、最后成功时间）
+app.get('/api/v1/system/providers', (c) => {
+  const startTime = Date.now();
+  const providers = geoLookup.describeProviders(c.env || {});
+
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, {
+    self: { href: `${base}/api/v1/system/providers`, method: 'GET' },
+    performance: { href: `${base}/api/v1/system/performance`, method: 'GET' }
+  });
+
+  return c.json(buildSuccess({
+    providers,
+    summary: {
+      total: providers.length,
+      configured: providers.filter((p) => p.configured).length
+    }
+  }, { ctx: ctx(c), startTime, links }));
+});
+
+// 运行时覆盖：null 清除该字段的覆盖；tier 只在异步 provider 间调整（sync provider 无网络路径）
+const providerOverrideSchema = z.object({
+  enabled: z.boolean().nullable().optional(),
+  priority: z.number().int().min(1).max(1000).nullable().optional(),
+  tier: z.enum(['primary', 'fallback']).nullable().optional(),
+  timeout: z.number().int().min(100).max(30000).nullable().optional()
+}).strict().refine((patch) => Object.keys(patch).length > 0, '至少提供一个覆盖字段');
+
+// PATCH /api/v1/system/providers/:name — 运行时覆盖，无需重新部署
+app.patch('/api/v1/system/providers/:name', async(c) => {
+  const startTime = Date.now();
+  const name = c.req.param('name');
+  const current = geoLookup.describeProviders(c.env || {}).find((p) => p.name === name);
+  if (!current) {
+    return c.json(
+      buildError('NOT_FOUND', `未知 provider: ${name}`, undefined, { ctx: ctx(c), startTime }),
+      { status: 404 }
+    );
+  }
+
+  const raw = await c.req.json().catch(() => null);
+  const parsed = providerOverrideSchema.safeParse(raw);
+  if (!parsed.success) {
+    const details = ENVIRONMENT.isDevelopment() ? { issues: parsed.error.issues } : undefined;
+    return c.json(buildError('BAD_REQUEST', 'Provider 覆盖校验失败', details, { ctx: ctx(c), startTime }), { status: 400 });
+  }
+  if (current.tier === 'sync' && parsed.data.tier) {
+    return c.json(
+      buildError('BAD_REQUEST', `${name} 为同步 provider，tier 不可覆盖`, undefined, { ctx: ctx(c), startTime }),
+      { status: 400 }
+    );
+  }
+
+  geoLookup.setProviderOverride(name, parsed.data);
+  const provider = geoLookup.describeProviders(c.env || {}).find((p) => p.name === name);
+  secureLogger.info('Provider override updated', { provider: name, overrides: provider.overrides });
+
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, {
+    self: { href: `${base}/api/v1/system/providers/${name}`, method: 'PATCH' },
+    collection: { href: `${base}/api/v1/system/providers`, method: 'GET' }
+  });
+  return c.json(buildSuccess(provider, { ctx: ctx(c), startTime, links }));
+});
+
+// ============================================================
+// 缓存管理：查看 / 按 IP 删除 / 按条件清除 / 预热
+// ============================================================
+
+const MAX_WARM_IPS = 1000;
+const MAX_WARM_CONCURRENCY = 20;
+
+const cacheLinks = (base) => ({
+  cache: { href: `${base}/api/v1/system/cache`, method: 'GET' },
+  purge: { href: `${base}/api/v1/system/cache:purge`, method: 'POST' },
+  warm: { href: `${base}/api/v1/system/cache:warm`, method: 'POST' }
+});
+
+// 条件之间为「且」；至少一个条件（全部清空用 memory:cleanup）
+const cachePurgeSchema = z.object({
+  cidr: z.string().refine((cidr) => parseCIDR(cidr) !== null, '无效 CIDR').optional(),
+  provider: z.string().min(1).optional(),
+  olderThanSeconds: z.number().int().min(0).optional()
+}).strict().refine((filter) => Object.keys(filter).length > 0, '至少提供一个清除条件');
+
+// 与 /ips 相同：先规范化（`::ffff:127.0.0.1` → 127.0.0.1）再拒绝私有/保留地址
+const cacheWarmSchema = z.object({
+  ips: z.array(z.string().ip('包含无效 IP 地址').transform((ip) => canonicalizeIP(ip) || ip))
+    .min(1)
+    .max(MAX_WARM_IPS)
+    .refine((ips) => ips.every((ip) => !isBlockedIp(ip)), '预热不允许包含私有/环回 IP'),
+  language: z.string().regex(/^[a-z]{2}(-[A-Z]{2})?$/).optional(),
+  includeThreat: z.boolean().optional(),
+  concurrency: z.number().int().min(1).max(MAX_WARM_CONCURRENCY).default(5)
+}).strict();
+
+function badRequest(c, startTime, message, parsed) {
+  const details = ENVIRONMENT.isDevelopment() && parsed ? { issues: parsed.error.issues } : undefined;
+  return c.json(buildError('BAD_REQUEST', message, details, { ctx: ctx(c), startTime }), { status: 400 });
+}
+
+// GET /api/v1/system/cache — 各层统计、命中最多的键（?limit=，默认 10）与按年龄分桶
+app.get('/api/v1/system/cache', (c) => {
+  const startTime = Date.now();
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit'), 10) || 10, 1), 100);
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, { self: { href: `${base}/api/v1/system/cache`, method: 'GET' }, ...cacheLinks(base) });
+  return c.json(buildSuccess(geoLookup.inspectCache(limit), { ctx: ctx(c), startTime, links }));
+});
+
+// DELETE /api/v1/system/cache/ips/:ip — 删除该 IP 的结果缓存（索引所见 + 共享存储的变体清单，见 ResultCache.deleteIp）与包含它的网段条目
+app.delete('/api/v1/system/cache/ips/:ip', async(c) => {
+  const startTime = Date.now();
+  const ip = canonicalizeIP(c.req.param('ip'));
+  if (!ip) {
+    return badRequest(c, startTime, '无效 IP 地址');
+  }
+  const removed = await geoLookup.evictIp(ip, c.env);
+  secureLogger.info('Cache entries evicted', { ip, removed });
+
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, cacheLinks(base));
+  return c.json(buildSuccess({ ip, removed }, { ctx: ctx(c), startTime, links }));
+});
+
+// POST /api/v1/system/cache:purge — 按 cidr / provider / olderThanSeconds 清除（自定义方法）
+app.post('/api/v1/system/cache:purge', async(c) => {
+  const startTime = Date.now();
+  const parsed = cachePurgeSchema.safeParse(await c.req.json().catch(() => null));
+  if (!parsed.success) {
+    return badRequest(c, startTime, '清除条件校验失败', parsed);
+  }
+  const { cidr, provider, olderThanSeconds } = parsed.data;
+  const filter = {
+    ...(cidr && { cidr }),
+    ...(provider && { provider }),
+    ...(olderThanSeconds !== undefined && { olderThanMs: olderThanSeconds * 1000 })
+  };
+  const removed = await geoLookup.purgeCache(filter, c.env);
+  secureLogger.info('Cache purged', { filter: parsed.data, removed });
+
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, cacheLinks(base));
+  return c.json(buildSuccess({ action: 'purge', filter: parsed.data, removed }, { ctx: ctx(c), startTime, links }));
+});
+
+// POST /api/v1/system/cache:warm — 按 IP 列表经 GeoLookup 预取（并发受 concurrency 限制，自定义方法）
+app.post('/api/v1/system/cache:warm', async(c) => {
+  const startTime = Date.now();
+  const parsed = cacheWarmSchema.safeParse(await c.req.json().catch(() => null));
+  if (!parsed.success) {
+    return badRequest(c, startTime, '预热请求校验失败', parsed);
+  }
+  const { ips, language, includeThreat, concurrency } = parsed.data;
+  const summary = await geoLookup.warmCache([...new Set(ips)], { language, includeThreat, env: c.env }, concurrency);
+  secureLogger.info('Cache warmed', { total: summary.total, fetched: summary.fetched, failed: summary.failed.length });
+
+  const base = getBaseUrl(c);
+  const links = buildLinks(base, cacheLinks(base));
+  return c.json(buildSuccess({ action: 'warm', concurrency, ...summary }, { ctx: ctx(c), startTime, links }));
+});
+
+const promLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * provider 状态 → 带 provider 标签的 Prometheus 序列（providerStats 为 geoLookup.describeProviders() 结果）
+ */
+function buildProviderSeries(providerStats) {
+  const series = (p, labels = '') => `{provider="${promLabel(p.name)}"${labels}}`;
+  return [
+    '# HELP geo_provider_configured Provider configured (1) or not (0)',
+    '# TYPE geo_provider_configured gauge',
+    ...providerStats.map((p) => `geo_provider_configured${series(p)} ${p.configured ? 1 : 0}`),
+
+    '# HELP geo_provider_requests_total Provider lookups by outcome',
+    '# TYPE geo_provider_requests_total counter',
+    ...providerStats.flatMap((p) => Object.entries(p.counts)
+      .map(([outcome, n]) => `geo_provider_requests_total${series(p, `,outcome="${outcome}"`)} ${n}`)),
+
+    '# HELP geo_provider_errors_total Provider errors by ProviderErrorCode',
+    '# TYPE geo_provider_errors_total counter',
+    ...providerStats.flatMap((p) => Object.entries(p.errors)
+      .map(([code, n]) => `geo_provider_errors_total${series(p, `,code="${promLabel(code)}"`)} ${n}`)),
+
+    '# HELP geo_provider_latency_seconds Provider lookup latency summary',
+    '# TYPE geo_provider_latency_seconds summary',
+    ...providerStats.flatMap((p) => [
+      `geo_provider_latency_seconds${series(p, ',quantile="0.5"')} ${p.latencyMs.p50 / 1000}`,
+      `geo_provider_latency_seconds${series(p, ',quantile="0.95"')} ${p.latencyMs.p95 / 1000}`
+    ]),
+
+    '# HELP geo_provider_quota_remaining Remaining upstream budget per quota window',
+    '# TYPE geo_provider_quota_remaining gauge',
+    ...providerStats.flatMap((p) => ['perMinute', 'daily', 'monthly']
+      .filter((window) => p.quota?.[window])
+      .map((window) => `geo_provider_quota_remaining${series(p, `,window="${window}"`)} ${p.quota[window].remaining}`)),
+
+    '# HELP geo_provider_last_success_timestamp_seconds Unix time of last successful lookup (0 = never)',
+    '# TYPE geo_provider_last_success_timestamp_seconds gauge',
+    ...providerStats.map((p) => {
+      const ts = p.lastSuccessAt ? Math.floor(Date.parse(p.lastSuccessAt) / 1000) : 0;
+      return `geo_provider_last_success_timestamp_seconds${series(p)} ${ts}`;
+    })
+  ];
+}
+
+/**
+ * 缓存层统计 → 带 layer 标签的 Prometheus 序列（cacheLayers 为 cacheLayerStats() 结果，关闭的层为 null）
+ */
+function buildCacheLayerSeries(cacheLayers) {
+  const layers = Object.entries(cacheLayers).filter(([, stats]) => stats);
+  return [
+    '# HELP geo_cache_requests_total Cache lookups per layer by result',
+    '# TYPE geo_cache_requests_total counter',
+    ...layers.flatMap(([layer, stats]) => [
+      `geo_cache_requests_total{layer="${layer}",result="hit"} ${stats.hits}`,
+      `geo_cache_requests_total{layer="${layer}",result="miss"} ${stats.misses}`
+    ]),
+
+    '# HELP geo_cache_entries Current entries per cache layer',
+    '# TYPE geo_cache_entries gauge',
+    ...layers
+      .filter(([, stats]) => typeof stats.size === 'number')
+      .map(([layer, stats]) => `geo_cache_entries{layer="${layer}"} ${stats.size}`)
+  ];
+}
+
 /**
  * 构建 Prometheus exposition 文本（内部直方图键形如 `request_duration{...}`）
+ * providerStats / cacheLayers 可选：传入时追加 geo_provider_* / geo_cache_* 序列
  */
-function buildPrometheusMetrics(monitoringMetrics, monitoringStatus, memoryUsage) {
+function buildPrometheusMetrics(
+  monitoringMetrics,
+  monitoringStatus,
+  memoryUsage,
+  providerStats = [],
+  cacheLayers = null
+) {
   const counters = monitoringMetrics.counters || {};
   const histograms = monitoringMetrics.histograms || {};
 
@@ -445,7 +721,10 @@ function buildPrometheusMetrics(monitoringMetrics, monitoringStatus, memoryUsage
 
     '# HELP health_status Overall health (1=healthy; 0 仅当存在 critical 告警)',
     '# TYPE health_status gauge',
-    `health_status ${(monitoringStatus.criticalAlertsCount ?? 0) === 0 ? 1 : 0}`
+    `health_status ${(monitoringStatus.criticalAlertsCount ?? 0) === 0 ? 1 : 0}`,
+
+    ...(providerStats.length > 0 ? buildProviderSeries(providerStats) : []),
+    ...(cacheLayers ? buildCacheLayerSeries(cacheLayers) : [])
   ];
 
   return lines.join('\n');
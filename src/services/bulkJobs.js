@@ -0,0 +1,466 @@
+/**
+ * 🧾 异步批量查询任务：大批量 IP 列表的去重、后台分片查询与结果导出
+ *
+ * 流程：
+ * 1. 输入解析（JSON 数组 / 换行文本 / CSV）→ collectIps 规范化、去重，统计无效与私有地址
+ * 2. create：按 jobs.inputChunkSize（默认 2500，50 万 IP 约 200 次写入，在 Workers 单次调用的 KV / 子请求
+ *    上限内）切片写入存储，任务状态 queued
+ * 3. start：后台（Workers executionCtx.waitUntil）按 jobs.chunkSize 逐片查询（从所在输入分片中切出），
+ *    片内以 jobs.concurrency 个 worker 经 GeoLookup 并发；每片结果写入存储后更新进度（nextChunk），
+ *    执行中断时从 nextChunk 续跑
+ * 4. resultChunks：按片读取结果，序列化为 NDJSON 行或 CSV（固定列）
+ *
+ * 续跑：running / queued 任务超过停滞阈值没有进度更新且本 isolate 未在执行时，查询进度（GET /api/v1/jobs/:id）
+ * 会重新启动它；已写入的分片按序号覆盖，不重复计数。阈值见 staleAfterMsFor：不短于单片最长耗时，
+ * 避免仍在执行的任务被第二个 runner 接手。
+ */
+
+import { config } from '../config/configManager.js';
+import { canonicalizeIP } from '../utils/ipValidation.js';
+import { buildGeoResource } from '../utils/geoFormatter.js';
+import secureLogger from '../utils/secureLogger.js';
+import { geoLookup } from './geoLookup.js';
+import { MemoryJobStore, createJobStore } from './jobStore.js';
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+});
+
+const MAX_INVALID_SAMPLES = 10;
+
+// CSV 中被识别为 IP 列的表头（不区分大小写）；未识别时取第一列
+const IP_COLUMN_NAMES = ['ip', 'ip_address', 'ipaddress', 'address', 'client_ip', 'remote_addr'];
+
+/**
+ * 换行文本 → 值列表（忽略空行与 # 注释行）
+ */
+export function extractLines(text) {
+  return text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * CSV 文本 → 行数组（RFC 4180：双引号字段可含逗号、换行与 "" 转义）
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * CSV 文本 → IP 列的值。column 指定列名（表头）或从 0 开始的列序号；
+ * 未指定时按 IP_COLUMN_NAMES 识别表头，首行首列不是 IP 时视为表头并取第一列，否则无表头取第一列。
+ * @returns {string[] | null} 指定的列不存在时为 null
+ */
+export function extractCsvColumn(text, column) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  let index = 0;
+  let skipHeader = false;
+
+  if (column !== undefined && column !== '') {
+    if (/^\d+$/.test(column)) {
+      index = parseInt(column, 10);
+      skipHeader = !canonicalizeIP(rows[0][index] ?? '');
+    } else {
+      index = header.indexOf(column.toLowerCase());
+      if (index === -1) return null;
+      skipHeader = true;
+    }
+  } else {
+    const named = header.findIndex((cell) => IP_COLUMN_NAMES.includes(cell));
+    if (named !== -1) {
+      index = named;
+      skipHeader = true;
+    } else {
+      skipHeader = !canonicalizeIP(rows[0][0]);
+    }
+  }
+  return rows.slice(skipHeader ? 1 : 0).map((cells) => (cells[index] ?? '').trim());
+}
+
+/**
+ * 值列表 → 规范化、去重后的公网 IP 列表与统计
+ * @param {Array} values - 原始值（非字符串计为无效）
+ * @param {object} [options] { isBlocked(ip) 私有/保留地址判定, maxIps 去重后上限 }
+ * @returns {{ ips: string[], received: number, duplicates: number, invalid: number,
+ *   invalidSamples: Array<{value: string, reason: string}>, overLimit: boolean }}
+ */
+export function collectIps(values, options = {}) {
+  const { isBlocked = () => false, maxIps = Infinity } = options;
+  const seen = new Set();
+  const summary = { ips: [], received: values.length, duplicates: 0, invalid: 0, invalidSamples: [], overLimit: false };
+  const reject = (value, reason) => {
+    summary.invalid++;
+    if (summary.invalidSamples.length < MAX_INVALID_SAMPLES) {
+      summary.invalidSamples.push({ value: String(value).slice(0, 100), reason });
+    }
+  };
+
+  for (const value of values) {
+    const ip = typeof value === 'string' ? canonicalizeIP(value) : null;
+    if (!ip) {
+      reject(value, 'invalid');
+    } else if (isBlocked(ip)) {
+      reject(value, 'private');
+    } else if (seen.has(ip)) {
+      summary.duplicates++;
+    } else if (seen.size >= maxIps) {
+      summary.overLimit = true;
+      break;
+    } else {
+      seen.add(ip);
+    }
+  }
+  summary.ips = [...seen];
+  return summary;
+}
+
+// CSV 导出的固定列（与 geoFormatter.convertToCSV 相同的点分列名）；includeThreat 任务追加 security 两列
+const CSV_COLUMNS = [
+  ['ip', (row) => row.ip],
+  ['status', (row) => (row.error ? 'error' : (row.dataAvailable === false ? 'no_data' : 'ok'))],
+  ['country.code', (row) => row.data?.country.code],
+  ['country.name', (row) => row.data?.country.name],
+  ['country.region', (row) => row.data?.country.region],
+  ['country.city', (row) => row.data?.country.city],
+  ['country.continentCode', (row) => row.data?.country.continentCode],
+  ['location.coordinates.latitude', (row) => row.data?.location.coordinates.latitude],
+  ['location.coordinates.longitude', (row) => row.data?.location.coordinates.longitude],
+  ['location.coordinates.accuracy', (row) => row.data?.location.coordinates.accuracy],
+  ['location.timezone', (row) => row.data?.location.timezone],
+  ['location.postalCode', (row) => row.data?.location.postalCode],
+  ['network.asn', (row) => row.data?.network.asn],
+  ['network.organization', (row) => row.data?.network.organization],
+  ['network.isp', (row) => row.data?.network.isp],
+  ['network.prefix', (row) => row.data?.network.prefix],
+  ['provider', (row) => row.data?.provider]
+];
+const THREAT_COLUMNS = [
+  ['security.riskScore', (row) => row.data?.security?.riskScore],
+  ['security.riskLevel', (row) => row.data?.security?.riskLevel]
+];
+const ERROR_COLUMN = ['error.code', (row) => row.error?.code];
+
+const escapeCsv = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvColumnsFor = (job) => [...CSV_COLUMNS, ...(job.options.includeThreat ? THREAT_COLUMNS : []), ERROR_COLUMN];
+
+/**
+ * 任务 → CSV 表头行（含换行）
+ */
+export function csvHeader(job) {
+  return `${csvColumnsFor(job).map(([name]) => name).join(',')}\n`;
+}
+
+/**
+ * 一片结果行 → NDJSON / CSV 文本（每行以换行结尾）
+ */
+export function serializeRows(rows, format, job) {
+  if (format === 'csv') {
+    const columns = csvColumnsFor(job);
+    return rows.map((row) => `${columns.map(([, pick]) => escapeCsv(pick(row))).join(',')}\n`).join('');
+  }
+  return rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+}
+
+/**
+ * 任务元数据 → 对外视图（去掉分片游标等内部字段，补充完成百分比）
+ */
+export function describeJob(job) {
+  const {
+    chunkSize: _chunkSize,
+    inputChunkSize: _inputChunkSize,
+    chunks: _chunks,
+    nextChunk: _nextChunk,
+    ...view
+  } = job;
+  const { total, processed } = job.progress;
+  return {
+    ...view,
+    progress: { ...job.progress, percent: total === 0 ? 100 : Math.floor((processed / total) * 1000) / 10 }
+  };
+}
+
+const isActive = (job) => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+
+// 输入分片取结果分片的整数倍：每个结果分片只落在一个输入分片内
+const inputChunkSizeFor = (settings, chunkSize) => (
+  Math.max(1, Math.floor((settings.inputChunkSize ?? 2500) / chunkSize)) * chunkSize
+);
+
+/**
+ * 任务的创建、后台执行与结果读取。存储未注入时首次访问按 config.jobs.store 选择（绑定来自请求 env，构造期不可得）。
+ */
+export class BulkJobService {
+  /**
+   * @param {object} [deps] { store, lookup }
+   */
+  constructor(deps = {}) {
+    this.store = deps.store ?? new MemoryJobStore();
+    this.storeInjected = deps.store !== undefined;
+    this._storeSelected = false;
+    this.lookup = deps.lookup ?? geoLookup;
+    this.active = new Map(); // 本 isolate 正在执行的任务：id → Promise
+  }
+
+  settings() {
+    try {
+      return config.get('jobs', null) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  _ensureStore(env) {
+    if (this._storeSelected) return;
+    this._storeSelected = true;
+    if (this.storeInjected) return;
+    const options = this.settings();
+    if (options.store && options.store !== 'memory') {
+      this.store = createJobStore(options, env);
+    } else {
+      this.store = new MemoryJobStore({ ttlMs: options.ttlMs, maxJobs: options.maxJobs });
+    }
+  }
+
+  // 单个任务去重后的 IP 数上限（jobs.maxIps，默认 500000）
+  get maxIps() {
+    return this.settings().maxIps ?? 500000;
+  }
+
+  /**
+   * 停滞阈值：jobs.staleAfterMs，且不短于一个分片的最长耗时（每个 worker 依次查询 ⌈chunkSize / concurrency⌉ 个 IP，
+   * 每个至多 lookupTimeoutMs）再加一个 lookupTimeoutMs 的余量（存储写入与调度）
+   */
+  staleAfterMsFor(job) {
+    const settings = this.settings();
+    const lookupTimeoutMs = settings.lookupTimeoutMs ?? 10000;
+    const perWorker = Math.ceil(job.chunkSize / (settings.concurrency ?? 10));
+    return Math.max(settings.staleAfterMs ?? 60000, (perWorker + 1) * lookupTimeoutMs);
+  }
+
+  /**
+   * 写入输入分片并创建 queued 任务
+   * @param {object} collected - collectIps 的结果
+   * @param {object} options - { lang, includeThreat }
+   */
+  async create(collected, options, env) {
+    this._ensureStore(env);
+    const settings = this.settings();
+    const chunkSize = settings.chunkSize ?? 100;
+    const inputChunkSize = inputChunkSizeFor(settings, chunkSize);
+    const now = new Date();
+    const job = {
+      id: globalThis.crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      options: { lang: options.lang ?? 'en', includeThreat: Boolean(options.includeThreat) },
+      input: {
+        received: collected.received,
+        unique: collected.ips.length,
+        duplicates: collected.duplicates,
+        invalid: collected.invalid,
+        invalidSamples: collected.invalidSamples
+      },
+      progress: { total: collected.ips.length, processed: 0, succeeded: 0, failed: 0, noData: 0 },
+      error: null,
+      createdAt: now.toISOString(),
+      startedAt: null,
+      updatedAt: now.toISOString(),
+      completedAt: null,
+      expiresAt: new Date(now.getTime() + (settings.ttlMs ?? 86400000)).toISOString(),
+      chunkSize,
+      inputChunkSize,
+      chunks: Math.ceil(collected.ips.length / chunkSize),
+      nextChunk: 0
+    };
+
+    // 先写元数据（Durable Object / memory 以此建立任务条目），再写输入分片
+    await this.store.putJob(job);
+    for (let index = 0; index * inputChunkSize < collected.ips.length; index++) {
+      const ips = collected.ips.slice(index * inputChunkSize, (index + 1) * inputChunkSize);
+      await this.store.putChunk(job.id, 'input', index, ips);
+    }
+    secureLogger.info('Bulk job created', { jobId: job.id, total: job.progress.total, chunks: job.chunks });
+    return job;
+  }
+
+  async get(id, env) {
+    this._ensureStore(env);
+    return this.store.getJob(id);
+  }
+
+  /**
+   * 后台执行任务；本 isolate 已在执行时返回同一 Promise。Promise 不会 reject（失败记入任务状态）。
+   * @param {Function} [waitUntil] - Workers executionCtx.waitUntil，保证响应返回后继续执行
+   */
+  start(id, env, waitUntil) {
+    if (this.active.has(id)) return this.active.get(id);
+    const promise = this.run(id, env)
+      .catch((error) => secureLogger.error('Bulk job runner crashed', { jobId: id, error: error.message }))
+      .finally(() => this.active.delete(id));
+    this.active.set(id, promise);
+    waitUntil?.(promise);
+    return promise;
+  }
+
+  /**
+   * 未完成、本 isolate 未在执行且超过停滞阈值（staleAfterMsFor）无进度的任务（执行它的 isolate 已回收）重新启动
+   * @returns {boolean} 是否重新启动
+   */
+  resumeIfStalled(job, env, waitUntil) {
+    if (!isActive(job) || this.active.has(job.id)) return false;
+    if (Date.now() - Date.parse(job.updatedAt) < this.staleAfterMsFor(job)) return false;
+    secureLogger.warn('Resuming stalled bulk job', { jobId: job.id, nextChunk: job.nextChunk });
+    this.start(job.id, env, waitUntil);
+    return true;
+  }
+
+  async run(id, env) {
+    this._ensureStore(env);
+    const job = await this.store.getJob(id);
+    if (!job || !isActive(job)) return;
+
+    const touch = () => {
+      job.updatedAt = new Date().toISOString();
+      return this.store.putJob(job);
+    };
+
+    try {
+      job.status = JOB_STATUS.RUNNING;
+      job.startedAt ??= new Date().toISOString();
+      await touch();
+
+      // 早于 inputChunkSize 的任务按 chunkSize 写入输入分片
+      const inputChunkSize = job.inputChunkSize ?? job.chunkSize;
+      let input = { index: -1, ips: null };
+      for (let index = job.nextChunk; index < job.chunks; index++) {
+        const start = index * job.chunkSize;
+        const inputIndex = Math.floor(start / inputChunkSize);
+        if (input.index !== inputIndex) {
+          input = { index: inputIndex, ips: await this.store.getChunk(id, 'input', inputIndex) };
+          if (!input.ips) throw new Error(`Input chunk ${inputIndex} missing`);
+        }
+        const offset = start - inputIndex * inputChunkSize;
+        const ips = input.ips.slice(offset, offset + job.chunkSize);
+        const rows = await this._lookupChunk(ips, job.options, env);
+        await this.store.putChunk(id, 'result', index, rows);
+
+        job.progress.processed += rows.length;
+        job.progress.failed += rows.filter((row) => row.error).length;
+        job.progress.succeeded += rows.filter((row) => !row.error).length;
+        job.progress.noData += rows.filter((row) => row.dataAvailable === false).length;
+        job.nextChunk = index + 1;
+        await touch();
+      }
+
+      job.status = JOB_STATUS.COMPLETED;
+      job.completedAt = new Date().toISOString();
+      await touch();
+      secureLogger.info('Bulk job completed', { jobId: id, ...job.progress });
+    } catch (error) {
+      job.status = JOB_STATUS.FAILED;
+      job.error = { code: 'JOB_FAILED', message: error.message };
+      secureLogger.error('Bulk job failed', { jobId: id, nextChunk: job.nextChunk, error: error.message });
+      await touch().catch(() => {});
+    }
+  }
+
+  /**
+   * 一片 IP 的并发查询（worker 池，与 GeoLookup.warmCache 相同模式）；结果行顺序同输入
+   */
+  async _lookupChunk(ips, options, env) {
+    const settings = this.settings();
+    const timeout = settings.lookupTimeoutMs ?? 10000;
+    const query = { lang: options.lang, includeThreat: options.includeThreat };
+    const rows = new Array(ips.length);
+    let next = 0;
+
+    const worker = async() => {
+      while (next < ips.length) {
+        const i = next++;
+        const ip = ips[i];
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(new Error('Request timeout')), timeout);
+        try {
+          const geoInfo = await this.lookup.get(ip, null, {
+            language: options.lang,
+            includeThreat: options.includeThreat,
+            env,
+            signal: controller.signal
+          });
+          rows[i] = {
+            ip,
+            data: buildGeoResource(geoInfo, ip, query),
+            ...(geoInfo?.dataAvailable === false && { dataAvailable: false })
+          };
+        } catch (error) {
+          const isTimeout = error.name === 'TimeoutError' || /timeout|aborted/i.test(error.message || '');
+          rows[i] = {
+            ip,
+            error: {
+              code: isTimeout ? 'REQUEST_TIMEOUT' : 'GEOLOCATION_ERROR',
+              message: isTimeout ? '请求超时' : '获取地理位置信息失败'
+            }
+          };
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    };
+    const workers = Math.max(1, Math.min(settings.concurrency ?? 10, ips.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return rows;
+  }
+
+  /**
+   * 已完成分片的结果（执行中的任务只含已完成部分），逐片产出以便流式输出
+   */
+  async *resultChunks(job, env) {
+    this._ensureStore(env);
+    for (let index = 0; index < job.nextChunk; index++) {
+      yield (await this.store.getChunk(job.id, 'result', index)) ?? [];
+    }
+  }
+}
+
+export const bulkJobService = new BulkJobService();
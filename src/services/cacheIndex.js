@@ -0,0 +1,130 @@
+/**
+ * 🗂️ 结果缓存二级索引
+ *
+ * CacheStore 只能按键存取：file 后端以键的 SHA-256 为文件名，Cache API 不可枚举，KV 列举分页且最终一致。
+ * 管理端点（查看热点 / 按 IP、网段、provider、年龄清除）需要「键 → IP / 写入时间 / provider / 命中数」，
+ * 由本索引在 ResultCache 写入与命中时维护。
+ *
+ * 索引位于 isolate 内存：共享存储（KV / Cache API / file）中由其他 isolate 写入、本 isolate 尚未命中过的
+ * 条目不在索引内，按索引清除只覆盖本 isolate 见过的条目。容量有上限，超出时淘汰最久未触及的键。
+ */
+
+import { ipInCIDR } from '../utils/ipValidation.js';
+
+// 年龄直方图桶上界（毫秒）；最后一桶为开区间
+export const AGE_BUCKETS_MS = Object.freeze([60000, 300000, 900000, 3600000, 21600000, 86400000]);
+
+export class CacheIndex {
+  /**
+   * @param {object} [options] { maxSize }
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize ?? 10000;
+    // Map 插入序即触及序，头部为最久未触及
+    this.entries = new Map();
+    // IP → 键集合（同一 IP 的 language / includeThreat 变体）
+    this.byIp = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 记录写入（覆盖同键旧记录，命中数清零）
+   * @param {object} meta { ip, storedAt, provider, negative }
+   */
+  record(key, meta) {
+    this.remove(key);
+    while (this.entries.size > 0 && this.entries.size >= this.maxSize) {
+      this.remove(this.entries.keys().next().value);
+    }
+    this.entries.set(key, {
+      ip: meta.ip,
+      storedAt: meta.storedAt,
+      provider: meta.provider ?? null,
+      negative: Boolean(meta.negative),
+      hits: 0
+    });
+    if (!this.byIp.has(meta.ip)) {
+      this.byIp.set(meta.ip, new Set());
+    }
+    this.byIp.get(meta.ip).add(key);
+  }
+
+  /**
+   * 记录命中；索引中没有该键（其他 isolate 写入的共享条目）时按 meta 补录
+   */
+  touch(key, meta) {
+    let entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      entry.storedAt = meta.storedAt;
+    } else {
+      this.record(key, meta);
+      entry = this.entries.get(key);
+    }
+    entry.hits++;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    const keys = this.byIp.get(entry.ip);
+    keys?.delete(key);
+    if (keys?.size === 0) {
+      this.byIp.delete(entry.ip);
+    }
+    return true;
+  }
+
+  keysForIp(ip) {
+    return [...(this.byIp.get(ip) ?? [])];
+  }
+
+  /**
+   * 按条件筛选键，条件之间为「且」
+   * @param {object} filter { cidr, provider, olderThanMs }
+   */
+  match(filter = {}, now = Date.now()) {
+    const keys = [];
+    for (const [key, entry] of this.entries) {
+      if (filter.cidr && !ipInCIDR(entry.ip, filter.cidr)) continue;
+      if (filter.provider && entry.provider !== filter.provider) continue;
+      if (filter.olderThanMs !== undefined && now - entry.storedAt < filter.olderThanMs) continue;
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  /**
+   * 命中最多的 limit 个键（同 IP 的不同选项变体分列）
+   */
+  hottest(limit = 10) {
+    return [...this.entries.entries()]
+      .filter(([, entry]) => entry.hits > 0)
+      .sort(([, a], [, b]) => b.hits - a.hits)
+      .slice(0, limit)
+      .map(([key, entry]) => ({ key, ip: entry.ip, provider: entry.provider, hits: entry.hits }));
+  }
+
+  /**
+   * 按写入时间的年龄分桶计数：[{ le: 毫秒上界 | null, count }]
+   */
+  ageHistogram(now = Date.now()) {
+    const buckets = [...AGE_BUCKETS_MS.map((le) => ({ le, count: 0 })), { le: null, count: 0 }];
+    for (const entry of this.entries.values()) {
+      const age = now - entry.storedAt;
+      const bucket = buckets.find((b) => b.le === null || age <= b.le);
+      bucket.count++;
+    }
+    return buckets;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.byIp.clear();
+  }
+}
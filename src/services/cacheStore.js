@@ -0,0 +1,287 @@
+/**
+ * 🗄️ 可插拔缓存存储（CacheStore）
+ *
+ * GeoLookup 结果缓存的后端，接口统一为异步，按 config.cache.store 选择：
+ * - memory：isolate 内 Map + LRU（默认；isolate 回收即丢失）
+ * - kv：Workers KV 命名空间（绑定名 cache.kvBinding），跨 isolate / 跨地域共享，最终一致
+ * - cache-api：Workers caches.default，同一数据中心内跨 isolate 共享；不可枚举，clear 只能删除本 isolate 写入过的键
+ * - file：Node 部署的本地目录（每键一个 JSON 文件），进程重启后保留
+ *   （无 SQLite 后端：node:sqlite 需 Node ≥ 22.5，原生扩展无法进入 Workers 包；file 已覆盖本地持久化）
+ *
+ * 条目为 { value, storedAt }；set 的 ttlMs 是物理保留时长（到期由后端丢弃），
+ * 新鲜 / stale 由调用方按 storedAt 判定。memory 以外的后端会 JSON 序列化 value。
+ *
+ * 接口：get(key) → { value, storedAt } | null；set(key, value, { ttlMs })；delete(key)；clear()；getStats()
+ */
+
+// KV expirationTtl 下限 60 秒
+const KV_MIN_TTL_SECONDS = 60;
+const CACHE_API_ORIGIN = 'https://geo-cache.internal/';
+
+// process.getBuiltinModule（Node ≥ 20.16）按需取内置模块，避免静态 import 破坏 Workers 打包
+function nodeBuiltin(name) {
+  const getBuiltin = typeof process !== 'undefined' ? process.getBuiltinModule : undefined;
+  return typeof getBuiltin === 'function' ? getBuiltin(name) : null;
+}
+
+const isEntry = (entry) => Boolean(entry) && typeof entry === 'object' && typeof entry.storedAt === 'number';
+
+export class MemoryCacheStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxSize = options.maxSize ?? 1000;
+    // Map 插入序即访问序（命中时删除重插），头部为最久未用
+    this.cache = new Map();
+  }
+
+  async get(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    if (Date.now() >= entry.expiresAt) {
+      this.cache.delete(key);
+      return null;
+    }
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+
+  async set(key, value, options = {}) {
+    this.cache.delete(key);
+    while (this.cache.size > 0 && this.cache.size >= this.maxSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    const storedAt = Date.now();
+    this.cache.set(key, { value, storedAt, expiresAt: storedAt + (options.ttlMs ?? Infinity) });
+  }
+
+  async delete(key) {
+    return this.cache.delete(key);
+  }
+
+  async clear() {
+    this.cache.clear();
+  }
+
+  getStats() {
+    return { store: this.name, size: this.cache.size, maxSize: this.maxSize };
+  }
+}
+
+export class KvCacheStore {
+  /**
+   * @param {object} namespace - KV 绑定（get / put / delete / list）
+   * @param {object} [options] { prefix } 键前缀，与同一命名空间内的其他数据隔离
+   */
+  constructor(namespace, options = {}) {
+    this.name = 'kv';
+    this.kv = namespace;
+    this.prefix = options.prefix ?? 'geo:';
+  }
+
+  async get(key) {
+    const entry = await this.kv.get(this.prefix + key, 'json');
+    return isEntry(entry) ? entry : null;
+  }
+
+  async set(key, value, options = {}) {
+    const put = options.ttlMs
+      ? { expirationTtl: Math.max(KV_MIN_TTL_SECONDS, Math.ceil(options.ttlMs / 1000)) }
+      : {};
+    await this.kv.put(this.prefix + key, JSON.stringify({ value, storedAt: Date.now() }), put);
+  }
+
+  async delete(key) {
+    await this.kv.delete(this.prefix + key);
+    return true;
+  }
+
+  // 按前缀分页列举后逐个删除（KV 无批量清空）
+  async clear() {
+    let cursor;
+    do {
+      const page = await this.kv.list({ prefix: this.prefix, cursor });
+      await Promise.all(page.keys.map(({ name }) => this.kv.delete(name)));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+  }
+
+  getStats() {
+    return { store: this.name, size: null, maxSize: null };
+  }
+}
+
+export class CacheApiStore {
+  /**
+   * @param {Cache} cache - 一般为 caches.default
+   * @param {object} [options] { origin, maxTracked } 合成 URL 前缀；本 isolate 记录的已写入键数上限（超出淘汰最早的）
+   */
+  constructor(cache, options = {}) {
+    this.name = 'cache-api';
+    this.cache = cache;
+    this.origin = options.origin ?? CACHE_API_ORIGIN;
+    this.maxTracked = options.maxTracked ?? 10000;
+    // Set 插入序：头部为最早写入
+    this.written = new Set();
+  }
+
+  // Cache API 以 URL 为键
+  urlFor(key) {
+    return `${this.origin}${encodeURIComponent(key)}`;
+  }
+
+  async get(key) {
+    const response = await this.cache.match(this.urlFor(key));
+    if (!response) return null;
+    try {
+      const entry = await response.json();
+      return isEntry(entry) ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async set(key, value, options = {}) {
+    const maxAge = options.ttlMs ? Math.ceil(options.ttlMs / 1000) : 31536000;
+    await this.cache.put(this.urlFor(key), new Response(JSON.stringify({ value, storedAt: Date.now() }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${maxAge}` }
+    }));
+    this.written.delete(key);
+    this.written.add(key);
+    if (this.written.size > this.maxTracked) {
+      this.written.delete(this.written.values().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.written.delete(key);
+    return this.cache.delete(this.urlFor(key));
+  }
+
+  /**
+   * Cache API 不可枚举：只删除本 isolate 记录的已写入键，其余条目（其他 isolate 写入、超出 maxTracked）
+   * 等待 max-age 过期。返回删除数。
+   */
+  async clear() {
+    const keys = [...this.written];
+    this.written.clear();
+    const results = await Promise.all(keys.map((key) => this.cache.delete(this.urlFor(key))));
+    console.warn(`⚠️ Cache API store cleared ${keys.length} key(s) written by this isolate; ` +
+      'entries written elsewhere remain until max-age');
+    return results.filter(Boolean).length;
+  }
+
+  getStats() {
+    return { store: this.name, size: null, maxSize: null };
+  }
+}
+
+export class FileCacheStore {
+  /**
+   * @param {string} dir - 存放目录（不存在时创建）
+   */
+  constructor(dir, options = {}) {
+    this.name = 'file';
+    this.dir = String(dir).replace(/\/+$/, '');
+    this.fs = options.fs ?? nodeBuiltin('node:fs')?.promises;
+    this.crypto = options.crypto ?? nodeBuiltin('node:crypto');
+    if (!this.fs || !this.crypto) {
+      throw new Error('File cache store requires Node.js >= 20.16');
+    }
+    this.ready = null;
+  }
+
+  pathFor(key) {
+    return `${this.dir}/${this.crypto.createHash('sha256').update(key).digest('hex')}.json`;
+  }
+
+  async get(key) {
+    const path = this.pathFor(key);
+    let entry;
+    try {
+      entry = JSON.parse(await this.fs.readFile(path, 'utf8'));
+    } catch {
+      return null;
+    }
+    if (!isEntry(entry) || entry.key !== key) return null;
+    if (Date.now() >= entry.expiresAt) {
+      await this.fs.unlink(path).catch(() => {});
+      return null;
+    }
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+
+  async set(key, value, options = {}) {
+    this.ready ??= this.fs.mkdir(this.dir, { recursive: true });
+    await this.ready;
+    const storedAt = Date.now();
+    const path = this.pathFor(key);
+    // 先写临时文件再 rename，读者不会看到写了一半的 JSON
+    const temp = `${path}.${storedAt}.${Math.random().toString(36).slice(2)}.tmp`;
+    const expiresAt = storedAt + (options.ttlMs ?? 31536000000);
+    await this.fs.writeFile(temp, JSON.stringify({ key, value, storedAt, expiresAt }));
+    await this.fs.rename(temp, path);
+  }
+
+  async delete(key) {
+    try {
+      await this.fs.unlink(this.pathFor(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async clear() {
+    let names;
+    try {
+      names = await this.fs.readdir(this.dir);
+    } catch {
+      return;
+    }
+    await Promise.all(names
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => this.fs.unlink(`${this.dir}/${name}`).catch(() => {})));
+  }
+
+  getStats() {
+    return { store: this.name, size: null, maxSize: null };
+  }
+}
+
+/**
+ * 按 config.cache 创建存储；所选后端在当前运行时不可用（缺 KV 绑定、非 Workers、非 Node）时告警并回退 memory
+ * @param {object} [options] { store, kvBinding, keyPrefix, fileDir, maxSize }
+ * @param {object} [env] - Workers 绑定（c.env）；service worker 语法下绑定在 globalThis
+ */
+export function createCacheStore(options = {}, env = {}) {
+  const memory = () => new MemoryCacheStore({ maxSize: options.maxSize });
+  try {
+    switch (options.store ?? 'memory') {
+    case 'memory':
+      return memory();
+    case 'kv': {
+      const binding = options.kvBinding || 'GEO_CACHE';
+      const namespace = env?.[binding] ?? globalThis[binding];
+      if (typeof namespace?.get === 'function' && typeof namespace?.put === 'function') {
+        return new KvCacheStore(namespace, { prefix: options.keyPrefix });
+      }
+      throw new Error(`KV binding "${binding}" not found`);
+    }
+    case 'cache-api': {
+      const cache = globalThis.caches?.default;
+      if (cache) {
+        return new CacheApiStore(cache);
+      }
+      throw new Error('caches.default is not available');
+    }
+    case 'file':
+      return new FileCacheStore(options.fileDir || '.cache/geo');
+    default:
+      throw new Error('unknown store');
+    }
+  } catch (error) {
+    console.warn(`⚠️ Cache store "${options.store}" unavailable (${error.message}); using memory`);
+    return memory();
+  }
+}
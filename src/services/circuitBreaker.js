@@ -0,0 +1,137 @@
+/**
+ * 🔌 Provider 熔断器
+ *
+ * 每个 provider 实例一个熔断器（ProviderPool 持有），按 ProviderErrorCode 选择策略：
+ * - AUTH_FAILURE：凭证失效不会自愈，立即长时间熔断（authOpenMs）
+ * - RATE_LIMITED：立即熔断，时长取上游 Retry-After（缺省 rateLimitOpenMs）
+ * - TIMEOUT / NETWORK_FAILURE / UPSTREAM_ERROR / PARSE_ERROR：连续失败达到阈值后熔断 openMs
+ *
+ * 熔断到期进入 half-open：只放行 halfOpenMaxProbes 个探测请求，探测成功 → closed，失败 → 重新熔断，
+ * 被中止 → releaseProbe() 归还名额，下一个请求重新探测。
+ * 「无数据」（provider 返回 null）视为成功——上游可用，只是没有该 IP 记录。
+ */
+
+import { ProviderErrorCode } from '../providers/BaseProvider.js';
+
+export const CircuitState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+export const DEFAULT_BREAKER_OPTIONS = Object.freeze({
+  failureThreshold: 3,
+  openMs: 30000,
+  authOpenMs: 900000, // 15 分钟
+  rateLimitOpenMs: 60000,
+  maxOpenMs: 3600000, // Retry-After 上限，防止异常头把 provider 永久踢出
+  halfOpenMaxProbes: 1
+});
+
+export class CircuitBreaker {
+  constructor(name, options = {}, now = () => Date.now()) {
+    this.name = name;
+    this.options = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+    this.now = now;
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.openUntil = null;
+    this.lastErrorCode = null;
+    this.lastFailureAt = null;
+    this.probesInFlight = 0;
+    this.totals = { opened: 0, rejected: 0, failures: 0, successes: 0 };
+  }
+
+  /**
+   * 是否放行本次调用。half-open 时占用一个探测名额，调用方必须随后 record* 或 releaseProbe()。
+   */
+  allowRequest() {
+    if (this.state === CircuitState.OPEN) {
+      if (this.now() < this.openUntil) {
+        this.totals.rejected++;
+        return false;
+      }
+      this.state = CircuitState.HALF_OPEN;
+      this.probesInFlight = 0;
+    }
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.probesInFlight >= this.options.halfOpenMaxProbes) {
+        this.totals.rejected++;
+        return false;
+      }
+      this.probesInFlight++;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.totals.successes++;
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.probesInFlight = 0;
+    this.openedAt = null;
+    this.openUntil = null;
+  }
+
+  /**
+   * 调用被客户端中止、结果不代表上游健康状况时归还探测名额，既不闭合也不重新熔断
+   */
+  releaseProbe() {
+    if (this.state === CircuitState.HALF_OPEN && this.probesInFlight > 0) {
+      this.probesInFlight--;
+    }
+  }
+
+  recordFailure(error) {
+    const code = error?.code || ProviderErrorCode.UPSTREAM_ERROR;
+    this.totals.failures++;
+    this.consecutiveFailures++;
+    this.lastErrorCode = code;
+    this.lastFailureAt = this.now();
+
+    if (code === ProviderErrorCode.AUTH_FAILURE) {
+      this.open(this.options.authOpenMs);
+      return;
+    }
+    if (code === ProviderErrorCode.RATE_LIMITED) {
+      const retryAfter = Number.isFinite(error?.retryAfterMs) ? error.retryAfterMs : this.options.rateLimitOpenMs;
+      this.open(Math.min(Math.max(retryAfter, 0), this.options.maxOpenMs));
+      return;
+    }
+    if (this.state === CircuitState.HALF_OPEN || this.consecutiveFailures >= this.options.failureThreshold) {
+      this.open(this.options.openMs);
+    }
+  }
+
+  open(durationMs) {
+    const now = this.now();
+    this.state = CircuitState.OPEN;
+    this.openedAt = now;
+    this.openUntil = now + durationMs;
+    this.probesInFlight = 0;
+    this.totals.opened++;
+  }
+
+  reset() {
+    this.recordSuccess();
+    this.lastErrorCode = null;
+    this.lastFailureAt = null;
+  }
+
+  getState() {
+    const now = this.now();
+    // 到期但尚未有请求触发转换时，对外如实报告为 half-open
+    const state = this.state === CircuitState.OPEN && now >= this.openUntil ? CircuitState.HALF_OPEN : this.state;
+    return {
+      name: this.name,
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastErrorCode: this.lastErrorCode,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      openUntil: state === CircuitState.OPEN ? new Date(this.openUntil).toISOString() : null,
+      retryInMs: state === CircuitState.OPEN ? this.openUntil - now : 0,
+      totals: { ...this.totals }
+    };
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * 🗳️ 字段级共识合并
+ *
+ * basicMerge 按优先级填空，provider 之间的分歧被静默丢弃（Cloudflare 说 DE、IPInfo 说 NL，
+ * 结果只有 DE）。此处在 basicMerge 结果之上按段投票：
+ * - country：按国家代码分组加权投票；城市只在同意胜出国家的来源之间再投票
+ * - network：按 ASN 分组加权投票；organization / isp / domain / prefix 只取自同意胜出 ASN 的来源
+ * - location：坐标在 toleranceKm 内视为一致，取获得最多加权支持的来源坐标
+ *
+ * 权重 = provider.weight（若有）否则 provider.priority；平票时高优先级来源胜出。
+ * 每段输出 confidence = { score, sources, reporting }：
+ * score 为胜出组权重 / 报告该字段的总权重，sources / reporting 为来源计数。
+ */
+
+import { haversineKm, isValidCoordinates } from '../utils/geoMath.js';
+
+export const DEFAULT_CONSENSUS_TOLERANCE_KM = 100;
+
+const normText = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : null);
+
+function weightOf(provider) {
+  const w = provider?.weight ?? provider?.priority ?? 1;
+  return w > 0 ? w : 1;
+}
+
+/**
+ * 按 key 分组投票。entries 已按优先级降序；返回胜出组 { members, weight } 与总权重。
+ */
+function vote(entries, keyOf) {
+  const groups = new Map();
+  let total = 0;
+  for (const entry of entries) {
+    const key = keyOf(entry.value);
+    if (key === null || key === undefined || key === '') continue;
+    total += entry.weight;
+    if (!groups.has(key)) {
+      groups.set(key, { members: [], weight: 0 });
+    }
+    const group = groups.get(key);
+    group.members.push(entry);
+    group.weight += entry.weight;
+  }
+  let winner = null;
+  for (const group of groups.values()) {
+    // 严格大于：平票保留先出现（优先级更高）的组
+    if (!winner || group.weight > winner.weight) {
+      winner = group;
+    }
+  }
+  return { winner, total, reporting: Array.from(groups.values()).reduce((n, g) => n + g.members.length, 0) };
+}
+
+function confidenceOf({ winner, total, reporting }) {
+  return {
+    score: Math.round((winner.weight / total) * 100) / 100,
+    sources: winner.members.length,
+    reporting
+  };
+}
+
+// 按成员顺序取 fields 中每个字段的首个非空值；sources 为 provenance 点路径 → provider 名
+function pick(members, section, fields, sources = null) {
+  const out = {};
+  for (const field of fields) {
+    out[field] = null;
+    if (sources) delete sources[`${section}.${field}`];
+    for (const { value, provider } of members) {
+      const v = value?.[section]?.[field];
+      if (v !== null && v !== undefined) {
+        out[field] = v;
+        if (sources) sources[`${section}.${field}`] = provider?.name || 'unknown';
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+function mergeCountry(merged, entries, confidence, sources) {
+  const countryVote = vote(entries, (v) => v?.country?.code?.toUpperCase() || null);
+  if (!countryVote.winner) return;
+
+  const agreeing = countryVote.winner.members;
+  const country = pick(agreeing, 'country', ['name', 'code', 'continent', 'continentCode'], sources);
+
+  // 城市只在同意胜出国家的来源之间投票，避免拼出「NL 的国家 + DE 的城市」
+  const cityVote = vote(agreeing, (v) => normText(v?.country?.city));
+  const cityMembers = cityVote.winner ? cityVote.winner.members : [];
+  Object.assign(country, pick(cityMembers, 'country', ['city', 'region', 'regionCode'], sources));
+  if (!country.region) {
+    Object.assign(country, pick(agreeing, 'country', ['region', 'regionCode'], sources));
+  }
+
+  merged.country = { ...merged.country, ...country };
+  confidence.country = confidenceOf(countryVote);
+  if (cityVote.winner) {
+    confidence.country.city = confidenceOf(cityVote);
+  }
+}
+
+function mergeNetwork(merged, entries, confidence, sources) {
+  const asnVote = vote(entries, (v) => (typeof v?.network?.asn === 'number' ? v.network.asn : null));
+  if (!asnVote.winner) return;
+  merged.network = {
+    ...merged.network,
+    ...pick(asnVote.winner.members, 'network', ['asn', 'organization', 'isp', 'domain', 'prefix'], sources)
+  };
+  confidence.network = confidenceOf(asnVote);
+}
+
+function mergeLocation(merged, entries, confidence, toleranceKm, sources) {
+  const reports = entries.filter((e) => isValidCoordinates(e.value?.location?.coordinates));
+  if (reports.length === 0) return;
+
+  const total = reports.reduce((sum, e) => sum + e.weight, 0);
+  let best = null;
+  for (const candidate of reports) {
+    const point = candidate.value.location.coordinates;
+    const members = reports.filter((e) => haversineKm(point, e.value.location.coordinates) <= toleranceKm);
+    const weight = members.reduce((sum, e) => sum + e.weight, 0);
+    if (!best || weight > best.weight) {
+      best = { candidate, members, weight };
+    }
+  }
+
+  // 选中点排在最前，timezone / postalCode 优先取自同一来源
+  const ordered = [best.candidate, ...best.members.filter((e) => e !== best.candidate)];
+  const coordinates = { ...merged.location?.coordinates };
+  for (const [field, value] of Object.entries(best.candidate.value.location.coordinates)) {
+    coordinates[field] = value;
+    if (sources) {
+      if (value === null || value === undefined) delete sources[`location.coordinates.${field}`];
+      else sources[`location.coordinates.${field}`] = best.candidate.provider?.name || 'unknown';
+    }
+  }
+  merged.location = {
+    ...merged.location,
+    coordinates,
+    ...pick(ordered, 'location', ['timezone', 'postalCode'], sources)
+  };
+  confidence.location = confidenceOf({ winner: best, total, reporting: reports.length });
+}
+
+/**
+ * @param {object} base      basicMerge 结果（已完成优先级填空与 provider 归因）
+ * @param {Array}  sources   [{ value: GeoData, provider }]（fulfilled 且非空）
+ * @param {object} [options] { toleranceKm, fieldSources }——fieldSources 为 provenance.fields，投票改写的字段同步更新
+ * @returns {object} 覆盖了投票字段并附 confidence 的合并结果（base 被原地修改）
+ */
+export function consensusMerge(base, sources, options = {}) {
+  const toleranceKm = options.toleranceKm ?? DEFAULT_CONSENSUS_TOLERANCE_KM;
+  const entries = sources
+    .map(({ value, provider }) => ({ value, provider, weight: weightOf(provider) }))
+    .sort((a, b) => (b.provider?.priority || 0) - (a.provider?.priority || 0));
+
+  const fieldSources = options.fieldSources || null;
+  const confidence = {};
+  mergeCountry(base, entries, confidence, fieldSources);
+  mergeLocation(base, entries, confidence, toleranceKm, fieldSources);
+  mergeNetwork(base, entries, confidence, fieldSources);
+  if (Object.keys(confidence).length > 0) {
+    base.confidence = confidence;
+  }
+  return base;
+}
@@ -0,0 +1,116 @@
+/**
+ * 🏳️ 国家目录：/api/v1/countries 资源与 include=countryDetails 块
+ *
+ * 国家 / 大洲 / 邻国名称取内置 ISO 3166 数据集（countryNames），货币与语言名称、货币符号由 Intl 按请求语言生成；
+ * 首都为数据集中的英文名。
+ */
+
+import { COUNTRIES } from '../data/countries.js';
+import { COUNTRY_DETAILS, EEA_MEMBERS, EU_MEMBERS } from '../data/countryDetails.js';
+import { continentName, countryName } from './countryNames.js';
+
+// 'language|currency:基础语言' → Intl.DisplayNames
+const displayNames = new Map();
+
+function displayNameOf(type, code, language) {
+  const key = `${type}:${language}`;
+  if (!displayNames.has(key)) {
+    let names;
+    try {
+      names = new Intl.DisplayNames([language, 'en'], { type, fallback: 'code' });
+    } catch {
+      names = new Intl.DisplayNames(['en'], { type, fallback: 'code' });
+    }
+    displayNames.set(key, names);
+  }
+  try {
+    return displayNames.get(key).of(code);
+  } catch {
+    return code;
+  }
+}
+
+// '货币码:基础语言' → 货币符号
+const symbols = new Map();
+
+function currencySymbol(code, language) {
+  const key = `${code}:${language}`;
+  if (!symbols.has(key)) {
+    let symbol = code;
+    try {
+      const parts = new Intl.NumberFormat([language, 'en'], {
+        style: 'currency',
+        currency: code,
+        currencyDisplay: 'narrowSymbol'
+      }).formatToParts(0);
+      symbol = parts.find((p) => p.type === 'currency')?.value ?? code;
+    } catch {
+      // 格式不合法的货币码：以代码代替符号
+    }
+    symbols.set(key, symbol);
+  }
+  return symbols.get(key);
+}
+
+const list = (value) => (value ? value.split(' ') : []);
+
+/**
+ * 由 ISO 国家代码生成国旗 emoji（regional indicator symbols）。
+ */
+export function flagFromCode(countryCode) {
+  if (!countryCode || countryCode.length !== 2) {
+    return null;
+  }
+  const codePoints = countryCode
+    .toUpperCase()
+    .split('')
+    .map((char) => 127397 + char.charCodeAt(0));
+  return String.fromCodePoint(...codePoints);
+}
+
+/**
+ * 单个国家资源；未知代码返回 null
+ * @param {string} code - ISO 3166-1 alpha-2（大小写不敏感）
+ * @param {string} [language] - 请求语言（如 de、zh-CN）
+ */
+export function describeCountry(code, language = 'en') {
+  const upper = String(code || '').toUpperCase();
+  const details = COUNTRY_DETAILS[upper];
+  if (!details || !COUNTRIES[upper]) return null;
+  const [capitals, currencies, callingCodes, languages, tlds, neighbours] = details;
+  const continentCode = COUNTRIES[upper][0];
+  // Intl 名称按基础语言取，格式化器缓存的键数有上限
+  const base = String(language || 'en').slice(0, 2).toLowerCase();
+
+  return {
+    code: upper,
+    name: countryName(upper, language),
+    flag: flagFromCode(upper),
+    continent: { code: continentCode, name: continentName(continentCode, language) },
+    capitals: capitals ? capitals.split('|') : [],
+    currencies: list(currencies).map((currency) => ({
+      code: currency,
+      name: displayNameOf('currency', currency, base),
+      symbol: currencySymbol(currency, base)
+    })),
+    callingCodes: list(callingCodes),
+    languages: list(languages).map((lang) => ({ code: lang, name: displayNameOf('language', lang, base) })),
+    tlds: list(tlds),
+    membership: { eu: EU_MEMBERS.includes(upper), eea: EEA_MEMBERS.includes(upper) },
+    neighbours: list(neighbours).map((neighbour) => ({ code: neighbour, name: countryName(neighbour, language) }))
+  };
+}
+
+/**
+ * 全部国家（按代码排序），可按大洲码 / 欧盟 / 欧洲经济区成员筛选
+ * @param {object} [filter] { continent, eu, eea }
+ */
+export function listCountries(language = 'en', filter = {}) {
+  return Object.keys(COUNTRY_DETAILS)
+    .sort()
+    .map((code) => describeCountry(code, language))
+    .filter((country) => country &&
+      (!filter.continent || country.continent.code === filter.continent) &&
+      (filter.eu === undefined || country.membership.eu === filter.eu) &&
+      (filter.eea === undefined || country.membership.eea === filter.eea));
+}
@@ -0,0 +1,71 @@
+/**
+ * 🌐 国家 / 大洲名称补齐
+ *
+ * Cloudflare 只给国家码（continent 字段实为大洲码），IPInfo / ip-api 只给英文名，
+ * 因此 lang 参数原本只在配置了 MaxMind 时生效。合并后由本模块按国家码从内置数据集
+ * 补齐 country.name / continent / continentCode：只填空值，不覆盖 provider 给出的值。
+ */
+
+import { CONTINENTS, COUNTRIES, COUNTRY_NAME_LANGUAGES } from '../data/countries.js';
+
+// 补齐字段在 provenance.fields 中的来源名
+export const DATASET_SOURCE = 'ISO3166';
+
+/**
+ * 请求语言 → 数据集语言：'zh-CN' → 'zh'，'pt-BR' → 'pt'；不支持的语言回退 'en'
+ */
+export function resolveLanguage(language) {
+  const short = String(language || 'en').slice(0, 2).toLowerCase();
+  return COUNTRY_NAME_LANGUAGES.includes(short) ? short : 'en';
+}
+
+export function countryName(code, language = 'en') {
+  const entry = COUNTRIES[String(code || '').toUpperCase()];
+  return entry ? entry[1 + COUNTRY_NAME_LANGUAGES.indexOf(resolveLanguage(language))] : null;
+}
+
+export function continentCodeOf(countryCode) {
+  return COUNTRIES[String(countryCode || '').toUpperCase()]?.[0] ?? null;
+}
+
+export function continentName(code, language = 'en') {
+  const names = CONTINENTS[String(code || '').toUpperCase()];
+  return names ? names[COUNTRY_NAME_LANGUAGES.indexOf(resolveLanguage(language))] : null;
+}
+
+/**
+ * 就地补齐合并结果的国家 / 大洲名称，返回补齐的字段路径。
+ * continent 为裸大洲码（Cloudflare）且 continentCode 为空时，先把它移到 continentCode 再补名称。
+ */
+export function enrichCountryNames(geo, language = 'en') {
+  const country = geo?.country;
+  if (!country) return [];
+  const filled = [];
+  const fill = (field, value) => {
+    if (country[field] == null && value) {
+      country[field] = value;
+      filled.push(`country.${field}`);
+    }
+  };
+
+  const fields = geo.provenance?.fields;
+  if (!country.continentCode && Object.hasOwn(CONTINENTS, country.continent ?? '')) {
+    country.continentCode = country.continent;
+    country.continent = null;
+    if (fields?.['country.continent']) {
+      fields['country.continentCode'] = fields['country.continent'];
+    }
+  }
+  if (country.code) {
+    fill('name', countryName(country.code, language));
+    fill('continentCode', continentCodeOf(country.code));
+  }
+  fill('continent', continentName(country.continentCode, language));
+
+  if (fields) {
+    for (const path of filled) {
+      fields[path] = DATASET_SOURCE;
+    }
+  }
+  return filled;
+}
@@ -3,8 +3,9 @@
  *
  * 本模块承载原先 performanceOptimizer 全部职责：
  * - 5 个 internal class: ProviderPool / ResultCache / BatchProcessor / DataCompressor / PerformanceMonitor
- * - Provider 注册表 (PROVIDER_REGISTRY → DEFAULT_PROVIDER_REGISTRY) 与 getOptimizedProviders
- * - 70+ 行 pipeline (cache → batch → sync/async tier → merge → threat → cache write)
+ * - Provider 注册表 (PROVIDER_REGISTRY → DEFAULT_PROVIDER_REGISTRY) 与 getOptimizedProviders；
+ *   自有数据源经 registerProvider / unregisterProvider 插拔（保持池化）
+ * - 70+ 行 pipeline (cache → batch → prefix cache | sync/async tier ∥ rDNS → merge → names / timezone → threat → cache write)
  * - Helper: hasUsableGeo / deepFillNulls / basicMerge / withTimeout / cloneResult
  * - 顶层 instance: `geoLookup` (PR 1-3 期间已预留)
  * - startMemoryCleanup / stopMemoryCleanup
@@ -24,10 +25,27 @@
 import { hasReliableTimers } from '../utils/runtime.js';
 import { CloudflareProvider } from '../providers/cloudflare.js';
 import { MaxMindProvider } from '../providers/maxmind.js';
+import { MaxMindDatabaseProvider, resolveDatabaseSource } from '../providers/maxmindDb.js';
 import { IPInfoProvider } from '../providers/ipinfo.js';
 import { IPApiComProvider } from '../providers/ipApiCom.js';
+import { defineHttpMappingProvider } from '../providers/httpMapping.js';
 import { ThreatService } from './threatService.js';
+import { CircuitBreaker, CircuitState } from './circuitBreaker.js';
+import { retryWithBudget } from '../utils/retryPolicy.js';
+import { consensusMerge, DEFAULT_CONSENSUS_TOLERANCE_KM } from './consensusMerge.js';
+import { ProviderStatsTracker } from './providerStats.js';
+import { ProviderQuota } from './quotaBudget.js';
+import { ReverseDnsResolver } from './reverseDns.js';
+import { PrefixCache } from './prefixCache.js';
+import { MemoryCacheStore, createCacheStore } from './cacheStore.js';
+import { CacheIndex } from './cacheIndex.js';
+import { SecureCache } from '../utils/secureCache.js';
+import { enrichCountryNames } from './countryNames.js';
+import { monitoringService } from '../monitoring/monitoringService.js';
+import { ProviderError } from '../providers/BaseProvider.js';
 import { toCtx } from '../utils/requestAdapter.js';
+import { canonicalizeIP } from '../utils/ipValidation.js';
+import { enrichTimezone } from '../utils/timezone.js';
 import { config } from '../config/configManager.js';
 
 // ============================================================
@@ -40,43 +58,72 @@ import { config } from '../config/configManager.js';
 class ProviderPool {
   constructor() {
     this.providers = new Map();
+    // 熔断器按池 key（类名 + 配置指纹）存放，实例被空闲清理后重建仍沿用原熔断状态
+    this.breakers = new Map();
+    this.instanceKeys = new WeakMap();
+    this.breakerOptions = {};
     this.lastCleanup = Date.now();
     this.cleanupInterval = 300000; // 5分钟清理一次（_ensureConfigured lazy 覆盖）
     this.maxAge = 600000; // 10分钟未使用则清理（_ensureConfigured lazy 覆盖）
   }
 
-  getProvider(ProviderClass, env = {}) {
-    const providerName = ProviderClass.name;
-    const providerKey = `${providerName}:${this.getProviderConfigFingerprint(ProviderClass, env)}`;
+  /**
+   * @param {Function} ProviderClass
+   * @param {object}   env
+   * @param {object}   [entry]  注册表条目 { name, fingerprint(env) }：池 key = `${name}:${fingerprint(env)}`，
+   *                            凭证/数据源变化时 fingerprint 变化 → 新实例（旧实例按 maxAge 淘汰）
+   */
+  getProvider(ProviderClass, env = {}, { name = ProviderClass.name, fingerprint = null } = {}) {
+    const providerKey = `${name}:${fingerprint ? fingerprint(env) : 'default'}`;
     this.cleanup();
     if (!this.providers.has(providerKey)) {
       const provider = new ProviderClass(env);
       this.providers.set(providerKey, {
         instance: provider,
-        displayName: providerName,
+        displayName: ProviderClass.name || name,
         created: Date.now(),
         lastUsed: Date.now(),
         usageCount: 0
       });
     }
     const providerData = this.providers.get(providerKey);
+    this.instanceKeys.set(providerData.instance, providerKey);
     providerData.usageCount++;
     providerData.lastUsed = Date.now();
     return providerData.instance;
   }
 
-  getProviderConfigFingerprint(ProviderClass, env = {}) {
-    const name = ProviderClass.name;
-    if (name === 'IPInfoProvider') {
-      return env.IPINFO_TOKEN ? 'configured' : 'unconfigured';
-    }
-    if (name === 'MaxMindProvider') {
-      return env.MAXMIND_USER_ID && env.MAXMIND_LICENSE_KEY ? 'configured' : 'unconfigured';
+  /** 移除某注册名下的全部池化实例与熔断器（unregisterProvider） */
+  evict(name) {
+    const prefix = `${name}:`;
+    for (const key of [...this.providers.keys(), ...this.breakers.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.providers.delete(key);
+        this.breakers.delete(key);
+      }
     }
-    if (name === 'IPApiComProvider') {
-      return String(env.ENABLE_INSECURE_IPAPI_FALLBACK || '').toLowerCase() === 'true' ? 'enabled' : 'disabled';
+  }
+
+  /**
+   * 取 provider 实例的熔断器。注入路径（未经 getProvider 池化）的实例每次查询都是新对象，
+   * 按 provider.name 归并，保证熔断状态跨请求保留。
+   */
+  breakerFor(provider) {
+    const key = this.instanceKeys.get(provider) || `injected:${provider.name}`;
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(provider.name, this.breakerOptions));
     }
-    return 'default';
+    return this.breakers.get(key);
+  }
+
+  /** 只读查询熔断状态：尚未调用过的 provider 没有熔断器，视为 closed（不创建新熔断器） */
+  breakerStateFor(provider) {
+    const key = this.instanceKeys.get(provider) || `injected:${provider.name}`;
+    return this.breakers.get(key)?.getState().state || CircuitState.CLOSED;
+  }
+
+  getBreakerStats() {
+    return Array.from(this.breakers.entries()).map(([key, breaker]) => ({ key, ...breaker.getState() }));
   }
 
   cleanup() {
@@ -99,98 +146,281 @@ class ProviderPool {
         name: data.displayName || name,
         key: name,
         created: data.created,
-        usageCount: data.usageCount
-      }))
+        usageCount: data.usageCount,
+        circuit: this.breakers.get(name)?.getState().state || 'closed'
+      })),
+      circuitBreakers: this.getBreakerStats()
     };
   }
 }
 
 /**
- * 结果缓存：5分钟 TTL + LRU 淘汰
+ * 结果缓存：软 / 硬 TTL（stale-while-revalidate、stale-if-error），条目存于可插拔 CacheStore
+ * （默认 isolate 内 memory；KV / Cache API / 本地文件见 services/cacheStore.js）。
+ * 存储故障按未命中处理（读）或忽略（写），不影响查询。
+ * 写入与命中同时维护二级索引（services/cacheIndex.js），供管理端点按 IP / 网段 / provider / 年龄清除。
+ * 存储键为逻辑键（IP + 选项）加 salt 的哈希：KV 键名、文件条目不落明文 IP；明文键只在 isolate 内的索引中。
  */
+const storeKeyHasher = new SecureCache({ enableCleanup: false });
+
 class ResultCache {
-  constructor(maxSize = 1000, ttl = 300000) {
-    this.cache = new Map();
-    this.maxSize = maxSize;
-    this.ttl = ttl;
+  /**
+   * 软 / 硬两级过期：ttl 内为新鲜；ttl ~ hardTtl 为 stale（立即返回并后台刷新）；
+   * hardTtl ~ staleIfErrorTtl 仅在 provider 失败时兜底；之后删除。均按写入时间计。
+   * 无数据条目（dataAvailable === false）只在 negativeTtl 内新鲜，到期即删，没有 stale 阶段。
+   * @param {object} [options] { store, ttl, hardTtl, staleIfErrorTtl, negativeTtl, indexMaxSize, salt }
+   */
+  constructor(options = {}) {
+    this.store = options.store ?? new MemoryCacheStore({ maxSize: 1000 });
+    this.salt = options.salt ?? 'ip-api-cache-salt'; // 生产路径由 _ensureCacheStore 从 config cache.salt 注入
+    this.index = new CacheIndex({ maxSize: options.indexMaxSize });
+    this.ttl = options.ttl ?? 300000;
+    this.hardTtl = options.hardTtl ?? 3600000;
+    this.staleIfErrorTtl = options.staleIfErrorTtl ?? 86400000;
+    this.negativeTtl = options.negativeTtl ?? 60000;
     this.hits = 0;
     this.misses = 0;
+    this.staleHits = 0;
+    this.negativeHits = 0;
+    this.errors = 0;
+  }
+
+  // 容量由存储决定；无容量概念的后端（KV / Cache API / file）为 null
+  get maxSize() {
+    return this.store.maxSize ?? null;
+  }
+
+  set maxSize(value) {
+    if ('maxSize' in this.store) {
+      this.store.maxSize = value;
+    }
+  }
+
+  get retention() {
+    return Math.max(this.staleIfErrorTtl, this.hardTtl, this.ttl);
   }
 
   generateKey(ip, options = {}) {
     const normalizedOptions = options && typeof options === 'object' ? options : {};
     const cacheRelevantOptions = {
       language: normalizedOptions.language,
-      includeThreat: normalizedOptions.includeThreat
+      includeThreat: normalizedOptions.includeThreat,
+      // 只在显式请求时入键，未请求主机名的查询键保持不变
+      includeHostname: normalizedOptions.includeHostname || undefined
     };
     const sortedOptions = Object.keys(cacheRelevantOptions)
       .filter((key) => cacheRelevantOptions[key] !== undefined)
       .sort()
       .map((key) => `${key}=${String(cacheRelevantOptions[key])}`)
       .join('|');
-    return `${ip}:${sortedOptions}`;
+    return `${canonicalizeIP(ip) || ip}:${sortedOptions}`;
   }
 
-  get(ip, options = {}) {
+  // 逻辑键 → 存储键
+  storeKey(key) {
+    return storeKeyHasher.generateSecureKey(key, this.salt);
+  }
+
+  /**
+   * 按年龄分级读取，不计统计：{ data, state: 'fresh' | 'stale' | 'expired', storedAt } 或 null（无条目 / 超出保留期）
+   */
+  async peek(ip, options = {}) {
     const key = this.generateKey(ip, options);
-    const cached = this.cache.get(key);
-    if (!cached) {
-      this.misses++;
+    let entry;
+    try {
+      entry = await this.store.get(this.storeKey(key));
+    } catch {
+      this.errors++;
+      return null;
+    }
+    if (!entry) {
+      this.index.remove(key);
       return null;
     }
-    if (Date.now() - cached.timestamp > this.ttl) {
-      this.cache.delete(key);
+    const age = Date.now() - entry.storedAt;
+    if (entry.value?.dataAvailable === false) {
+      return age <= this.negativeTtl ? { data: entry.value, state: 'fresh', storedAt: entry.storedAt } : null;
+    }
+    if (age > this.retention) return null;
+    let state = 'expired';
+    if (age <= this.ttl) state = 'fresh';
+    else if (age <= Math.max(this.hardTtl, this.ttl)) state = 'stale';
+    return { data: entry.value, state, storedAt: entry.storedAt };
+  }
+
+  /**
+   * 带统计的读取：fresh / stale 记命中（stale 另计 staleHits，无数据条目另计 negativeHits），
+   * expired 与无条目记未命中
+   */
+  async lookup(ip, options = {}) {
+    const entry = await this.peek(ip, options);
+    if (!entry || entry.state === 'expired') {
+      this.misses++;
+      return entry;
+    }
+    this.hits++;
+    if (entry.state === 'stale') this.staleHits++;
+    if (entry.data?.dataAvailable === false) this.negativeHits++;
+    this.index.touch(this.generateKey(ip, options), this.indexMeta(ip, entry.data, entry.storedAt));
+    return entry;
+  }
+
+  // 索引记录：规范 IP、写入时间、归因 provider、是否为无数据条目
+  indexMeta(ip, data, storedAt) {
+    return {
+      ip: canonicalizeIP(ip) || ip,
+      storedAt,
+      provider: data?.provider ?? null,
+      negative: data?.dataAvailable === false
+    };
+  }
+
+  /**
+   * 仅返回新鲜数据（stale 视为未命中）
+   */
+  async get(ip, options = {}) {
+    const entry = await this.peek(ip, options);
+    if (entry?.state !== 'fresh') {
       this.misses++;
       return null;
     }
     this.hits++;
-    cached.accessCount++;
-    cached.lastAccessed = Date.now();
-    return cached.data;
+    return entry.data;
   }
 
-  set(ip, options = {}, data) {
+  async set(ip, options = {}, data) {
+    const ttlMs = data?.dataAvailable === false ? this.negativeTtl : this.retention;
     const key = this.generateKey(ip, options);
-    if (this.cache.size >= this.maxSize) {
-      this.evictOldest();
-    }
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now(),
-      lastAccessed: Date.now(),
-      accessCount: 0
-    });
+    try {
+      await this.store.set(this.storeKey(key), data, { ttlMs });
+      this.index.record(key, this.indexMeta(ip, data, Date.now()));
+      if (this.sharedStore) {
+        await this.recordVariant(canonicalizeIP(ip) || ip, key);
+      }
+    } catch {
+      this.errors++;
+    }
+  }
+
+  // 共享存储（KV / Cache API / file）可能由其他 isolate 写入，本 isolate 的索引看不全
+  get sharedStore() {
+    return !(this.store instanceof MemoryCacheStore);
   }
 
-  evictOldest() {
-    let oldestKey = null;
-    let oldestTime = Infinity;
-    for (const [key, value] of this.cache.entries()) {
-      if (value.lastAccessed < oldestTime) {
-        oldestTime = value.lastAccessed;
-        oldestKey = key;
+  // 某 IP 的变体清单（写入过的逻辑键）在存储中的键
+  variantsKey(canonical) {
+    return this.storeKey(`${canonical}#variants`);
+  }
+
+  /**
+   * 共享存储中为每个 IP 维护写入过的逻辑键清单，deleteIp 据此删除其他 isolate 写入的变体。
+   * 清单保留 2 × retention，缺少该键或已超过 retention 时重写，因此不会早于清单中的条目过期。
+   * 多个 isolate 同时写入不同变体时 KV 以最后写入为准，漏记的变体只能等其自然过期
+   */
+  async recordVariant(canonical, key) {
+    const listKey = this.variantsKey(canonical);
+    const entry = await this.store.get(listKey);
+    const keys = Array.isArray(entry?.value) ? entry.value : [];
+    if (keys.includes(key) && Date.now() - entry.storedAt <= this.retention) return;
+    await this.store.set(listKey, keys.includes(key) ? keys : [...keys, key], { ttlMs: 2 * this.retention });
+  }
+
+  /**
+   * 按键删除并移出索引，返回实际删除数（存储故障计入 errors）
+   */
+  async deleteKeys(keys) {
+    let deleted = 0;
+    for (const key of keys) {
+      try {
+        await this.store.delete(this.storeKey(key));
+        deleted++;
+      } catch {
+        this.errors++;
       }
+      this.index.remove(key);
     }
-    if (oldestKey) {
-      this.cache.delete(oldestKey);
+    return deleted;
+  }
+
+  /**
+   * 删除某 IP 的全部条目：索引所见的键，共享存储另加变体清单中的键（覆盖其他 isolate 写入的条目）。
+   * KV 上为 1 次读清单 + 每个键 1 次删除 + 删除清单；返回删除的键数（清单中的键可能已自然过期）
+   */
+  async deleteIp(ip) {
+    const canonical = canonicalizeIP(ip) || ip;
+    const keys = new Set(this.index.keysForIp(canonical));
+    if (!this.sharedStore) {
+      return this.deleteKeys([...keys]);
+    }
+    const listKey = this.variantsKey(canonical);
+    try {
+      const entry = await this.store.get(listKey);
+      for (const key of Array.isArray(entry?.value) ? entry.value : []) keys.add(key);
+    } catch {
+      this.errors++;
+    }
+    const deleted = await this.deleteKeys([...keys]);
+    try {
+      await this.store.delete(listKey);
+    } catch {
+      this.errors++;
     }
+    return deleted;
+  }
+
+  /**
+   * 按条件清除：{ cidr, provider, olderThanMs }，条件之间为「且」；空条件清除索引内全部条目
+   */
+  async purge(filter = {}) {
+    return this.deleteKeys(this.index.match(filter));
+  }
+
+  /**
+   * 管理视图：统计 + 索引条目数、命中最多的键、按年龄分桶
+   */
+  inspect(limit = 10) {
+    return {
+      ...this.getStats(),
+      indexed: this.index.size,
+      hottest: this.index.hottest(limit),
+      ageHistogram: this.index.ageHistogram()
+    };
   }
 
   getStats() {
     const total = this.hits + this.misses;
+    const { store, size, maxSize } = this.store.getStats();
     return {
-      size: this.cache.size,
-      maxSize: this.maxSize,
+      store,
+      size,
+      maxSize,
       hits: this.hits,
       misses: this.misses,
+      staleHits: this.staleHits,
+      negativeHits: this.negativeHits,
+      errors: this.errors,
       hitRate: total > 0 ? Math.round((this.hits / total) * 100) / 100 : 0
     };
   }
 
-  clear() {
-    this.cache.clear();
+  /**
+   * @param {object} [options] { localOnly } 只清空 isolate 内存储；KV / Cache API / file 等共享存储保留
+   */
+  async clear(options = {}) {
     this.hits = 0;
     this.misses = 0;
+    this.staleHits = 0;
+    this.negativeHits = 0;
+    this.errors = 0;
+    this.index.clear();
+    if (options.localOnly && !(this.store instanceof MemoryCacheStore)) {
+      return;
+    }
+    try {
+      await this.store.clear();
+    } catch {
+      this.errors++;
+    }
   }
 }
 
@@ -228,7 +458,8 @@ class BatchProcessor {
     const normalizedOptions = options && typeof options === 'object' ? options : {};
     const batchRelevantOptions = {
       language: normalizedOptions.language,
-      includeThreat: normalizedOptions.includeThreat
+      includeThreat: normalizedOptions.includeThreat,
+      includeHostname: normalizedOptions.includeHostname || undefined
     };
     const optionPairs = Object.keys(batchRelevantOptions)
       .filter((key) => batchRelevantOptions[key] !== undefined)
@@ -360,12 +591,36 @@ class PerformanceMonitor {
  * 注释（沿用 perf-optimizer.js:439-441）：曾用动态 await import('字符串路径') 按需加载，但
  * workerd 本地 dev 对 '../providers/...' 的相对路径解析失败，生产 esbuild 打包则正常。
  * 静态 import 在所有运行时一致。
+ * name 为稳定标识（与 PROVIDERS_CONFIG.priorities / providers.* 配置键一致），用于管理端点与指标标签。
+ * fingerprint(env) 描述影响实例行为的配置（凭证是否齐备等），参与 ProviderPool 池 key；缺省为 'default'。
  */
 const DEFAULT_PROVIDER_REGISTRY = [
-  { ProviderClass: CloudflareProvider },
-  { ProviderClass: MaxMindProvider },
-  { ProviderClass: IPInfoProvider },
-  { ProviderClass: IPApiComProvider }
+  { name: 'cloudflare', ProviderClass: CloudflareProvider },
+  {
+    name: 'maxmindDb',
+    ProviderClass: MaxMindDatabaseProvider,
+    fingerprint: (env) => {
+      const source = resolveDatabaseSource(env);
+      return source ? `${source.kind}:${source.path || source.buffer.byteLength}` : 'unconfigured';
+    }
+  },
+  {
+    name: 'maxmind',
+    ProviderClass: MaxMindProvider,
+    fingerprint: (env) => (env.MAXMIND_USER_ID && env.MAXMIND_LICENSE_KEY ? 'configured' : 'unconfigured')
+  },
+  {
+    name: 'ipinfo',
+    ProviderClass: IPInfoProvider,
+    fingerprint: (env) => (env.IPINFO_TOKEN ? 'configured' : 'unconfigured')
+  },
+  {
+    name: 'ipapicom',
+    ProviderClass: IPApiComProvider,
+    fingerprint: (env) => (String(env.ENABLE_INSECURE_IPAPI_FALLBACK || '').toLowerCase() === 'true'
+      ? 'enabled'
+      : 'disabled')
+  }
 ];
 
 // primary/fallback 阈值已迁至 GeoLookup.primaryThreshold（config.geo.primaryThreshold，wrangler GEO_PRIMARY_THRESHOLD）
@@ -380,31 +635,70 @@ function hasUsableGeo(geo) {
   );
 }
 
-function deepFillNulls(target, source) {
+// 国家码与坐标齐全：同步层（本地 MMDB 等）已能完整回答，无需再等异步 primary
+function hasLocatedGeo(geo) {
+  const co = geo?.location?.coordinates || {};
+  return Boolean(geo?.country?.code) && typeof co.latitude === 'number' && typeof co.longitude === 'number';
+}
+
+// 网段缓存条目与命中结果互不共享嵌套对象（GeoData 为纯 JSON 数据）
+const copyGeo = (geo) => JSON.parse(JSON.stringify(geo));
+
+/**
+ * 把 source 的非空叶子填进 target 的空位。onFill(path) 记录每个被填充的点路径（provenance）。
+ */
+function deepFillNulls(target, source, onFill = null, prefix = '') {
   for (const key of Object.keys(source)) {
     if (key === 'ip' || key === 'provider') continue;
     const sv = source[key];
     if (sv === null || sv === undefined) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
     if (typeof sv === 'object' && !Array.isArray(sv)) {
       if (typeof target[key] !== 'object' || target[key] === null) {
         target[key] = {};
       }
-      deepFillNulls(target[key], sv);
+      deepFillNulls(target[key], sv, onFill, path);
     } else if (target[key] === undefined || target[key] === null) {
       target[key] = sv;
+      onFill?.(path);
     }
   }
 }
 
+/**
+ * 每个 provider 本次的执行情况（provenance.providers 条目）
+ */
+function describeOutcome(result, provider, tier) {
+  const entry = { name: provider?.name || 'unknown', tier };
+  if (result.skipped) {
+    return { ...entry, outcome: 'skipped', code: result.skipped };
+  }
+  if (result.status === 'rejected') {
+    return { ...entry, outcome: 'error', code: result.reason?.code || 'UNKNOWN' };
+  }
+  return { ...entry, outcome: result.value ? 'data' : 'null' };
+}
+
+/**
+ * 本次查询的结论：'data' 有可用地理数据；'no-data' 参与的 provider 都正常应答但均无可用地理数据（真·无数据）；
+ * 'error' 无可用数据且至少一个 provider 报错或被跳过（熔断），或没有 provider 参与——结论不可靠
+ */
+function classifyLookup(merged) {
+  if (hasUsableGeo(merged)) return 'data';
+  const outcomes = merged.provenance?.providers || [];
+  const answered = outcomes.every((p) => p.outcome === 'null' || p.outcome === 'data');
+  return outcomes.length > 0 && answered ? 'no-data' : 'error';
+}
+
 // ============================================================
 // 默认工厂（与 PR 2 接口兼容）
 // ============================================================
 
 /**
  * 默认 provider 集合：返回模块级注册表引用本身。
- * 注意契约（m2）：GeoLookup.getOptimizedProviders 用 `this.providers !== DEFAULT_PROVIDER_REGISTRY`
- * 引用相等判定"是否注入路径"。传 `[...getDefaultProviders()]`（拷贝）会被视为注入（不走池化）。
- * 测试/调用方若想保持默认池化行为，构造器不要传 providers，或传 getDefaultProviders() 本身。
+ * 注意契约（m2）：GeoLookup 构造时以 `deps.providers` 是否为 DEFAULT_PROVIDER_REGISTRY（引用相等）
+ * 判定是否池化（this.pooled）。传 `[...getDefaultProviders()]`（拷贝）会被视为注入（不走池化）。
+ * 需要追加自有数据源时用 geoLookup.registerProvider()，不要修改本数组。
  */
 export function getDefaultProviders() {
   return DEFAULT_PROVIDER_REGISTRY;
@@ -415,8 +709,8 @@ export function getDefaultProviders() {
  *  前者继承 prototype 上的 getThreatInfo，测试 spy (`vi.spyOn(ThreatService.prototype, ...)`)
  *  才能拦截。生产行为等价（同一 prototype 方法）。 */
 export function getDefaultThreatDetector() {
-  return async(ip, request) => {
-    return new ThreatService().getThreatInfo(ip, request);
+  return async(ip, request, context) => {
+    return new ThreatService().getThreatInfo(ip, request, context);
   };
 }
 
@@ -432,26 +726,45 @@ export function getDefaultThreatDetector() {
  *
  * @param {object} [deps]
  * @param {Array}  [deps.providers]            注入的 provider 集合（默认 DEFAULT_PROVIDER_REGISTRY）
- * @param {object} [deps.cache]                注入的结果缓存（默认 new ResultCache()）
+ * @param {object} [deps.cache]                注入的结果缓存（默认 new ResultCache()，存储按 config.cache.store）
  * @param {object} [deps.batchProcessor]       注入的批处理器（默认 new BatchProcessor()）
- * @param {Function} [deps.threatDetector]     (ip, request) => Promise<{...}> 威胁检测
+ * @param {Function} [deps.threatDetector]     (ip, request, { rdns }) => Promise<{...}> 威胁检测
+ * @param {object} [deps.reverseDns]           反向 DNS 解析器（lookup(ip)；默认按 dns 配置创建 ReverseDnsResolver，null 关闭）
  * @param {object} [deps.monitor]              性能监控（默认 new PerformanceMonitor()）
  * @param {boolean} [deps.isTest]              抑制 startMemoryCleanup 等副作用
  */
 export class GeoLookup {
   constructor(deps = {}) {
-    // 默认 providers = DEFAULT_PROVIDER_REGISTRY 引用（非拷贝），
-    // 这样 getOptimizedProviders 可通过引用相等判定"是否注入路径"
+    // 默认 providers = DEFAULT_PROVIDER_REGISTRY 引用（非拷贝）；register/unregister 时写时复制，
+    // 模块级注册表不被修改。是否池化在构造时确定：注入的 provider 集合每次查询直接实例化
     this.providers = deps.providers ?? DEFAULT_PROVIDER_REGISTRY;
+    this.pooled = this.providers === DEFAULT_PROVIDER_REGISTRY;
     this.providerPool = new ProviderPool();
     this.cache = deps.cache ?? new ResultCache();
+    // 未注入时首个查询按 config.cache.store 选择存储（KV 绑定来自请求 env，构造期不可得）
+    this.cacheInjected = deps.cache !== undefined;
+    this._storeSelected = false;
+    // 网段前缀缓存：未注入时在 _ensureConfigured 按 geo.prefixCache 创建；configManager 未 init 时不启用
+    this.prefixCache = deps.prefixCache ?? null;
+    this.prefixCacheInjected = deps.prefixCache !== undefined;
     // 内部参数默认值（_ensureConfigured 首次 get 时从 config 覆盖；镜像 configManager.geo schema default）
     this.primaryThreshold = 50;
     this.providerTimeoutMs = 5000;
+    this.syncShortCircuit = true;
+    this.mergeStrategy = 'priority';
+    this.consensusToleranceKm = DEFAULT_CONSENSUS_TOLERANCE_KM;
     this._configured = false;
     this.batchProcessor = deps.batchProcessor ?? new BatchProcessor();
     this.monitor = deps.monitor ?? new PerformanceMonitor();
+    this.providerStats = new ProviderStatsTracker();
+    this.providerOverrides = new Map();
+    this.quotas = new Map();
     this.threatDetector = deps.threatDetector ?? getDefaultThreatDetector();
+    // 未注入时在 _ensureConfigured 按 dns 配置创建；configManager 未 init 时不做反向 DNS
+    this.reverseDns = deps.reverseDns ?? null;
+    this.reverseDnsInjected = deps.reverseDns !== undefined;
+    // stale 条目的后台刷新（缓存键 → Promise），同键只刷新一次
+    this.refreshing = new Map();
     this.isTest = Boolean(deps.isTest);
     this.enabled = true;
   }
@@ -461,24 +774,184 @@ export class GeoLookup {
   }
 
   /**
-   * 获取优化的 Provider 列表（声明式注册表驱动）。
-   * 注入路径（this.providers !== DEFAULT_PROVIDER_REGISTRY）：直接 new ProviderClass(env)，不走 ProviderPool 池化。
-   * 池化路径：复用 ProviderPool 缓存，避免重复实例化。
+   * 注册自有 provider（插件）。注册后的 provider 与内置 provider 一样走 ProviderPool 池化、熔断、配额与覆盖。
+   *
+   * @param {Function} ProviderClass   BaseProvider 子类（构造参数为 env）
+   * @param {object}   [options]
+   * @param {string}   [options.name]         注册名（唯一；缺省为类名），用于 /system/providers 与指标标签
+   * @param {string}   [options.tier]         'sync' | 'primary' | 'fallback'（缺省按类自身 tier 与优先级）
+   * @param {number}   [options.priority]     覆盖类自身优先级
+   * @param {Function} [options.fingerprint]  (env) => string，配置变化时返回不同值以重建池化实例
+   * @returns {object} 注册表条目
+   */
+  registerProvider(ProviderClass, options = {}) {
+    if (typeof ProviderClass !== 'function') {
+      throw new TypeError('registerProvider: ProviderClass must be a constructor');
+    }
+    const { name = ProviderClass.name, tier, priority, fingerprint } = options;
+    if (!name) {
+      throw new TypeError('registerProvider: name is required');
+    }
+    if (this.providers.some((entry) => (entry.name || entry.ProviderClass.name) === name)) {
+      throw new Error(`Provider already registered: ${name}`);
+    }
+    if (tier !== undefined && !['sync', 'primary', 'fallback'].includes(tier)) {
+      throw new TypeError(`registerProvider: invalid tier "${tier}"`);
+    }
+    if (priority !== undefined && !Number.isFinite(priority)) {
+      throw new TypeError('registerProvider: priority must be a number');
+    }
+    if (fingerprint !== undefined && typeof fingerprint !== 'function') {
+      throw new TypeError('registerProvider: fingerprint must be a function');
+    }
+    const entry = { name, ProviderClass, tier, priority, fingerprint };
+    this.providers = [...this.providers, entry];
+    return entry;
+  }
+
+  /**
+   * 注销 provider（内置或自有）：移出注册表并丢弃其池化实例、熔断器与运行时覆盖。
+   * @returns {boolean} name 是否存在
+   */
+  unregisterProvider(name) {
+    const remaining = this.providers.filter((entry) => (entry.name || entry.ProviderClass.name) !== name);
+    if (remaining.length === this.providers.length) {
+      return false;
+    }
+    this.providers = remaining;
+    this.providerOverrides.delete(name);
+    this.providerPool.evict(name);
+    return true;
+  }
+
+  /**
+   * 注册表条目 → provider 实例。池化路径复用 ProviderPool（key = 注册名 + fingerprint），注入路径直接实例化。
+   * 条目声明的 tier / priority 在实例首次取出时写入（之后运行时覆盖以此为基准）。
+   */
+  providerInstance(entry, env = {}) {
+    const provider = this.pooled
+      ? this.providerPool.getProvider(entry.ProviderClass, env, { name: entry.name, fingerprint: entry.fingerprint })
+      : new entry.ProviderClass(env);
+    if (provider.basePriority === undefined) {
+      if (entry.priority !== undefined) {
+        provider.priority = entry.priority;
+      }
+      if (entry.tier === 'sync') {
+        provider.tier = 'sync';
+      } else if (entry.tier) {
+        provider.tier = 'async';
+        provider.defaultPlacement = entry.tier;
+      }
+      provider.basePriority = provider.priority;
+    }
+    return provider;
+  }
+
+  /**
+   * 获取优化的 Provider 列表（声明式注册表驱动，经 providerInstance 取实例）
    */
   async getOptimizedProviders(env = {}) {
-    const isInjected = this.providers !== DEFAULT_PROVIDER_REGISTRY;
     const instances = [];
-    for (const { ProviderClass } of this.providers) {
-      const provider = isInjected
-        ? new ProviderClass(env)
-        : this.providerPool.getProvider(ProviderClass, env);
-      if (provider.isConfigured()) {
+    for (const entry of this.providers) {
+      const provider = this.providerInstance(entry, env);
+      const override = this.applyProviderOverride(provider, entry.name || provider.name);
+      // 预算耗尽与未配置同等对待：不进入本次查询
+      if (this.isProviderEnabled(provider, override) && provider.isConfigured() && this.hasQuota(provider)) {
         instances.push(provider);
       }
     }
     return instances.sort((a, b) => b.priority - a.priority);
   }
 
+  /**
+   * 运行时覆盖（PATCH /api/v1/system/providers/:name）：enabled / priority / tier / timeout。
+   * patch 中值为 null 的字段清除该项覆盖；返回合并后的覆盖，name 不在注册表时返回 null。
+   * 覆盖只存在于本实例内存（Workers 下即本 isolate），重启/重新部署后恢复默认。
+   */
+  setProviderOverride(name, patch = {}) {
+    if (!this.providers.some((entry) => (entry.name || entry.ProviderClass.name) === name)) {
+      return null;
+    }
+    const override = { ...this.providerOverrides.get(name) };
+    for (const [field, value] of Object.entries(patch)) {
+      if (value === null) delete override[field];
+      else if (value !== undefined) override[field] = value;
+    }
+    if (Object.keys(override).length > 0) this.providerOverrides.set(name, override);
+    else this.providerOverrides.delete(name);
+    return override;
+  }
+
+  /**
+   * 把覆盖写到实例上（池化实例跨请求共享，故每次按覆盖重算；基准优先级见 providerInstance 的 basePriority）
+   */
+  applyProviderOverride(provider, name) {
+    const override = this.providerOverrides.get(name) || {};
+    provider.priority = override.priority ?? provider.basePriority ?? provider.priority;
+    provider.placement = override.tier ?? provider.defaultPlacement ?? null;
+    provider.timeoutMs = override.timeout ?? null;
+    return override;
+  }
+
+  /** 运行时覆盖 > providers.<configKey>.enabled > 默认启用 */
+  isProviderEnabled(provider, override = {}) {
+    if (typeof override.enabled === 'boolean') {
+      return override.enabled;
+    }
+    if (!provider.configKey) {
+      return true;
+    }
+    try {
+      return config.get(`providers.${provider.configKey}.enabled`, true) !== false;
+    } catch {
+      return true;
+    }
+  }
+
+  /**
+   * providers.<configKey>.quota → ProviderQuota（按 configKey 惰性创建；无配额配置为 null）
+   */
+  quotaFor(provider) {
+    const key = provider.configKey;
+    if (!key) {
+      return null;
+    }
+    if (!this.quotas.has(key)) {
+      let options = null;
+      try {
+        options = config.get(`providers.${key}.quota`, null);
+      } catch { /* configManager 未 init：本次不限额，下次再读 */
+        return null;
+      }
+      this.quotas.set(key, options ? new ProviderQuota(key, options) : null);
+    }
+    return this.quotas.get(key);
+  }
+
+  hasQuota(provider) {
+    const quota = this.quotaFor(provider);
+    return !quota || quota.hasBudget();
+  }
+
+  /** 用量达到 warnPercent 的 provider（provider_quota_high 告警规则使用） */
+  getQuotaWarnings() {
+    return Array.from(this.quotas.values())
+      .filter((quota) => quota?.isWarning())
+      .map((quota) => ({
+        provider: quota.name,
+        usagePercent: quota.usagePercent(),
+        warnPercent: quota.options.warnPercent
+      }));
+  }
+
+  /** sync | primary | fallback：异步 provider 按覆盖的 tier，否则按 primaryThreshold 划分 */
+  tierOf(provider) {
+    if (provider.tier === 'sync') {
+      return 'sync';
+    }
+    return provider.placement || (provider.priority >= this.primaryThreshold ? 'primary' : 'fallback');
+  }
+
   /**
    * 异步 provider 执行 + 兜底超时（provider 自带 AbortSignal.timeout 为第一道）
    */
@@ -506,6 +979,117 @@ export class GeoLookup {
     });
   }
 
+  /**
+   * 经熔断器执行一组异步 provider（allSettled 语义）。
+   * 熔断中的 provider 不发请求，结果记为 fulfilled(null) + skipped——与「无数据」同样被合并跳过。
+   */
+  runAsyncProviders(providers, ip, options = {}) {
+    return Promise.all(providers.map((p) => {
+      const breaker = this.providerPool.breakerFor(p);
+      if (!breaker.allowRequest()) {
+        this.monitor.record('provider_circuit_open', 0);
+        this.providerStats.record(p.name, { outcome: 'skipped' });
+        return { status: 'fulfilled', value: null, skipped: 'CIRCUIT_OPEN' };
+      }
+      const startedAt = Date.now();
+      return this.runAsyncProvider(p, ip, options, breaker).then(
+        (value) => this.recordProviderOutcome(p, { status: 'fulfilled', value }, startedAt),
+        (reason) => this.recordProviderOutcome(p, { status: 'rejected', reason }, startedAt)
+      );
+    }));
+  }
+
+  /**
+   * 记录一次 provider 调用（含重试）的最终结果到 providerStats，原样返回 result
+   */
+  recordProviderOutcome(provider, result, startedAt) {
+    const durationMs = Date.now() - startedAt;
+    if (result.status === 'rejected') {
+      this.providerStats.record(provider.name, { outcome: 'error', code: result.reason?.code, durationMs });
+    } else {
+      this.providerStats.record(provider.name, { outcome: result.value ? 'success' : 'empty', durationMs });
+    }
+    return result;
+  }
+
+  async runAsyncProvider(provider, ip, options = {}, breaker = this.providerPool.breakerFor(provider)) {
+    const classify = (error) => (error instanceof ProviderError || typeof provider.classify !== 'function'
+      ? error
+      : provider.classify(error, 'lookup'));
+    const quota = this.quotaFor(provider);
+    // half-open 探测只发一次：探测的意义是确认上游恢复，不应放大请求；重试次数也不超过剩余配额
+    let retries = breaker.state === CircuitState.HALF_OPEN ? 0 : this.retryAttemptsFor(provider);
+    if (quota) {
+      retries = Math.max(0, Math.min(retries, quota.available() - 1));
+    }
+    try {
+      const value = await retryWithBudget(
+        (_attempt, remainingMs) => {
+          quota?.consume();
+          return this.withTimeout(() => provider.fetch(ip, options), remainingMs, options.signal);
+        },
+        {
+          retries,
+          budgetMs: provider.timeoutMs ?? this.providerTimeoutMs,
+          classify,
+          signal: options.signal,
+          onAttempt: (attempt) => this.recordProviderAttempt(provider, attempt)
+        }
+      );
+      breaker.recordSuccess();
+      return value;
+    } catch (error) {
+      // 客户端主动中止不是上游故障，不计入熔断；但要归还 half-open 探测名额，否则熔断器永远停在 half-open
+      if (options.signal?.aborted) {
+        breaker.releaseProbe();
+      } else {
+        breaker.recordFailure(error);
+      }
+      throw error;
+    }
+  }
+
+  /** providers.<configKey>.retryAttempts；无配置段或 configManager 未 init 时不重试 */
+  retryAttemptsFor(provider) {
+    if (!provider.configKey) {
+      return 0;
+    }
+    try {
+      return config.get(`providers.${provider.configKey}.retryAttempts`, 0);
+    } catch {
+      return 0;
+    }
+  }
+
+  recordProviderAttempt(provider, { attempt, durationMs, error }) {
+    this.monitor.record('provider_attempt', durationMs);
+    if (attempt > 1) {
+      this.monitor.record('provider_retry', durationMs);
+    }
+    monitoringService.metricsCollector.incrementCounter('provider_attempts', 1, {
+      provider: provider.name,
+      retry: attempt > 1,
+      outcome: error ? error.code || 'error' : 'success'
+    });
+  }
+
+  /**
+   * 按 mergeStrategy 合并：'priority'（默认）= basicMerge；'consensus' = basicMerge 后逐段加权投票并附 confidence
+   */
+  mergeResults(results, providers, ip) {
+    const merged = this.basicMerge(results, providers, ip);
+    if (this.mergeStrategy !== 'consensus') {
+      return merged;
+    }
+    const sources = results
+      .map((result, i) => ({ value: result.status === 'fulfilled' ? result.value : null, provider: providers[i] }))
+      .filter((x) => x.value);
+    return consensusMerge(merged, sources, {
+      toleranceKm: this.consensusToleranceKm,
+      fieldSources: merged.provenance.fields
+    });
+  }
+
   /**
    * 优先级感知合并：归因到含可用地理数据的最高优先级来源
    */
@@ -524,13 +1108,17 @@ export class GeoLookup {
     };
 
     let attributor = null;
+    const fields = {};
     for (const { result, provider } of indexed) {
-      deepFillNulls(merged, result.value);
+      const name = provider?.name || 'unknown';
+      deepFillNulls(merged, result.value, (path) => { fields[path] = name; });
       if (!attributor && hasUsableGeo(result.value)) {
         attributor = provider?.name;
       }
     }
     merged.provider = attributor || 'unknown';
+    // provenance.providers 由 get() 按 tier 补齐（basicMerge 不知道各 provider 运行在哪一层）
+    merged.provenance = { fields, providers: [] };
     return merged;
   }
 
@@ -545,6 +1133,13 @@ export class GeoLookup {
     if (copy.threat && typeof copy.threat === 'object') {
       copy.threat = { ...copy.threat };
     }
+    if (copy.provenance && typeof copy.provenance === 'object') {
+      copy.provenance = {
+        ...copy.provenance,
+        fields: { ...copy.provenance.fields },
+        providers: (copy.provenance.providers || []).map((p) => ({ ...p }))
+      };
+    }
     return copy;
   }
 
@@ -558,72 +1153,245 @@ export class GeoLookup {
     try {
       this.cache.ttl = config.get('geo.resultTtlMs', this.cache.ttl);
       this.cache.maxSize = config.get('geo.resultMaxSize', this.cache.maxSize);
+      this.cache.hardTtl = config.get('geo.resultHardTtlMs', this.cache.hardTtl);
+      this.cache.staleIfErrorTtl = config.get('geo.staleIfErrorMs', this.cache.staleIfErrorTtl);
+      this.cache.negativeTtl = config.get('geo.negativeTtlMs', this.cache.negativeTtl);
       this.batchProcessor.maxBatchSize = config.get('geo.batchMaxSize', this.batchProcessor.maxBatchSize);
       this.batchProcessor.maxWaitTime = config.get('geo.batchWaitMs', this.batchProcessor.maxWaitTime);
       this.providerTimeoutMs = config.get('geo.providerTimeoutMs', this.providerTimeoutMs);
       this.primaryThreshold = config.get('geo.primaryThreshold', this.primaryThreshold);
+      this.syncShortCircuit = config.get('geo.syncShortCircuit', this.syncShortCircuit);
       this.providerPool.cleanupInterval = config.get('geo.poolCleanupIntervalMs', this.providerPool.cleanupInterval);
       this.providerPool.maxAge = config.get('geo.poolMaxAgeMs', this.providerPool.maxAge);
+      this.providerPool.breakerOptions = config.get('geo.circuitBreaker', this.providerPool.breakerOptions);
+      this.mergeStrategy = config.get('geo.mergeStrategy', this.mergeStrategy);
+      this.consensusToleranceKm = config.get('geo.consensusToleranceKm', this.consensusToleranceKm);
+      if (!this.prefixCacheInjected) {
+        const prefix = config.get('geo.prefixCache', null);
+        this.prefixCache = prefix?.enabled ? new PrefixCache({ ...prefix, ttl: this.cache.ttl }) : null;
+      }
+      // 注入的 provider 集合是调用方给定的完整列表，不追加配置中的上游
+      if (this.pooled) {
+        this.registerHttpProviders(config.get('providers.http', []));
+      }
+      if (!this.reverseDnsInjected) {
+        const dns = config.get('dns', null);
+        this.reverseDns = dns?.enabled ? new ReverseDnsResolver(dns) : null;
+      }
     } catch { /* configManager 未 init，保留构造默认 */ }
     this._configured = true;
   }
 
+  /**
+   * 首个查询时按 config.cache.store 绑定结果缓存的存储（KV 绑定取自该请求的 env），并取 cache.salt 作存储键 salt。
+   * memory 保留构造时的存储；注入的 cache 不替换。
+   */
+  _ensureCacheStore(env) {
+    if (this._storeSelected) return;
+    this._storeSelected = true;
+    if (this.cacheInjected) return;
+    let options;
+    try {
+      options = config.get('cache', null);
+    } catch {
+      return;
+    }
+    if (options?.salt) {
+      this.cache.salt = options.salt;
+    }
+    if (options?.store && options.store !== 'memory') {
+      this.cache.store = createCacheStore({ ...options, maxSize: this.cache.maxSize }, env);
+    }
+  }
+
+  /**
+   * 注册配置驱动的 HTTP provider（providers.http[]，见 providers/httpMapping.js）。
+   * 与已注册 name 冲突的定义跳过并告警，不影响其余 provider。
+   */
+  registerHttpProviders(definitions = []) {
+    for (const definition of definitions) {
+      const secret = definition.auth?.secret;
+      try {
+        this.registerProvider(defineHttpMappingProvider(definition), {
+          name: definition.name,
+          tier: definition.tier,
+          priority: definition.priority,
+          fingerprint: (env) => (secret && !(env[secret] || globalThis[secret]) ? 'unconfigured' : 'configured')
+        });
+      } catch (error) {
+        console.warn(`⚠️ HTTP provider "${definition.name}" not registered: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * provider 阶段：sync 快速路径 → async primary → （无可用地理数据时）async fallback，合并并记录 provenance。
+   * @returns {Promise<{merged: object, values: Array<object>}>} values 为各 provider 的非空结果（网段缓存据此定块）
+   */
+  async resolveFromProviders(ip, request, options = {}) {
+    const providers = await this.getOptimizedProviders(options.env || {});
+    // cf 在 Hono 上位于 c.req.raw.cf（c.req.cf 不存在）；兼容裸 Request 的 request.cf
+    const ctx = toCtx(request);
+    const sync = providers.filter((p) => this.tierOf(p) === 'sync');
+    const primary = providers.filter((p) => this.tierOf(p) === 'primary');
+    const fallback = providers.filter((p) => this.tierOf(p) === 'fallback');
+
+    // Tier 0：同步快速路径（Cloudflare）
+    const syncResults = sync.map((p) => {
+      const startedAt = Date.now();
+      let result;
+      try {
+        result = { status: 'fulfilled', value: p.tryExtractSync(ip, ctx, options) };
+      } catch (error) {
+        result = { status: 'rejected', reason: error };
+      }
+      return this.recordProviderOutcome(p, result, startedAt);
+    });
+
+    // Tier 1：异步 primary 并行；authoritative 的同步 provider（本地 MMDB）已给出国家码与坐标时跳过
+    // （geo.syncShortCircuit），本地库可答的查询不产生网络调用与按次计费，provenance 中记为 skipped / SYNC_HIT
+    const authoritative = sync.filter((p) => p.authoritative);
+    const syncAnswered = this.syncShortCircuit && authoritative.length > 0 && primary.length > 0 &&
+      hasLocatedGeo(this.mergeResults(syncResults.filter((_r, i) => sync[i].authoritative), authoritative, ip));
+    const primaryResults = syncAnswered
+      ? primary.map(() => ({ status: 'fulfilled', value: null, skipped: 'SYNC_HIT' }))
+      : await this.runAsyncProviders(primary, ip, options);
+
+    let merged = this.mergeResults([...syncResults, ...primaryResults], [...sync, ...primary], ip);
+
+    // Tier 2：fallback 仅当 primary 无可用地理数据时调用
+    let fallbackResults = [];
+    if (!hasUsableGeo(merged) && fallback.length > 0) {
+      fallbackResults = await this.runAsyncProviders(fallback, ip, options);
+      merged = this.mergeResults(
+        [...syncResults, ...primaryResults, ...fallbackResults],
+        [...sync, ...primary, ...fallback],
+        ip
+      );
+    }
+
+    merged.provenance.providers = [
+      ...syncResults.map((r, i) => describeOutcome(r, sync[i], 'sync')),
+      ...primaryResults.map((r, i) => describeOutcome(r, primary[i], 'primary')),
+      ...fallbackResults.map((r, i) => describeOutcome(r, fallback[i], 'fallback'))
+    ];
+
+    const values = [...syncResults, ...primaryResults, ...fallbackResults]
+      .filter((r) => r.status === 'fulfilled' && r.value)
+      .map((r) => r.value);
+    return { merged, values };
+  }
+
+  /**
+   * 缓存条目 → 返回值：标记 cached（及 stale），storedAt 为条目写入时间（路由据此输出 Last-Modified）
+   */
+  fromCache(entry, flags = {}) {
+    return {
+      ...this.cloneResult(DataCompressor.decompressGeoData(entry.data)),
+      cached: true,
+      ...flags,
+      storedAt: entry.storedAt
+    };
+  }
+
+  /**
+   * 后台刷新 stale 条目：绕过缓存读取重新查询并回写。options.waitUntil（Workers executionCtx.waitUntil）
+   * 让刷新在响应返回后继续执行；原请求的 abort signal 不传给刷新。
+   */
+  scheduleRefresh(ip, request, options = {}) {
+    const key = this.cache.generateKey(ip, options);
+    if (this.refreshing.has(key)) {
+      return this.refreshing.get(key);
+    }
+    const { signal: _signal, waitUntil, ...rest } = options;
+    const pending = this.get(ip, request, { ...rest, refresh: true })
+      .catch(() => null)
+      .finally(() => this.refreshing.delete(key));
+    this.refreshing.set(key, pending);
+    waitUntil?.(pending);
+    return pending;
+  }
+
   /**
    * 优化的地理位置查询（三层：sync 快速路径 → async primary → async fallback）
+   *
+   * 缓存分级：新鲜直接返回；过软 TTL 未过硬 TTL 时立即返回旧值（stale: true）并后台刷新；
+   * 过硬 TTL 后重新查询，provider 失败导致无数据时返回保留的旧值（stale: true）。
+   * 结果带 outcome 与 dataAvailable：provider 均明确无数据时为 'no-data' / false，按 negativeTtl 短期缓存；
+   * provider 报错导致的无数据（outcome 'error'）从不缓存。
+   * options.refresh 跳过结果缓存与网段缓存的读取（客户端 Cache-Control: no-cache）。
    */
   async get(ip, request, options = {}) {
     this._ensureConfigured();
+    this._ensureCacheStore(options.env);
     const startTime = Date.now();
+    // 规范形式查询：v4-mapped / NAT64 按内嵌 IPv4 查，批处理合并与缓存共用同一键
+    ip = canonicalizeIP(ip) || ip;
 
     try {
       // 1. 缓存
-      const cached = this.cache.get(ip, options);
-      if (cached) {
+      const cached = options.refresh ? null : await this.cache.lookup(ip, options);
+      if (cached?.state === 'fresh') {
         this.monitor.record('geo_cache_hit', Date.now() - startTime);
-        return this.cloneResult(DataCompressor.decompressGeoData(cached));
+        return this.fromCache(cached);
+      }
+      if (cached?.state === 'stale') {
+        this.monitor.record('geo_cache_stale', Date.now() - startTime);
+        this.scheduleRefresh(ip, request, options);
+        return this.fromCache(cached, { stale: true });
       }
 
       // 2. 批处理合并相同请求；威胁检测与缓存写入在批内只执行一次
       const result = await this.batchProcessor.addRequest(ip, async(ip, options) => {
-        const providers = await this.getOptimizedProviders(options.env || {});
-        // cf 在 Hono 上位于 c.req.raw.cf（c.req.cf 不存在）；兼容裸 Request 的 request.cf
-        const ctx = toCtx(request);
-
-        const sync = providers.filter((p) => p.tier === 'sync');
-        const primary = providers.filter((p) => p.tier === 'async' && p.priority >= this.primaryThreshold);
-        const fallback = providers.filter((p) => p.tier === 'async' && p.priority < this.primaryThreshold);
-
-        // Tier 0：同步快速路径（Cloudflare）
-        const syncResults = sync.map((p) => {
-          try {
-            return { status: 'fulfilled', value: p.tryExtractSync(ip, ctx) };
-          } catch (error) {
-            return { status: 'rejected', reason: error };
+        // 反向 DNS 只在威胁检测或显式 includeHostname 时查询（每次最多 4 个 DoH 子请求），与 provider
+        // （或网段缓存）并行；失败（null）不影响地理结果
+        const rdnsPending = this.reverseDns && (options.includeThreat || options.includeHostname)
+          ? Promise.resolve(this.reverseDns.lookup(ip, { signal: options.signal })).catch(() => null)
+          : Promise.resolve(null);
+
+        // 3. 网段前缀缓存：同网段已查过则跳过 provider，只按本 IP 重算 rDNS 与威胁
+        let merged;
+        let outcome = 'data';
+        const prefixHit = options.refresh ? null : this.prefixCache?.get(ip, options);
+        if (prefixHit) {
+          this.monitor.record('geo_prefix_cache_hit', Date.now() - startTime);
+          merged = { ...copyGeo(prefixHit.data), ip, timestamp: new Date().toISOString() };
+          merged.provenance.prefix = prefixHit.prefix;
+        } else {
+          const resolved = await this.resolveFromProviders(ip, request, options);
+          merged = resolved.merged;
+          outcome = classifyLookup(merged);
+          // stale-if-error：provider 失败导致无数据时返回保留期内的旧值（不回写缓存）
+          const retained = outcome === 'error' ? await this.cache.peek(ip, options) : null;
+          if (retained) {
+            this.monitor.record('geo_stale_if_error', Date.now() - startTime);
+            return this.fromCache(retained, { stale: true });
           }
-        });
+          if (this.prefixCache && outcome === 'data') {
+            this.prefixCache.set(ip, this.prefixCache.blockFor(ip, resolved.values), options, copyGeo(merged));
+          }
+        }
 
-        // Tier 1：异步 primary 并行
-        const primaryResults = await Promise.allSettled(
-          primary.map((p) => this.withTimeout(() => p.fetch(ip, options), this.providerTimeoutMs, options.signal))
-        );
-
-        let merged = this.basicMerge([...syncResults, ...primaryResults], [...sync, ...primary], ip);
-
-        // Tier 2：fallback 仅当 primary 无可用地理数据时调用
-        if (!hasUsableGeo(merged) && fallback.length > 0) {
-          const fallbackResults = await Promise.allSettled(
-            fallback.map((p) => this.withTimeout(() => p.fetch(ip, options), this.providerTimeoutMs, options.signal))
-          );
-          merged = this.basicMerge(
-            [...syncResults, ...primaryResults, ...fallbackResults],
-            [...sync, ...primary, ...fallback],
-            ip
-          );
+        // outcome：'data' | 'no-data' | 'error'（路由据此输出 meta.outcome 与 Cache-Control）
+        merged.outcome = outcome;
+        merged.dataAvailable = outcome === 'data';
+        // 按国家码从内置数据集补齐请求语言的国家 / 大洲名称（只填空值）
+        enrichCountryNames(merged, options.language);
+        // 有坐标无时区名时按内置时区边界推断
+        enrichTimezone(merged);
+        const rdns = await rdnsPending;
+        merged.network = {
+          ...merged.network,
+          hostname: rdns?.hostname ?? null,
+          hostnameVerified: rdns?.hostname ? rdns.verified : null
+        };
+        if (rdns?.hostname) {
+          merged.provenance.fields['network.hostname'] = 'ReverseDNS';
         }
 
         if (options.includeThreat) {
           try {
-            merged.threat = await this.threatDetector(ip, request);
+            merged.threat = await this.threatDetector(ip, request, { rdns });
           } catch {
             merged.threat = { error: 'Threat detection unavailable' };
           }
@@ -633,8 +1401,9 @@ export class GeoLookup {
         // M1 修复：threat 检测失败时（merged.threat.error）不缓存——否则错误哨兵
         // 会在两层缓存驻留 5 分钟，把瞬时的 threat 服务故障呈现为误导的 all-clear。
         // 代价：threat 检测持续失败期间该 IP 每次查询都重跑 pipeline；可接受（失败应短暂）。
-        if (!merged.threat?.error) {
-          this.cache.set(ip, options, DataCompressor.compressGeoData(merged));
+        // provider 报错导致的无数据同样不缓存；真·无数据按 negativeTtl 缓存（ResultCache.set 据 dataAvailable 选择）。
+        if (!merged.threat?.error && outcome !== 'error') {
+          await this.cache.set(ip, options, DataCompressor.compressGeoData(merged));
         }
 
         return merged;
@@ -645,27 +1414,121 @@ export class GeoLookup {
 
     } catch (error) {
       this.monitor.record('geo_error', Date.now() - startTime);
+      // 查询整体失败（非逐 provider 失败）同样以保留期内的旧值兜底
+      const retained = await this.cache.peek(ip, options);
+      if (retained) {
+        return this.fromCache(retained, { stale: true });
+      }
       throw error;
     }
   }
 
+  /**
+   * 注册表逐项状态（/api/v1/system/providers）：是否已配置/启用、tier、优先级（含运行时覆盖）、调用计数、延迟分位与熔断状态。
+   * 池化路径经 ProviderPool 取实例（与查询共用）；注入路径临时实例化。
+   */
+  describeProviders(env = {}) {
+    this._ensureConfigured();
+    return this.providers.map((entry) => {
+      const provider = this.providerInstance(entry, env);
+      const name = entry.name || provider.name;
+      const override = this.applyProviderOverride(provider, name);
+      return {
+        name,
+        provider: provider.name,
+        configured: Boolean(provider.isConfigured()),
+        enabled: this.isProviderEnabled(provider, override),
+        tier: this.tierOf(provider),
+        priority: provider.priority,
+        timeoutMs: provider.timeoutMs ?? this.providerTimeoutMs,
+        overrides: { ...override },
+        quota: this.quotaFor(provider)?.getState() ?? null,
+        ...this.providerStats.get(provider.name),
+        circuit: this.providerPool.breakerStateFor(provider)
+      };
+    });
+  }
+
   /**
    * 获取性能统计
    */
   getStats() {
     return {
       providerPool: this.providerPool.getStats(),
+      circuitBreakers: this.providerPool.getBreakerStats(),
       cache: this.cache.getStats(),
+      prefixCache: this.prefixCache?.getStats() ?? null,
       monitor: this.monitor.getStats(),
       enabled: this.enabled
     };
   }
 
   /**
-   * 清理资源：只清理缓存与监控统计，不打断在途的合并请求
+   * 缓存管理视图（GET /api/v1/system/cache）：结果缓存统计、命中最多的键与年龄分布，网段缓存统计
+   */
+  inspectCache(limit = 10) {
+    return { result: this.cache.inspect(limit), prefix: this.prefixCache?.getStats() ?? null };
+  }
+
+  /**
+   * 删除某 IP 的缓存：结果缓存的全部选项变体 + 包含该 IP 的网段条目（否则下次仍由网段缓存命中）。
+   * 返回各层删除数 { result, prefix }
+   */
+  async evictIp(ip, env) {
+    this._ensureConfigured();
+    this._ensureCacheStore(env);
+    const canonical = canonicalizeIP(ip) || ip;
+    return {
+      result: await this.cache.deleteIp(canonical),
+      prefix: this.prefixCache?.purge({ ip: canonical }) ?? 0
+    };
+  }
+
+  /**
+   * 按条件清除两层缓存：{ cidr, provider, olderThanMs }，条件之间为「且」。返回各层删除数 { result, prefix }
+   */
+  async purgeCache(filter = {}, env) {
+    this._ensureConfigured();
+    this._ensureCacheStore(env);
+    return {
+      result: await this.cache.purge(filter),
+      prefix: this.prefixCache?.purge(filter) ?? 0
+    };
+  }
+
+  /**
+   * 预热：concurrency 个 worker 依次对列表中的 IP 执行 get()（已新鲜的条目直接命中，不重复查询）。
+   * 无调用方请求上下文（request 为 null）：依赖请求元数据的 sync provider（Cloudflare）不提供数据。
+   * @returns {Promise<{total: number, fetched: number, cached: number, noData: number, failed: Array<object>}>}
+   */
+  async warmCache(ips, options = {}, concurrency = 5) {
+    const summary = { total: ips.length, fetched: 0, cached: 0, noData: 0, failed: [] };
+    let next = 0;
+    const worker = async() => {
+      while (next < ips.length) {
+        const ip = ips[next++];
+        try {
+          const result = await this.get(ip, null, options);
+          if (result?.cached) summary.cached++;
+          else summary.fetched++;
+          if (result?.dataAvailable === false) summary.noData++;
+        } catch (error) {
+          summary.failed.push({ ip, error: error.message });
+        }
+      }
+    };
+    const workers = Math.max(1, Math.min(concurrency, ips.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return summary;
+  }
+
+  /**
+   * 清理资源：只清理缓存与监控统计，不打断在途的合并请求。
+   * 释放的是本 isolate 的内存，共享的结果缓存存储（KV 等）不清空。
    */
   cleanup() {
-    this.cache.clear();
+    this.cache.clear({ localOnly: true });
+    this.prefixCache?.clear();
     this.monitor.clear();
   }
 
@@ -0,0 +1,122 @@
+/**
+ * 🗺️ 可插拔地理围栏存储（GeofenceStore）
+ *
+ * 围栏定义的持久化后端，接口统一为异步，按 config.geofences.store 选择：
+ * - memory：isolate 内 Map（默认；isolate 回收即丢失，适合测试与单实例部署）
+ * - kv：Workers KV 命名空间（绑定名 geofences.kvBinding），跨 isolate 共享，最终一致
+ *
+ * 围栏以 name 为键，值为完整定义对象（见 services/geofences.js）。
+ *
+ * 接口：get(name) → fence | null；list() → fence[]（按 name 排序）；put(fence)；delete(name) → boolean；clear()；getStats()
+ */
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+export class MemoryGeofenceStore {
+  constructor() {
+    this.name = 'memory';
+    this.fences = new Map();
+  }
+
+  async get(name) {
+    return this.fences.get(name) ?? null;
+  }
+
+  async list() {
+    return [...this.fences.values()].sort(byName);
+  }
+
+  async put(fence) {
+    this.fences.set(fence.name, fence);
+  }
+
+  async delete(name) {
+    return this.fences.delete(name);
+  }
+
+  async clear() {
+    this.fences.clear();
+  }
+
+  getStats() {
+    return { store: this.name, size: this.fences.size };
+  }
+}
+
+export class KvGeofenceStore {
+  /**
+   * @param {object} namespace - KV 绑定（get / put / delete / list）
+   * @param {object} [options] { prefix } 键前缀，与同一命名空间内的其他数据隔离
+   */
+  constructor(namespace, options = {}) {
+    this.name = 'kv';
+    this.kv = namespace;
+    this.prefix = options.prefix ?? 'geofence:';
+  }
+
+  async get(name) {
+    const fence = await this.kv.get(this.prefix + name, 'json');
+    return fence && typeof fence === 'object' ? fence : null;
+  }
+
+  // 按前缀分页列举键后逐个读取（KV list 不返回值）
+  async list() {
+    const names = [];
+    let cursor;
+    do {
+      const page = await this.kv.list({ prefix: this.prefix, cursor });
+      names.push(...page.keys.map(({ name }) => name));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    const fences = await Promise.all(names.map((key) => this.kv.get(key, 'json')));
+    return fences.filter((fence) => fence && typeof fence === 'object').sort(byName);
+  }
+
+  async put(fence) {
+    await this.kv.put(this.prefix + fence.name, JSON.stringify(fence));
+  }
+
+  // KV delete 不报告键是否存在，先读后删
+  async delete(name) {
+    const existed = (await this.kv.get(this.prefix + name)) !== null;
+    await this.kv.delete(this.prefix + name);
+    return existed;
+  }
+
+  async clear() {
+    for (const fence of await this.list()) {
+      await this.kv.delete(this.prefix + fence.name);
+    }
+  }
+
+  getStats() {
+    return { store: this.name, size: null };
+  }
+}
+
+/**
+ * 按 config.geofences 创建存储；所选后端不可用（缺 KV 绑定）时告警并回退 memory
+ * @param {object} [options] { store, kvBinding, keyPrefix }
+ * @param {object} [env] - Workers 绑定（c.env）；service worker 语法下绑定在 globalThis
+ */
+export function createGeofenceStore(options = {}, env = {}) {
+  try {
+    switch (options.store ?? 'memory') {
+    case 'memory':
+      return new MemoryGeofenceStore();
+    case 'kv': {
+      const binding = options.kvBinding || 'GEOFENCES';
+      const namespace = env?.[binding] ?? globalThis[binding];
+      if (typeof namespace?.get === 'function' && typeof namespace?.put === 'function') {
+        return new KvGeofenceStore(namespace, { prefix: options.keyPrefix });
+      }
+      throw new Error(`KV binding "${binding}" not found`);
+    }
+    default:
+      throw new Error('unknown store');
+    }
+  } catch (error) {
+    console.warn(`⚠️ Geofence store "${options.store}" unavailable (${error.message}); using memory`);
+    return new MemoryGeofenceStore();
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * 🗺️ 地理围栏：定义管理与「IP 是否在围栏内」判定
+ *
+ * 围栏类型：
+ * - polygon：GeoJSON Polygon / MultiPolygon（[lng, lat]，首环为外环、其余为洞；按经纬度平面判定包含，不跨 180° 经线）
+ * - circle：圆心 + 半径（km）
+ * - region：国家码（ISO 3166-1 alpha-2）/ 一级行政区码（ISO 3166-2，如 US-CA）/ 大洲码集合，
+ *   按 IP 的 country.code / country.regionCode / continentCode 判定。行政区码来自 provider 的 regionCode
+ *  （MaxMind subdivisions、Cloudflare cf.regionCode、ip-api.com region）；IPInfo 只给名称，仅靠它定位时为 unknown
+ *
+ * 几何围栏给出到边界的大圆距离 distanceToEdgeKm；IP 坐标的定位误差半径（location.coordinates.accuracy）
+ * 大于该距离时 status 为 boundary（误差圆跨越边界，实际位置可能在任一侧），否则为 inside / outside。
+ * 误差半径未知时按坐标点判定；无坐标（几何围栏）或缺所需代码（region 围栏）时 contains 为 null、status 为 unknown。
+ */
+
+import { config } from '../config/configManager.js';
+import { distanceToSegmentKm, haversineKm, isValidCoordinates, pointInRing } from '../utils/geoMath.js';
+import { MemoryGeofenceStore, createGeofenceStore } from './geofenceStore.js';
+
+export const GEOFENCE_TYPES = Object.freeze(['polygon', 'circle', 'region']);
+
+// 围栏名即存储键，也出现在查询参数 geofences=<name,...> 中
+export const GEOFENCE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Polygon → [polygon]；polygon 为环数组
+const polygonsOf = (geometry) => (geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates]);
+
+function ringDistanceKm(point, ring) {
+  let min = Infinity;
+  for (let i = 1; i < ring.length; i++) {
+    const a = { latitude: ring[i - 1][1], longitude: ring[i - 1][0] };
+    const b = { latitude: ring[i][1], longitude: ring[i][0] };
+    min = Math.min(min, distanceToSegmentKm(point, a, b));
+  }
+  return min;
+}
+
+/**
+ * 几何围栏 → { contains, edgeKm }（edgeKm 为到最近边界的距离，洞的边界也算边界）
+ */
+function measureGeometry(fence, point) {
+  if (fence.type === 'circle') {
+    const km = haversineKm(fence.center, point);
+    return { contains: km <= fence.radiusKm, edgeKm: Math.abs(fence.radiusKm - km) };
+  }
+  let contains = false;
+  let edgeKm = Infinity;
+  for (const [outer, ...holes] of polygonsOf(fence.geometry)) {
+    if (pointInRing(point, outer) && !holes.some((hole) => pointInRing(point, hole))) {
+      contains = true;
+    }
+    for (const ring of [outer, ...holes]) {
+      edgeKm = Math.min(edgeKm, ringDistanceKm(point, ring));
+    }
+  }
+  return { contains, edgeKm };
+}
+
+// 任一列表命中即在内；未命中且有列表所需的代码未知时为 null
+function regionContains(fence, subject) {
+  const checks = [];
+  if (fence.countries.length > 0) {
+    checks.push(subject.countryCode == null ? null : fence.countries.includes(subject.countryCode));
+  }
+  // subdivisions 晚于 countries / continents 加入，早先存储的定义没有该字段
+  if (fence.subdivisions?.length > 0) {
+    checks.push(subject.subdivisionCode == null ? null : fence.subdivisions.includes(subject.subdivisionCode));
+  }
+  if (fence.continents.length > 0) {
+    checks.push(subject.continentCode == null ? null : fence.continents.includes(subject.continentCode));
+  }
+  if (checks.includes(true)) return true;
+  return checks.includes(null) ? null : false;
+}
+
+// country.code + regionCode → ISO 3166-2（US + CA → US-CA；已带国家前缀的原样大写）
+function subdivisionCodeOf(country) {
+  const code = country?.code;
+  const region = country?.regionCode;
+  if (!code || !region) return null;
+  return (region.includes('-') ? region : `${code}-${region}`).toUpperCase();
+}
+
+/**
+ * GeoLookup 结果 → 判定所需的摘要 { coordinates, accuracyKm, countryCode, subdivisionCode, continentCode }
+ */
+export function geofenceSubject(geo) {
+  const coords = geo?.location?.coordinates || {};
+  const coordinates = isValidCoordinates(coords) ? { latitude: coords.latitude, longitude: coords.longitude } : null;
+  return {
+    coordinates,
+    accuracyKm: coordinates && typeof coords.accuracy === 'number' ? coords.accuracy : null,
+    countryCode: geo?.country?.code ?? null,
+    subdivisionCode: subdivisionCodeOf(geo?.country),
+    continentCode: geo?.country?.continentCode ?? null
+  };
+}
+
+/**
+ * 单个围栏判定 → { name, type, contains, status, distanceToEdgeKm }
+ * status：inside | outside | boundary（误差圆跨越边界）| unknown（缺判定所需数据）
+ */
+export function evaluateGeofence(fence, subject) {
+  const result = { name: fence.name, type: fence.type };
+  if (fence.type === 'region') {
+    const contains = regionContains(fence, subject);
+    return {
+      ...result,
+      contains,
+      status: contains === null ? 'unknown' : (contains ? 'inside' : 'outside'),
+      distanceToEdgeKm: null
+    };
+  }
+  if (!subject.coordinates) {
+    return { ...result, contains: null, status: 'unknown', distanceToEdgeKm: null };
+  }
+  const { contains, edgeKm } = measureGeometry(fence, subject.coordinates);
+  const r = subject.accuracyKm;
+  return {
+    ...result,
+    contains,
+    status: r != null && edgeKm < r ? 'boundary' : (contains ? 'inside' : 'outside'),
+    distanceToEdgeKm: round1(edgeKm)
+  };
+}
+
+/**
+ * 多个围栏对同一 GeoLookup 结果的判定（顺序同 fences）
+ */
+export function evaluateGeofences(fences, geo) {
+  const subject = geofenceSubject(geo);
+  return fences.map((fence) => evaluateGeofence(fence, subject));
+}
+
+/**
+ * 围栏定义的存取。存储未注入时首次访问按 config.geofences.store 选择（KV 绑定来自请求 env，构造期不可得）。
+ * 非 memory 后端的全量列表在本 isolate 缓存 geofences.cacheTtlMs，本 isolate 写入时失效；其他 isolate 的写入在 TTL 后可见。
+ */
+export class GeofenceService {
+  /**
+   * @param {object} [deps] { store }
+   */
+  constructor(deps = {}) {
+    this.store = deps.store ?? new MemoryGeofenceStore();
+    this.storeInjected = deps.store !== undefined;
+    this._storeSelected = false;
+    this.snapshot = null;
+  }
+
+  settings() {
+    try {
+      return config.get('geofences', null) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  _ensureStore(env) {
+    if (this._storeSelected) return;
+    this._storeSelected = true;
+    if (this.storeInjected) return;
+    const options = this.settings();
+    if (options.store && options.store !== 'memory') {
+      this.store = createGeofenceStore(options, env);
+    }
+  }
+
+  // 围栏数量上限（geofences.maxFences，默认 500）
+  get maxFences() {
+    return this.settings().maxFences ?? 500;
+  }
+
+  async list(env) {
+    this._ensureStore(env);
+    if (this.store.name === 'memory') {
+      return this.store.list();
+    }
+    const ttl = this.settings().cacheTtlMs ?? 30000;
+    if (!this.snapshot || Date.now() - this.snapshot.at >= ttl) {
+      this.snapshot = { fences: await this.store.list(), at: Date.now() };
+    }
+    return this.snapshot.fences;
+  }
+
+  async get(name, env) {
+    this._ensureStore(env);
+    return this.store.get(name);
+  }
+
+  async put(fence, env) {
+    this._ensureStore(env);
+    await this.store.put(fence);
+    this.snapshot = null;
+  }
+
+  async remove(name, env) {
+    this._ensureStore(env);
+    const removed = await this.store.delete(name);
+    this.snapshot = null;
+    return removed;
+  }
+
+  /**
+   * 按名称选取围栏；names 为空时取全部
+   * @returns {Promise<{fences: object[], missing: string[]}>}
+   */
+  async select(names, env) {
+    const all = await this.list(env);
+    if (!names || names.length === 0) {
+      return { fences: all, missing: [] };
+    }
+    const byName = new Map(all.map((fence) => [fence.name, fence]));
+    return {
+      fences: names.filter((name) => byName.has(name)).map((name) => byName.get(name)),
+      missing: names.filter((name) => !byName.has(name))
+    };
+  }
+}
+
+export const geofenceService = new GeofenceService();
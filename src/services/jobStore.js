@@ -0,0 +1,252 @@
+/**
+ * 🧾 可插拔批量任务存储（JobStore）
+ *
+ * 批量查询任务（services/bulkJobs.js）的状态与分片数据，接口统一为异步，按 config.jobs.store 选择：
+ * - memory：isolate 内 Map（默认；isolate 回收即丢失，后台执行与查询须落在同一 isolate，适合测试与单实例部署）
+ * - kv：Workers KV 命名空间（绑定名 jobs.kvBinding），跨 isolate 共享、最终一致；键按 ttlMs 过期
+ * - durable-object：每个任务一个 Durable Object（绑定名 jobs.durableObjectBinding，类 JobStoreObject），强一致；
+ *   首次写入时设置 alarm，ttlMs 后清空该任务全部数据
+ *
+ * 任务元数据 job 以 job.id 为键；输入 IP 与结果行按分片存储（kind 为 'input' | 'result'，index 从 0 开始），
+ * 输入分片的条数由 jobs.inputChunkSize、结果分片由 jobs.chunkSize 决定，保证单个值在 KV / Durable Object 的大小限制内。
+ *
+ * 接口：getJob(id) → job | null；putJob(job)；getChunk(id, kind, index) → item[] | null；putChunk(id, kind, index, items)；
+ * getStats()。容量有限的后端（memory）在无法容纳新任务时由 putJob 抛 JobStoreFullError。
+ */
+
+const chunkKey = (kind, index) => `${kind}:${index}`;
+
+// 可被淘汰的任务状态（与 bulkJobs.JOB_STATUS 一致）；queued / running 任务从不淘汰
+const TERMINAL_STATUSES = new Set(['completed', 'failed']);
+
+/**
+ * 存储已满：现存任务均未结束（queued / running），无法淘汰以容纳新任务
+ */
+export class JobStoreFullError extends Error {
+  constructor(maxJobs) {
+    super(`Job store is full: ${maxJobs} active jobs`);
+    this.name = 'JobStoreFullError';
+    this.maxJobs = maxJobs;
+  }
+}
+
+export class MemoryJobStore {
+  /**
+   * @param {object} [options] { ttlMs, maxJobs } 过期时间与任务数上限
+   *   （达到上限时按创建顺序淘汰已结束的任务；全部未结束时拒绝新任务）
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.ttlMs = options.ttlMs ?? 86400000;
+    this.maxJobs = options.maxJobs ?? 100;
+    this.jobs = new Map(); // id → { job, chunks: Map, expiresAt }
+  }
+
+  // 删除过期任务；仍达上限时按创建顺序淘汰已结束的任务，直到能再容纳一个
+  _prune() {
+    const now = Date.now();
+    for (const [id, entry] of this.jobs) {
+      if (entry.expiresAt <= now) this.jobs.delete(id);
+    }
+    for (const [id, entry] of this.jobs) {
+      if (this.jobs.size < this.maxJobs) break;
+      if (TERMINAL_STATUSES.has(entry.job.status)) this.jobs.delete(id);
+    }
+  }
+
+  _entry(id) {
+    const entry = this.jobs.get(id);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry;
+  }
+
+  async getJob(id) {
+    return this._entry(id)?.job ?? null;
+  }
+
+  async putJob(job) {
+    const entry = this._entry(job.id);
+    if (entry) {
+      entry.job = job;
+      return;
+    }
+    this._prune();
+    if (this.jobs.size >= this.maxJobs) {
+      throw new JobStoreFullError(this.maxJobs);
+    }
+    this.jobs.set(job.id, { job, chunks: new Map(), expiresAt: Date.now() + this.ttlMs });
+  }
+
+  async getChunk(id, kind, index) {
+    return this._entry(id)?.chunks.get(chunkKey(kind, index)) ?? null;
+  }
+
+  async putChunk(id, kind, index, items) {
+    const entry = this._entry(id);
+    if (!entry) throw new Error(`Job not found: ${id}`);
+    entry.chunks.set(chunkKey(kind, index), items);
+  }
+
+  async clear() {
+    this.jobs.clear();
+  }
+
+  getStats() {
+    return { store: this.name, size: this.jobs.size };
+  }
+}
+
+export class KvJobStore {
+  /**
+   * @param {object} namespace - KV 绑定（get / put）
+   * @param {object} [options] { prefix, ttlMs } 键前缀与过期时间（KV expirationTtl 最小 60 秒）
+   */
+  constructor(namespace, options = {}) {
+    this.name = 'kv';
+    this.kv = namespace;
+    this.prefix = options.prefix ?? 'job:';
+    this.expirationTtl = Math.max(60, Math.ceil((options.ttlMs ?? 86400000) / 1000));
+  }
+
+  async _get(key) {
+    const value = await this.kv.get(this.prefix + key, 'json');
+    return value ?? null;
+  }
+
+  async _put(key, value) {
+    await this.kv.put(this.prefix + key, JSON.stringify(value), { expirationTtl: this.expirationTtl });
+  }
+
+  async getJob(id) {
+    const job = await this._get(id);
+    return job && typeof job === 'object' ? job : null;
+  }
+
+  async putJob(job) {
+    await this._put(job.id, job);
+  }
+
+  async getChunk(id, kind, index) {
+    return this._get(`${id}:${chunkKey(kind, index)}`);
+  }
+
+  async putChunk(id, kind, index, items) {
+    await this._put(`${id}:${chunkKey(kind, index)}`, items);
+  }
+
+  getStats() {
+    return { store: this.name, size: null };
+  }
+}
+
+// Durable Object stub.fetch 需要绝对 URL，主机名不参与路由
+const DO_ORIGIN = 'https://job-store';
+
+export class DurableObjectJobStore {
+  /**
+   * @param {object} namespace - Durable Object 命名空间绑定（idFromName / get），类为 JobStoreObject
+   * @param {object} [options] { ttlMs } 任务数据保留时间（由对象的 alarm 清理）
+   */
+  constructor(namespace, options = {}) {
+    this.name = 'durable-object';
+    this.namespace = namespace;
+    this.ttlMs = options.ttlMs ?? 86400000;
+  }
+
+  async _call(id, op, payload) {
+    const stub = this.namespace.get(this.namespace.idFromName(id));
+    const response = await stub.fetch(`${DO_ORIGIN}/${op}`, { method: 'POST', body: JSON.stringify(payload) });
+    if (!response.ok) {
+      throw new Error(`Job store ${op} failed: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async getJob(id) {
+    return (await this._call(id, 'get', { key: 'job' })).value;
+  }
+
+  async putJob(job) {
+    await this._call(job.id, 'put', { key: 'job', value: job, ttlMs: this.ttlMs });
+  }
+
+  async getChunk(id, kind, index) {
+    return (await this._call(id, 'get', { key: chunkKey(kind, index) })).value;
+  }
+
+  async putChunk(id, kind, index, items) {
+    await this._call(id, 'put', { key: chunkKey(kind, index), value: items, ttlMs: this.ttlMs });
+  }
+
+  getStats() {
+    return { store: this.name, size: null };
+  }
+}
+
+/**
+ * 任务存储 Durable Object（wrangler.toml 中以 class_name = "JobStoreObject" 声明，入口模块导出）。
+ * 每个实例只保存一个任务：POST /get { key } → { value }；POST /put { key, value, ttlMs } → { ok }。
+ */
+export class JobStoreObject {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const op = new URL(request.url).pathname.slice(1);
+    const { key, value, ttlMs } = await request.json();
+    switch (op) {
+    case 'get':
+      return Response.json({ value: (await this.storage.get(key)) ?? null });
+    case 'put':
+      await this.storage.put(key, value);
+      if (ttlMs && (await this.storage.getAlarm()) === null) {
+        await this.storage.setAlarm(Date.now() + ttlMs);
+      }
+      return Response.json({ ok: true });
+    default:
+      return new Response('Not found', { status: 404 });
+    }
+  }
+
+  // 过期：清空本任务的元数据与全部分片
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+/**
+ * 按 config.jobs 创建存储；所选后端不可用（缺绑定）时告警并回退 memory
+ * @param {object} [options] { store, kvBinding, durableObjectBinding, keyPrefix, ttlMs, maxJobs }
+ * @param {object} [env] - Workers 绑定（c.env）；service worker 语法下绑定在 globalThis
+ */
+export function createJobStore(options = {}, env = {}) {
+  const memory = () => new MemoryJobStore({ ttlMs: options.ttlMs, maxJobs: options.maxJobs });
+  try {
+    switch (options.store ?? 'memory') {
+    case 'memory':
+      return memory();
+    case 'kv': {
+      const binding = options.kvBinding || 'JOBS';
+      const namespace = env?.[binding] ?? globalThis[binding];
+      if (typeof namespace?.get === 'function' && typeof namespace?.put === 'function') {
+        return new KvJobStore(namespace, { prefix: options.keyPrefix, ttlMs: options.ttlMs });
+      }
+      throw new Error(`KV binding "${binding}" not found`);
+    }
+    case 'durable-object': {
+      const binding = options.durableObjectBinding || 'JOB_STORE';
+      const namespace = env?.[binding] ?? globalThis[binding];
+      if (typeof namespace?.idFromName === 'function' && typeof namespace?.get === 'function') {
+        return new DurableObjectJobStore(namespace, { ttlMs: options.ttlMs });
+      }
+      throw new Error(`Durable Object binding "${binding}" not found`);
+    }
+    default:
+      throw new Error('unknown store');
+    }
+  } catch (error) {
+    console.warn(`⚠️ Job store "${options.store}" unavailable (${error.message}); using memory`);
+    return memory();
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * 🧱 网段前缀缓存（最长前缀匹配）
+ *
+ * 同一网段内的地址地理数据相同：provider 报告了命中的网段（MaxMind traits.network / MMDB 前缀长度、
+ * IPInfo asn.route 等，落在 GeoData network.prefix）时，一次查询结果可服务该网段内的所有 IP。
+ * 未报告网段时按兜底粒度（IPv4 /24、IPv6 /48）缓存。
+ *
+ * 只缓存地理部分（country / location / network 的 ASN 与组织）；rDNS 主机名与威胁评估按 IP 计算，
+ * 命中后由 GeoLookup 重新补齐。键只含 language（includeThreat 不影响地理部分）。
+ */
+
+import { canonicalizeIP, ipInCIDR, parseCIDR } from '../utils/ipValidation.js';
+
+export const DEFAULT_FALLBACK_PREFIX = Object.freeze({ 4: 24, 6: 48 });
+
+// 两个同族 CIDR 重叠当且仅当其中一个包含另一个的网络地址
+function cidrsOverlap(a, b) {
+  const blockA = parseCIDR(a);
+  const blockB = parseCIDR(b);
+  return Boolean(blockA && blockB) && (ipInCIDR(blockA.address, b) || ipInCIDR(blockB.address, a));
+}
+
+export class PrefixCache {
+  /**
+   * @param {object} [options] { maxSize, ttl, fallbackPrefixV4, fallbackPrefixV6 }
+   */
+  constructor(options = {}, now = () => Date.now()) {
+    this.maxSize = options.maxSize ?? 5000;
+    this.ttl = options.ttl ?? 300000;
+    this.fallbackPrefix = {
+      4: options.fallbackPrefixV4 ?? DEFAULT_FALLBACK_PREFIX[4],
+      6: options.fallbackPrefixV6 ?? DEFAULT_FALLBACK_PREFIX[6]
+    };
+    this.now = now;
+    // Map 插入序即访问序（命中时删除重插），头部为最久未用
+    this.cache = new Map();
+    // 每个地址族当前存在的前缀长度 → 条目数；查找只试这些长度，按长到短
+    this.lengths = { 4: new Map(), 6: new Map() };
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  optionsKey(options = {}) {
+    return `language=${options?.language ?? ''}`;
+  }
+
+  /**
+   * 最长前缀匹配。命中返回 { data, prefix }，否则 null。
+   */
+  get(ip, options = {}) {
+    const canonical = canonicalizeIP(ip);
+    if (!canonical) {
+      this.misses++;
+      return null;
+    }
+    const version = canonical.includes(':') ? 6 : 4;
+    const lengths = [...this.lengths[version].keys()].sort((a, b) => b - a);
+    for (const length of lengths) {
+      const prefix = `${parseCIDR(`${canonical}/${length}`).address}/${length}`;
+      const key = `${prefix}|${this.optionsKey(options)}`;
+      const entry = this.cache.get(key);
+      if (!entry) continue;
+      if (entry.expiresAt <= this.now()) {
+        this.remove(key, entry);
+        continue;
+      }
+      this.cache.delete(key);
+      this.cache.set(key, entry);
+      this.hits++;
+      return { data: entry.data, prefix };
+    }
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * 按网段写入；prefix 必须包含 ip（防止错误的上游网段污染无关地址）。返回实际写入的规范网段或 null。
+   */
+  set(ip, prefix, options = {}, data) {
+    const block = parseCIDR(prefix);
+    if (!block || !ipInCIDR(ip, prefix)) {
+      return null;
+    }
+    const normalized = `${block.address}/${block.prefixLength}`;
+    const key = `${normalized}|${this.optionsKey(options)}`;
+    const existing = this.cache.get(key);
+    if (existing) {
+      this.remove(key, existing);
+    } else if (this.cache.size >= this.maxSize) {
+      const [oldestKey, oldest] = this.cache.entries().next().value;
+      this.remove(oldestKey, oldest);
+    }
+    const storedAt = this.now();
+    this.cache.set(key, {
+      data, version: block.version, length: block.prefixLength, storedAt, expiresAt: storedAt + this.ttl
+    });
+    const counts = this.lengths[block.version];
+    counts.set(block.prefixLength, (counts.get(block.prefixLength) || 0) + 1);
+    return normalized;
+  }
+
+  remove(key, entry) {
+    this.cache.delete(key);
+    const counts = this.lengths[entry.version];
+    const remaining = (counts.get(entry.length) || 1) - 1;
+    if (remaining > 0) counts.set(entry.length, remaining);
+    else counts.delete(entry.length);
+  }
+
+  /**
+   * 缓存网段：各 provider 报告网段的交集（嵌套 CIDR 取最长），未报告网段的 provider 按兜底粒度计入。
+   * @param {string} ip - 规范 IP
+   * @param {Array<object>} values - 各 provider 返回的 GeoData（仅有数据者）
+   */
+  blockFor(ip, values) {
+    const version = ip.includes(':') ? 6 : 4;
+    const fallback = this.fallbackPrefix[version];
+    const lengths = values.map((value) => {
+      const prefix = value?.network?.prefix;
+      return prefix && ipInCIDR(ip, prefix) ? parseCIDR(prefix).prefixLength : fallback;
+    });
+    const length = lengths.length > 0 ? Math.max(...lengths) : fallback;
+    return `${parseCIDR(`${ip}/${length}`).address}/${length}`;
+  }
+
+  /**
+   * 按条件清除网段条目，条件之间为「且」，返回删除数。
+   * ip：网段包含该 IP；cidr：与该 CIDR 重叠（互相包含）；provider：归因 provider；olderThanMs：写入时间早于此
+   * @param {object} filter { ip, cidr, provider, olderThanMs }
+   */
+  purge(filter = {}) {
+    const now = this.now();
+    let removed = 0;
+    for (const [key, entry] of [...this.cache.entries()]) {
+      const prefix = key.slice(0, key.indexOf('|'));
+      if (filter.ip && !ipInCIDR(filter.ip, prefix)) continue;
+      if (filter.cidr && !cidrsOverlap(prefix, filter.cidr)) continue;
+      if (filter.provider && entry.data?.provider !== filter.provider) continue;
+      if (filter.olderThanMs !== undefined && now - entry.storedAt < filter.olderThanMs) continue;
+      this.remove(key, entry);
+      removed++;
+    }
+    return removed;
+  }
+
+  getStats() {
+    const total = this.hits + this.misses;
+    return {
+      size: this.cache.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total > 0 ? Math.round((this.hits / total) * 100) / 100 : 0
+    };
+  }
+
+  clear() {
+    this.cache.clear();
+    this.lengths[4].clear();
+    this.lengths[6].clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
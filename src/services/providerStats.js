@@ -0,0 +1,79 @@
+/**
+ * 📈 Provider 调用统计
+ *
+ * 按 provider 名累计：结果计数（success / empty / error / skipped）、按 ProviderErrorCode 细分的错误数、
+ * 最近 N 次调用延迟（p50 / p95）与最后一次成功时间。供 /api/v1/system/providers 与 Prometheus 导出。
+ *
+ * success = 返回了数据；empty = 返回 null（无该 IP 记录）；skipped = 熔断中未调用。
+ */
+
+const LATENCY_SAMPLES = 200;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.ceil(p * sorted.length) - 1];
+}
+
+function emptyEntry() {
+  return {
+    counts: { success: 0, empty: 0, error: 0, skipped: 0 },
+    errors: {},
+    latencies: [],
+    lastSuccessAt: null,
+    lastErrorAt: null
+  };
+}
+
+export class ProviderStatsTracker {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  entry(name) {
+    if (!this.entries.has(name)) {
+      this.entries.set(name, emptyEntry());
+    }
+    return this.entries.get(name);
+  }
+
+  /**
+   * @param {string} name
+   * @param {object} sample { outcome: 'success'|'empty'|'error'|'skipped', code?, durationMs? }
+   */
+  record(name, { outcome, code = null, durationMs = null }) {
+    const entry = this.entry(name);
+    entry.counts[outcome] = (entry.counts[outcome] || 0) + 1;
+    if (outcome === 'error') {
+      const key = code || 'UNKNOWN';
+      entry.errors[key] = (entry.errors[key] || 0) + 1;
+      entry.lastErrorAt = Date.now();
+    }
+    if (outcome === 'success') {
+      entry.lastSuccessAt = Date.now();
+    }
+    if (outcome !== 'skipped' && typeof durationMs === 'number') {
+      entry.latencies.push(durationMs);
+      if (entry.latencies.length > LATENCY_SAMPLES) entry.latencies.shift();
+    }
+  }
+
+  get(name) {
+    const entry = this.entries.get(name) || emptyEntry();
+    const sorted = [...entry.latencies].sort((a, b) => a - b);
+    return {
+      counts: { ...entry.counts },
+      errors: { ...entry.errors },
+      latencyMs: {
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        samples: sorted.length
+      },
+      lastSuccessAt: entry.lastSuccessAt ? new Date(entry.lastSuccessAt).toISOString() : null,
+      lastErrorAt: entry.lastErrorAt ? new Date(entry.lastErrorAt).toISOString() : null
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
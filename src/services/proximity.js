@@ -0,0 +1,120 @@
+/**
+ * 📏 距离与邻近：IP / 坐标两端的大圆距离、初始方位角与「同国家 / 同 ASN / 同时区」判定
+ *
+ * IP 端点的坐标来自 GeoLookup 结果，其 location.coordinates.accuracy（km）为定位误差半径；
+ * 距离同时给出按两端误差半径放宽的区间 [minKm, maxKm]。调用方给出的坐标视为精确（误差 0）。
+ * 任一 IP 端点误差半径未知时 uncertaintyKm / minKm / maxKm 为 null。
+ */
+
+import { compassPoint, haversineKm, initialBearing, isValidCoordinates, KM_PER_MILE } from '../utils/geoMath.js';
+import { inferTimezone } from '../utils/timezone.js';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 'lat,lng' → { latitude, longitude }；格式或范围无效返回 null
+ */
+export function parseLatLng(text) {
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(text ?? ''));
+  if (!m) return null;
+  const point = { latitude: Number(m[1]), longitude: Number(m[2]) };
+  return isValidCoordinates(point) ? point : null;
+}
+
+/**
+ * GeoLookup 结果 → 端点摘要
+ */
+export function endpointFromGeo(input, ip, geo) {
+  const coords = geo?.location?.coordinates || {};
+  const coordinates = isValidCoordinates(coords) ? { latitude: coords.latitude, longitude: coords.longitude } : null;
+  return {
+    input,
+    ip,
+    coordinates,
+    accuracyKm: coordinates && typeof coords.accuracy === 'number' ? coords.accuracy : null,
+    countryCode: geo?.country?.code ?? null,
+    asn: typeof geo?.network?.asn === 'number' ? geo.network.asn : null,
+    timezone: geo?.location?.timezone ?? null
+  };
+}
+
+/**
+ * 调用方给出的坐标 → 端点摘要（时区按坐标推断；国家 / ASN 未知）
+ */
+export function endpointFromPoint(input, point) {
+  return {
+    input,
+    ip: null,
+    coordinates: { latitude: point.latitude, longitude: point.longitude },
+    accuracyKm: 0,
+    countryCode: null,
+    asn: null,
+    timezone: inferTimezone(point)
+  };
+}
+
+// 两端都已知时比较，任一端未知为 null
+const same = (a, b) => (a == null || b == null ? null : a === b);
+
+/**
+ * 距离块：{ km, mi, uncertaintyKm, minKm, maxKm }；任一端无坐标为 null
+ */
+export function distanceBetween(a, b) {
+  if (!a.coordinates || !b.coordinates) return null;
+  const km = haversineKm(a.coordinates, b.coordinates);
+  const uncertaintyKm = a.accuracyKm == null || b.accuracyKm == null ? null : a.accuracyKm + b.accuracyKm;
+  return {
+    km: round1(km),
+    mi: round1(km / KM_PER_MILE),
+    uncertaintyKm,
+    minKm: uncertaintyKm == null ? null : round1(Math.max(0, km - uncertaintyKm)),
+    maxKm: uncertaintyKm == null ? null : round1(km + uncertaintyKm)
+  };
+}
+
+/**
+ * 两端比较：距离、初始方位角（a → b）与同国家 / 同 ASN / 同时区
+ */
+export function compareEndpoints(a, b) {
+  const distance = distanceBetween(a, b);
+  const degrees = distance ? initialBearing(a.coordinates, b.coordinates) : null;
+  return {
+    distance,
+    bearing: distance ? { degrees: round1(degrees), compass: compassPoint(degrees) } : null,
+    sameCountry: same(a.countryCode, b.countryCode),
+    sameAsn: same(a.asn, b.asn),
+    sameTimezone: same(a.timezone, b.timezone)
+  };
+}
+
+/**
+ * 按与 origin 的距离升序排列命名点位。
+ * possiblyNearest：考虑 origin 误差半径 r，该点与最近点的距离差小于 2r 时，实际最近的可能是它
+ * （r 未知时只有第一名为 true，minKm / maxKm 为 null）。
+ * @param {object} origin - 端点摘要（需有坐标）
+ * @param {Array<{name: string, latitude: number, longitude: number}>} points
+ */
+export function rankByDistance(origin, points) {
+  const r = origin.accuracyKm;
+  const ranked = points
+    .map((point) => ({ point, km: haversineKm(origin.coordinates, point) }))
+    .sort((a, b) => a.km - b.km);
+  const best = ranked[0]?.km ?? 0;
+
+  return ranked.map(({ point, km }, index) => {
+    const degrees = initialBearing(origin.coordinates, point);
+    return {
+      rank: index + 1,
+      name: point.name,
+      coordinates: { latitude: point.latitude, longitude: point.longitude },
+      distance: {
+        km: round1(km),
+        mi: round1(km / KM_PER_MILE),
+        minKm: r == null ? null : round1(Math.max(0, km - r)),
+        maxKm: r == null ? null : round1(km + r)
+      },
+      bearing: { degrees: round1(degrees), compass: compassPoint(degrees) },
+      possiblyNearest: index === 0 || (r != null && km - best < 2 * r)
+    };
+  });
+}
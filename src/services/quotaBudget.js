@@ -0,0 +1,154 @@
+/**
+ * 🪙 Provider 上游配额预算
+ *
+ * 每个有配额配置的 provider 一个 ProviderQuota（providers.<configKey>.quota）：
+ * - ratePerMinute / burst：令牌桶，平滑短时突发（如 ip-api.com 免费版 45 req/min）
+ * - daily / monthly：按 UTC 自然日 / 自然月计数的硬预算（IPInfo / MaxMind 套餐配额）
+ *
+ * 每次上游 HTTP 尝试（含重试）消耗 1 个单位；任一维度耗尽即视为无预算，
+ * GeoLookup 像未配置的 provider 一样跳过它。用量达到 warnPercent 时由告警规则发出 warning。
+ * 计数在进程（Workers 下即 isolate）内存中，多实例部署时为近似值。
+ */
+
+export const DEFAULT_QUOTA_WARN_PERCENT = 80;
+
+export class TokenBucket {
+  constructor(capacity, refillPerMs, now = () => Date.now()) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMs;
+    this.now = now;
+    this.tokens = capacity;
+    this.updatedAt = now();
+  }
+
+  refill() {
+    const now = this.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  available() {
+    this.refill();
+    return Math.floor(this.tokens);
+  }
+
+  take(count = 1) {
+    this.refill();
+    this.tokens = Math.max(0, this.tokens - count);
+  }
+}
+
+const utcDayStart = (t) => {
+  const d = new Date(t);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+};
+const utcMonthStart = (t) => {
+  const d = new Date(t);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+};
+const nextUtcDay = (t) => utcDayStart(t) + 86400000;
+const nextUtcMonth = (t) => {
+  const d = new Date(t);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+};
+
+/**
+ * 按 UTC 日历窗口计数的预算；窗口切换时清零
+ */
+class WindowBudget {
+  constructor(limit, windowStart, now) {
+    this.limit = limit;
+    this.windowStart = windowStart;
+    this.now = now;
+    this.startedAt = windowStart(now());
+    this.used = 0;
+  }
+
+  roll() {
+    const start = this.windowStart(this.now());
+    if (start !== this.startedAt) {
+      this.startedAt = start;
+      this.used = 0;
+    }
+  }
+
+  remaining() {
+    this.roll();
+    return Math.max(0, this.limit - this.used);
+  }
+
+  take(count = 1) {
+    this.roll();
+    this.used += count;
+  }
+}
+
+export class ProviderQuota {
+  /**
+   * @param {string} name
+   * @param {object} options { ratePerMinute?, burst?, daily?, monthly?, warnPercent? }
+   */
+  constructor(name, options = {}, now = () => Date.now()) {
+    this.name = name;
+    this.now = now;
+    this.options = { warnPercent: DEFAULT_QUOTA_WARN_PERCENT, ...options };
+    const { ratePerMinute, burst, daily, monthly } = this.options;
+    this.bucket = ratePerMinute ? new TokenBucket(burst || ratePerMinute, ratePerMinute / 60000, now) : null;
+    this.daily = Number.isFinite(daily) ? new WindowBudget(daily, utcDayStart, now) : null;
+    this.monthly = Number.isFinite(monthly) ? new WindowBudget(monthly, utcMonthStart, now) : null;
+  }
+
+  /** 当前还能发起的上游请求数（各维度取最小；无任何限制时为 Infinity） */
+  available() {
+    return Math.min(
+      this.bucket ? this.bucket.available() : Infinity,
+      this.daily ? this.daily.remaining() : Infinity,
+      this.monthly ? this.monthly.remaining() : Infinity
+    );
+  }
+
+  hasBudget() {
+    return this.available() >= 1;
+  }
+
+  consume(count = 1) {
+    this.bucket?.take(count);
+    this.daily?.take(count);
+    this.monthly?.take(count);
+  }
+
+  /** daily / monthly 中用量占比较高者（百分比）；令牌桶短时耗尽会自愈，不计入 */
+  usagePercent() {
+    const ratios = [this.daily, this.monthly]
+      .filter(Boolean)
+      .map((w) => {
+        w.roll();
+        return w.limit > 0 ? (Math.min(w.used, w.limit) / w.limit) * 100 : 100;
+      });
+    return ratios.length > 0 ? Math.round(Math.max(...ratios) * 100) / 100 : 0;
+  }
+
+  isWarning() {
+    return this.usagePercent() >= this.options.warnPercent;
+  }
+
+  getState() {
+    const now = this.now();
+    const window = (w, resetsAt) => {
+      if (!w) return null;
+      w.roll();
+      const reset = new Date(resetsAt(now)).toISOString();
+      return { limit: w.limit, used: w.used, remaining: w.remaining(), resetsAt: reset };
+    };
+    return {
+      perMinute: this.bucket
+        ? { limit: this.options.ratePerMinute, burst: this.bucket.capacity, remaining: this.bucket.available() }
+        : null,
+      daily: window(this.daily, nextUtcDay),
+      monthly: window(this.monthly, nextUtcMonth),
+      usagePercent: this.usagePercent(),
+      warnPercent: this.options.warnPercent,
+      exhausted: !this.hasBudget()
+    };
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * 🏛️ RDAP 注册信息查询（RFC 9083 / RFC 9224）
+ *
+ * - 服务器选择：配置了 rdap.baseUrl（如 https://rdap.org/ 重定向器或自建镜像）时一律使用；
+ *   否则按打包的 IANA bootstrap（data/rdapBootstrap.js）最长前缀匹配到所属 RIR。
+ * - 解析：`GET {base}ip/{ip}`（Accept: application/rdap+json）→ 网段 CIDR、网段名、RIR、
+ *   注册 / 最后变更日期、abuse 联系人（vCard 中的 fn / email / tel）。
+ *
+ * 失败抛 RdapError（类型化 code，路由据此映射 HTTP 状态）；缓存由调用方负责（getRegistrationCache）。
+ */
+
+import { RDAP_BOOTSTRAP_IPV4, RDAP_BOOTSTRAP_IPV6, RDAP_SERVER_RIR } from '../data/rdapBootstrap.js';
+import { canonicalizeIP, ipInCIDR, parseCIDR, rangeToCIDRs } from '../utils/ipValidation.js';
+import { cleanStr } from '../providers/BaseProvider.js';
+import { config } from '../config/configManager.js';
+
+export const RdapErrorCode = Object.freeze({
+  NOT_FOUND: 'NOT_FOUND', // RIR 返回 404：该地址无注册记录
+  NO_REGISTRY: 'NO_REGISTRY', // bootstrap 中无覆盖该地址的 RDAP 服务（保留 / 未分配地址）
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR', // 网络失败、非预期状态或响应无法解析
+  TIMEOUT: 'TIMEOUT' // 请求超时
+});
+
+export class RdapError extends Error {
+  constructor(code, message, options = {}) {
+    super(`RDAP: ${code}${message ? ` — ${message}` : ''}`);
+    this.name = 'RdapError';
+    this.code = code;
+    if (options.httpStatus !== undefined) {
+      this.httpStatus = options.httpStatus;
+    }
+  }
+}
+
+// abuse 联系人在实体树中可能嵌套（ARIN：registrant → abuse），限制递归深度
+const MAX_ENTITY_DEPTH = 4;
+// port43 WHOIS 主机（whois.arin.net / whois.ripe.net …）或未收录的 RDAP 主机 → RIR 名
+const RIR_HOST_PATTERN = /(?:^|\.)(afrinic|apnic|arin|lacnic|ripe)\.net$/i;
+
+const bootstrapTables = new WeakMap();
+
+/**
+ * bootstrap 文件 → [{ block, prefixLength, url }]，按前缀长度降序（首个命中即最长前缀）
+ */
+function bootstrapTable(bootstrap) {
+  if (!bootstrapTables.has(bootstrap)) {
+    const table = [];
+    for (const [prefixes, urls] of bootstrap?.services || []) {
+      const url = urls.find((u) => u.startsWith('https://')) || urls[0];
+      for (const prefix of prefixes) {
+        const block = parseCIDR(prefix);
+        if (block && url) {
+          table.push({ block: prefix, prefixLength: block.prefixLength, url });
+        }
+      }
+    }
+    table.sort((a, b) => b.prefixLength - a.prefixLength);
+    bootstrapTables.set(bootstrap, table);
+  }
+  return bootstrapTables.get(bootstrap);
+}
+
+function rirForHost(host) {
+  if (!host) return null;
+  const name = String(host).toLowerCase();
+  if (RDAP_SERVER_RIR[name]) return RDAP_SERVER_RIR[name];
+  const match = name.match(RIR_HOST_PATTERN);
+  return match ? match[1].toUpperCase() : null;
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * jCard（RFC 7095）属性取值：['vcard', [[name, params, type, value], ...]]
+ */
+function vcardValue(entity, property) {
+  const props = Array.isArray(entity?.vcardArray?.[1]) ? entity.vcardArray[1] : [];
+  const found = props.find((p) => Array.isArray(p) && p[0] === property);
+  const value = Array.isArray(found?.[3]) ? found[3].join(' ') : found?.[3];
+  return typeof value === 'string' ? value : null;
+}
+
+function findEntityByRole(entities, role, depth = 0) {
+  if (!Array.isArray(entities) || depth > MAX_ENTITY_DEPTH) return null;
+  for (const entity of entities) {
+    if (Array.isArray(entity?.roles) && entity.roles.includes(role)) {
+      return entity;
+    }
+  }
+  for (const entity of entities) {
+    const nested = findEntityByRole(entity?.entities, role, depth + 1);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+function eventDate(events, action) {
+  const event = Array.isArray(events) ? events.find((e) => e?.eventAction === action) : null;
+  const time = Date.parse(event?.eventDate);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * cidr0 扩展（cidr0_cidrs: [{ v4prefix | v6prefix, length }]）优先；缺失时由起止地址推算
+ */
+function networkCidrs(body) {
+  const listed = Array.isArray(body.cidr0_cidrs)
+    ? body.cidr0_cidrs
+      .map((c) => `${c?.v4prefix || c?.v6prefix}/${c?.length}`)
+      .filter((cidr) => parseCIDR(cidr))
+    : [];
+  if (listed.length > 0) return listed;
+  return rangeToCIDRs(canonicalizeIP(body.startAddress), canonicalizeIP(body.endAddress));
+}
+
+/**
+ * RDAP ip network 对象 → 注册信息资源
+ * @param {object} body - RDAP 响应 JSON
+ * @param {string} ip - 查询的规范 IP
+ * @param {object} [context] { rir, source }
+ */
+export function parseRdapNetwork(body, ip, context = {}) {
+  if (!body || typeof body !== 'object' || body.objectClassName !== 'ip network') {
+    throw new RdapError(RdapErrorCode.UPSTREAM_ERROR, 'response is not an RDAP ip network object');
+  }
+  const cidrs = networkCidrs(body);
+  const abuse = findEntityByRole(body.entities, 'abuse');
+  const tel = vcardValue(abuse, 'tel');
+
+  return {
+    ip,
+    cidr: cidrs.find((cidr) => ipInCIDR(ip, cidr)) || cidrs[0] || null,
+    cidrs,
+    startAddress: canonicalizeIP(body.startAddress),
+    endAddress: canonicalizeIP(body.endAddress),
+    name: cleanStr(body.name),
+    handle: cleanStr(body.handle),
+    type: cleanStr(body.type),
+    country: cleanStr(body.country),
+    parentHandle: cleanStr(body.parentHandle),
+    rir: context.rir || rirForHost(body.port43),
+    registrationDate: eventDate(body.events, 'registration'),
+    lastChangedDate: eventDate(body.events, 'last changed'),
+    abuse: abuse
+      ? {
+        name: cleanStr(vcardValue(abuse, 'fn')),
+        email: cleanStr(vcardValue(abuse, 'email')),
+        phone: cleanStr(tel ? tel.replace(/^tel:/i, '') : null)
+      }
+      : null,
+    source: context.source || null
+  };
+}
+
+export class RdapClient {
+  /**
+   * @param {object} [options] { baseUrl, timeoutMs, bootstrap: { ipv4, ipv6 } }
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || null;
+    this.timeoutMs = options.timeoutMs ?? 5000;
+    this.bootstrap = {
+      ipv4: options.bootstrap?.ipv4 || RDAP_BOOTSTRAP_IPV4,
+      ipv6: options.bootstrap?.ipv6 || RDAP_BOOTSTRAP_IPV6
+    };
+  }
+
+  /**
+   * 选择 RDAP 服务器：{ url, rir }；bootstrap 无覆盖时返回 null
+   */
+  serverFor(ip) {
+    if (this.baseUrl) {
+      return { url: this.baseUrl, rir: rirForHost(hostOf(this.baseUrl)) };
+    }
+    const bootstrap = ip.includes(':') ? this.bootstrap.ipv6 : this.bootstrap.ipv4;
+    const entry = bootstrapTable(bootstrap).find(({ block }) => ipInCIDR(ip, block));
+    return entry ? { url: entry.url, rir: rirForHost(hostOf(entry.url)) } : null;
+  }
+
+  async lookup(ip) {
+    const canonical = canonicalizeIP(ip);
+    if (!canonical) {
+      throw new RdapError(RdapErrorCode.UPSTREAM_ERROR, 'invalid IP address');
+    }
+    const server = this.serverFor(canonical);
+    if (!server) {
+      throw new RdapError(RdapErrorCode.NO_REGISTRY, `no RDAP service covers ${canonical}`);
+    }
+
+    const url = `${server.url.replace(/\/?$/, '/')}ip/${canonical}`;
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'GET',
+        headers: { Accept: 'application/rdap+json, application/json' },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      const isTimeout = error?.name === 'TimeoutError' || error?.name === 'AbortError';
+      throw new RdapError(isTimeout ? RdapErrorCode.TIMEOUT : RdapErrorCode.UPSTREAM_ERROR, error?.message);
+    }
+
+    if (response.status === 404) {
+      throw new RdapError(RdapErrorCode.NOT_FOUND, `no registration for ${canonical}`, { httpStatus: 404 });
+    }
+    if (!response.ok) {
+      throw new RdapError(RdapErrorCode.UPSTREAM_ERROR, `RDAP server error: ${response.status}`, {
+        httpStatus: response.status
+      });
+    }
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (error) {
+      throw new RdapError(RdapErrorCode.UPSTREAM_ERROR, `invalid JSON: ${error.message}`);
+    }
+    // 重定向（rdap.org、跨 RIR 转让）后以实际应答的服务器判定 RIR
+    const answeredBy = hostOf(response.url) || hostOf(url);
+    return parseRdapNetwork(body, canonical, {
+      rir: rirForHost(answeredBy) || rirForHost(body?.port43) || server.rir,
+      source: answeredBy
+    });
+  }
+}
+
+/**
+ * 由 config（rdap.*）构造客户端；configManager 未 initialize 时使用默认值
+ */
+export function createRdapClient() {
+  try {
+    return new RdapClient({
+      baseUrl: config.get('rdap.baseUrl', null),
+      timeoutMs: config.get('rdap.timeoutMs', 5000)
+    });
+  } catch {
+    return new RdapClient();
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * 🔁 反向 DNS（PTR）与正向确认（FCrDNS）
+ *
+ * 经 DNS-over-HTTPS JSON API（`Accept: application/dns-json`，Cloudflare / Google 均支持）查询，
+ * Workers 与 Node 通用，无需 UDP socket。endpoint 可配置（dns.dohEndpoint），测试可指向本地替身。
+ *
+ * - reverse(ip)：PTR 名（in-addr.arpa / ip6.arpa）→ 主机名列表
+ * - lookup(ip)：逐个 PTR 主机名解析 A/AAAA，任一记录等于原 IP 即 forward-confirmed（verified）。
+ *   PTR 由 IP 持有者自行设置，未经正向确认的主机名只能作提示，不能作白名单依据。
+ *
+ * PTR 与各次正向查询共用一个 timeoutMs 截止时间（并跟随调用方 signal 中止），单 IP 最坏耗时即 timeoutMs。
+ * 结果（含「无 PTR」）在进程内缓存 cacheTtlMs；DoH 失败 / 超时 / 中止不缓存、不抛出，lookup 返回 null。
+ */
+
+import { canonicalizeIP, ipToBytes } from '../utils/ipValidation.js';
+
+export const DEFAULT_DOH_ENDPOINT = 'https://cloudflare-dns.com/dns-query';
+
+// DNS RR type 编号（DoH JSON 的 Answer[].type）
+const RR_TYPES = { A: 1, PTR: 12, AAAA: 28 };
+// 单个 IP 最多正向确认的 PTR 主机名数（多 PTR 的 IP 罕见，避免放大查询）
+const MAX_PTR_NAMES = 3;
+
+/**
+ * IP → PTR 查询名：`8.8.8.8` → `8.8.8.8.in-addr.arpa`，IPv6 按半字节倒序拼 ip6.arpa。无效 IP 返回 null。
+ */
+export function ptrName(ip) {
+  const bytes = ipToBytes(canonicalizeIP(ip));
+  if (!bytes) {
+    return null;
+  }
+  if (bytes.length === 4) {
+    return `${Array.from(bytes).reverse().join('.')}.in-addr.arpa`;
+  }
+  const nibbles = [];
+  for (const byte of bytes) {
+    nibbles.push((byte >> 4).toString(16), (byte & 0x0f).toString(16));
+  }
+  return `${nibbles.reverse().join('.')}.ip6.arpa`;
+}
+
+const normalizeHostname = (name) => String(name).trim().toLowerCase().replace(/\.$/, '');
+
+export class ReverseDnsResolver {
+  /**
+   * @param {object} [options] { dohEndpoint, timeoutMs, cacheTtlMs, cacheMaxSize }
+   */
+  constructor(options = {}) {
+    this.endpoint = options.dohEndpoint || DEFAULT_DOH_ENDPOINT;
+    this.timeoutMs = options.timeoutMs ?? 1000;
+    this.cacheTtlMs = options.cacheTtlMs ?? 3600000;
+    this.cacheMaxSize = options.cacheMaxSize ?? 5000;
+    this.cache = new Map();
+  }
+
+  /**
+   * 单次 DoH 查询，返回指定类型的 Answer data 列表；NXDOMAIN 等非 NOERROR 状态返回 []，传输/解析失败抛出
+   */
+  async query(name, type, signal = AbortSignal.timeout(this.timeoutMs)) {
+    const url = new URL(this.endpoint);
+    url.searchParams.set('name', name);
+    url.searchParams.set('type', type);
+    const response = await fetch(url.toString(), {
+      method: 'GET',
+      headers: { Accept: 'application/dns-json' },
+      signal
+    });
+    if (!response.ok) {
+      throw new Error(`DoH ${type} query failed: ${response.status}`);
+    }
+    const body = await response.json();
+    if (body?.Status !== 0 || !Array.isArray(body.Answer)) {
+      return [];
+    }
+    return body.Answer
+      .filter((answer) => answer?.type === RR_TYPES[type] && typeof answer.data === 'string')
+      .map((answer) => answer.data);
+  }
+
+  async reverse(ip, signal) {
+    const name = ptrName(ip);
+    if (!name) {
+      return [];
+    }
+    const names = await this.query(name, 'PTR', signal);
+    return [...new Set(names.map(normalizeHostname).filter(Boolean))];
+  }
+
+  /**
+   * PTR + 正向确认，整个序列受 timeoutMs 截止时间与 options.signal 约束。
+   * @param {string} ip
+   * @param {object} [options] { signal }
+   * @returns {Promise<{hostname: string|null, verified: boolean}|null>} null = DoH 不可用（非「无 PTR」）
+   */
+  async lookup(ip, options = {}) {
+    const canonical = canonicalizeIP(ip);
+    if (!canonical) {
+      return null;
+    }
+    const cached = this.cache.get(canonical);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { ...cached.value };
+    }
+
+    const deadline = AbortSignal.timeout(this.timeoutMs);
+    const signal = options.signal ? AbortSignal.any([deadline, options.signal]) : deadline;
+    let value;
+    try {
+      value = await this.forwardConfirm(canonical, await this.reverse(canonical, signal), signal);
+    } catch {
+      return null;
+    }
+
+    if (this.cache.size >= this.cacheMaxSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(canonical, { value, expiresAt: Date.now() + this.cacheTtlMs });
+    return { ...value };
+  }
+
+  async forwardConfirm(ip, hostnames, signal) {
+    const type = ip.includes(':') ? 'AAAA' : 'A';
+    for (const hostname of hostnames.slice(0, MAX_PTR_NAMES)) {
+      const addresses = await this.query(hostname, type, signal);
+      if (addresses.some((address) => canonicalizeIP(address) === ip)) {
+        return { hostname, verified: true };
+      }
+    }
+    return { hostname: hostnames[0] || null, verified: false };
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
@@ -2,7 +2,10 @@ import { THREAT_RULES, THREAT_CONFIG } from '../config/threatRules.js';
 import {
   isLegitimateISP,
   isLegitimateService,
-  isLegitimateDatacenter
+  isLegitimateDatacenter,
+  findLegitimateDomain,
+  claimedCrawler,
+  crawlerForHostname
 } from '../config/threatWhitelist.js';
 
 // 🎯 单例模式 - 避免重复实例化
@@ -46,7 +49,13 @@ export class ThreatService extends ThreatServiceSingleton {
     this.lastUsed = Date.now();
   }
 
-  async getThreatInfo(ip, request) {
+  /**
+   * @param {string} ip
+   * @param {object} request
+   * @param {object} [context] { rdns: { hostname, verified } | null }——GeoLookup 的反向 DNS 结果（见 reverseDns.js）
+   */
+  async getThreatInfo(ip, request, context = {}) {
+    const rdns = context?.rdns || null;
     try {
       const threatInfo = {
         ip,
@@ -59,16 +68,18 @@ export class ThreatService extends ThreatServiceSingleton {
         isMalicious: false,
         reputation: 'unknown',
         lastSeen: null,
-        sources: []
+        sources: [],
+        crawler: null,
+        hostnameType: this.classifyHostname(rdns)
       };
 
       // 执行多项威胁检查
       const checks = await Promise.allSettled([
-        this.checkVPN(ip, request),
+        this.checkVPN(ip, request, rdns),
         this.checkProxy(ip, request),
         this.checkTor(ip, request),
-        this.checkBot(ip, request),
-        this.checkReputation(ip, request),
+        this.checkBot(ip, request, rdns),
+        this.checkReputation(ip, request, rdns),
         this.checkMaliciousActivity(ip, request)
       ]);
 
@@ -109,6 +120,7 @@ export class ThreatService extends ThreatServiceSingleton {
             break;
           case 'Bot':
             threatInfo.isBot = data.detected;
+            threatInfo.crawler = data.crawler || null;
             break;
           case 'Malicious':
             threatInfo.isMalicious = data.detected;
@@ -150,6 +162,8 @@ export class ThreatService extends ThreatServiceSingleton {
         reputation: 'unknown',
         lastSeen: null,
         sources: [],
+        crawler: null,
+        hostnameType: null,
         riskLevel: 'minimal',
         timestamp: new Date().toISOString(),
         error: 'Threat detection partially unavailable'
@@ -157,7 +171,7 @@ export class ThreatService extends ThreatServiceSingleton {
     }
   }
 
-  async checkVPN(ip, request) {
+  async checkVPN(ip, request, rdns = null) {
     try {
       // 🔒 关键：使用白名单检查，大幅减少误报
       if (isLegitimateISP(ip)) {
@@ -207,6 +221,16 @@ export class ThreatService extends ThreatServiceSingleton {
         indicators.push('datacenter_ip');
       }
 
+      // 检查反向 DNS 主机名特征（PTR 由 IP 持有者设置；自认托管无需正向确认即可采信）
+      const hostnameType = this.classifyHostname(rdns);
+      if (hostnameType === 'hosting' && !indicators.includes('datacenter_ip')) {
+        detected = true;
+        riskScore += this.rules.riskWeights.hostingHostname;
+        indicators.push('hosting_hostname');
+      } else if (hostnameType === 'residential') {
+        indicators.push('residential_hostname');
+      }
+
       // 检查可疑的地理位置模式
       const geoCheck = this.checkGeoInconsistency(request);
       if (geoCheck.suspicious) {
@@ -435,7 +459,7 @@ export class ThreatService extends ThreatServiceSingleton {
     return { detected, score };
   }
 
-  async checkBot(_ip, request) {
+  async checkBot(_ip, request, rdns = null) {
     try {
       let detected = false;
       let riskScore = 0;
@@ -460,6 +484,27 @@ export class ThreatService extends ThreatServiceSingleton {
       }
 
       // 1. 检查知名搜索引擎爬虫（这些是合法的）
+      // 有反向 DNS 结果时，声称 Googlebot/Bingbot 等的 UA 必须经 FCrDNS 验证且主机名落在官方域名下，
+      // 否则视为伪造爬虫；无 rDNS 数据（DoH 不可用/未启用）时退回下方的 UA 判定
+      const crawler = claimedCrawler(userAgent);
+      if (crawler && rdns) {
+        if (rdns.verified && crawlerForHostname(rdns.hostname) === crawler) {
+          return {
+            detected: false,
+            riskScore: 0,
+            indicators: ['verified_crawler'],
+            crawler: crawler.name,
+            source: 'enhanced_bot_check'
+          };
+        }
+        return {
+          detected: true,
+          riskScore: this.rules.riskWeights.spoofedCrawler,
+          indicators: ['spoofed_crawler'],
+          source: 'enhanced_bot_check'
+        };
+      }
+
       const legitimateBots = [
         /googlebot/i,
         /bingbot/i,
@@ -594,7 +639,7 @@ export class ThreatService extends ThreatServiceSingleton {
     }
   }
 
-  async checkReputation(ip, _request) {
+  async checkReputation(ip, _request, rdns = null) {
     try {
       let reputation = 'unknown';
       let riskScore = 0;
@@ -636,11 +681,13 @@ export class ThreatService extends ThreatServiceSingleton {
         }
       });
 
-      // 🔒 使用白名单检查已知良好IP和服务
+      // 🔒 使用白名单检查已知良好IP和服务；经正向确认的反向 DNS 主机名属于 legitimateDomains 时同等处理
+      const verifiedDomain = rdns?.verified ? findLegitimateDomain(rdns.hostname) : null;
       const whitelistMatches = [
         [isLegitimateISP(ip), 'legitimate_isp', 'whitelist_isp'],
         [isLegitimateService(ip), 'legitimate_service', 'whitelist_service'],
-        [isLegitimateDatacenter(ip), 'legitimate_datacenter', 'whitelist_datacenter']
+        [isLegitimateDatacenter(ip), 'legitimate_datacenter', 'whitelist_datacenter'],
+        [Boolean(verifiedDomain), 'verified_domain', 'rdns_whitelist']
       ];
 
       const matchedWhitelists = whitelistMatches.filter(([matched]) => matched);
@@ -829,6 +876,28 @@ export class ThreatService extends ThreatServiceSingleton {
     }
   }
 
+  /**
+   * 反向 DNS 主机名分类：'residential' | 'hosting' | null。
+   * 经验证的搜索引擎爬虫主机名不分类；两类关键词都命中时 hosting 优先。
+   */
+  classifyHostname(rdns) {
+    const hostname = rdns?.hostname;
+    if (!hostname) {
+      return null;
+    }
+    if (rdns.verified && crawlerForHostname(hostname)) {
+      return null;
+    }
+    const patterns = this.rules.hostnamePatterns;
+    if (patterns.hosting.some((pattern) => pattern.test(hostname))) {
+      return 'hosting';
+    }
+    if (patterns.residential.some((pattern) => pattern.test(hostname))) {
+      return 'residential';
+    }
+    return null;
+  }
+
   isLegitimateISP(ip) {
     // 委派到 threatWhitelist 单一来源（IP 名誉白名单已移除 → 恒 false，改为信号驱动检测）
     // 这同时消除 THREAT_RULES.legitimateISPs 与 threatWhitelist 的双源重复（M11）。
@@ -7,9 +7,11 @@
  *   其他入口 → null（调用方应回退到紧限流的 'unknown' 桶，避免伪造 IP 绕过限流/锁定）。
  * - getBestEffortClientIP：尽力而为的客户端 IP，用作地理自查询（/self）的提示。
  *   优先可信源，回退到 XFF/X-Real-IP/X-Client-IP（不可信，但仅影响返回的地理数据，无安全后果）。
+ *
+ * 两者都返回 canonicalizeIP 规范形式：`::ffff:1.2.3.4` 与 `1.2.3.4` 落入同一限流桶。
  */
 
-import { isValidIP } from './ipValidation.js';
+import { canonicalizeIP } from './ipValidation.js';
 
 function headerValue(req, name) {
   const headers = req?.headers;
@@ -51,15 +53,15 @@ function envFlag(...names) {
  */
 export function getTrustedClientIP(req) {
   // Cloudflare：CF-Connecting-IP 由 CF 边缘注入，客户端无法伪造
-  const cf = headerValue(req, 'cf-connecting-ip');
-  if (cf && isValidIP(cf)) {
+  const cf = canonicalizeIP(headerValue(req, 'cf-connecting-ip'));
+  if (cf) {
     return cf;
   }
 
   // Vercel / Netlify：平台边缘覆写 X-Forwarded-For，左值为真实客户端
   if (envFlag('VERCEL') || envFlag('VERCEL_ENV') || envFlag('NETLIFY') || envFlag('CONTEXT')) {
-    const leftmost = leftmostXFF(req);
-    if (leftmost && isValidIP(leftmost)) {
+    const leftmost = canonicalizeIP(leftmostXFF(req));
+    if (leftmost) {
       return leftmost;
     }
   }
@@ -71,23 +73,23 @@ export function getTrustedClientIP(req) {
  * 尽力而为的客户端 IP（地理自查询用）。
  */
 export function getBestEffortClientIP(req) {
-  const cf = headerValue(req, 'cf-connecting-ip');
-  if (cf && isValidIP(cf)) {
+  const cf = canonicalizeIP(headerValue(req, 'cf-connecting-ip'));
+  if (cf) {
     return cf;
   }
 
-  const xff = leftmostXFF(req);
-  if (xff && isValidIP(xff)) {
+  const xff = canonicalizeIP(leftmostXFF(req));
+  if (xff) {
     return xff;
   }
 
-  const xreal = headerValue(req, 'x-real-ip');
-  if (xreal && isValidIP(xreal)) {
+  const xreal = canonicalizeIP(headerValue(req, 'x-real-ip'));
+  if (xreal) {
     return xreal;
   }
 
-  const xclient = headerValue(req, 'x-client-ip');
-  if (xclient && isValidIP(xclient)) {
+  const xclient = canonicalizeIP(headerValue(req, 'x-client-ip'));
+  if (xclient) {
     return xclient;
   }
 
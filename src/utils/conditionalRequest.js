@@ -0,0 +1,62 @@
+/**
+ * 🏷️ 条件请求（RFC 9110 §13）：ETag / Last-Modified 与 If-None-Match / If-Modified-Since
+ *
+ * ETag 由序列化后的资源计算（SHA-256 截取 128 位），计算前剔除每次请求都会变化的 meta 字段，
+ * 同一资源在同一格式下的 ETag 稳定；格式 / fields 投影 / JSONP callback 不同则 ETag 不同。
+ */
+
+// 每次响应都会变化、与资源本身无关的 meta 字段
+export const VOLATILE_META_FIELDS = Object.freeze(['requestId', 'timestamp', 'processingTimeMs', 'cached', 'stale']);
+
+/**
+ * 剔除易变 meta 字段后的信封（用于计算 ETag，不用于输出）
+ */
+export function stableBody(body) {
+  if (!body?.meta) return body;
+  const meta = { ...body.meta };
+  for (const field of VOLATILE_META_FIELDS) {
+    delete meta[field];
+  }
+  return { ...body, meta };
+}
+
+/**
+ * 强 ETag：`"<32 位 hex>"`；contentType 参与计算（同一 JSON 的 JSONP 包装与 XML / CSV 各不相同）
+ */
+export async function computeETag(content, contentType = '') {
+  const bytes = new TextEncoder().encode(`${contentType}\n${content}`);
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', bytes));
+  const hex = Array.from(digest.subarray(0, 16), (b) => b.toString(16).padStart(2, '0')).join('');
+  return `"${hex}"`;
+}
+
+/**
+ * If-None-Match 是否命中：`*` 或列表中任一 entity-tag（弱比较，忽略 W/ 前缀）
+ */
+export function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+  const opaque = etag.replace(/^W\//, '');
+  return ifNoneMatch.split(',').some((tag) => tag.trim().replace(/^W\//, '') === opaque);
+}
+
+/**
+ * If-Modified-Since 之后未修改（HTTP 日期精度为秒）；无法解析的日期视为不满足
+ */
+export function notModifiedSince(ifModifiedSince, lastModifiedMs) {
+  if (!ifModifiedSince || typeof lastModifiedMs !== 'number') return false;
+  const since = Date.parse(ifModifiedSince);
+  return !Number.isNaN(since) && Math.floor(lastModifiedMs / 1000) * 1000 <= since;
+}
+
+/**
+ * 条件 GET 判定：If-None-Match 存在时只看它，否则看 If-Modified-Since
+ * @param {(name: string) => string|undefined} header - 请求头读取函数
+ */
+export function isNotModified(header, { etag, lastModified }) {
+  const ifNoneMatch = header('If-None-Match');
+  if (ifNoneMatch) {
+    return etagMatches(ifNoneMatch, etag);
+  }
+  return notModifiedSince(header('If-Modified-Since'), lastModified);
+}
@@ -10,30 +10,20 @@
  */
 
 import secureLogger from './secureLogger.js';
-
-/**
- * 由 ISO 国家代码生成国旗 emoji（regional indicator symbols）。
- */
-function flagFromCode(countryCode) {
-  if (!countryCode || countryCode.length !== 2) {
-    return null;
-  }
-  const codePoints = countryCode
-    .toUpperCase()
-    .split('')
-    .map((char) => 127397 + char.charCodeAt(0));
-  return String.fromCodePoint(...codePoints);
-}
+import { describeTimezone } from './timezone.js';
+import { describeCountry, flagFromCode } from '../services/countryCatalog.js';
+import { evaluateGeofences } from '../services/geofences.js';
 
 /**
  * 构造标准化的地理位置资源对象（RESTful 资源，非信封）
  * 输入为规范 GeoData（provider 经 createGeoData 净化 + 优先级合并的结果）——近恒等投影。
  * @param {object} geoInfo - 合并后的规范 GeoData
- * @param {string} ip - 目标 IP
- * @param {object} query - 已校验查询参数（includeThreat, fields）
- * @returns {object} 标准化资源（包含 ip/country/location/network/security 子对象）
+ * @param {string} ip - 目标 IP（规范形式）
+ * @param {object} query - 已校验查询参数（lang, include, includeThreat, includeTimezone, explain, fields）与 fences
+ * @param {string} [input] - 调用方提供的原始写法（如 `::ffff:8.8.8.8`），缺省同 ip
+ * @returns {object} 标准化资源（包含 ip/input/country/location/network/security 子对象）
  */
-export function buildGeoResource(geoInfo, ip, query = {}) {
+export function buildGeoResource(geoInfo, ip, query = {}, input = null) {
   const g = geoInfo || {};
   const country = g.country || {};
   const location = g.location || { coordinates: {} };
@@ -44,6 +34,7 @@ export function buildGeoResource(geoInfo, ip, query = {}) {
 
   const resource = {
     ip: address,
+    input: input ?? address,
     type: isV6 ? 'ipv6' : 'ipv4',
     version: isV6 ? 6 : 4,
     flag: flagFromCode(country.code),
@@ -68,11 +59,46 @@ export function buildGeoResource(geoInfo, ip, query = {}) {
       asn: typeof network.asn === 'number' ? network.asn : null,
       organization: network.organization ?? null,
       isp: network.isp ?? null,
-      domain: network.domain ?? null
+      domain: network.domain ?? null,
+      prefix: network.prefix ?? null,
+      hostname: network.hostname ?? null,
+      hostnameVerified: typeof network.hostnameVerified === 'boolean' ? network.hostnameVerified : null
     },
     provider: g.provider || 'unknown'
   };
 
+  // 共识合并（geo.mergeStrategy=consensus）产出的逐段置信度；priority 策略下无此字段
+  if (g.confidence && typeof g.confidence === 'object') {
+    resource.confidence = {
+      country: g.confidence.country ?? null,
+      location: g.confidence.location ?? null,
+      network: g.confidence.network ?? null
+    };
+  }
+
+  // explain=true：逐字段来源 + 各 provider 执行情况（缓存命中时为写入缓存那次查询的记录）
+  if (query.explain && g.provenance) {
+    resource.provenance = {
+      fields: { ...(g.provenance.fields || {}) },
+      providers: (g.provenance.providers || []).map((p) => ({ ...p }))
+    };
+  }
+
+  // include=countryDetails：按国家码附带国家目录条目（首都、货币、区号、语言、顶级域、欧盟 / EEA、邻国）
+  if (query.include?.includes('countryDetails')) {
+    resource.countryDetails = country.code ? describeCountry(country.code, query.lang) : null;
+  }
+
+  // includeTimezone=true：按 location.timezone 即时计算本地时间 / 偏移 / 夏令时；无时区名时为 null
+  if (query.includeTimezone) {
+    resource.timezone = describeTimezone(location.timezone);
+  }
+
+  // geofences=all | <name,...>：路由按名称取出的围栏定义（query.fences）逐个判定，顺序同围栏列表 / 请求
+  if (query.fences) {
+    resource.geofences = evaluateGeofences(query.fences, g);
+  }
+
   if (query.includeThreat && g.threat) {
     resource.security = {
       riskScore: Math.max(0, Math.min(100, g.threat.riskScore || 0)),
@@ -88,7 +114,9 @@ export function buildGeoResource(geoInfo, ip, query = {}) {
       },
       reputation: ['good', 'neutral', 'suspicious', 'malicious'].includes(g.threat.reputation)
         ? g.threat.reputation
-        : 'good'
+        : 'good',
+      crawler: g.threat.crawler ?? null,
+      hostnameType: ['residential', 'hosting'].includes(g.threat.hostnameType) ? g.threat.hostnameType : null
     };
   }
 
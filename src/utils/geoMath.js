@@ -0,0 +1,82 @@
+/**
+ * 📐 球面几何工具（WGS84 近似为球体，R = 6371.0088 km 平均半径）
+ *
+ * 精度足够 IP 定位场景（provider 坐标本身误差在公里级）。
+ */
+
+export const EARTH_RADIUS_KM = 6371.0088;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export function isValidCoordinates(point) {
+  return Boolean(point) &&
+    typeof point.latitude === 'number' && typeof point.longitude === 'number' &&
+    Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+}
+
+/**
+ * 大圆距离（haversine），单位 km
+ */
+export function haversineKm(a, b) {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export const KM_PER_MILE = 1.609344;
+
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * 初始方位角（从 a 出发沿大圆指向 b），0-360°，正北为 0、顺时针
+ */
+export function initialBearing(a, b) {
+  const lat1 = toRad(a.latitude);
+  const lat2 = toRad(b.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * 方位角 → 八方位（N / NE / … / NW）
+ */
+export function compassPoint(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+}
+
+/**
+ * 点到大圆线段 a–b 的最短距离（km）：垂足落在线段内取横向距离（cross-track），否则取较近端点
+ */
+export function distanceToSegmentKm(point, a, b) {
+  const d13 = haversineKm(a, point) / EARTH_RADIUS_KM;
+  const d12 = haversineKm(a, b) / EARTH_RADIUS_KM;
+  if (d12 === 0) return d13 * EARTH_RADIUS_KM;
+  const delta = toRad(initialBearing(a, point) - initialBearing(a, b));
+  if (Math.cos(delta) < 0) return d13 * EARTH_RADIUS_KM;
+  const dxt = Math.asin(Math.sin(d13) * Math.sin(delta));
+  const dat = Math.acos(Math.min(1, Math.cos(d13) / Math.cos(dxt)));
+  if (dat > d12) return haversineKm(b, point);
+  return Math.abs(dxt) * EARTH_RADIUS_KM;
+}
+
+/**
+ * 射线法判断点是否在环内（环为 GeoJSON [lng, lat] 位置数组，按经纬度平面处理，不跨 180° 经线）
+ */
+export function pointInRing(point, ring) {
+  const { latitude: y, longitude: x } = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -3,50 +3,126 @@
  * Centralizes all IP-related validation logic to eliminate code duplication
  */
 
+const IPV4_REGEX =
+  /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+
 export function isValidIP(ip) {
   if (!ip || typeof ip !== 'string') {
     return false;
   }
 
   // IPv4正则表达式 - 更全面的验证
-  const ipv4Regex =
-    /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-
-  return ipv4Regex.test(ip) || isValidIPv6(ip);
+  return IPV4_REGEX.test(ip) || isValidIPv6(ip);
 }
 
 function isValidIPv6(ip) {
+  return parseIPv6(ip) !== null;
+}
+
+/**
+ * IPv6 文本 → 8 个 16 位组（数字）。支持 '::' 压缩与末尾点分 IPv4（`::ffff:8.8.8.8`）；无效返回 null。
+ */
+function parseIPv6(ip) {
   if (!ip || !ip.includes(':')) {
-    return false;
+    return null;
   }
 
   // 禁止 IPv4 映射形式带端口/区域 ID 的歧义输入
   if (ip.includes('%') || ip.includes('/') || ip.includes(' ')) {
-    return false;
+    return null;
+  }
+
+  // 末尾点分 IPv4 折算为两个十六进制组
+  let text = ip;
+  const lastColon = text.lastIndexOf(':');
+  const dotted = text.slice(lastColon + 1);
+  if (dotted.includes('.')) {
+    if (!IPV4_REGEX.test(dotted)) {
+      return null;
+    }
+    const o = dotted.split('.').map((octet) => parseInt(octet, 10));
+    text = `${text.slice(0, lastColon + 1)}${((o[0] << 8) | o[1]).toString(16)}:${((o[2] << 8) | o[3]).toString(16)}`;
   }
 
   // 拆分冒号分隔的 8 段（'::' 压缩必须存在）
-  const doubleColonIndex = ip.indexOf('::');
-  if (doubleColonIndex !== -1 && ip.indexOf('::', doubleColonIndex + 1) !== -1) {
-    return false; // 多个 '::' 非法
+  const doubleColonIndex = text.indexOf('::');
+  if (doubleColonIndex !== -1 && text.indexOf('::', doubleColonIndex + 1) !== -1) {
+    return null; // 多个 '::' 非法
   }
 
   let parts;
   if (doubleColonIndex !== -1) {
-    const head = ip.slice(0, doubleColonIndex).split(':').filter(Boolean);
-    const tail = ip.slice(doubleColonIndex + 2).split(':').filter(Boolean);
+    const before = text.slice(0, doubleColonIndex);
+    const after = text.slice(doubleColonIndex + 2);
+    const head = before ? before.split(':') : [];
+    const tail = after ? after.split(':') : [];
     if (head.length + tail.length >= 8) {
-      return false; // '::' 至少要代表一个 0 段
+      return null; // '::' 至少要代表一个 0 段
     }
     parts = [...head, ...new Array(8 - head.length - tail.length).fill('0'), ...tail];
   } else {
-    parts = ip.split(':');
+    parts = text.split(':');
     if (parts.length !== 8) {
-      return false;
+      return null;
     }
   }
 
-  return parts.every((segment) => /^[0-9a-fA-F]{1,4}$/.test(segment));
+  if (!parts.every((segment) => /^[0-9a-fA-F]{1,4}$/.test(segment))) {
+    return null;
+  }
+  return parts.map((segment) => parseInt(segment, 16));
+}
+
+// RFC 5952：小写、去前导零、最长（≥2）连续 0 组压缩为 '::'（等长取最左）
+function formatIPv6(groups) {
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < groups.length;) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < groups.length && groups[j] === 0) j++;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+  const hex = groups.map((group) => group.toString(16));
+  if (bestLength < 2) {
+    return hex.join(':');
+  }
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * 规范 IP 文本：同一地址的不同写法得到同一字符串（缓存键 / 限流键 / 查询均使用此形式）
+ * - IPv4：去前导零（`008.8.8.8` → `8.8.8.8`）
+ * - IPv6：RFC 5952（`2001:DB8:0:0::1` → `2001:db8::1`）
+ * - IPv4 映射（::ffff:0:0/96）与 NAT64 知名前缀（64:ff9b::/96）解包为内嵌 IPv4
+ * 无效输入返回 null。
+ */
+export function canonicalizeIP(ip) {
+  if (!ip || typeof ip !== 'string') {
+    return null;
+  }
+  const text = ip.trim();
+  if (IPV4_REGEX.test(text)) {
+    return text.split('.').map((octet) => parseInt(octet, 10)).join('.');
+  }
+
+  const groups = parseIPv6(text);
+  if (!groups) {
+    return null;
+  }
+  const mapped = groups.slice(0, 5).every((g) => g === 0) && groups[5] === 0xffff;
+  const nat64 = groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((g) => g === 0);
+  if (mapped || nat64) {
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+  }
+  return formatIPv6(groups);
 }
 
 export function getIPType(ip) {
@@ -181,5 +257,102 @@ export function isBroadcastIP(ip) {
   return false;
 }
 
-// isPublicIP / normalizeIP / getIPAddressInfo 已移除：0 外部引用；
+/**
+ * IP 文本 → 网络字节序字节数组（IPv4 4 字节 / IPv6 16 字节）。无效输入返回 null。
+ * IPv6 支持 '::' 压缩与末尾点分 IPv4。
+ */
+export function ipToBytes(ip) {
+  if (!isValidIP(ip)) {
+    return null;
+  }
+  if (!ip.includes(':')) {
+    return Uint8Array.from(ip.split('.').map((octet) => parseInt(octet, 10)));
+  }
+
+  const groups = parseIPv6(ip);
+  const bytes = new Uint8Array(16);
+  groups.forEach((value, i) => {
+    bytes[i * 2] = value >> 8;
+    bytes[i * 2 + 1] = value & 0xff;
+  });
+  return bytes;
+}
+
+const bytesToBigInt = (bytes) => bytes.reduce((n, byte) => (n << 8n) | BigInt(byte), 0n);
+
+function bigIntToIP(value, byteLength) {
+  const bytes = [];
+  for (let i = byteLength - 1; i >= 0; i--) {
+    bytes.push(Number((value >> BigInt(i * 8)) & 0xffn));
+  }
+  if (byteLength === 4) {
+    return bytes.join('.');
+  }
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push((bytes[i] << 8) | bytes[i + 1]);
+  }
+  return formatIPv6(groups);
+}
+
+/**
+ * CIDR 文本 → { address（规范网络地址）, prefixLength, version }；主机位非零时按网络地址截断。无效返回 null。
+ */
+export function parseCIDR(cidr) {
+  if (typeof cidr !== 'string') {
+    return null;
+  }
+  const [address, length, extra] = cidr.trim().split('/');
+  const bytes = ipToBytes(address);
+  if (!bytes || extra !== undefined || !/^\d{1,3}$/.test(length || '')) {
+    return null;
+  }
+  const bits = bytes.length * 8;
+  const prefixLength = parseInt(length, 10);
+  if (prefixLength > bits) {
+    return null;
+  }
+  const hostBits = BigInt(bits - prefixLength);
+  const network = (bytesToBigInt(bytes) >> hostBits) << hostBits;
+  return { address: bigIntToIP(network, bytes.length), prefixLength, version: bytes.length === 4 ? 4 : 6 };
+}
+
+/**
+ * ip 是否落在 cidr 内（同族比较；v4-mapped IPv6 按 IPv4 处理）
+ */
+export function ipInCIDR(ip, cidr) {
+  const bytes = ipToBytes(canonicalizeIP(ip));
+  const block = parseCIDR(cidr);
+  if (!bytes || !block || (bytes.length === 4) !== (block.version === 4)) {
+    return false;
+  }
+  const hostBits = BigInt(bytes.length * 8 - block.prefixLength);
+  return (bytesToBigInt(bytes) >> hostBits) === (bytesToBigInt(ipToBytes(block.address)) >> hostBits);
+}
+
+/**
+ * 地址区间 [start, end] → 覆盖它的最少 CIDR 列表（RDAP 仅给起止地址时用）。无效或跨族返回 []。
+ */
+export function rangeToCIDRs(start, end) {
+  const startBytes = ipToBytes(start);
+  const endBytes = ipToBytes(end);
+  if (!startBytes || !endBytes || startBytes.length !== endBytes.length) {
+    return [];
+  }
+  const bits = startBytes.length * 8;
+  let current = bytesToBigInt(startBytes);
+  const last = bytesToBigInt(endBytes);
+  const cidrs = [];
+  while (current <= last) {
+    // 以 current 为网络地址的最大对齐块，再收缩到不越过 last
+    let hostBits = 0;
+    while (hostBits < bits && ((current >> BigInt(hostBits)) & 1n) === 0n) hostBits++;
+    while (hostBits > 0 && current + (1n << BigInt(hostBits)) - 1n > last) hostBits--;
+    cidrs.push(`${bigIntToIP(current, startBytes.length)}/${bits - hostBits}`);
+    current += 1n << BigInt(hostBits);
+  }
+  return cidrs;
+}
+
+// isPublicIP / normalizeIP / getIPAddressInfo 已移除：0 外部引用；规范化统一走 canonicalizeIP。
 // IP 校验/分类用 isValidIP / getIPType / getIPVersion / isPrivateIP 等单一职责函数。
@@ -0,0 +1,336 @@
+/**
+ * 🗄️ MaxMind DB (MMDB) 二进制格式读取器
+ *
+ * 纯 JS 实现，无 Node 依赖（Workers 与 Node 通用），输入为 ArrayBuffer / Uint8Array：
+ * - 元数据段：文件尾部 `\xAB\xCD\xEFMaxMind.com` 标记之后的 map
+ * - 搜索树：node_count 个节点，每节点左右两条记录（record_size = 24 / 28 / 32 bit）
+ * - 数据段：搜索树后 16 字节全零分隔符之后，按 MMDB 类型系统解码（含指针跳转）
+ *
+ * 格式规范：https://maxmind.github.io/MaxMind-DB/
+ */
+
+import { ipToBytes } from './ipValidation.js';
+
+const METADATA_MARKER = [0xab, 0xcd, 0xef, 0x4d, 0x61, 0x78, 0x4d, 0x69, 0x6e, 0x64, 0x2e, 0x63, 0x6f, 0x6d];
+const METADATA_MAX_SIZE = 128 * 1024;
+const DATA_SECTION_SEPARATOR = 16;
+const DECODE_CACHE_MAX = 2000;
+
+// MMDB 数据类型编号（规范 "Output Data Types"）
+const TYPE = Object.freeze({
+  EXTENDED: 0,
+  POINTER: 1,
+  UTF8: 2,
+  DOUBLE: 3,
+  BYTES: 4,
+  UINT16: 5,
+  UINT32: 6,
+  MAP: 7,
+  INT32: 8,
+  UINT64: 9,
+  UINT128: 10,
+  ARRAY: 11,
+  CONTAINER: 12,
+  END_MARKER: 13,
+  BOOLEAN: 14,
+  FLOAT: 15
+});
+
+/**
+ * MMDB 格式错误（文件损坏 / 非 MMDB / 不支持的 record_size）
+ */
+export class MMDBFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MMDBFormatError';
+  }
+}
+
+function toUint8Array(source) {
+  if (source instanceof Uint8Array) {
+    return source;
+  }
+  if (source instanceof ArrayBuffer) {
+    return new Uint8Array(source);
+  }
+  if (ArrayBuffer.isView(source)) {
+    return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  }
+  throw new MMDBFormatError('MMDB source must be an ArrayBuffer or Uint8Array');
+}
+
+function findMetadataStart(bytes) {
+  const floor = Math.max(0, bytes.length - METADATA_MAX_SIZE);
+  for (let i = bytes.length - METADATA_MARKER.length; i >= floor; i--) {
+    let match = true;
+    for (let j = 0; j < METADATA_MARKER.length; j++) {
+      if (bytes[i + j] !== METADATA_MARKER[j]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) {
+      return i + METADATA_MARKER.length;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 数据段解码器：base 为指针偏移的基准（数据段起点；元数据段解码时为元数据起点）
+ */
+class Decoder {
+  constructor(bytes, base) {
+    this.bytes = bytes;
+    this.base = base;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.textDecoder = new TextDecoder('utf-8');
+  }
+
+  /**
+   * 解码 base + offset 处的值，返回 { value, next }（next 为相对 base 的下一个偏移）
+   */
+  decode(offset) {
+    let cursor = this.base + offset;
+    const ctrl = this.bytes[cursor++];
+    let type = ctrl >> 5;
+
+    if (type === TYPE.POINTER) {
+      const { pointer, next } = this.readPointer(ctrl, cursor);
+      const { value } = this.decode(pointer);
+      return { value, next: next - this.base };
+    }
+
+    if (type === TYPE.EXTENDED) {
+      type = 7 + this.bytes[cursor++];
+      if (type < 8) {
+        throw new MMDBFormatError(`Invalid extended type at offset ${offset}`);
+      }
+    }
+
+    const { size, next } = this.readSize(ctrl, cursor, type);
+    return this.decodeByType(type, size, next);
+  }
+
+  readPointer(ctrl, cursor) {
+    const sizeBits = (ctrl >> 3) & 0x3;
+    const vvv = ctrl & 0x7;
+    const b = this.bytes;
+    let pointer;
+    switch (sizeBits) {
+    case 0:
+      pointer = (vvv << 8) | b[cursor];
+      break;
+    case 1:
+      pointer = ((vvv << 16) | (b[cursor] << 8) | b[cursor + 1]) + 2048;
+      break;
+    case 2:
+      pointer = ((vvv << 24) | (b[cursor] << 16) | (b[cursor + 1] << 8) | b[cursor + 2]) + 526336;
+      break;
+    default:
+      pointer = this.view.getUint32(cursor);
+    }
+    return { pointer, next: cursor + sizeBits + 1 };
+  }
+
+  readSize(ctrl, cursor, type) {
+    const raw = ctrl & 0x1f;
+    // boolean 的 size 字段即其值，不携带后续字节
+    if (type === TYPE.BOOLEAN || raw < 29) {
+      return { size: raw, next: cursor };
+    }
+    const b = this.bytes;
+    if (raw === 29) {
+      return { size: 29 + b[cursor], next: cursor + 1 };
+    }
+    if (raw === 30) {
+      return { size: 285 + ((b[cursor] << 8) | b[cursor + 1]), next: cursor + 2 };
+    }
+    return { size: 65821 + ((b[cursor] << 16) | (b[cursor + 1] << 8) | b[cursor + 2]), next: cursor + 3 };
+  }
+
+  decodeByType(type, size, cursor) {
+    const rel = (absolute) => absolute - this.base;
+    switch (type) {
+    case TYPE.UTF8:
+      return { value: this.textDecoder.decode(this.bytes.subarray(cursor, cursor + size)), next: rel(cursor + size) };
+    case TYPE.DOUBLE:
+      return { value: this.view.getFloat64(cursor), next: rel(cursor + 8) };
+    case TYPE.FLOAT:
+      return { value: this.view.getFloat32(cursor), next: rel(cursor + 4) };
+    case TYPE.BYTES:
+      return { value: this.bytes.slice(cursor, cursor + size), next: rel(cursor + size) };
+    case TYPE.UINT16:
+    case TYPE.UINT32:
+      return { value: this.readUnsigned(cursor, size), next: rel(cursor + size) };
+    case TYPE.INT32:
+      return { value: this.readInt32(cursor, size), next: rel(cursor + size) };
+    case TYPE.UINT64:
+    case TYPE.UINT128:
+      return { value: this.readBigUnsigned(cursor, size), next: rel(cursor + size) };
+    case TYPE.BOOLEAN:
+      return { value: size !== 0, next: rel(cursor) };
+    case TYPE.MAP: {
+      const map = {};
+      let next = rel(cursor);
+      for (let i = 0; i < size; i++) {
+        const key = this.decode(next);
+        const value = this.decode(key.next);
+        map[key.value] = value.value;
+        next = value.next;
+      }
+      return { value: map, next };
+    }
+    case TYPE.ARRAY: {
+      const array = [];
+      let next = rel(cursor);
+      for (let i = 0; i < size; i++) {
+        const item = this.decode(next);
+        array.push(item.value);
+        next = item.next;
+      }
+      return { value: array, next };
+    }
+    case TYPE.CONTAINER:
+    case TYPE.END_MARKER:
+      return { value: null, next: rel(cursor) };
+    default:
+      throw new MMDBFormatError(`Unknown data type ${type}`);
+    }
+  }
+
+  readUnsigned(cursor, size) {
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+      value = value * 256 + this.bytes[cursor + i];
+    }
+    return value;
+  }
+
+  readInt32(cursor, size) {
+    const value = this.readUnsigned(cursor, size);
+    return size === 4 ? value | 0 : value;
+  }
+
+  // uint64 / uint128：安全整数范围内返回 number，否则 BigInt
+  readBigUnsigned(cursor, size) {
+    let value = 0n;
+    for (let i = 0; i < size; i++) {
+      value = (value << 8n) | BigInt(this.bytes[cursor + i]);
+    }
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+}
+
+/**
+ * MMDB 读取器：构造期解析元数据并校验搜索树尺寸，lookup() 为纯内存同步操作。
+ */
+export class MMDBReader {
+  constructor(source) {
+    this.bytes = toUint8Array(source);
+    const metadataStart = findMetadataStart(this.bytes);
+    if (metadataStart < 0) {
+      throw new MMDBFormatError('MMDB metadata marker not found');
+    }
+    this.metadata = new Decoder(this.bytes, metadataStart).decode(0).value;
+
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata || {};
+    if (![24, 28, 32].includes(recordSize)) {
+      throw new MMDBFormatError(`Unsupported record size: ${recordSize}`);
+    }
+    if (!Number.isInteger(nodeCount) || nodeCount <= 0) {
+      throw new MMDBFormatError('Invalid node_count in MMDB metadata');
+    }
+
+    this.nodeCount = nodeCount;
+    this.recordSize = recordSize;
+    this.ipVersion = ipVersion;
+    this.nodeByteSize = recordSize / 4;
+    this.searchTreeSize = this.nodeByteSize * nodeCount;
+    this.dataSectionStart = this.searchTreeSize + DATA_SECTION_SEPARATOR;
+    if (this.dataSectionStart > metadataStart) {
+      throw new MMDBFormatError('MMDB search tree exceeds file size');
+    }
+
+    this.decoder = new Decoder(this.bytes, this.dataSectionStart);
+    this.decodeCache = new Map();
+    this.ipv4StartNode = this.findIPv4StartNode();
+  }
+
+  // IPv6 树中 IPv4 地址位于 ::/96 子树：从根沿 96 个 0 位下行
+  findIPv4StartNode() {
+    if (this.ipVersion !== 6) {
+      return { node: 0, depth: 0 };
+    }
+    let node = 0;
+    let depth = 0;
+    for (; depth < 96 && node < this.nodeCount; depth++) {
+      node = this.readRecord(node, 0);
+    }
+    return { node, depth };
+  }
+
+  readRecord(node, bit) {
+    const b = this.bytes;
+    const offset = node * this.nodeByteSize;
+    if (this.recordSize === 24) {
+      const o = offset + bit * 3;
+      return (b[o] << 16) | (b[o + 1] << 8) | b[o + 2];
+    }
+    if (this.recordSize === 28) {
+      const middle = b[offset + 3];
+      if (bit === 0) {
+        return ((middle & 0xf0) << 20) | (b[offset] << 16) | (b[offset + 1] << 8) | b[offset + 2];
+      }
+      return ((middle & 0x0f) << 24) | (b[offset + 4] << 16) | (b[offset + 5] << 8) | b[offset + 6];
+    }
+    const o = offset + bit * 4;
+    return ((b[o] << 24) >>> 0) + ((b[o + 1] << 16) | (b[o + 2] << 8) | b[o + 3]);
+  }
+
+  /**
+   * 查询 IP：返回 { record, prefixLength } 或 null（库中无记录）。
+   * prefixLength 为命中网段的前缀长度（IPv4 地址按 IPv4 位数计）。
+   */
+  lookup(ip) {
+    const bytes = ipToBytes(ip);
+    if (!bytes) {
+      return null;
+    }
+    if (bytes.length === 16 && this.ipVersion === 4) {
+      return null; // IPv4-only 库不含 IPv6 数据
+    }
+
+    const isV4 = bytes.length === 4;
+    const start = isV4 ? this.ipv4StartNode : { node: 0, depth: 0 };
+    const bitCount = bytes.length * 8;
+    let node = start.node;
+    let depth = 0;
+    for (; depth < bitCount && node < this.nodeCount; depth++) {
+      const bit = (bytes[depth >> 3] >> (7 - (depth & 7))) & 1;
+      node = this.readRecord(node, bit);
+    }
+
+    if (node === this.nodeCount) {
+      return null;
+    }
+    if (node < this.nodeCount) {
+      throw new MMDBFormatError('Invalid MMDB search tree (lookup did not terminate)');
+    }
+
+    const record = this.resolveRecord(node - this.nodeCount - DATA_SECTION_SEPARATOR);
+    return { record, prefixLength: depth };
+  }
+
+  resolveRecord(offset) {
+    if (this.decodeCache.has(offset)) {
+      return this.decodeCache.get(offset);
+    }
+    const { value } = this.decoder.decode(offset);
+    if (this.decodeCache.size >= DECODE_CACHE_MAX) {
+      this.decodeCache.delete(this.decodeCache.keys().next().value);
+    }
+    this.decodeCache.set(offset, value);
+    return value;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * 🔁 Provider 重试策略
+ *
+ * - 只重试可恢复错误：TIMEOUT / NETWORK_FAILURE / 5xx UPSTREAM_ERROR（ProviderError.retryable）
+ *   AUTH_FAILURE / RATE_LIMITED / PARSE_ERROR 重试无意义（后两者交给熔断器）
+ * - 指数退避 + full jitter（delay ∈ [0, min(maxDelay, base·2^n)]），避免多实例同步重试打爆上游
+ * - 所有尝试共享调用方的总超时预算：每次尝试的超时 = 剩余预算；剩余预算不够退避 + 一次最短尝试即停止
+ */
+
+import { ProviderErrorCode } from '../providers/BaseProvider.js';
+
+export const DEFAULT_RETRY_OPTIONS = Object.freeze({
+  baseDelayMs: 100,
+  maxDelayMs: 1000,
+  minAttemptMs: 200 // 剩余预算低于此值不再发起新尝试
+});
+
+export function isRetryableProviderError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.code === ProviderErrorCode.TIMEOUT || error.code === ProviderErrorCode.NETWORK_FAILURE) {
+    return true;
+  }
+  return error.code === ProviderErrorCode.UPSTREAM_ERROR && error.retryable === true;
+}
+
+/**
+ * 第 retry 次重试（从 1 开始）前的退避时长
+ */
+export function backoffDelay(retry, options = {}, random = Math.random) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  return Math.floor(random() * ceiling);
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 在总预算内执行 fn(attempt, remainingMs)，按策略重试。
+ *
+ * @param {Function} fn                     (attempt, remainingMs) => Promise
+ * @param {object}   opts
+ * @param {number}   opts.retries           最多重试次数（总尝试 = retries + 1）
+ * @param {number}   opts.budgetMs          所有尝试 + 退避的总预算
+ * @param {Function} [opts.classify]        原始错误 → 类型化错误（判断可重试前调用）
+ * @param {Function} [opts.onAttempt]       ({ attempt, durationMs, error }) 每次尝试结束回调（用于指标）
+ * @param {AbortSignal} [opts.signal]       调用方中止后不再重试
+ */
+export async function retryWithBudget(fn, opts = {}) {
+  const {
+    retries = 0,
+    budgetMs = 5000,
+    classify = (error) => error,
+    onAttempt = () => {},
+    signal = null,
+    sleep = defaultSleep,
+    random = Math.random,
+    now = () => Date.now()
+  } = opts;
+  const policy = { ...DEFAULT_RETRY_OPTIONS, ...opts };
+  const deadline = now() + budgetMs;
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = now();
+    try {
+      const value = await fn(attempt, deadline - startedAt);
+      onAttempt({ attempt, durationMs: now() - startedAt, error: null });
+      return value;
+    } catch (rawError) {
+      const error = classify(rawError);
+      onAttempt({ attempt, durationMs: now() - startedAt, error });
+
+      if (attempt > retries || signal?.aborted || !isRetryableProviderError(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, policy, random);
+      if (deadline - now() - delay < policy.minAttemptMs) {
+        throw error; // 预算不足以再试一次
+      }
+      if (delay > 0) {
+        await sleep(delay);
+      }
+    }
+  }
+}
@@ -11,12 +11,13 @@
 
 import { ENVIRONMENT } from '../config/environment.js';
 import { config } from '../config/configManager.js';
+import { canonicalizeIP } from './ipValidation.js';
 
 class SecureCache {
   constructor(options = {}) {
     this.maxSize = options.maxSize || 10000;
     this.defaultTTL = options.defaultTTL || 300000; // 5分钟
-    this.cacheSalt = options.cacheSalt || 'ip-api-cache-salt'; // 生产路径由 getGeoCache 从 config 注入
+    this.cacheSalt = options.cacheSalt || 'ip-api-cache-salt'; // 生产路径由 readCacheOpts 从 config 注入
     this.cache = new Map();
     this.cleanupInterval = options.cleanupInterval || 60000; // 1分钟
     this.cleanupTimer = null;
@@ -299,6 +300,7 @@ class SecureCache {
    * 缓存键构造（候选 3 — 集中 cache-key 逻辑到 cache 模块）
    * 接受结构化 (ip, query)，排除 'pretty' / 'callback'，生成统一 string。
    * 之前在 src/routes/ips.js 185-192 重复实现——现由 cache 模块拥有。
+   * ip 取 canonicalizeIP 规范形式，同一地址的不同写法命中同一条目。
    */
   static cacheKeyFor(ip, query) {
     const qs = Object.keys(query)
@@ -306,13 +308,13 @@ class SecureCache {
       .sort()
       .map((k) => `${k}=${query[k]}`)
       .join('&');
-    return `geo:${ip}:${qs}`;
+    return `geo:${canonicalizeIP(ip) || ip}:${qs}`;
   }
 }
 
 // 创建全局缓存实例 - 延迟初始化以避免Cloudflare Workers全局作用域问题
-let geoCache = null;
 let rateLimitCache = null;
+let registrationCache = null;
 
 // 防御性读 config：configManager 未 initialize 时 config.get 抛错（某些单元测试不走 init），
 // fallback 值镜像 configManager schema default。production（已 init）读 config。
@@ -329,13 +331,6 @@ function readCacheOpts() {
   }
 }
 
-function getGeoCache() {
-  if (!geoCache) {
-    geoCache = new SecureCache(readCacheOpts());
-  }
-  return geoCache;
-}
-
 function getRateLimitCache() {
   if (!rateLimitCache) {
     rateLimitCache = new SecureCache(readCacheOpts());
@@ -343,4 +338,20 @@ function getRateLimitCache() {
   return rateLimitCache;
 }
 
-export { SecureCache, getGeoCache, getRateLimitCache };
+// RDAP 注册信息独立缓存：TTL 远长于 geo 结果（rdap.cacheTtlMs），不与 geo 条目争抢 LRU 容量
+function getRegistrationCache() {
+  if (!registrationCache) {
+    const opts = readCacheOpts();
+    try {
+      opts.maxSize = config.get('rdap.cacheMaxSize', 2000);
+      opts.defaultTTL = config.get('rdap.cacheTtlMs', 86400000);
+    } catch {
+      opts.maxSize = 2000;
+      opts.defaultTTL = 86400000;
+    }
+    registrationCache = new SecureCache(opts);
+  }
+  return registrationCache;
+}
+
+export { SecureCache, getRateLimitCache, getRegistrationCache };
@@ -0,0 +1,184 @@
+/**
+ * 🕒 时区工具：本地时间、UTC 偏移、缩写、夏令时状态与下一次切换
+ *
+ * 全部由 Intl.DateTimeFormat 按 IANA 时区名计算（运行时自带 ICU 时区库），不发起网络请求。
+ * provider 给出坐标但无时区名时，按打包的时区边界栅格（@photostructure/tz-lookup，源自 timezone-boundary-builder）
+ * 推断，再用 zone.tab 的国家归属（见 data/timezones.js）与 provider 给出的国家码核对。
+ */
+
+import tzlookup from '@photostructure/tz-lookup';
+import { TIMEZONE_POINTS } from '../data/timezones.js';
+import { isValidCoordinates } from './geoMath.js';
+
+// 推断出的时区在 provenance.fields 中的来源名
+export const TIMEZONE_SOURCE = 'TimezoneLookup';
+
+// 下一次切换的搜索窗口与步长：一年内按周探测偏移变化，再二分到秒
+const TRANSITION_HORIZON_MS = 366 * 86400000;
+const TRANSITION_STEP_MS = 7 * 86400000;
+
+// 时区名 → { parts, abbreviation } 格式化器；无效时区名在构造时抛错，不入缓存
+const formatters = new Map();
+
+function formattersFor(timeZone) {
+  let entry = formatters.get(timeZone);
+  if (!entry) {
+    entry = {
+      parts: new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        timeZoneName: 'longOffset'
+      }),
+      abbreviation: new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    };
+    formatters.set(timeZone, entry);
+  }
+  return entry;
+}
+
+/**
+ * 时区名是否可被运行时识别
+ */
+export function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formattersFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// 'GMT+05:30' / 'GMT-03' / 'GMT' → 秒
+function parseOffset(text) {
+  const m = /GMT([+-])(\d{2}):?(\d{2})?(?::?(\d{2}))?/.exec(text || '');
+  if (!m) return 0;
+  const seconds = Number(m[2]) * 3600 + Number(m[3] || 0) * 60 + Number(m[4] || 0);
+  return m[1] === '-' ? -seconds : seconds;
+}
+
+function partsAt(timeZone, ms) {
+  const parts = {};
+  for (const { type, value } of formattersFor(timeZone).parts.formatToParts(new Date(ms))) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+/**
+ * 某时刻的 UTC 偏移（秒）
+ */
+export function offsetAt(timeZone, ms) {
+  return parseOffset(partsAt(timeZone, ms).timeZoneName);
+}
+
+function formatOffset(seconds) {
+  const abs = Math.abs(seconds);
+  const hh = String(Math.floor(abs / 3600)).padStart(2, '0');
+  const mm = String(Math.floor((abs % 3600) / 60)).padStart(2, '0');
+  return `${seconds < 0 ? '-' : '+'}${hh}:${mm}`;
+}
+
+function abbreviationAt(timeZone, ms) {
+  const part = formattersFor(timeZone).abbreviation.formatToParts(new Date(ms)).find((p) => p.type === 'timeZoneName');
+  return part?.value ?? null;
+}
+
+// 标准时偏移：当年 1 月与 7 月偏移中较小者（南半球夏令时在 1 月）
+function standardOffset(timeZone, ms) {
+  const year = new Date(ms).getUTCFullYear();
+  return Math.min(offsetAt(timeZone, Date.UTC(year, 0, 1)), offsetAt(timeZone, Date.UTC(year, 6, 1)));
+}
+
+/**
+ * 一年内的下一次偏移切换；无切换（不实行夏令时）时为 null
+ * @returns {{ at: number, utcOffsetSeconds: number } | null} at 为切换时刻（毫秒）
+ */
+export function nextTransition(timeZone, ms) {
+  const from = Math.floor(ms / 1000) * 1000;
+  const current = offsetAt(timeZone, from);
+  for (let lo = from; lo - from < TRANSITION_HORIZON_MS; lo += TRANSITION_STEP_MS) {
+    let hi = lo + TRANSITION_STEP_MS;
+    if (offsetAt(timeZone, hi) === current) continue;
+    let low = lo;
+    while (hi - low > 1000) {
+      const mid = low + Math.floor((hi - low) / 2000) * 1000;
+      if (offsetAt(timeZone, mid) === current) {
+        low = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    return { at: hi, utcOffsetSeconds: offsetAt(timeZone, hi) };
+  }
+  return null;
+}
+
+/**
+ * 时区块：{ name, localTime, utcOffsetSeconds, abbreviation, isDst, nextTransition }；无效时区名返回 null。
+ * localTime 为带偏移的 ISO 8601 本地时间；nextTransition 为 { at（UTC ISO）, utcOffsetSeconds, isDst } 或 null。
+ */
+export function describeTimezone(timeZone, now = Date.now()) {
+  if (!isValidTimezone(timeZone)) return null;
+  const p = partsAt(timeZone, now);
+  const utcOffsetSeconds = parseOffset(p.timeZoneName);
+  const standard = standardOffset(timeZone, now);
+  const transition = nextTransition(timeZone, now);
+
+  return {
+    name: timeZone,
+    localTime: `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${formatOffset(utcOffsetSeconds)}`,
+    utcOffsetSeconds,
+    abbreviation: abbreviationAt(timeZone, now),
+    isDst: utcOffsetSeconds > standard,
+    nextTransition: transition && {
+      at: new Date(transition.at).toISOString(),
+      utcOffsetSeconds: transition.utcOffsetSeconds,
+      isDst: transition.utcOffsetSeconds > standardOffset(timeZone, transition.at)
+    }
+  };
+}
+
+// 坐标所在的时区边界；海上（Etc/GMT±N 海区）或查询失败为 null
+function boundaryZone({ latitude, longitude }) {
+  try {
+    const zone = tzlookup(latitude, longitude);
+    return zone && !zone.startsWith('Etc/') && isValidTimezone(zone) ? zone : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 由坐标推断时区：取坐标所在的时区边界。国家码已知时须属于该国的时区；不一致或在海上时，
+ * 该国只有一个时区则取之，否则返回 null（宁缺勿错：错误的时区会带出错误的偏移与夏令时）
+ * @returns {string|null} IANA 时区名
+ */
+export function inferTimezone(coordinates, countryCode = null) {
+  if (!isValidCoordinates(coordinates)) return null;
+  const code = String(countryCode || '').toUpperCase();
+  const inCountry = TIMEZONE_POINTS.filter(([cc]) => cc === code).map(([, , , name]) => name);
+  const zone = boundaryZone(coordinates);
+  if (zone && (inCountry.length === 0 || inCountry.includes(zone))) return zone;
+  return inCountry.length === 1 ? inCountry[0] : null;
+}
+
+/**
+ * 就地补齐合并结果的 location.timezone（只在有坐标、无时区名时），返回是否补齐
+ */
+export function enrichTimezone(geo) {
+  if (!geo?.location || geo.location.timezone) return false;
+  const timezone = inferTimezone(geo.location.coordinates, geo.country?.code);
+  if (!timezone) return false;
+  geo.location.timezone = timezone;
+  if (geo.provenance?.fields) {
+    geo.provenance.fields['location.timezone'] = TIMEZONE_SOURCE;
+  }
+  return true;
+}
@@ -0,0 +1,61 @@
+/**
+ * 🔎 explain=true 端到端：/ips/:ip、/self、:batch 输出 provenance，默认不输出
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import '../setup.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+const userHeaders = { 'X-API-Key': 'sk-test-1234567890abcdef' };
+
+const fetchJson = async(path, init = {}) => {
+  const res = await app.fetch(new Request(`https://example.test${path}`, init));
+  return { status: res.status, body: await res.json() };
+};
+
+describe('explain=true provenance', () => {
+  beforeAll(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+  });
+
+  it('GET /api/v1/ips/:ip 默认无 provenance', async() => {
+    const { status, body } = await fetchJson('/api/v1/ips/8.8.8.8', { headers: userHeaders });
+    expect(status).toBe(200);
+    expect(body.data).not.toHaveProperty('provenance');
+  });
+
+  it('GET /api/v1/ips/:ip?explain=true 输出 fields + providers（含 tier）', async() => {
+    const { status, body } = await fetchJson('/api/v1/ips/8.8.4.4?explain=true', { headers: userHeaders });
+    expect(status).toBe(200);
+    expect(body.data.provenance).toBeDefined();
+    expect(typeof body.data.provenance.fields).toBe('object');
+    expect(Array.isArray(body.data.provenance.providers)).toBe(true);
+    for (const p of body.data.provenance.providers) {
+      expect(['sync', 'primary', 'fallback']).toContain(p.tier);
+      expect(['data', 'null', 'error', 'skipped']).toContain(p.outcome);
+    }
+  });
+
+  it('GET /api/v1/ips/self?explain=true 输出 provenance', async() => {
+    const { body } = await fetchJson('/api/v1/ips/self?explain=true', {
+      headers: { ...userHeaders, 'CF-Connecting-IP': '1.1.1.1' }
+    });
+    expect(body.data.provenance).toBeDefined();
+  });
+
+  it('POST /api/v1/ips:batch?explain=true 每条结果带 provenance', async() => {
+    const { status, body } = await fetchJson('/api/v1/ips:batch?explain=true', {
+      method: 'POST',
+      headers: { ...userHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ips: ['9.9.9.9', '1.0.0.1'] })
+    });
+    expect(status).toBe(200);
+    expect(body.meta.query.explain).toBe(true);
+    for (const r of body.data.results) {
+      expect(r.data.provenance).toBeDefined();
+    }
+  });
+});
@@ -91,6 +91,43 @@ describe('查询参数验证', () => {
   });
 });
 
+describe('IP 规范化', () => {
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+  });
+
+  it('v4-mapped 地址按内嵌 IPv4 查询，响应含原始与规范写法', async() => {
+    const { status, body } = await req('/api/v1/ips/::ffff:8.8.8.8', withAuth());
+    expect(status).toBe(200);
+    expect(body.data.ip).toBe('8.8.8.8');
+    expect(body.data.input).toBe('::ffff:8.8.8.8');
+  });
+
+  it('v4-mapped / NAT64 包装的私有地址同样被拒绝 → 400', async() => {
+    expect((await req('/api/v1/ips/::ffff:127.0.0.1', withAuth())).status).toBe(400);
+    expect((await req('/api/v1/ips/64:ff9b::c0a8:101', withAuth())).status).toBe(400);
+  });
+
+  it('批量结果逐条带 input，同一地址的不同写法命中缓存', async() => {
+    const { status, body } = await req('/api/v1/ips:batch', withAuth({
+      method: 'POST',
+      headers: { 'X-API-Key': USER_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ips: ['2606:4700:4700::1001'] })
+    }));
+    expect(status).toBe(200);
+    const again = await req('/api/v1/ips:batch', withAuth({
+      method: 'POST',
+      headers: { 'X-API-Key': USER_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ips: ['2606:4700:4700:0:0:0:0:1001'] })
+    }));
+    const [result] = again.body.data.results;
+    expect(result).toMatchObject({ ip: '2606:4700:4700::1001', input: '2606:4700:4700:0:0:0:0:1001', cached: true });
+    expect(result.data.input).toBe('2606:4700:4700:0:0:0:0:1001');
+    expect(body.data.results[0].data.input).toBe('2606:4700:4700::1001');
+  });
+});
+
 describe('批量请求验证', () => {
   beforeEach(async() => {
     await configManager.initialize();
@@ -7,6 +7,7 @@ import '../setup.js';
 import { app } from '../../src/app.js';
 import { configManager } from '../../src/config/configManager.js';
 import { monitoringService } from '../../src/monitoring/monitoringService.js';
+import { geoLookup } from '../../src/services/geoLookup.js';
 
 const ADMIN_KEY = 'test-admin-key-12345';
 const USER_KEY = 'sk-test-1234567890abcdef';
@@ -159,8 +160,77 @@ describe('运维端点 /api/v1/system/*', () => {
       const { status, body } = await req('/api/v1/system/performance', { headers: adminHeaders });
       expect(status).toBe(200);
       expect(body.data.performance).toBeDefined();
+      expect(Array.isArray(body.data.performance.circuitBreakers)).toBe(true);
       expect(body.data.memory).toBeDefined();
       expect(body.data.configuration).toBeDefined();
     });
   });
+
+  describe('GET /api/v1/system/providers', () => {
+    it('管理员返回注册表逐项状态', async() => {
+      const { status, body } = await req('/api/v1/system/providers', { headers: adminHeaders });
+      expect(status).toBe(200);
+      const names = body.data.providers.map((p) => p.name);
+      expect(names).toEqual(['cloudflare', 'maxmindDb', 'maxmind', 'ipinfo', 'ipapicom']);
+      const cloudflare = body.data.providers[0];
+      expect(cloudflare).toMatchObject({ provider: 'Cloudflare', configured: true, tier: 'sync', priority: 100 });
+      expect(cloudflare.counts).toHaveProperty('success');
+      expect(cloudflare.latencyMs).toHaveProperty('p95');
+      expect(cloudflare).toHaveProperty('lastSuccessAt');
+      expect(body.data.summary.total).toBe(5);
+      // ip-api.com 免费版默认 45 req/min 配额
+      const ipapicom = body.data.providers.find((p) => p.name === 'ipapicom');
+      expect(ipapicom.quota.perMinute).toMatchObject({ limit: 45, remaining: 45 });
+      expect(cloudflare.quota).toBeNull();
+    });
+
+    it('用户 key（非管理员）→ 403', async() => {
+      const { status } = await req('/api/v1/system/providers', { headers: { 'X-API-Key': USER_KEY } });
+      expect(status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/v1/system/providers/:name', () => {
+    const patch = (name, body, headers = adminHeaders) => req(`/api/v1/system/providers/${name}`, {
+      method: 'PATCH',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    afterEach(() => {
+      geoLookup.providerOverrides.clear();
+    });
+
+    it('覆盖 enabled / priority / tier / timeout 并返回生效状态', async() => {
+      const { status, body } = await patch('ipinfo', { enabled: false, priority: 30, tier: 'primary', timeout: 2000 });
+      expect(status).toBe(200);
+      expect(body.data).toMatchObject({
+        name: 'ipinfo',
+        enabled: false,
+        priority: 30,
+        tier: 'primary',
+        timeoutMs: 2000,
+        overrides: { enabled: false, priority: 30, tier: 'primary', timeout: 2000 }
+      });
+
+      const list = await req('/api/v1/system/providers', { headers: adminHeaders });
+      expect(list.body.data.providers.find((p) => p.name === 'ipinfo').enabled).toBe(false);
+
+      const cleared = await patch('ipinfo', { enabled: null, priority: null, tier: null, timeout: null });
+      expect(cleared.body.data.overrides).toEqual({});
+      expect(cleared.body.data.priority).toBe(60);
+    });
+
+    it('校验失败 → 400（未知字段、越界、空 body、sync provider 覆盖 tier）', async() => {
+      expect((await patch('ipinfo', { weight: 3 })).status).toBe(400);
+      expect((await patch('ipinfo', { priority: 0 })).status).toBe(400);
+      expect((await patch('ipinfo', {})).status).toBe(400);
+      expect((await patch('cloudflare', { tier: 'fallback' })).status).toBe(400);
+    });
+
+    it('未知 provider → 404；非管理员 → 403', async() => {
+      expect((await patch('nope', { enabled: false })).status).toBe(404);
+      expect((await patch('ipinfo', { enabled: false }, { 'X-API-Key': USER_KEY })).status).toBe(403);
+    });
+  });
 });
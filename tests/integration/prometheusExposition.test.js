@@ -106,4 +106,29 @@ describe('Prometheus exposition 格式', () => {
     const critText = buildPrometheusMetrics(metrics, { running: true, activeAlertsCount: 1, criticalAlertsCount: 1 }, mem);
     expect(critText).toContain('health_status 0');
   });
+
+  it('传入 provider 状态时输出带 provider 标签的序列', () => {
+    const providers = [{
+      name: 'ipinfo',
+      configured: true,
+      counts: { success: 4, empty: 1, error: 2, skipped: 0 },
+      errors: { TIMEOUT: 2 },
+      latencyMs: { p50: 120, p95: 800 },
+      lastSuccessAt: '2024-01-01T00:00:00.000Z'
+    }];
+    const metrics = { counters: {}, histograms: {} };
+    const text = buildPrometheusMetrics(metrics, { running: true }, { heapUsed: 0 }, providers);
+    expect(text).toContain('# TYPE geo_provider_requests_total counter');
+    expect(text).toContain('geo_provider_configured{provider="ipinfo"} 1');
+    expect(text).toContain('geo_provider_requests_total{provider="ipinfo",outcome="success"} 4');
+    expect(text).toContain('geo_provider_errors_total{provider="ipinfo",code="TIMEOUT"} 2');
+    expect(text).toContain('geo_provider_latency_seconds{provider="ipinfo",quantile="0.95"} 0.8');
+    expect(text).toContain('geo_provider_last_success_timestamp_seconds{provider="ipinfo"} 1704067200');
+  });
+
+  it('/metrics exposition 含注册表中每个 provider', async() => {
+    const { text } = await fetchPrometheus();
+    expect(text).toContain('geo_provider_configured{provider="cloudflare"} 1');
+    expect(text).toContain('geo_provider_configured{provider="ipinfo"}');
+  });
 });
@@ -45,16 +45,16 @@ describe('GeoLookup', () => {
   });
 
   describe('结果缓存', () => {
-    it('应该正确缓存和检索结果', () => {
+    it('应该正确缓存和检索结果', async() => {
       const ip = '8.8.8.8';
       const options = { includeThreat: true };
       const data = { ip, country: 'US' };
 
-      // 设置缓存
-      geo.cache.set(ip, options, data);
+      // 设置缓存（CacheStore 接口为异步）
+      await geo.cache.set(ip, options, data);
 
       // 检索缓存
-      const cached = geo.cache.get(ip, options);
+      const cached = await geo.cache.get(ip, options);
       expect(cached).toEqual(data);
     });
 
@@ -75,17 +75,17 @@ describe('GeoLookup', () => {
       expect(key1).toContain('language=en');
     });
 
-    it('应该正确管理缓存大小', () => {
+    it('应该正确管理缓存大小', async() => {
       const smallCache = geo.cache;
       smallCache.maxSize = 3;
 
-      smallCache.set('ip1', {}, { data: '1' });
-      smallCache.set('ip2', {}, { data: '2' });
-      smallCache.set('ip3', {}, { data: '3' });
+      await smallCache.set('ip1', {}, { data: '1' });
+      await smallCache.set('ip2', {}, { data: '2' });
+      await smallCache.set('ip3', {}, { data: '3' });
 
       expect(smallCache.getStats().size).toBe(3);
 
-      smallCache.set('ip4', {}, { data: '4' });
+      await smallCache.set('ip4', {}, { data: '4' });
 
       expect(smallCache.getStats().size).toBeLessThanOrEqual(3);
     });
@@ -283,15 +283,15 @@ describe('GeoLookup', () => {
       expect(typeof stats.monitor.uptime).toBe('number');
     });
 
-    it('应该正确跟踪缓存命中率', () => {
+    it('应该正确跟踪缓存命中率', async() => {
       const cache = geo.cache;
 
-      cache.set('ip1', {}, { data: '1' });
-      cache.set('ip2', {}, { data: '2' });
+      await cache.set('ip1', {}, { data: '1' });
+      await cache.set('ip2', {}, { data: '2' });
 
-      cache.get('ip1', {});
-      cache.get('ip2', {});
-      cache.get('ip3', {}); // 未命中
+      await cache.get('ip1', {});
+      await cache.get('ip2', {});
+      await cache.get('ip3', {}); // 未命中
 
       const stats = cache.getStats();
       expect(stats.hitRate).toBeGreaterThan(0);
@@ -301,8 +301,8 @@ describe('GeoLookup', () => {
   });
 
   describe('资源清理', () => {
-    it('应该正确清理所有资源', () => {
-      geo.cache.set('test', {}, { data: 'test' });
+    it('应该正确清理所有资源', async() => {
+      await geo.cache.set('test', {}, { data: 'test' });
       geo.monitor.record('test', 100);
 
       geo.cleanup();
@@ -0,0 +1,355 @@
+/**
+ * 🧾 异步批量查询任务
+ *
+ * 锁定：换行文本 / CSV（表头识别、引号字段、指定列）解析；规范化去重与无效 / 私有地址统计、上限；
+ * 分片执行的并发上限、进度与逐 IP 失败；停滞任务从 nextChunk 续跑；KV / Durable Object 存储读写；
+ * memory 存储只淘汰已结束的任务、全部进行中时拒绝；
+ * 路由的 JSON / 文本 / CSV 请求体、202 + 进度查询、NDJSON / CSV 流式结果与 404 / 415 / 400 / 503。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import '../setup.js';
+import {
+  BulkJobService,
+  JOB_STATUS,
+  bulkJobService,
+  collectIps,
+  describeJob,
+  extractCsvColumn,
+  extractLines,
+  parseCsv
+} from '../../src/services/bulkJobs.js';
+import {
+  DurableObjectJobStore,
+  JobStoreFullError,
+  JobStoreObject,
+  KvJobStore,
+  MemoryJobStore,
+  createJobStore
+} from '../../src/services/jobStore.js';
+import { geoLookup } from '../../src/services/geoLookup.js';
+import { createGeoData } from '../../src/providers/BaseProvider.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+const geo = (ip) => createGeoData({ ip, country: { code: 'US', name: 'United States' }, network: { asn: 15169 } });
+
+describe('输入解析', () => {
+  it('换行文本忽略空行与 # 注释', () => {
+    expect(extractLines('8.8.8.8\r\n\n# comment\n 1.1.1.1 \n')).toEqual(['8.8.8.8', '1.1.1.1']);
+  });
+
+  it('CSV 引号字段与表头识别', () => {
+    expect(parseCsv('a,"b,1","say ""hi"""\n\nc,"multi\nline",d')).toEqual([
+      ['a', 'b,1', 'say "hi"'],
+      ['c', 'multi\nline', 'd']
+    ]);
+    expect(extractCsvColumn('ts,IP_Address\n1,8.8.8.8\n2,1.1.1.1')).toEqual(['8.8.8.8', '1.1.1.1']);
+    expect(extractCsvColumn('8.8.8.8,x\n1.1.1.1,y')).toEqual(['8.8.8.8', '1.1.1.1']);
+    expect(extractCsvColumn('host,note\n8.8.8.8,x')).toEqual(['8.8.8.8']);
+    expect(extractCsvColumn('ts,src\n1,8.8.8.8', 'src')).toEqual(['8.8.8.8']);
+    expect(extractCsvColumn('1,8.8.8.8', '1')).toEqual(['8.8.8.8']);
+    expect(extractCsvColumn('ts,src\n1,8.8.8.8', 'dst')).toBeNull();
+  });
+
+  it('collectIps 规范化去重，统计无效与私有地址，超过上限标记 overLimit', () => {
+    const isBlocked = (ip) => ip.startsWith('10.');
+    const result = collectIps(['8.8.8.8', '::ffff:8.8.8.8', '008.8.8.8', 'nope', 42, '10.0.0.1', '1.1.1.1'], {
+      isBlocked
+    });
+    expect(result).toMatchObject({ ips: ['8.8.8.8', '1.1.1.1'], received: 7, duplicates: 2, invalid: 3 });
+    expect(result.invalidSamples).toEqual([
+      { value: 'nope', reason: 'invalid' },
+      { value: '42', reason: 'invalid' },
+      { value: '10.0.0.1', reason: 'private' }
+    ]);
+    expect(collectIps(['8.8.8.8', '8.8.8.8', '1.1.1.1'], { maxIps: 1 }).overLimit).toBe(true);
+  });
+});
+
+describe('BulkJobService', () => {
+  const collected = (ips) => collectIps(ips);
+  const ipsOf = (n) => Array.from({ length: n }, (_, i) => `8.8.${Math.floor(i / 250)}.${(i % 250) + 1}`);
+
+  beforeEach(async() => {
+    await configManager.initialize();
+  });
+
+  it('分片执行：并发不超过 jobs.concurrency，进度与逐 IP 失败计入任务', async() => {
+    let inFlight = 0;
+    let peak = 0;
+    const lookup = {
+      get: vi.fn(async(ip) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        inFlight--;
+        if (ip === '8.8.0.3') throw new Error('provider down');
+        return ip === '8.8.0.4' ? { ...geo(ip), dataAvailable: false } : geo(ip);
+      })
+    };
+    const service = new BulkJobService({ store: new MemoryJobStore(), lookup });
+    vi.spyOn(service, 'settings').mockReturnValue({ chunkSize: 100, concurrency: 4 });
+
+    const job = await service.create(collected(ipsOf(250)), { lang: 'en' });
+    expect(job).toMatchObject({ status: JOB_STATUS.QUEUED, chunks: 3, nextChunk: 0 });
+    await service.start(job.id);
+
+    const done = await service.get(job.id);
+    expect(done.status).toBe(JOB_STATUS.COMPLETED);
+    expect(done.progress).toMatchObject({ total: 250, processed: 250, succeeded: 249, failed: 1, noData: 1 });
+    expect(describeJob(done).progress.percent).toBe(100);
+    expect(describeJob(done)).not.toHaveProperty('nextChunk');
+    expect(peak).toBe(4);
+
+    const rows = [];
+    for await (const chunk of service.resultChunks(done)) rows.push(...chunk);
+    expect(rows.map((row) => row.ip)).toEqual(ipsOf(250));
+    expect(rows[2].error.code).toBe('GEOLOCATION_ERROR');
+    expect(rows[3]).toMatchObject({ dataAvailable: false, data: { country: { code: 'US' } } });
+  });
+
+  it('输入按 inputChunkSize（取 chunkSize 整数倍）写入，查询仍按 chunkSize 分片', async() => {
+    const lookup = { get: vi.fn(async(ip) => geo(ip)) };
+    const store = new MemoryJobStore();
+    const putChunk = vi.spyOn(store, 'putChunk');
+    const getChunk = vi.spyOn(store, 'getChunk');
+    const service = new BulkJobService({ store, lookup });
+    vi.spyOn(service, 'settings').mockReturnValue({ chunkSize: 2, inputChunkSize: 5 });
+
+    const job = await service.create(collected(ipsOf(9)), { lang: 'en' });
+    expect(job).toMatchObject({ chunkSize: 2, inputChunkSize: 4, chunks: 5 });
+    expect(putChunk.mock.calls.map(([, kind, index, items]) => [kind, index, items.length]))
+      .toEqual([['input', 0, 4], ['input', 1, 4], ['input', 2, 1]]);
+    expect(describeJob(job)).not.toHaveProperty('inputChunkSize');
+
+    await service.start(job.id);
+    expect(getChunk.mock.calls.filter(([, kind]) => kind === 'input').map(([, , index]) => index)).toEqual([0, 1, 2]);
+    const rows = [];
+    for await (const chunk of service.resultChunks(await service.get(job.id))) rows.push(...chunk);
+    expect(rows.map((row) => row.ip)).toEqual(ipsOf(9));
+  });
+
+  it('停滞任务从 nextChunk 续跑，已完成的分片不重复查询', async() => {
+    const lookup = { get: vi.fn(async(ip) => geo(ip)) };
+    const store = new MemoryJobStore();
+    const service = new BulkJobService({ store, lookup });
+    vi.spyOn(service, 'settings').mockReturnValue({ chunkSize: 2, staleAfterMs: 60000 });
+
+    const job = await service.create(collected(ipsOf(5)), { lang: 'en' });
+    // 模拟执行中被回收：第 0 片已完成，状态停在 running
+    await store.putChunk(job.id, 'result', 0, [{ ip: '8.8.0.1' }, { ip: '8.8.0.2' }]);
+    Object.assign(job, { status: JOB_STATUS.RUNNING, nextChunk: 1, progress: { ...job.progress, processed: 2 } });
+    await store.putJob(job);
+
+    expect(service.resumeIfStalled(job)).toBe(false);
+    job.updatedAt = new Date(Date.now() - 120000).toISOString();
+    expect(service.resumeIfStalled(job)).toBe(true);
+    await service.active.get(job.id);
+
+    expect(lookup.get.mock.calls.map(([ip]) => ip)).toEqual(['8.8.0.3', '8.8.0.4', '8.8.0.5']);
+    expect((await service.get(job.id)).progress).toMatchObject({ processed: 5, succeeded: 3 });
+  });
+
+  it('停滞阈值不短于单片最长耗时：仍可能在执行的任务不被续跑', async() => {
+    const service = new BulkJobService({ store: new MemoryJobStore(), lookup: { get: vi.fn() } });
+    vi.spyOn(service, 'settings')
+      .mockReturnValue({ chunkSize: 100, concurrency: 10, lookupTimeoutMs: 10000, staleAfterMs: 60000 });
+    const job = { id: 'j', status: JOB_STATUS.RUNNING, chunkSize: 100 };
+    expect(service.staleAfterMsFor(job)).toBe(110000);
+
+    job.updatedAt = new Date(Date.now() - 100000).toISOString();
+    expect(service.resumeIfStalled(job)).toBe(false);
+    expect(service.active.size).toBe(0);
+  });
+});
+
+describe('JobStore 后端', () => {
+  it('memory：达到上限时只淘汰已结束的任务，全部进行中时拒绝新任务', async() => {
+    const store = new MemoryJobStore({ maxJobs: 2 });
+    await store.putJob({ id: 'a', status: JOB_STATUS.RUNNING });
+    await store.putJob({ id: 'b', status: JOB_STATUS.COMPLETED });
+    await store.putJob({ id: 'c', status: JOB_STATUS.QUEUED });
+    expect(await store.getJob('a')).not.toBeNull();
+    expect(await store.getJob('b')).toBeNull();
+
+    await expect(store.putJob({ id: 'd', status: JOB_STATUS.QUEUED })).rejects.toBeInstanceOf(JobStoreFullError);
+    expect(await store.getJob('d')).toBeNull();
+    // 已有任务的状态更新不受上限影响；结束后可被淘汰
+    await store.putJob({ id: 'a', status: JOB_STATUS.FAILED });
+    await store.putJob({ id: 'd', status: JOB_STATUS.QUEUED });
+    expect(await store.getJob('a')).toBeNull();
+    expect(store.getStats().size).toBe(2);
+  });
+
+  it('KV：键前缀与 expirationTtl（至少 60 秒）', async() => {
+    const data = new Map();
+    const kv = {
+      get: vi.fn(async(key) => (data.has(key) ? JSON.parse(data.get(key)) : null)),
+      put: vi.fn(async(key, value) => data.set(key, value))
+    };
+    const store = createJobStore({ store: 'kv', ttlMs: 1000 }, { JOBS: kv });
+    expect(store).toBeInstanceOf(KvJobStore);
+
+    await store.putJob({ id: 'a' });
+    await store.putChunk('a', 'input', 0, ['8.8.8.8']);
+    expect(kv.put).toHaveBeenCalledWith('job:a:input:0', '["8.8.8.8"]', { expirationTtl: 60 });
+    expect(await store.getJob('a')).toEqual({ id: 'a' });
+    expect(await store.getChunk('a', 'result', 0)).toBeNull();
+  });
+
+  it('Durable Object：经 stub.fetch 读写，首次写入设置过期 alarm', async() => {
+    const data = new Map();
+    let alarm = null;
+    const storage = {
+      get: async(key) => data.get(key),
+      put: async(key, value) => data.set(key, value),
+      getAlarm: async() => alarm,
+      setAlarm: vi.fn(async(at) => { alarm = at; }),
+      deleteAll: async() => data.clear()
+    };
+    const object = new JobStoreObject({ storage });
+    const namespace = {
+      idFromName: (name) => name,
+      get: () => ({ fetch: (url, init) => object.fetch(new Request(url, init)) })
+    };
+    const store = createJobStore({ store: 'durable-object' }, { JOB_STORE: namespace });
+    expect(store).toBeInstanceOf(DurableObjectJobStore);
+
+    await store.putJob({ id: 'a', status: 'queued' });
+    await store.putChunk('a', 'result', 0, [{ ip: '8.8.8.8' }]);
+    expect(await store.getJob('a')).toEqual({ id: 'a', status: 'queued' });
+    expect(await store.getChunk('a', 'result', 0)).toEqual([{ ip: '8.8.8.8' }]);
+    expect(await store.getChunk('a', 'result', 1)).toBeNull();
+    expect(storage.setAlarm).toHaveBeenCalledTimes(1);
+
+    await object.alarm();
+    expect(await store.getJob('a')).toBeNull();
+  });
+
+  it('缺绑定时回退 memory', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(createJobStore({ store: 'durable-object' }, {})).toBeInstanceOf(MemoryJobStore);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('路由：/api/v1/jobs', () => {
+  const API_KEY = 'sk-test-1234567890abcdef';
+  const request = (path, init = {}) => app.fetch(new Request(`https://example.test${path}`, {
+    ...init,
+    headers: { 'X-API-Key': API_KEY, ...(init.headers || {}) }
+  }));
+  const submit = async(body, contentType, query = '') => {
+    const res = await request(`/api/v1/jobs${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body
+    });
+    return { res, body: await res.json() };
+  };
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+    vi.spyOn(geoLookup, 'get').mockImplementation(async(ip) => geo(ip));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('JSON 提交 → 202；完成后进度 100%，结果以 NDJSON 与 CSV 流式输出', async() => {
+    const ips = ['8.8.8.8', '8.8.8.8', '10.0.0.1', '1.1.1.1'];
+    const { res, body } = await submit(JSON.stringify(ips), 'application/json');
+    expect(res.status).toBe(202);
+    const { id } = body.data;
+    expect(res.headers.get('Location').endsWith(`/api/v1/jobs/${id}`)).toBe(true);
+    expect(body.data.input).toMatchObject({ received: 4, unique: 2, duplicates: 1, invalid: 1 });
+    expect(body.data.input.invalidSamples[0]).toEqual({ value: '10.0.0.1', reason: 'private' });
+    await bulkJobService.active.get(id);
+
+    const status = await (await request(`/api/v1/jobs/${id}`)).json();
+    expect(status.data).toMatchObject({ status: 'completed', progress: { processed: 2, total: 2, percent: 100 } });
+    expect(status.links.results.href).toContain(`/api/v1/jobs/${id}/results`);
+
+    const ndjson = await request(`/api/v1/jobs/${id}/results`);
+    expect(ndjson.headers.get('Content-Type')).toContain('application/x-ndjson');
+    expect(ndjson.headers.get('X-Job-Status')).toBe('completed');
+    const lines = (await ndjson.text()).trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines.map((line) => [line.ip, line.data.country.code])).toEqual([['8.8.8.8', 'US'], ['1.1.1.1', 'US']]);
+
+    const csv = await request(`/api/v1/jobs/${id}/results?format=csv`);
+    expect(csv.headers.get('Content-Disposition')).toContain(`job-${id}.csv`);
+    const [header, first] = (await csv.text()).trim().split('\n');
+    expect(header.split(',').slice(0, 3)).toEqual(['ip', 'status', 'country.code']);
+    expect(first.startsWith('8.8.8.8,ok,US,United States,')).toBe(true);
+  });
+
+  it('换行文本与 CSV 上传；lang / includeThreat 记入任务选项', async() => {
+    const text = await submit('# log\n8.8.8.8\n1.1.1.1\n', 'text/plain', '?lang=de&includeThreat=true');
+    expect(text.res.status).toBe(202);
+    expect(text.body.data.options).toEqual({ lang: 'de', includeThreat: true });
+    await bulkJobService.active.get(text.body.data.id);
+    expect(geoLookup.get).toHaveBeenCalledWith('8.8.8.8', null, expect.objectContaining({
+      language: 'de',
+      includeThreat: true
+    }));
+
+    const csv = await submit('time,client_ip\n1,9.9.9.9\n2,9.9.9.9\n', 'text/csv');
+    expect(csv.body.data.input).toMatchObject({ received: 2, unique: 1, duplicates: 1 });
+    await bulkJobService.active.get(csv.body.data.id);
+  });
+
+  it('未知任务 404；不支持的类型 415；无可查询 IP 400；CSV 指定列不存在 400', async() => {
+    expect((await request('/api/v1/jobs/00000000-0000-4000-8000-000000000000')).status).toBe(404);
+    expect((await request('/api/v1/jobs/not-a-job/results')).status).toBe(404);
+    expect((await submit('<ips/>', 'application/xml')).res.status).toBe(415);
+
+    const empty = await submit(JSON.stringify({ ips: ['nope', '192.168.1.1'] }), 'application/json');
+    expect(empty.res.status).toBe(400);
+    expect((await submit(JSON.stringify({ list: [] }), 'application/json')).res.status).toBe(400);
+    expect((await submit('ts,src\n1,8.8.8.8', 'text/csv', '?column=dst')).res.status).toBe(400);
+  });
+
+  it('无 Content-Length 的分块上传超过 32 MB 时读取中止并返回 413', async() => {
+    const block = new TextEncoder().encode('8.8.8.8\n'.repeat(131072)); // 1 MiB
+    let sent = 0;
+    const stream = new ReadableStream({
+      pull(controller) {
+        sent++;
+        controller.enqueue(block);
+        if (sent >= 40) controller.close();
+      }
+    });
+    const res = await request('/api/v1/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: stream,
+      duplex: 'half'
+    });
+    expect(res.status).toBe(413);
+    expect((await res.json()).error.code).toBe('PAYLOAD_TOO_LARGE');
+    expect(sent).toBeLessThan(40);
+    expect(geoLookup.get).not.toHaveBeenCalled();
+  });
+
+  it('任务存储已满且全部进行中时 503 + Retry-After', async() => {
+    const { store, _storeSelected } = bulkJobService;
+    bulkJobService.store = new MemoryJobStore({ maxJobs: 1 });
+    bulkJobService._storeSelected = true;
+    try {
+      await bulkJobService.store.putJob({ id: 'busy', status: JOB_STATUS.RUNNING });
+      const { res, body } = await submit(JSON.stringify(['8.8.8.8']), 'application/json');
+      expect(res.status).toBe(503);
+      expect(res.headers.get('Retry-After')).toBe('60');
+      expect(body.error.code).toBe('SERVICE_UNAVAILABLE');
+      expect(geoLookup.get).not.toHaveBeenCalled();
+    } finally {
+      bulkJobService.store = store;
+      bulkJobService._storeSelected = _storeSelected;
+    }
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * 🗂️ 缓存管理：二级索引与 /api/v1/system/cache* 端点
+ *
+ * 锁定：索引随写入 / 命中维护，热点键与年龄分桶；按 IP 删除全部选项变体（共享存储按变体清单）及包含它的网段条目；
+ * 按 cidr / provider / 年龄清除（条件为「且」）；预热经 GeoLookup 并发受限、已新鲜的条目不重复查询；
+ * 端点需管理员密钥，校验失败 400。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import '../setup.js';
+import { CacheIndex } from '../../src/services/cacheIndex.js';
+import { MemoryCacheStore } from '../../src/services/cacheStore.js';
+import { PrefixCache } from '../../src/services/prefixCache.js';
+import { GeoLookup, geoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+const ADMIN_KEY = 'test-admin-key-12345';
+
+// 模拟跨 isolate 的共享存储（非 MemoryCacheStore 即按共享处理），记录每次存储操作
+class SharedStore {
+  constructor() {
+    this.inner = new MemoryCacheStore();
+    this.ops = [];
+  }
+  get(key) {
+    this.ops.push('get');
+    return this.inner.get(key);
+  }
+  set(key, value, options) {
+    this.ops.push('set');
+    return this.inner.set(key, value, options);
+  }
+  delete(key) {
+    this.ops.push('delete');
+    return this.inner.delete(key);
+  }
+  clear() {
+    return this.inner.clear();
+  }
+  getStats() {
+    return { ...this.inner.getStats(), store: 'shared' };
+  }
+}
+
+describe('CacheIndex', () => {
+  it('按 IP 归集键，命中计数与热点排序', () => {
+    const index = new CacheIndex();
+    index.record('8.8.8.8:', { ip: '8.8.8.8', storedAt: 0, provider: 'MaxMind' });
+    index.record('8.8.8.8:language=de', { ip: '8.8.8.8', storedAt: 0, provider: 'MaxMind' });
+    index.record('1.1.1.1:', { ip: '1.1.1.1', storedAt: 0, provider: 'IPInfo' });
+    index.touch('1.1.1.1:', { ip: '1.1.1.1', storedAt: 0 });
+    index.touch('1.1.1.1:', { ip: '1.1.1.1', storedAt: 0 });
+    index.touch('8.8.8.8:', { ip: '8.8.8.8', storedAt: 0 });
+
+    expect(index.keysForIp('8.8.8.8')).toEqual(['8.8.8.8:', '8.8.8.8:language=de']);
+    expect(index.hottest(5).map((e) => [e.key, e.hits])).toEqual([['1.1.1.1:', 2], ['8.8.8.8:', 1]]);
+    index.remove('8.8.8.8:');
+    index.remove('8.8.8.8:language=de');
+    expect(index.byIp.has('8.8.8.8')).toBe(false);
+  });
+
+  it('条件筛选与年龄分桶；超出容量淘汰最久未触及', () => {
+    const index = new CacheIndex({ maxSize: 3 });
+    index.record('a', { ip: '8.8.8.8', storedAt: 0, provider: 'MaxMind' });
+    index.record('b', { ip: '8.8.4.4', storedAt: 3100000, provider: 'IPInfo' });
+    index.record('c', { ip: '1.1.1.1', storedAt: 3500000, provider: 'MaxMind' });
+
+    const now = 3600000;
+    expect(index.match({ cidr: '8.8.0.0/16' }, now)).toEqual(['a', 'b']);
+    expect(index.match({ cidr: '8.8.0.0/16', provider: 'MaxMind' }, now)).toEqual(['a']);
+    expect(index.match({ olderThanMs: 600000 }, now)).toEqual(['a']);
+    expect(index.ageHistogram(now).filter((b) => b.count > 0)).toEqual([
+      { le: 300000, count: 1 },
+      { le: 900000, count: 1 },
+      { le: 3600000, count: 1 }
+    ]);
+
+    index.touch('a', { ip: '8.8.8.8', storedAt: 0 });
+    index.record('d', { ip: '9.9.9.9', storedAt: now });
+    expect([...index.entries.keys()]).toEqual(['c', 'a', 'd']);
+  });
+});
+
+describe('PrefixCache.purge', () => {
+  it('按包含 IP / 重叠网段 / provider / 年龄清除', () => {
+    let now = 0;
+    const cache = new PrefixCache({ ttl: 60000 }, () => now);
+    cache.set('8.8.8.8', '8.8.8.0/24', {}, { provider: 'MaxMind' });
+    cache.set('8.8.4.4', '8.8.4.0/24', {}, { provider: 'IPInfo' });
+    now = 10000;
+    cache.set('1.1.1.1', '1.1.0.0/16', {}, { provider: 'MaxMind' });
+
+    expect(cache.purge({ cidr: '1.1.1.0/24' })).toBe(1);
+    expect(cache.purge({ cidr: '8.0.0.0/8', provider: 'IPInfo' })).toBe(1);
+    expect(cache.purge({ olderThanMs: 20000 })).toBe(0);
+    expect(cache.purge({ ip: '8.8.8.200' })).toBe(1);
+    expect(cache.getStats().size).toBe(0);
+    expect(cache.get('8.8.8.8')).toBeNull();
+  });
+});
+
+describe('GeoLookup 缓存管理', () => {
+  function setup() {
+    const calls = [];
+    const lookup = new GeoLookup({
+      providers: [{
+        name: 'upstream',
+        ProviderClass: class extends BaseProvider {
+          constructor() {
+            super('Upstream', { priority: 80 });
+          }
+          async fetch(ip) {
+            calls.push(ip);
+            return createGeoData({ ip, country: { code: 'NL' } });
+          }
+        }
+      }],
+      prefixCache: new PrefixCache()
+    });
+    return { lookup, calls };
+  }
+
+  it('inspectCache：统计、热点键与年龄分桶', async() => {
+    const { lookup } = setup();
+    await lookup.get('8.8.8.8', null, {});
+    await lookup.get('8.8.8.8', null, {});
+    await lookup.get('9.9.9.9', null, { language: 'de' });
+
+    const { result, prefix } = lookup.inspectCache();
+    expect(result).toMatchObject({ store: 'memory', size: 2, indexed: 2, hits: 1 });
+    expect(result.hottest).toEqual([{ key: '8.8.8.8:', ip: '8.8.8.8', provider: 'Upstream', hits: 1 }]);
+    expect(result.ageHistogram[0]).toEqual({ le: 60000, count: 2 });
+    expect(prefix.size).toBe(2);
+    lookup.destroy();
+  });
+
+  it('evictIp 删除全部选项变体与网段条目，下次重新查询', async() => {
+    const { lookup, calls } = setup();
+    await lookup.get('8.8.8.8', null, {});
+    await lookup.get('::ffff:8.8.8.8', null, { language: 'de' });
+    expect(calls).toEqual(['8.8.8.8', '8.8.8.8']);
+
+    expect(await lookup.evictIp('8.8.8.8')).toEqual({ result: 2, prefix: 2 });
+    expect(lookup.getStats().cache.size).toBe(0);
+    await lookup.get('8.8.8.8', null, {});
+    expect(calls).toHaveLength(3);
+    lookup.destroy();
+  });
+
+  it('evictIp 按共享存储中的变体清单删除其他实例写入、本实例索引未见的条目', async() => {
+    const store = new SharedStore();
+    const { lookup: writer } = setup();
+    writer.cache.store = store;
+    await writer.get('8.8.8.8', null, { language: 'zh', includeThreat: true });
+    await writer.get('8.8.8.8', null, { language: 'en-US' });
+    await writer.get('8.8.8.8', null, { language: 'en-US' });
+
+    const { lookup: admin, calls } = setup();
+    admin.cache.store = store;
+    expect(admin.cache.index.keysForIp('8.8.8.8')).toEqual([]);
+    store.ops.length = 0;
+    expect((await admin.evictIp('8.8.8.8')).result).toBe(2);
+    // 1 次读清单 + 2 个变体 + 清单本身，不再逐个探测确定性变体
+    expect(store.ops).toEqual(['get', 'delete', 'delete', 'delete']);
+    expect(await store.get(writer.cache.storeKey('8.8.8.8:includeThreat=true|language=zh'))).toBeNull();
+    expect(await store.get(writer.cache.storeKey('8.8.8.8:language=en-US'))).toBeNull();
+    await admin.get('8.8.8.8', null, { language: 'zh', includeThreat: true });
+    expect(calls).toEqual(['8.8.8.8']);
+    writer.destroy();
+    admin.destroy();
+  });
+
+  it('memory 存储不写变体清单，evictIp 只按索引删除', async() => {
+    const { lookup } = setup();
+    await lookup.get('8.8.8.8', null, {});
+    expect(lookup.getStats().cache.size).toBe(1);
+    expect(await lookup.cache.store.get(lookup.cache.variantsKey('8.8.8.8'))).toBeNull();
+    lookup.destroy();
+  });
+
+  it('purgeCache 按 cidr 清除，其余条目保留', async() => {
+    const { lookup } = setup();
+    await lookup.get('8.8.8.8', null, {});
+    await lookup.get('1.1.1.1', null, {});
+
+    expect(await lookup.purgeCache({ cidr: '8.8.0.0/16' })).toEqual({ result: 1, prefix: 1 });
+    expect(await lookup.purgeCache({ provider: 'Other' })).toEqual({ result: 0, prefix: 0 });
+    expect((await lookup.get('1.1.1.1', null, {})).cached).toBe(true);
+    lookup.destroy();
+  });
+
+  it('warmCache 并发受限，已缓存的 IP 不重复查询', async() => {
+    const { lookup, calls } = setup();
+    await lookup.get('8.8.8.8', null, {});
+    let active = 0;
+    let peak = 0;
+    const original = lookup.resolveFromProviders.bind(lookup);
+    vi.spyOn(lookup, 'resolveFromProviders').mockImplementation(async(...args) => {
+      peak = Math.max(peak, ++active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+      return original(...args);
+    });
+
+    const summary = await lookup.warmCache(['8.8.8.8', '1.0.0.1', '2.0.0.1', '3.0.0.1', '4.0.0.1'], {}, 2);
+    expect(summary).toEqual({ total: 5, fetched: 4, cached: 1, noData: 0, failed: [] });
+    expect(peak).toBe(2);
+    expect(calls).toHaveLength(5);
+    lookup.destroy();
+  });
+});
+
+describe('/api/v1/system/cache*', () => {
+  const admin = { 'X-API-Key': ADMIN_KEY, 'Content-Type': 'application/json' };
+  const req = async(path, init = {}) => {
+    const res = await app.fetch(new Request(`https://example.test${path}`, { headers: admin, ...init }));
+    return { status: res.status, body: await res.json() };
+  };
+  const post = (path, body) => req(path, { method: 'POST', body: JSON.stringify(body) });
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('GET 返回各层视图；非管理员 403', async() => {
+    const { status, body } = await req('/api/v1/system/cache?limit=3');
+    expect(status).toBe(200);
+    expect(body.data.result).toHaveProperty('hottest');
+    expect(body.data.result).toHaveProperty('ageHistogram');
+    expect(body.links.purge.href).toContain('/api/v1/system/cache:purge');
+
+    const user = await app.fetch(new Request('https://example.test/api/v1/system/cache', {
+      headers: { 'X-API-Key': 'sk-test-1234567890abcdef' }
+    }));
+    expect(user.status).toBe(403);
+  });
+
+  it('DELETE 按规范 IP 删除；无效 IP 400', async() => {
+    const spy = vi.spyOn(geoLookup, 'evictIp').mockResolvedValue({ result: 1, prefix: 0 });
+    const { status, body } = await req('/api/v1/system/cache/ips/::ffff:8.8.8.8', { method: 'DELETE' });
+    expect(status).toBe(200);
+    expect(body.data).toEqual({ ip: '8.8.8.8', removed: { result: 1, prefix: 0 } });
+    expect(spy.mock.calls[0][0]).toBe('8.8.8.8');
+
+    expect((await req('/api/v1/system/cache/ips/not-an-ip', { method: 'DELETE' })).status).toBe(400);
+  });
+
+  it('cache:purge 转换条件；空条件、无效 CIDR、未知字段 400', async() => {
+    const spy = vi.spyOn(geoLookup, 'purgeCache').mockResolvedValue({ result: 3, prefix: 1 });
+    const { status, body } = await post('/api/v1/system/cache:purge', { cidr: '8.8.0.0/16', olderThanSeconds: 60 });
+    expect(status).toBe(200);
+    expect(body.data.removed).toEqual({ result: 3, prefix: 1 });
+    expect(spy.mock.calls[0][0]).toEqual({ cidr: '8.8.0.0/16', olderThanMs: 60000 });
+
+    expect((await post('/api/v1/system/cache:purge', {})).status).toBe(400);
+    expect((await post('/api/v1/system/cache:purge', { cidr: '8.8.0.0/99' })).status).toBe(400);
+    expect((await post('/api/v1/system/cache:purge', { all: true })).status).toBe(400);
+  });
+
+  it('cache:warm 去重后经 GeoLookup 预取；无效 IP、私有/保留地址或超出并发上限 400', async() => {
+    const get = vi.spyOn(geoLookup, 'get').mockImplementation(async(ip) => (
+      ip === '1.1.1.1' ? { ...createGeoData({ ip }), cached: true } : createGeoData({ ip })
+    ));
+    const { status, body } = await post('/api/v1/system/cache:warm', {
+      ips: ['8.8.8.8', '::ffff:8.8.8.8', '1.1.1.1'],
+      language: 'de',
+      concurrency: 2
+    });
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({ action: 'warm', total: 2, fetched: 1, cached: 1, failed: [] });
+    expect(get.mock.calls.map(([ip, , options]) => [ip, options.language]))
+      .toEqual([['8.8.8.8', 'de'], ['1.1.1.1', 'de']]);
+
+    expect((await post('/api/v1/system/cache:warm', { ips: ['nope'] })).status).toBe(400);
+    for (const blocked of ['10.0.0.1', '::ffff:127.0.0.1', '169.254.169.254', 'fe80::1']) {
+      expect((await post('/api/v1/system/cache:warm', { ips: ['8.8.8.8', blocked] })).status).toBe(400);
+    }
+    expect((await post('/api/v1/system/cache:warm', { ips: ['8.8.8.8'], concurrency: 50 })).status).toBe(400);
+  });
+});
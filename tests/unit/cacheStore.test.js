@@ -0,0 +1,269 @@
+/**
+ * 🗄️ CacheStore 后端测试
+ *
+ * KV 命名空间与 Cache API 用内存替身（只实现所用方法），file 写入临时目录。
+ * 锁定：各后端 get / set / delete / clear 与到期；createCacheStore 按配置选择、不可用时回退 memory；
+ * GeoLookup 按 config.cache.store 绑定 KV，新实例（模拟 isolate 回收）命中前一实例写入的结果，
+ * KV 键名为加 salt 的哈希、不含明文 IP。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import '../setup.js';
+import {
+  MemoryCacheStore,
+  KvCacheStore,
+  CacheApiStore,
+  FileCacheStore,
+  createCacheStore
+} from '../../src/services/cacheStore.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+import { configManager } from '../../src/config/configManager.js';
+
+function fakeKv() {
+  const data = new Map();
+  return {
+    data,
+    puts: [],
+    async get(key, type) {
+      const raw = data.get(key);
+      return raw === undefined ? null : type === 'json' ? JSON.parse(raw) : raw;
+    },
+    async put(key, value, options) {
+      this.puts.push({ key, options });
+      data.set(key, value);
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list({ prefix }) {
+      const keys = [...data.keys()].filter((k) => k.startsWith(prefix)).map((name) => ({ name }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+function fakeCacheApi() {
+  const data = new Map();
+  return {
+    data,
+    async match(url) {
+      return data.get(url)?.clone() ?? null;
+    },
+    async put(url, response) {
+      data.set(url, response);
+    },
+    async delete(url) {
+      return data.delete(url);
+    }
+  };
+}
+
+describe('MemoryCacheStore', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('LRU 淘汰与 ttlMs 到期', async() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1000);
+    const store = new MemoryCacheStore({ maxSize: 2 });
+    await store.set('a', 1, { ttlMs: 500 });
+    await store.set('b', 2);
+    expect(await store.get('a')).toEqual({ value: 1, storedAt: 1000 });
+    await store.set('c', 3);
+    expect(await store.get('b')).toBeNull();
+
+    vi.setSystemTime(1500);
+    expect(await store.get('a')).toBeNull();
+    expect(store.getStats()).toEqual({ store: 'memory', size: 1, maxSize: 2 });
+  });
+});
+
+describe('KvCacheStore', () => {
+  it('带前缀 JSON 存取，expirationTtl 不低于 60 秒，clear 只删本前缀', async() => {
+    const kv = fakeKv();
+    kv.data.set('other:x', '"keep"');
+    const store = new KvCacheStore(kv, { prefix: 'geo:' });
+
+    await store.set('8.8.8.8:', { country: 'US' }, { ttlMs: 5000 });
+    await store.set('1.1.1.1:', { country: 'AU' }, { ttlMs: 7200000 });
+    expect(kv.puts.map((p) => p.options.expirationTtl)).toEqual([60, 7200]);
+    expect((await store.get('8.8.8.8:')).value).toEqual({ country: 'US' });
+    expect(await store.get('9.9.9.9:')).toBeNull();
+
+    await store.clear();
+    expect([...kv.data.keys()]).toEqual(['other:x']);
+  });
+});
+
+describe('CacheApiStore', () => {
+  it('以合成 URL 为键，max-age 取 ttlMs', async() => {
+    const cache = fakeCacheApi();
+    const store = new CacheApiStore(cache);
+    await store.set('2001:db8::1:language=en', { ok: true }, { ttlMs: 90000 });
+
+    const [url, response] = [...cache.data.entries()][0];
+    expect(url).toBe('https://geo-cache.internal/2001%3Adb8%3A%3A1%3Alanguage%3Den');
+    expect(response.headers.get('Cache-Control')).toBe('max-age=90');
+    expect((await store.get('2001:db8::1:language=en')).value).toEqual({ ok: true });
+
+    await store.delete('2001:db8::1:language=en');
+    expect(await store.get('2001:db8::1:language=en')).toBeNull();
+  });
+
+  it('clear 删除本实例写入过的键（有上限）并告警，其他来源的条目保留', async() => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = fakeCacheApi();
+    cache.data.set('https://geo-cache.internal/foreign', new Response('{}'));
+    const store = new CacheApiStore(cache, { maxTracked: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.set('c', 3);
+
+    expect(await store.clear()).toBe(2);
+    expect([...cache.data.keys()]).toEqual(['https://geo-cache.internal/foreign', 'https://geo-cache.internal/a']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
+
+describe('FileCacheStore', () => {
+  let dir;
+
+  beforeEach(async() => {
+    dir = await mkdtemp(join(tmpdir(), 'geo-cache-'));
+  });
+
+  afterEach(async() => {
+    vi.useRealTimers();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('每键一个 JSON 文件，跨实例可读，到期删除', async() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1000);
+    const target = join(dir, 'nested');
+    await new FileCacheStore(target).set('8.8.8.8:', { country: 'US' }, { ttlMs: 1000 });
+    expect(await readdir(target)).toHaveLength(1);
+
+    const reopened = new FileCacheStore(target);
+    expect(await reopened.get('8.8.8.8:')).toEqual({ value: { country: 'US' }, storedAt: 1000 });
+    expect(await reopened.get('1.1.1.1:')).toBeNull();
+
+    vi.setSystemTime(2000);
+    expect(await reopened.get('8.8.8.8:')).toBeNull();
+    expect(await readdir(target)).toHaveLength(0);
+  });
+
+  it('clear 删除目录内全部条目', async() => {
+    const store = new FileCacheStore(dir);
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.clear();
+    expect(await store.get('a')).toBeNull();
+    expect(await readdir(dir)).toHaveLength(0);
+  });
+});
+
+describe('createCacheStore', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('按配置选择后端，KV 绑定取自 env', () => {
+    const kv = fakeKv();
+    expect(createCacheStore({}).name).toBe('memory');
+    expect(createCacheStore({ store: 'kv', kvBinding: 'GEO' }, { GEO: kv }).kv).toBe(kv);
+    expect(createCacheStore({ store: 'file', fileDir: join(tmpdir(), 'unused') }).name).toBe('file');
+  });
+
+  it('后端不可用时告警并回退 memory', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(createCacheStore({ store: 'kv', kvBinding: 'MISSING' }, {}).name).toBe('memory');
+    expect(createCacheStore({ store: 'cache-api' }).name).toBe('memory');
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('GeoLookup 使用共享存储', () => {
+  const setup = (calls) => new GeoLookup({
+    providers: [{
+      name: 'upstream',
+      ProviderClass: class extends BaseProvider {
+        constructor() {
+          super('Upstream', { priority: 80 });
+        }
+        async fetch(ip) {
+          calls.push(ip);
+          return createGeoData({ ip, country: { code: 'NL' } });
+        }
+      }
+    }]
+  });
+
+  beforeEach(async() => {
+    await configManager.initialize();
+  });
+
+  afterEach(() => {
+    configManager.set('cache.store', 'memory');
+  });
+
+  it('config.cache.store=kv：新实例命中前一实例写入的结果', async() => {
+    configManager.set('cache.store', 'kv');
+    const env = { GEO_CACHE: fakeKv() };
+    const calls = [];
+
+    const first = setup(calls);
+    expect((await first.get('198.51.100.10', null, { env })).cached).toBeUndefined();
+    first.destroy();
+
+    const recycled = setup(calls);
+    const hit = await recycled.get('198.51.100.10', null, { env });
+    expect(hit).toMatchObject({ cached: true, country: { code: 'NL' } });
+    expect(calls).toEqual(['198.51.100.10']);
+    expect(recycled.getStats().cache).toMatchObject({ store: 'kv', size: null, hits: 1 });
+    recycled.destroy();
+  });
+
+  it('KV 键名为 cache.salt 哈希，不含明文 IP；salt 不同则互不命中', async() => {
+    configManager.set('cache.store', 'kv');
+    const env = { GEO_CACHE: fakeKv() };
+    const calls = [];
+
+    const first = setup(calls);
+    await first.get('198.51.100.10', null, { env, language: 'en' });
+    // 结果条目 + 该 IP 的变体清单（见 ResultCache.recordVariant），键名均为哈希
+    const names = [...env.GEO_CACHE.data.keys()];
+    expect(names).toHaveLength(2);
+    names.forEach((name) => expect(name).toMatch(/^geo:[0-9a-f]{16}$/));
+    expect(first.cache.index.keysForIp('198.51.100.10')).toEqual(['198.51.100.10:language=en']);
+    first.destroy();
+
+    configManager.set('cache.salt', 'rotated-salt');
+    const rotated = setup(calls);
+    expect((await rotated.get('198.51.100.10', null, { env, language: 'en' })).cached).toBeUndefined();
+    expect(calls).toHaveLength(2);
+    expect(env.GEO_CACHE.data.size).toBe(4);
+    rotated.destroy();
+  });
+
+  it('存储故障按未命中处理，不影响查询', async() => {
+    const calls = [];
+    const lookup = setup(calls);
+    lookup.cache.store = {
+      get: async() => { throw new Error('kv down'); },
+      set: async() => { throw new Error('kv down'); },
+      clear: async() => {},
+      getStats: () => ({ store: 'kv', size: null, maxSize: null })
+    };
+    lookup._storeSelected = true;
+    expect((await lookup.get('198.51.100.10', null, {})).country.code).toBe('NL');
+    expect(lookup.getStats().cache).toMatchObject({ misses: 1, errors: 2 });
+    lookup.destroy();
+  });
+});
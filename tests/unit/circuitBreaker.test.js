@@ -0,0 +1,192 @@
+/**
+ * 🔌 Provider 熔断器测试
+ *
+ * 单元：按 ProviderErrorCode 选择熔断策略（AUTH 长熔断 / RATE_LIMITED 遵循 Retry-After /
+ * 超时累计后 half-open 探测）。集成：GeoLookup 对熔断中的 provider 不再发请求，状态出现在 getStats()。
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CircuitBreaker, CircuitState } from '../../src/services/circuitBreaker.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import {
+  BaseProvider,
+  ProviderError,
+  ProviderErrorCode,
+  parseRetryAfter
+} from '../../src/providers/BaseProvider.js';
+
+function clock(start = 1_000_000) {
+  const fn = () => fn.t;
+  fn.t = start;
+  return fn;
+}
+
+const err = (code, extra = {}) => Object.assign(new ProviderError(code, 'Fake', 'boom'), extra);
+
+describe('CircuitBreaker', () => {
+  it('AUTH_FAILURE 立即长时间熔断', () => {
+    const now = clock();
+    const b = new CircuitBreaker('Fake', { authOpenMs: 600000 }, now);
+    b.recordFailure(err(ProviderErrorCode.AUTH_FAILURE));
+    expect(b.allowRequest()).toBe(false);
+    now.t += 599999;
+    expect(b.allowRequest()).toBe(false);
+    now.t += 1;
+    expect(b.allowRequest()).toBe(true);
+    expect(b.state).toBe(CircuitState.HALF_OPEN);
+  });
+
+  it('RATE_LIMITED 按 Retry-After 熔断，缺省用 rateLimitOpenMs，且受 maxOpenMs 限制', () => {
+    const now = clock();
+    const b = new CircuitBreaker('Fake', { rateLimitOpenMs: 60000, maxOpenMs: 120000 }, now);
+    b.recordFailure(err(ProviderErrorCode.RATE_LIMITED, { retryAfterMs: 5000 }));
+    expect(b.getState().retryInMs).toBe(5000);
+
+    b.recordFailure(err(ProviderErrorCode.RATE_LIMITED));
+    expect(b.getState().retryInMs).toBe(60000);
+
+    b.recordFailure(err(ProviderErrorCode.RATE_LIMITED, { retryAfterMs: 86400000 }));
+    expect(b.getState().retryInMs).toBe(120000);
+  });
+
+  it('超时累计到阈值才熔断；到期 half-open 仅放行一个探测', () => {
+    const now = clock();
+    const b = new CircuitBreaker('Fake', { failureThreshold: 3, openMs: 10000 }, now);
+    b.recordFailure(err(ProviderErrorCode.TIMEOUT));
+    b.recordFailure(err(ProviderErrorCode.TIMEOUT));
+    expect(b.allowRequest()).toBe(true);
+    b.recordFailure(err(ProviderErrorCode.TIMEOUT));
+    expect(b.allowRequest()).toBe(false);
+
+    now.t += 10000;
+    expect(b.getState().state).toBe(CircuitState.HALF_OPEN);
+    expect(b.allowRequest()).toBe(true);
+    expect(b.allowRequest()).toBe(false); // 探测名额已占用
+  });
+
+  it('half-open 探测失败重新熔断，成功则闭合并清零', () => {
+    const now = clock();
+    const b = new CircuitBreaker('Fake', { failureThreshold: 1, openMs: 1000 }, now);
+    b.recordFailure(err(ProviderErrorCode.NETWORK_FAILURE));
+    now.t += 1000;
+    expect(b.allowRequest()).toBe(true);
+    b.recordFailure(err(ProviderErrorCode.TIMEOUT));
+    expect(b.getState().state).toBe(CircuitState.OPEN);
+
+    now.t += 1000;
+    expect(b.allowRequest()).toBe(true);
+    b.recordSuccess();
+    expect(b.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0, lastErrorCode: 'TIMEOUT' });
+  });
+
+  it('releaseProbe 归还 half-open 探测名额，不改变状态；closed 时无副作用', () => {
+    const now = clock();
+    const b = new CircuitBreaker('Fake', { failureThreshold: 1, openMs: 1000 }, now);
+    b.releaseProbe();
+    expect(b.getState().state).toBe(CircuitState.CLOSED);
+
+    b.recordFailure(err(ProviderErrorCode.TIMEOUT));
+    now.t += 1000;
+    expect(b.allowRequest()).toBe(true);
+    expect(b.allowRequest()).toBe(false);
+    b.releaseProbe();
+    expect(b.state).toBe(CircuitState.HALF_OPEN);
+    expect(b.allowRequest()).toBe(true);
+  });
+});
+
+describe('BaseProvider.httpError / parseRetryAfter', () => {
+  const provider = new BaseProvider('Fake');
+  const response = (status, headers = {}) => ({ status, statusText: '', headers: new Headers(headers) });
+
+  it('按状态码映射错误码', () => {
+    expect(provider.httpError(response(401), 'op').code).toBe(ProviderErrorCode.AUTH_FAILURE);
+    expect(provider.httpError(response(403), 'op').code).toBe(ProviderErrorCode.AUTH_FAILURE);
+    const upstream = provider.httpError(response(503), 'op');
+    expect(upstream.code).toBe(ProviderErrorCode.UPSTREAM_ERROR);
+    expect(upstream.retryable).toBe(true);
+    expect(upstream.httpStatus).toBe(503);
+  });
+
+  it('429 携带 Retry-After（秒或 HTTP 日期）', () => {
+    expect(provider.httpError(response(429, { 'retry-after': '30' }), 'op').retryAfterMs).toBe(30000);
+    expect(parseRetryAfter(new Date(61000).toUTCString(), 1000)).toBe(60000);
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('GeoLookup — provider 熔断', () => {
+  function makeProvider(error) {
+    const calls = { count: 0 };
+    class FailingProvider extends BaseProvider {
+      constructor() {
+        super('Failing', { priority: 60, tier: 'async' });
+      }
+      async fetch() {
+        calls.count++;
+        throw error;
+      }
+    }
+    return { FailingProvider, calls };
+  }
+
+  it('AUTH_FAILURE 后不再调用该 provider，熔断状态出现在 getStats()', async() => {
+    const { FailingProvider, calls } = makeProvider(err(ProviderErrorCode.AUTH_FAILURE));
+    const geo = new GeoLookup({ providers: [{ ProviderClass: FailingProvider }] });
+
+    await geo.get('203.0.113.1', null, {});
+    await geo.get('203.0.113.2', null, {});
+    expect(calls.count).toBe(1);
+
+    const [state] = geo.getStats().circuitBreakers;
+    expect(state).toMatchObject({ name: 'Failing', state: 'open', lastErrorCode: 'AUTH_FAILURE' });
+    expect(state.totals.rejected).toBe(1);
+    geo.destroy();
+  });
+
+  it('未分类的普通错误经 provider.classify 归类后计入熔断', async() => {
+    const { FailingProvider, calls } = makeProvider(new Error('provider timeout after 5000ms'));
+    const geo = new GeoLookup({ providers: [{ ProviderClass: FailingProvider }] });
+
+    for (let i = 1; i <= 4; i++) {
+      await geo.get(`203.0.113.${i}`, null, {});
+    }
+    expect(calls.count).toBe(3); // 默认阈值 3 次后熔断
+    expect(geo.getStats().circuitBreakers[0].lastErrorCode).toBe('TIMEOUT');
+    geo.destroy();
+  });
+
+  it('half-open 探测被中止后归还名额，下一次探测成功即恢复', async() => {
+    let hang = true;
+    class FlakyProvider extends BaseProvider {
+      constructor() {
+        super('Flaky', { priority: 60, tier: 'async' });
+      }
+      fetch(ip) {
+        if (!hang) {
+          return Promise.resolve({ ip });
+        }
+        return new Promise(() => {});
+      }
+    }
+    const geo = new GeoLookup({ providers: [{ ProviderClass: FlakyProvider }] });
+    const provider = new FlakyProvider();
+    const now = clock();
+    const breaker = new CircuitBreaker('Flaky', { failureThreshold: 1, openMs: 1000 }, now);
+    breaker.recordFailure(err(ProviderErrorCode.TIMEOUT));
+    now.t += 1000;
+    expect(breaker.allowRequest()).toBe(true);
+
+    const controller = new AbortController();
+    const probe = geo.runAsyncProvider(provider, '203.0.113.1', { signal: controller.signal }, breaker);
+    controller.abort();
+    await expect(probe).rejects.toBeDefined();
+    expect(breaker.getState()).toMatchObject({ state: 'half-open', totals: { failures: 1 } });
+
+    hang = false;
+    expect(breaker.allowRequest()).toBe(true);
+    await geo.runAsyncProvider(provider, '203.0.113.1', {}, breaker);
+    expect(breaker.getState().state).toBe(CircuitState.CLOSED);
+    geo.destroy();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * 🏷️ ETag 与条件 GET
+ *
+ * 锁定：ETag 剔除易变 meta（requestId / timestamp / cached）后稳定，格式不同则不同；
+ * If-None-Match 命中返回无 body 的 304，优先于 If-Modified-Since；Last-Modified 取缓存条目写入时间；
+ * POST 批量不带 ETag；api.enableETag=false 时关闭。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import '../setup.js';
+import { app } from '../../src/app.js';
+import { geoLookup } from '../../src/services/geoLookup.js';
+import { createGeoData } from '../../src/providers/BaseProvider.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+import {
+  computeETag,
+  etagMatches,
+  isNotModified,
+  notModifiedSince,
+  stableBody
+} from '../../src/utils/conditionalRequest.js';
+
+const STORED_AT = Date.UTC(2026, 0, 15, 8, 30, 15, 500);
+
+describe('conditionalRequest 工具', () => {
+  it('stableBody 只剔除易变 meta 字段', () => {
+    const body = { data: { a: 1 }, meta: { requestId: 'r', timestamp: 't', cached: true, provider: 'x' } };
+    expect(stableBody(body)).toEqual({ data: { a: 1 }, meta: { provider: 'x' } });
+    expect(body.meta.requestId).toBe('r');
+  });
+
+  it('computeETag 为带引号的 32 位 hex，内容类型参与计算', async() => {
+    const etag = await computeETag('{}', 'application/json');
+    expect(etag).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(await computeETag('{}', 'application/json')).toBe(etag);
+    expect(await computeETag('{}', 'text/plain')).not.toBe(etag);
+  });
+
+  it('If-None-Match：* / 列表 / W/ 前缀；If-Modified-Since 按秒比较', () => {
+    expect(etagMatches('*', '"a"')).toBe(true);
+    expect(etagMatches('"x", W/"a"', '"a"')).toBe(true);
+    expect(etagMatches('"x"', '"a"')).toBe(false);
+
+    const since = new Date(STORED_AT).toUTCString();
+    expect(notModifiedSince(since, STORED_AT)).toBe(true);
+    expect(notModifiedSince(since, STORED_AT + 1000)).toBe(false);
+    expect(notModifiedSince('not a date', STORED_AT)).toBe(false);
+
+    // If-None-Match 存在时忽略 If-Modified-Since
+    const headers = { 'If-None-Match': '"x"', 'If-Modified-Since': since };
+    expect(isNotModified((name) => headers[name], { etag: '"a"', lastModified: STORED_AT })).toBe(false);
+  });
+});
+
+describe('路由：ETag / Last-Modified / 304', () => {
+  const headers = { 'X-API-Key': 'sk-test-1234567890abcdef' };
+  const req = (path, extra = {}) => app.fetch(new Request(`https://example.test${path}`, {
+    headers: { ...headers, ...extra }
+  }));
+  const geo = (extra = {}) => ({ ...createGeoData({ ip: '8.8.8.8', country: { code: 'US' } }), ...extra });
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    configManager.set('api.enableETag', true);
+  });
+
+  it('ETag 在新查询与缓存命中间保持不变，Last-Modified 取缓存写入时间', async() => {
+    const spy = vi.spyOn(geoLookup, 'get').mockResolvedValue(geo());
+    const fresh = await req('/api/v1/ips/8.8.8.8');
+    spy.mockResolvedValue(geo({ cached: true, storedAt: STORED_AT }));
+    const cached = await req('/api/v1/ips/8.8.8.8');
+
+    expect(fresh.status).toBe(200);
+    expect(fresh.headers.get('ETag')).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(cached.headers.get('ETag')).toBe(fresh.headers.get('ETag'));
+    expect(cached.headers.get('Last-Modified')).toBe(new Date(STORED_AT).toUTCString());
+    expect((await cached.json()).meta.cached).toBe(true);
+  });
+
+  it('If-None-Match 命中返回无 body 的 304，资源变化后返回 200', async() => {
+    const spy = vi.spyOn(geoLookup, 'get').mockResolvedValue(geo({ cached: true, storedAt: STORED_AT }));
+    const etag = (await req('/api/v1/ips/8.8.8.8')).headers.get('ETag');
+
+    const notModified = await req('/api/v1/ips/8.8.8.8', { 'If-None-Match': etag });
+    expect(notModified.status).toBe(304);
+    expect(await notModified.text()).toBe('');
+    expect(notModified.headers.get('ETag')).toBe(etag);
+    expect(notModified.headers.get('Cache-Control')).toBe('public, max-age=300');
+
+    spy.mockResolvedValue(geo({ country: { code: 'DE' } }));
+    const changed = await req('/api/v1/ips/8.8.8.8', { 'If-None-Match': etag });
+    expect(changed.status).toBe(200);
+    expect(changed.headers.get('ETag')).not.toBe(etag);
+  });
+
+  it('格式不同 ETag 不同', async() => {
+    vi.spyOn(geoLookup, 'get').mockResolvedValue(geo());
+    const json = await req('/api/v1/ips/8.8.8.8');
+    const xml = await req('/api/v1/ips/8.8.8.8?format=xml');
+    expect(xml.status).toBe(200);
+    expect(xml.headers.get('ETag')).not.toBe(json.headers.get('ETag'));
+  });
+
+  it('If-Modified-Since 不早于写入时间时 304', async() => {
+    vi.spyOn(geoLookup, 'get').mockResolvedValue(geo({ cached: true, storedAt: STORED_AT }));
+    const since = await req('/api/v1/ips/8.8.8.8', { 'If-Modified-Since': new Date(STORED_AT).toUTCString() });
+    expect(since.status).toBe(304);
+    const before = await req('/api/v1/ips/8.8.8.8', {
+      'If-Modified-Since': new Date(STORED_AT - 60000).toUTCString()
+    });
+    expect(before.status).toBe(200);
+  });
+
+  it('POST 批量不带 ETag；api.enableETag=false 时 GET 也不带', async() => {
+    vi.spyOn(geoLookup, 'get').mockResolvedValue(geo());
+    const batch = await app.fetch(new Request('https://example.test/api/v1/ips:batch', {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ips: ['8.8.8.8'] })
+    }));
+    expect(batch.status).toBe(200);
+    expect(batch.headers.get('ETag')).toBeNull();
+
+    configManager.set('api.enableETag', false);
+    const res = await req('/api/v1/ips/8.8.8.8', { 'If-None-Match': '*' });
+    expect(res.status).toBe(200);
+    expect(res.headers.get('ETag')).toBeNull();
+  });
+});
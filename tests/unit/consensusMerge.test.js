@@ -0,0 +1,130 @@
+/**
+ * 🗳️ 字段级共识合并测试
+ *
+ * 锁定：国家代码 / 城市 / ASN 加权投票、坐标按距离容差聚类、平票回落优先级、
+ * 逐段 confidence，以及 buildGeoResource 输出 confidence。
+ */
+
+import { describe, it, expect } from 'vitest';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { consensusMerge } from '../../src/services/consensusMerge.js';
+import { buildGeoResource } from '../../src/utils/geoFormatter.js';
+import { createGeoData } from '../../src/providers/BaseProvider.js';
+import { haversineKm } from '../../src/utils/geoMath.js';
+
+const gl = new GeoLookup();
+gl.mergeStrategy = 'consensus';
+const mkProvider = (name, priority) => ({ name, priority });
+const fulfilled = (value) => ({ status: 'fulfilled', value });
+
+const cf = mkProvider('Cloudflare', 100);
+const ipinfo = mkProvider('IPInfo', 60);
+const ipapi = mkProvider('IPApiCom', 50);
+
+describe('haversineKm', () => {
+  it('柏林 → 阿姆斯特丹约 577 km', () => {
+    const km = haversineKm({ latitude: 52.52, longitude: 13.405 }, { latitude: 52.3676, longitude: 4.9041 });
+    expect(km).toBeGreaterThan(570);
+    expect(km).toBeLessThan(585);
+  });
+});
+
+describe('consensusMerge', () => {
+  it('多数来源胜过单个高优先级来源，confidence 反映分歧', () => {
+    const results = [
+      fulfilled(createGeoData({ country: { code: 'DE', name: 'Germany', city: 'Berlin' } })),
+      fulfilled(createGeoData({ country: { code: 'NL', name: 'Netherlands', city: 'Amsterdam' } })),
+      fulfilled(createGeoData({ country: { code: 'nl', city: 'amsterdam', region: 'North Holland' } }))
+    ];
+    const merged = gl.mergeResults(results, [cf, ipinfo, ipapi], '203.0.113.1');
+
+    expect(merged.country).toMatchObject({
+      code: 'NL', name: 'Netherlands', city: 'Amsterdam', region: 'North Holland'
+    });
+    expect(merged.confidence.country).toMatchObject({ score: 0.52, sources: 2, reporting: 3 });
+    expect(merged.confidence.country.city).toMatchObject({ score: 1, sources: 2 });
+  });
+
+  it('平票时高优先级来源胜出；城市不会取自不同意国家的来源', () => {
+    const results = [
+      fulfilled(createGeoData({ country: { code: 'DE' } })),
+      fulfilled(createGeoData({ country: { code: 'NL', city: 'Amsterdam' } }))
+    ];
+    const merged = gl.mergeResults(results, [mkProvider('A', 60), mkProvider('B', 60)], '203.0.113.1');
+    expect(merged.country.code).toBe('DE');
+    expect(merged.country.city).toBeNull();
+    expect(merged.confidence.country.score).toBe(0.5);
+  });
+
+  it('坐标在容差内视为一致，取支持权重最大的点', () => {
+    const results = [
+      fulfilled(createGeoData({ location: { coordinates: { latitude: 52.52, longitude: 13.405 } } })),
+      fulfilled(createGeoData({
+        location: { coordinates: { latitude: 52.37, longitude: 4.9 }, timezone: 'Europe/Amsterdam' }
+      })),
+      fulfilled(createGeoData({ location: { coordinates: { latitude: 52.35, longitude: 4.95 } } }))
+    ];
+    const merged = gl.mergeResults(results, [cf, ipinfo, ipapi], '203.0.113.1');
+    expect(merged.location.coordinates.latitude).toBe(52.37);
+    expect(merged.location.timezone).toBe('Europe/Amsterdam');
+    expect(merged.confidence.location).toMatchObject({ sources: 2, reporting: 3 });
+  });
+
+  it('ASN 投票，organization 与 prefix 来自同意的来源', () => {
+    const results = [
+      fulfilled(createGeoData({ network: { asn: 13335, organization: 'Cloudflare', prefix: '203.0.113.0/24' } })),
+      fulfilled(createGeoData({ network: { asn: 15169, organization: 'Google', prefix: '203.0.112.0/23' } })),
+      fulfilled(createGeoData({ network: { asn: 15169 } }))
+    ];
+    const merged = gl.mergeResults(results, [cf, ipinfo, ipapi], '203.0.113.1');
+    expect(merged.network).toMatchObject({ asn: 15169, organization: 'Google', prefix: '203.0.112.0/23' });
+    expect(merged.provenance.fields['network.prefix']).toBe('IPInfo');
+  });
+
+  it('默认 priority 策略：按优先级填空，不附 confidence', () => {
+    const results = [
+      fulfilled(createGeoData({ network: { asn: 13335, organization: 'Cloudflare' } })),
+      fulfilled(createGeoData({ network: { asn: 15169, organization: 'Google' } })),
+      fulfilled(createGeoData({ network: { asn: 15169 } }))
+    ];
+    const merged = new GeoLookup().mergeResults(results, [cf, ipinfo, ipapi], '203.0.113.1');
+    expect(merged.network).toMatchObject({ asn: 13335, organization: 'Cloudflare' });
+    expect(merged.confidence).toBeUndefined();
+  });
+
+  it('无任何来源报告时不附 confidence', () => {
+    const merged = consensusMerge({ country: {}, location: { coordinates: {} }, network: {} }, []);
+    expect(merged.confidence).toBeUndefined();
+  });
+
+  it('priority 策略保持 basicMerge 行为（无 confidence）', () => {
+    const g = new GeoLookup({ providers: [] });
+    g.mergeStrategy = 'priority';
+    const results = [
+      fulfilled(createGeoData({ country: { code: 'DE' } })),
+      fulfilled(createGeoData({ country: { code: 'NL' } })),
+      fulfilled(createGeoData({ country: { code: 'NL' } }))
+    ];
+    const merged = g.mergeResults(results, [cf, ipinfo, ipapi], '203.0.113.1');
+    expect(merged.country.code).toBe('DE');
+    expect(merged.confidence).toBeUndefined();
+  });
+});
+
+describe('buildGeoResource confidence', () => {
+  it('输出逐段 confidence，缺失段为 null', () => {
+    const resource = buildGeoResource({
+      country: { code: 'NL' },
+      confidence: { country: { score: 0.67, sources: 2, reporting: 3 } }
+    }, '203.0.113.1');
+    expect(resource.confidence).toEqual({
+      country: { score: 0.67, sources: 2, reporting: 3 },
+      location: null,
+      network: null
+    });
+  });
+
+  it('合并结果无 confidence 时资源不含该字段', () => {
+    expect(buildGeoResource({ country: { code: 'NL' } }, '203.0.113.1')).not.toHaveProperty('confidence');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * 🏳️ 国家目录：/api/v1/countries 与 include=countryDetails
+ *
+ * 锁定：元数据数据集与 ISO 3166 名称数据集覆盖同一组代码；条目按 lang 本地化（国家 / 货币 / 语言 / 邻国名称），
+ * 欧盟 / EEA 成员判定；列表可按大洲与成员身份筛选；未知代码 404；地理资源仅在 include=countryDetails 时嵌入。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import '../setup.js';
+import { COUNTRIES } from '../../src/data/countries.js';
+import { COUNTRY_DETAILS, EEA_MEMBERS, EU_MEMBERS } from '../../src/data/countryDetails.js';
+import { describeCountry, listCountries } from '../../src/services/countryCatalog.js';
+import { geoLookup } from '../../src/services/geoLookup.js';
+import { createGeoData } from '../../src/providers/BaseProvider.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+describe('countryDetails 数据集', () => {
+  it('与 ISO 3166 名称数据集代码一致，邻国均为已知代码', () => {
+    expect(Object.keys(COUNTRY_DETAILS).sort()).toEqual(Object.keys(COUNTRIES).sort());
+    for (const [, , , , , neighbours] of Object.values(COUNTRY_DETAILS)) {
+      for (const code of neighbours ? neighbours.split(' ') : []) {
+        expect(COUNTRIES).toHaveProperty(code);
+      }
+    }
+    expect(EU_MEMBERS).toHaveLength(27);
+    expect(EEA_MEMBERS).toHaveLength(30);
+  });
+});
+
+describe('describeCountry / listCountries', () => {
+  it('条目按语言本地化', () => {
+    expect(describeCountry('de', 'fr')).toEqual({
+      code: 'DE',
+      name: 'Allemagne',
+      flag: '🇩🇪',
+      continent: { code: 'EU', name: 'Europe' },
+      capitals: ['Berlin'],
+      currencies: [{ code: 'EUR', name: 'euro', symbol: '€' }],
+      callingCodes: ['+49'],
+      languages: [{ code: 'de', name: 'allemand' }],
+      tlds: ['.de'],
+      membership: { eu: true, eea: true },
+      neighbours: expect.arrayContaining([{ code: 'FR', name: 'France' }, { code: 'PL', name: 'Pologne' }])
+    });
+  });
+
+  it('多首都、多区号；EEA 非欧盟成员', () => {
+    expect(describeCountry('ZA').capitals).toEqual(['Pretoria', 'Bloemfontein', 'Cape Town']);
+    expect(describeCountry('PR').callingCodes).toEqual(['+1787', '+1939']);
+    expect(describeCountry('US').callingCodes).toEqual(['+1']);
+    expect(describeCountry('NO').membership).toEqual({ eu: false, eea: true });
+    expect(describeCountry('AQ')).toMatchObject({ capitals: [], currencies: [], neighbours: [] });
+    expect(describeCountry('ZZ')).toBeNull();
+  });
+
+  it('按大洲与成员身份筛选', () => {
+    expect(listCountries('en')).toHaveLength(250);
+    expect(listCountries('en', { eu: true }).map((c) => c.code)).toEqual([...EU_MEMBERS].sort());
+    const nonEuEea = listCountries('en', { eea: true, eu: false }).map((c) => c.code);
+    expect(nonEuEea).toEqual(['IS', 'LI', 'NO']);
+    expect(listCountries('en', { continent: 'OC' }).every((c) => c.continent.code === 'OC')).toBe(true);
+  });
+});
+
+describe('路由', () => {
+  const headers = { 'X-API-Key': 'sk-test-1234567890abcdef' };
+  const req = (path) => app.fetch(new Request(`https://example.test${path}`, { headers }));
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('GET /api/v1/countries 筛选与校验', async() => {
+    const res = await req('/api/v1/countries?continent=sa&lang=es');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('Cache-Control')).toBe('public, max-age=86400');
+    const { data, links } = await res.json();
+    expect(data.total).toBe(data.countries.length);
+    expect(data.countries.find((c) => c.code === 'BR').name).toBe('Brasil');
+    expect(links.self.href).toContain('/api/v1/countries');
+
+    expect((await req('/api/v1/countries?continent=XX')).status).toBe(400);
+    expect((await req('/api/v1/countries?eu=yes')).status).toBe(400);
+  });
+
+  it('GET /api/v1/countries/:code 大小写不敏感；未知代码 404；需 API 密钥', async() => {
+    const res = await req('/api/v1/countries/jp?lang=zh-CN');
+    expect(res.status).toBe(200);
+    expect((await res.json()).data).toMatchObject({ code: 'JP', name: '日本', currencies: [{ code: 'JPY' }] });
+
+    expect((await req('/api/v1/countries/ZZ')).status).toBe(404);
+    expect((await req('/api/v1/countries/DEU')).status).toBe(404);
+    expect((await app.fetch(new Request('https://example.test/api/v1/countries/DE'))).status).toBe(401);
+  });
+
+  it('include=countryDetails 嵌入国家目录条目；无效 include 400', async() => {
+    vi.spyOn(geoLookup, 'get').mockResolvedValue(createGeoData({ ip: '8.8.8.8', country: { code: 'US' } }));
+
+    const { data } = await (await req('/api/v1/ips/8.8.8.8?include=countryDetails&lang=de')).json();
+    expect(data.countryDetails).toMatchObject({ code: 'US', name: 'Vereinigte Staaten', callingCodes: ['+1'] });
+    expect((await (await req('/api/v1/ips/8.8.8.8')).json()).data).not.toHaveProperty('countryDetails');
+    expect((await req('/api/v1/ips/8.8.8.8?include=everything')).status).toBe(400);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * 🌐 内置 ISO 3166 / 大洲数据集补齐名称
+ *
+ * 锁定：数据集覆盖全部 ISO 3166-1 alpha-2 码且每条名称齐全；请求语言按基础语言解析、不支持时回退英文；
+ * 只填空值不覆盖 provider 值；Cloudflare 的裸大洲码移入 continentCode；GeoLookup 合并后按 options.language 补齐。
+ */
+
+import { describe, it, expect } from 'vitest';
+import '../setup.js';
+import { CONTINENTS, COUNTRIES, COUNTRY_NAME_LANGUAGES } from '../../src/data/countries.js';
+import {
+  continentName,
+  countryName,
+  enrichCountryNames,
+  resolveLanguage
+} from '../../src/services/countryNames.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+
+describe('countries 数据集', () => {
+  it('249 个 ISO 码加 XK，每条含合法大洲码与全部语言名称', () => {
+    expect(Object.keys(COUNTRIES)).toHaveLength(250);
+    for (const [code, [continent, ...names]] of Object.entries(COUNTRIES)) {
+      expect(code).toMatch(/^[A-Z]{2}$/);
+      expect(CONTINENTS).toHaveProperty(continent);
+      expect(names).toHaveLength(COUNTRY_NAME_LANGUAGES.length);
+      expect(names.every((name) => typeof name === 'string' && name.length > 0)).toBe(true);
+    }
+    for (const names of Object.values(CONTINENTS)) {
+      expect(names).toHaveLength(COUNTRY_NAME_LANGUAGES.length);
+    }
+  });
+
+  it('大洲归属与 MaxMind 一致', () => {
+    expect(COUNTRIES.CY[0]).toBe('EU');
+    expect(COUNTRIES.TR[0]).toBe('AS');
+    expect(COUNTRIES.AQ[0]).toBe('AN');
+    expect(COUNTRIES.BR[0]).toBe('SA');
+  });
+});
+
+describe('名称解析', () => {
+  it('区域化标签取基础语言，不支持的语言回退英文', () => {
+    expect(resolveLanguage('zh-CN')).toBe('zh');
+    expect(resolveLanguage('PT-br')).toBe('pt');
+    expect(resolveLanguage('ko')).toBe('en');
+    expect(resolveLanguage(undefined)).toBe('en');
+  });
+
+  it('按语言取国家与大洲名称；未知代码为 null', () => {
+    expect(countryName('de', 'de')).toBe('Deutschland');
+    expect(countryName('JP', 'ja')).toBe('日本');
+    expect(countryName('US', 'zh-CN')).toBe('美国');
+    expect(countryName('ZZ')).toBeNull();
+    expect(continentName('EU', 'fr')).toBe('Europe');
+    expect(continentName('SA', 'ru')).toBe('Южная Америка');
+    expect(continentName(null)).toBeNull();
+  });
+});
+
+describe('enrichCountryNames', () => {
+  it('只填空值，不覆盖 provider 给出的名称', () => {
+    const geo = createGeoData({ country: { code: 'DE', name: 'Germany' } });
+    geo.provenance = { fields: { 'country.name': 'IPInfo', 'country.code': 'IPInfo' } };
+
+    expect(enrichCountryNames(geo, 'de')).toEqual(['country.continentCode', 'country.continent']);
+    expect(geo.country).toMatchObject({ name: 'Germany', continent: 'Europa', continentCode: 'EU' });
+    expect(geo.provenance.fields).toMatchObject({
+      'country.name': 'IPInfo',
+      'country.continent': 'ISO3166',
+      'country.continentCode': 'ISO3166'
+    });
+  });
+
+  it('裸大洲码移入 continentCode 并补名称（Cloudflare）', () => {
+    const geo = createGeoData({ country: { code: 'JP', continent: 'AS' } });
+    geo.provenance = { fields: { 'country.code': 'Cloudflare', 'country.continent': 'Cloudflare' } };
+
+    enrichCountryNames(geo, 'ja');
+    expect(geo.country).toMatchObject({ name: '日本', continent: 'アジア', continentCode: 'AS' });
+    expect(geo.provenance.fields['country.continentCode']).toBe('Cloudflare');
+    expect(geo.provenance.fields['country.continent']).toBe('ISO3166');
+  });
+
+  it('无国家码时不补国家名，仍可按已有大洲码补大洲名', () => {
+    const geo = createGeoData({ country: { continentCode: 'OC' } });
+    expect(enrichCountryNames(geo, 'es')).toEqual(['country.continent']);
+    expect(geo.country).toMatchObject({ name: null, continent: 'Oceanía' });
+    expect(enrichCountryNames(createGeoData({}), 'en')).toEqual([]);
+  });
+});
+
+describe('GeoLookup 合并后补齐', () => {
+  it('按请求语言补齐，缓存键随语言区分', async() => {
+    const lookup = new GeoLookup({
+      providers: [{
+        name: 'codes',
+        ProviderClass: class extends BaseProvider {
+          constructor() {
+            super('Codes', { priority: 80 });
+          }
+          async fetch(ip) {
+            return createGeoData({ ip, country: { code: 'BR', continent: 'SA' } });
+          }
+        }
+      }]
+    });
+
+    const pt = await lookup.get('200.160.2.3', null, { language: 'pt-BR' });
+    expect(pt.country).toMatchObject({ name: 'Brasil', continent: 'América do Sul', continentCode: 'SA' });
+    expect(pt.provenance.fields['country.name']).toBe('ISO3166');
+
+    const zh = await lookup.get('200.160.2.3', null, { language: 'zh' });
+    expect(zh.country).toMatchObject({ name: '巴西', continent: '南美洲' });
+    expect((await lookup.get('200.160.2.3', null, { language: 'pt-BR' })).country.name).toBe('Brasil');
+    lookup.destroy();
+  });
+});
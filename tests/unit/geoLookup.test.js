@@ -64,12 +64,12 @@ describe('GeoLookup — 接口合约', () => {
     expect(g.threatDetector).toBe(detector);
   });
 
-  it('getDefaultProviders 返回模块级注册表（默认 4 个真 provider）', () => {
+  it('getDefaultProviders 返回模块级注册表（默认 5 个真 provider）', () => {
     const providers = getDefaultProviders();
     expect(Array.isArray(providers)).toBe(true);
-    expect(providers.length).toBe(4);
+    expect(providers.length).toBe(5);
     expect(providers.map((p) => p.ProviderClass.name)).toEqual([
-      'CloudflareProvider', 'MaxMindProvider', 'IPInfoProvider', 'IPApiComProvider'
+      'CloudflareProvider', 'MaxMindDatabaseProvider', 'MaxMindProvider', 'IPInfoProvider', 'IPApiComProvider'
     ]);
   });
 
@@ -0,0 +1,290 @@
+/**
+ * 🗺️ 地理围栏
+ *
+ * 锁定：多边形（含洞 / MultiPolygon）、圆、国家 / 大洲码集合三类判定；到边界的大圆距离与定位误差半径 → boundary；
+ * 缺坐标 / 代码时 unknown；memory / KV 存储与不可用时回退；管理员 CRUD（409 / 404 / 403 / 400）；
+ * GET /ips/:ip/geofences 与查询参数 geofences=。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import '../setup.js';
+import { distanceToSegmentKm, pointInRing } from '../../src/utils/geoMath.js';
+import { evaluateGeofence, GeofenceService, geofenceService, geofenceSubject } from '../../src/services/geofences.js';
+import { createGeofenceStore, KvGeofenceStore, MemoryGeofenceStore } from '../../src/services/geofenceStore.js';
+import { geoLookup } from '../../src/services/geoLookup.js';
+import { createGeoData } from '../../src/providers/BaseProvider.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+const PARIS = { latitude: 48.8566, longitude: 2.3522 };
+
+// [lng, lat] 矩形环
+const box = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+const PARIS_BOX = {
+  name: 'paris-box',
+  type: 'polygon',
+  geometry: { type: 'Polygon', coordinates: [box(2, 48, 3, 49)] }
+};
+
+const parisGeo = (accuracy) => createGeoData({
+  ip: '8.8.8.8',
+  country: { code: 'FR', continentCode: 'EU' },
+  location: { coordinates: { ...PARIS, accuracy } }
+});
+
+function fakeKv() {
+  const data = new Map();
+  return {
+    data,
+    lists: 0,
+    async get(key, type) {
+      const raw = data.get(key);
+      return raw === undefined ? null : type === 'json' ? JSON.parse(raw) : raw;
+    },
+    async put(key, value) {
+      data.set(key, value);
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list({ prefix }) {
+      this.lists++;
+      const keys = [...data.keys()].filter((k) => k.startsWith(prefix)).map((name) => ({ name }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+describe('geoMath 线段距离与射线法', () => {
+  it('垂足在线段内取横向距离，否则取端点距离', () => {
+    const a = { latitude: 0, longitude: 0 };
+    const b = { latitude: 0, longitude: 2 };
+    expect(distanceToSegmentKm({ latitude: 1, longitude: 1 }, a, b)).toBeCloseTo(111.2, 0);
+    expect(distanceToSegmentKm({ latitude: 0, longitude: 3 }, a, b)).toBeCloseTo(111.2, 0);
+    expect(distanceToSegmentKm({ latitude: 0, longitude: -1 }, a, b)).toBeCloseTo(111.2, 0);
+  });
+
+  it('pointInRing', () => {
+    expect(pointInRing(PARIS, box(2, 48, 3, 49))).toBe(true);
+    expect(pointInRing({ latitude: 50, longitude: 2.5 }, box(2, 48, 3, 49))).toBe(false);
+  });
+});
+
+describe('evaluateGeofence', () => {
+  it('多边形：包含、到边界距离、误差半径跨越边界为 boundary', () => {
+    const inside = evaluateGeofence(PARIS_BOX, geofenceSubject(parisGeo(10)));
+    expect(inside).toMatchObject({ name: 'paris-box', type: 'polygon', contains: true, status: 'inside' });
+    expect(inside.distanceToEdgeKm).toBeGreaterThan(15);
+    expect(inside.distanceToEdgeKm).toBeLessThan(17);
+
+    expect(evaluateGeofence(PARIS_BOX, geofenceSubject(parisGeo(20)))).toMatchObject({
+      contains: true,
+      status: 'boundary'
+    });
+    // 误差半径未知：按坐标点判定
+    expect(evaluateGeofence(PARIS_BOX, geofenceSubject(parisGeo(undefined))).status).toBe('inside');
+  });
+
+  it('洞内不算包含；MultiPolygon 任一多边形包含即可', () => {
+    const holed = {
+      ...PARIS_BOX,
+      geometry: { type: 'Polygon', coordinates: [box(2, 48, 3, 49), box(2.3, 48.8, 2.4, 48.9)] }
+    };
+    const result = evaluateGeofence(holed, geofenceSubject(parisGeo(1)));
+    expect(result).toMatchObject({ contains: false, status: 'outside' });
+    expect(result.distanceToEdgeKm).toBeLessThan(4);
+
+    const multi = {
+      ...PARIS_BOX,
+      geometry: { type: 'MultiPolygon', coordinates: [[box(-1, 51, 0, 52)], [box(2, 48, 3, 49)]] }
+    };
+    expect(evaluateGeofence(multi, geofenceSubject(parisGeo(1))).contains).toBe(true);
+  });
+
+  it('圆与国家 / 大洲码集合', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    const circle = { name: 'london-400', type: 'circle', center: london, radiusKm: 400 };
+    const result = evaluateGeofence(circle, geofenceSubject(parisGeo(20)));
+    expect(result).toMatchObject({ contains: true, status: 'inside' });
+    expect(result.distanceToEdgeKm).toBeCloseTo(56.4, 0);
+
+    const subject = geofenceSubject(parisGeo(20));
+    const region = (countries, continents) =>
+      evaluateGeofence({ name: 'r', type: 'region', countries, continents }, subject);
+    expect(region(['FR'], [])).toMatchObject({ contains: true, status: 'inside', distanceToEdgeKm: null });
+    expect(region(['DE'], ['OC'])).toMatchObject({ contains: false, status: 'outside' });
+    expect(region(['DE'], ['EU']).contains).toBe(true);
+  });
+
+  it('region 按 ISO 3166-2 行政区码判定；缺行政区码时 unknown', () => {
+    const california = geofenceSubject(createGeoData({
+      ip: '8.8.8.8',
+      country: { code: 'US', regionCode: 'ca', continentCode: 'NA' }
+    }));
+    expect(california.subdivisionCode).toBe('US-CA');
+    const fence = (subdivisions, countries = []) =>
+      ({ name: 'r', type: 'region', countries, subdivisions, continents: [] });
+    expect(evaluateGeofence(fence(['US-CA']), california)).toMatchObject({ contains: true, status: 'inside' });
+    expect(evaluateGeofence(fence(['US-NY']), california)).toMatchObject({ contains: false, status: 'outside' });
+    expect(evaluateGeofence(fence(['FR-IDF']), geofenceSubject(parisGeo(20))).status).toBe('unknown');
+    expect(evaluateGeofence(fence(['FR-IDF'], ['FR']), geofenceSubject(parisGeo(20))).status).toBe('inside');
+  });
+
+  it('缺坐标或代码时 unknown', () => {
+    const subject = geofenceSubject(createGeoData({ ip: '8.8.8.8' }));
+    expect(evaluateGeofence(PARIS_BOX, subject))
+      .toMatchObject({ contains: null, status: 'unknown', distanceToEdgeKm: null });
+    expect(evaluateGeofence({ name: 'r', type: 'region', countries: ['FR'], continents: [] }, subject))
+      .toMatchObject({ contains: null, status: 'unknown' });
+  });
+});
+
+describe('GeofenceStore', () => {
+  it('KV：按前缀存取、列举排序、delete 报告是否存在', async() => {
+    const kv = fakeKv();
+    kv.data.set('other:x', '"keep"');
+    const store = new KvGeofenceStore(kv);
+    await store.put({ name: 'b', type: 'circle' });
+    await store.put({ name: 'a', type: 'circle' });
+
+    expect((await store.list()).map((f) => f.name)).toEqual(['a', 'b']);
+    expect(await store.get('a')).toEqual({ name: 'a', type: 'circle' });
+    expect(await store.delete('a')).toBe(true);
+    expect(await store.delete('a')).toBe(false);
+    await store.clear();
+    expect([...kv.data.keys()]).toEqual(['other:x']);
+  });
+
+  it('缺 KV 绑定时回退 memory', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(createGeofenceStore({ store: 'kv' }, {})).toBeInstanceOf(MemoryGeofenceStore);
+    expect(createGeofenceStore({ store: 'kv', kvBinding: 'FENCES' }, { FENCES: fakeKv() }))
+      .toBeInstanceOf(KvGeofenceStore);
+    warn.mockRestore();
+  });
+
+  it('非 memory 后端的列表在 isolate 内缓存，本地写入时失效', async() => {
+    const kv = fakeKv();
+    const service = new GeofenceService({ store: new KvGeofenceStore(kv) });
+    await service.put({ name: 'a', type: 'circle' });
+    await service.list();
+    await service.list();
+    expect(kv.lists).toBe(1);
+
+    await service.remove('a');
+    expect(await service.list()).toEqual([]);
+    expect(kv.lists).toBe(2);
+    expect(await service.select(['a'])).toEqual({ fences: [], missing: ['a'] });
+  });
+});
+
+describe('路由', () => {
+  const admin = { 'X-API-Key': 'test-admin-key-12345', 'Content-Type': 'application/json' };
+  const user = { 'X-API-Key': 'sk-test-1234567890abcdef', 'Content-Type': 'application/json' };
+  const call = async(path, headers, init = {}) => {
+    const res = await app.fetch(new Request(`https://example.test${path}`, { headers, ...init }));
+    return { status: res.status, body: await res.json() };
+  };
+  const create = (fence) => call('/api/v1/geofences', admin, { method: 'POST', body: JSON.stringify(fence) });
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+    await geofenceService.store.clear();
+    vi.spyOn(geoLookup, 'get').mockResolvedValue(parisGeo(20));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('管理员 CRUD：201 / 409 / 404；普通密钥 403；无效定义 400', async() => {
+    const created = await create({ ...PARIS_BOX, description: 'central Paris' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ name: 'paris-box', description: 'central Paris' });
+    expect(created.body.data.createdAt).toEqual(expect.any(String));
+
+    expect((await create(PARIS_BOX)).status).toBe(409);
+    expect((await call('/api/v1/geofences/paris-box', admin)).body.data.type).toBe('polygon');
+    expect((await call('/api/v1/geofences', admin)).body.data.total).toBe(1);
+    expect((await call('/api/v1/geofences', user)).status).toBe(403);
+
+    const openRing = [[2, 48], [3, 48], [3, 49], [2, 49]];
+    const open = { ...PARIS_BOX, name: 'open', geometry: { type: 'Polygon', coordinates: [openRing] } };
+    expect((await create(open)).status).toBe(400);
+    expect((await create({ name: 'all', type: 'circle', center: PARIS, radiusKm: 5 })).status).toBe(400);
+    expect((await create({ name: 'empty', type: 'region', countries: [] })).status).toBe(400);
+    expect((await create({ name: 'bad', type: 'region', countries: ['ZZ'] })).status).toBe(400);
+    expect((await create({ name: 'bad', type: 'region', subdivisions: ['California'] })).status).toBe(400);
+    const state = await create({ name: 'california', type: 'region', subdivisions: ['us-ca'] });
+    expect(state.status).toBe(201);
+    expect(state.body.data).toMatchObject({ subdivisions: ['US-CA'], countries: [], continents: [] });
+    await call('/api/v1/geofences/california', admin, { method: 'DELETE' });
+
+    expect((await call('/api/v1/geofences/paris-box', admin, { method: 'DELETE' })).body.data).toEqual({
+      name: 'paris-box',
+      deleted: true
+    });
+    expect((await call('/api/v1/geofences/paris-box', admin)).status).toBe(404);
+    expect((await call('/api/v1/geofences/paris-box', admin, { method: 'DELETE' })).status).toBe(404);
+  });
+
+  it('GET /ips/:ip/geofences 汇总 inside / boundary；未知围栏名 400', async() => {
+    await create(PARIS_BOX);
+    await create({ name: 'france', type: 'region', countries: ['fr'] });
+    await create({ name: 'tokyo', type: 'circle', center: { latitude: 35.68, longitude: 139.69 }, radiusKm: 50 });
+
+    const { status, body } = await call('/api/v1/ips/8.8.8.8/geofences', user);
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({
+      ip: '8.8.8.8',
+      accuracyKm: 20,
+      countryCode: 'FR',
+      inside: ['france'],
+      boundary: ['paris-box']
+    });
+    expect(body.data.geofences.map((g) => g.name)).toEqual(['france', 'paris-box', 'tokyo']);
+
+    const picked = await call('/api/v1/ips/8.8.8.8/geofences?names=tokyo', user);
+    expect(picked.body.data.geofences).toEqual([
+      expect.objectContaining({ name: 'tokyo', contains: false, status: 'outside' })
+    ]);
+    expect((await call('/api/v1/ips/8.8.8.8/geofences?names=nope', user)).status).toBe(400);
+  });
+
+  it('查询参数 geofences= 在资源上附带判定块', async() => {
+    await create({ name: 'france', type: 'region', countries: ['FR'] });
+
+    const { body } = await call('/api/v1/ips/8.8.8.8?geofences=all', user);
+    expect(body.data.geofences).toEqual([
+      { name: 'france', type: 'region', contains: true, status: 'inside', distanceToEdgeKm: null }
+    ]);
+    expect((await call('/api/v1/ips/8.8.8.8', user)).body.data).not.toHaveProperty('geofences');
+    expect((await call('/api/v1/ips/8.8.8.8?geofences=france,nope', user)).status).toBe(400);
+    expect((await call('/api/v1/ips/8.8.8.8?geofences=bad%20name', user)).status).toBe(400);
+
+    const batch = await call('/api/v1/ips:batch?geofences=france', user, {
+      method: 'POST',
+      body: JSON.stringify({ ips: ['8.8.8.8'] })
+    });
+    expect(batch.body.data.results[0].data.geofences[0].status).toBe('inside');
+  });
+
+  it('围栏存储故障经 handleError 返回标准错误信封（单个 / 批量 / 判定端点）', async() => {
+    vi.spyOn(geofenceService, 'select').mockRejectedValue(new Error('kv down'));
+    const responses = [
+      await call('/api/v1/ips/8.8.8.8?geofences=all', user),
+      await call('/api/v1/ips:batch?geofences=all', user, {
+        method: 'POST',
+        body: JSON.stringify({ ips: ['8.8.8.8'] })
+      }),
+      await call('/api/v1/ips/8.8.8.8/geofences', user)
+    ];
+    for (const { status, body } of responses) {
+      expect(status).toBe(500);
+      expect(body.error.code).toBe('GEOLOCATION_ERROR');
+    }
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * 🧩 声明式 HTTP Provider 单元测试（mock fetch，不触达真实网络）
+ *
+ * 锁定：URL 模板与鉴权注入、JSON 路径字段映射（含 ASN 字符串）、状态码 → ProviderErrorCode / NO_DATA、
+ * noDataWhen、配置 schema 校验，以及 GeoLookup 从 providers.http 注册（池化、name 冲突跳过）。
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HttpMappingProvider, defineHttpMappingProvider, readPath } from '../../src/providers/httpMapping.js';
+import { ProviderErrorCode } from '../../src/providers/BaseProvider.js';
+import { configSchema } from '../../src/config/configManager.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+
+const definition = {
+  name: 'ipwhois',
+  displayName: 'IPWhois',
+  url: 'https://geo.example.test/v1/{ip}?lang={lang}',
+  priority: 45,
+  timeout: 3000,
+  auth: { secret: 'IPWHOIS_TOKEN', header: 'Authorization', prefix: 'Bearer ' },
+  headers: {},
+  fields: {
+    'country.code': 'country_code',
+    'country.name': 'country',
+    'country.city': 'city',
+    'location.coordinates.latitude': 'geo[0]',
+    'location.coordinates.longitude': 'geo[1]',
+    'location.timezone': 'timezone.id',
+    'network.asn': 'connection.asn',
+    'network.organization': 'connection.org'
+  },
+  statusCodes: { 404: 'NO_DATA', 402: 'RATE_LIMITED' },
+  noDataWhen: { path: 'success', equals: false }
+};
+
+const body = {
+  success: true,
+  country_code: 'US',
+  country: 'United States',
+  city: 'Mountain View',
+  geo: [37.386, -122.0838],
+  timezone: { id: 'America/Los_Angeles' },
+  connection: { asn: 'AS15169', org: 'Google LLC' }
+};
+
+const respond = (status, json = {}, headers = {}) => vi.fn().mockResolvedValue({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: new Headers(headers),
+  json: async() => json
+});
+
+describe('readPath', () => {
+  it('支持点号与数组下标', () => {
+    expect(readPath(body, 'geo[1]')).toBe(-122.0838);
+    expect(readPath(body, 'geo.0')).toBe(37.386);
+    expect(readPath(body, 'timezone.id')).toBe('America/Los_Angeles');
+    expect(readPath(body, 'missing.path')).toBeUndefined();
+  });
+});
+
+describe('HttpMappingProvider', () => {
+  let originalFetch;
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+  });
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('缺少 auth secret 时 isConfigured=false', () => {
+    expect(new HttpMappingProvider({}, definition).isConfigured()).toBe(false);
+    expect(new HttpMappingProvider({ IPWHOIS_TOKEN: 't' }, definition).isConfigured()).toBe(true);
+    expect(new HttpMappingProvider({}, { ...definition, auth: undefined }).isConfigured()).toBe(true);
+  });
+
+  it('按模板构造 URL 并注入鉴权头，字段映射为规范 GeoData', async() => {
+    globalThis.fetch = respond(200, body);
+    const provider = new HttpMappingProvider({ IPWHOIS_TOKEN: 'secret' }, definition);
+    const geo = await provider.fetch('8.8.8.8', { language: 'de' });
+
+    const [url, init] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://geo.example.test/v1/8.8.8.8?lang=de');
+    expect(init.headers.Authorization).toBe('Bearer secret');
+    expect(geo.country).toMatchObject({ code: 'US', name: 'United States', city: 'Mountain View', region: null });
+    expect(geo.location.coordinates).toMatchObject({ latitude: 37.386, longitude: -122.0838 });
+    expect(geo.location.timezone).toBe('America/Los_Angeles');
+    expect(geo.network).toMatchObject({ asn: 15169, organization: 'Google LLC' });
+  });
+
+  it('auth.query 把 secret 写入查询参数（IPv6 经 URL 编码）', async() => {
+    globalThis.fetch = respond(200, body);
+    const provider = new HttpMappingProvider({ KEY: 'k 1' }, {
+      ...definition, auth: { secret: 'KEY', query: 'apiKey' }
+    });
+    await provider.fetch('2001:db8::1', {});
+    expect(globalThis.fetch.mock.calls[0][0]).toBe('https://geo.example.test/v1/2001%3Adb8%3A%3A1?lang=en&apiKey=k+1');
+  });
+
+  it('状态码映射：NO_DATA → null，映射码 → ProviderError，未映射沿用 httpError', async() => {
+    const provider = new HttpMappingProvider({ IPWHOIS_TOKEN: 't' }, definition);
+
+    globalThis.fetch = respond(404);
+    expect(await provider.fetch('8.8.8.8')).toBeNull();
+
+    globalThis.fetch = respond(402, {}, { 'retry-after': '30' });
+    await expect(provider.fetch('8.8.8.8')).rejects.toMatchObject({
+      code: ProviderErrorCode.RATE_LIMITED, httpStatus: 402, retryAfterMs: 30000
+    });
+
+    globalThis.fetch = respond(401);
+    await expect(provider.fetch('8.8.8.8')).rejects.toMatchObject({ code: ProviderErrorCode.AUTH_FAILURE });
+
+    globalThis.fetch = respond(503);
+    await expect(provider.fetch('8.8.8.8')).rejects.toMatchObject({
+      code: ProviderErrorCode.UPSTREAM_ERROR, retryable: true
+    });
+  });
+
+  it('noDataWhen 命中返回 null；非对象响应为 PARSE_ERROR', async() => {
+    const provider = new HttpMappingProvider({ IPWHOIS_TOKEN: 't' }, definition);
+    globalThis.fetch = respond(200, { success: false, message: 'reserved range' });
+    expect(await provider.fetch('8.8.8.8')).toBeNull();
+
+    globalThis.fetch = respond(200, 'nope');
+    await expect(provider.fetch('8.8.8.8')).rejects.toMatchObject({ code: ProviderErrorCode.PARSE_ERROR });
+  });
+});
+
+describe('providers.http 配置', () => {
+  const parse = (defs) => configSchema.shape.providers.shape.http.safeParse(defs);
+
+  it('接受合法定义并补默认值', () => {
+    const result = parse([{ name: 'x', url: 'https://a.test/{ip}', fields: { 'country.code': 'cc' } }]);
+    expect(result.success).toBe(true);
+    expect(result.data[0]).toMatchObject({ priority: 30, timeout: 5000, statusCodes: {} });
+  });
+
+  it('拒绝缺少 {ip}、未知字段目标、未知错误码、无 header/query 的 auth', () => {
+    const base = { name: 'x', url: 'https://a.test/{ip}', fields: { 'country.code': 'cc' } };
+    expect(parse([{ ...base, url: 'https://a.test/' }]).success).toBe(false);
+    expect(parse([{ ...base, fields: { 'country.flag': 'f' } }]).success).toBe(false);
+    expect(parse([{ ...base, statusCodes: { 404: 'GONE' } }]).success).toBe(false);
+    expect(parse([{ ...base, auth: { secret: 'T' } }]).success).toBe(false);
+  });
+});
+
+describe('GeoLookup.registerHttpProviders', () => {
+  it('注册为池化 provider，name 冲突的定义跳过', async() => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const geo = new GeoLookup();
+    geo.registerHttpProviders([definition, { ...definition, name: 'ipinfo' }]);
+
+    expect(geo.providers.map((e) => e.name)).toContain('ipwhois');
+    expect(geo.providers.filter((e) => e.name === 'ipinfo')).toHaveLength(1);
+    expect(warn).toHaveBeenCalled();
+
+    const env = { IPWHOIS_TOKEN: 't' };
+    const first = (await geo.getOptimizedProviders(env)).find((p) => p.name === 'IPWhois');
+    const second = (await geo.getOptimizedProviders(env)).find((p) => p.name === 'IPWhois');
+    expect(first).toBe(second);
+    expect(first.priority).toBe(45);
+    expect((await geo.getOptimizedProviders({})).some((p) => p.name === 'IPWhois')).toBe(false);
+    warn.mockRestore();
+    geo.destroy();
+  });
+
+  it('defineHttpMappingProvider 生成仅需 env 的子类', () => {
+    const Provider = defineHttpMappingProvider(definition);
+    expect(new Provider({ IPWHOIS_TOKEN: 't' })).toBeInstanceOf(HttpMappingProvider);
+  });
+});
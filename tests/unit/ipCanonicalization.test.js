@@ -0,0 +1,88 @@
+/**
+ * 🧭 IP 规范化测试
+ *
+ * 锁定：canonicalizeIP 的 RFC 5952 输出、v4-mapped / NAT64 解包与 IPv4 去前导零；
+ * 同一地址的不同写法得到相同 SecureCache.cacheKeyFor / ResultCache 键；clientIp 提取器返回规范形式。
+ */
+
+import { describe, it, expect } from 'vitest';
+import { canonicalizeIP, isValidIP, ipToBytes } from '../../src/utils/ipValidation.js';
+import { SecureCache } from '../../src/utils/secureCache.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { getTrustedClientIP, getBestEffortClientIP } from '../../src/utils/clientIp.js';
+
+const mkReq = (headers = {}) => ({ headers: new Headers(headers) });
+
+describe('canonicalizeIP', () => {
+  it.each([
+    ['2001:DB8::1', '2001:db8::1'],
+    ['2001:db8:0:0::1', '2001:db8::1'],
+    ['2001:0db8:0000:0000:0000:0000:0000:0001', '2001:db8::1'],
+    ['2001:db8:0:1:1:1:1:1', '2001:db8:0:1:1:1:1:1'], // 单个 0 组不压缩
+    ['2001:0:0:1:0:0:0:1', '2001:0:0:1::1'], // 压缩最长的 0 串
+    ['2001:db8:0:0:1:0:0:1', '2001:db8::1:0:0:1'], // 等长取最左
+    ['0:0:0:0:0:0:0:0', '::'],
+    ['::1', '::1'],
+    ['FE80::AbCd', 'fe80::abcd']
+  ])('IPv6 %s → %s', (input, expected) => {
+    expect(canonicalizeIP(input)).toBe(expected);
+  });
+
+  it('v4-mapped 与 NAT64 解包为 IPv4', () => {
+    expect(canonicalizeIP('::ffff:8.8.8.8')).toBe('8.8.8.8');
+    expect(canonicalizeIP('::FFFF:808:808')).toBe('8.8.8.8');
+    expect(canonicalizeIP('0:0:0:0:0:ffff:7f00:1')).toBe('127.0.0.1');
+    expect(canonicalizeIP('64:ff9b::8.8.4.4')).toBe('8.8.4.4');
+    expect(canonicalizeIP('64:ff9b::a00:1')).toBe('10.0.0.1');
+    // 64:ff9b:1::/48（本地 NAT64）不属于知名前缀，不解包
+    expect(canonicalizeIP('64:ff9b:1::808:808')).toBe('64:ff9b:1::808:808');
+  });
+
+  it('IPv4 去前导零，首尾空白忽略', () => {
+    expect(canonicalizeIP('008.008.008.008')).toBe('8.8.8.8');
+    expect(canonicalizeIP(' 1.1.1.1 ')).toBe('1.1.1.1');
+  });
+
+  it('无效输入返回 null', () => {
+    for (const bad of [null, '', 'not-an-ip', '256.1.1.1', '1::2::3', '1::2:', '::ffff:8.8.8', 'fe80::1%eth0', 12]) {
+      expect(canonicalizeIP(bad)).toBeNull();
+    }
+  });
+
+  it('isValidIP / ipToBytes 接受末尾点分 IPv4 的 IPv6 写法', () => {
+    expect(isValidIP('::ffff:1.2.3.4')).toBe(true);
+    expect(Array.from(ipToBytes('::ffff:1.2.3.4')).slice(10)).toEqual([0xff, 0xff, 1, 2, 3, 4]);
+  });
+});
+
+describe('缓存键按规范形式', () => {
+  it('SecureCache.cacheKeyFor 对同一地址的不同写法一致', () => {
+    const query = { lang: 'en', format: 'json' };
+    const key = SecureCache.cacheKeyFor('2001:db8::1', query);
+    expect(SecureCache.cacheKeyFor('2001:DB8::1', query)).toBe(key);
+    expect(SecureCache.cacheKeyFor('2001:db8:0:0::1', query)).toBe(key);
+    expect(SecureCache.cacheKeyFor('::ffff:8.8.8.8', query)).toBe(SecureCache.cacheKeyFor('8.8.8.8', query));
+  });
+
+  it('ResultCache 命中不同写法写入的条目', async() => {
+    const geo = new GeoLookup();
+    const cache = geo.cache;
+    await cache.set('::ffff:8.8.8.8', { language: 'en' }, { ip: '8.8.8.8' });
+    const options = { language: 'en' };
+    expect(cache.generateKey('8.8.8.8', options)).toBe(cache.generateKey('64:ff9b::808:808', options));
+    expect(await cache.get('8.8.8.8', { language: 'en' })).toEqual({ ip: '8.8.8.8' });
+    geo.destroy();
+  });
+});
+
+describe('clientIp 提取器返回规范形式', () => {
+  it('CF-Connecting-IP 的 v4-mapped / 大写 IPv6 被规范化', () => {
+    expect(getTrustedClientIP(mkReq({ 'cf-connecting-ip': '::ffff:203.0.113.10' }))).toBe('203.0.113.10');
+    expect(getBestEffortClientIP(mkReq({ 'cf-connecting-ip': '2001:DB8:0:0::1' }))).toBe('2001:db8::1');
+  });
+
+  it('回退链上的 XFF / X-Real-IP 同样规范化', () => {
+    expect(getBestEffortClientIP(mkReq({ 'x-forwarded-for': '::FFFF:1.2.3.4, 5.6.7.8' }))).toBe('1.2.3.4');
+    expect(getBestEffortClientIP(mkReq({ 'x-real-ip': '2606:4700:0:0:0:0:0:1111' }))).toBe('2606:4700::1111');
+  });
+});
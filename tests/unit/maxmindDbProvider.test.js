@@ -0,0 +1,323 @@
+/**
+ * 🗄️ MaxMind 本地库 Provider 测试
+ *
+ * 不依赖真实 GeoLite2 文件：测试内按 MMDB 规范写出一个最小库
+ * （IPv6 搜索树 24-bit record + 数据段 + 元数据），覆盖 IPv4/IPv6 查询、
+ * 本地化 names、前缀长度、无记录与损坏文件；该库也写入临时 .mmdb 文件，经 config databasePath 加载；
+ * 以及本地库命中（国家码 + 坐标）时 GeoLookup 不再调用异步 primary provider。
+ */
+
+import { describe, it, expect, afterEach, afterAll, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MMDBReader, MMDBFormatError } from '../../src/utils/mmdbReader.js';
+import { MaxMindDatabaseProvider } from '../../src/providers/maxmindDb.js';
+import { CloudflareProvider } from '../../src/providers/cloudflare.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { configManager } from '../../src/config/configManager.js';
+import { ipToBytes } from '../../src/utils/ipValidation.js';
+
+const METADATA_MARKER = [0xab, 0xcd, 0xef, ...new TextEncoder().encode('MaxMind.com')];
+
+// 仅支持 size < 285（测试数据足够）：≥ 29 时用 29 + 1 字节扩展长度
+function ctrl(type, size) {
+  const sizeBits = size < 29 ? size : 29;
+  const tail = size < 29 ? [] : [size - 29];
+  const head = type > 7 ? [sizeBits, type - 7] : [(type << 5) | sizeBits];
+  return [...head, ...tail];
+}
+
+function encode(value) {
+  if (typeof value === 'string') {
+    const bytes = [...new TextEncoder().encode(value)];
+    return [...ctrl(2, bytes.length), ...bytes];
+  }
+  if (typeof value === 'boolean') {
+    return ctrl(14, value ? 1 : 0);
+  }
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+    const bytes = [];
+    for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+    return [...ctrl(6, bytes.length), ...bytes];
+  }
+  if (typeof value === 'number') {
+    const buf = new DataView(new ArrayBuffer(8));
+    buf.setFloat64(0, value);
+    return [...ctrl(3, 8), ...new Uint8Array(buf.buffer)];
+  }
+  if (Array.isArray(value)) {
+    return [...ctrl(11, value.length), ...value.flatMap(encode)];
+  }
+  const entries = Object.entries(value);
+  return [...ctrl(7, entries.length), ...entries.flatMap(([k, v]) => [...encode(k), ...encode(v)])];
+}
+
+/** networks: [{ ip, prefix, record }]；IPv4 网段写入 ::/96 子树 */
+function buildMMDB(networks) {
+  const nodes = [[null, null]];
+  const data = [];
+  for (const { ip, prefix, record } of networks) {
+    const raw = ipToBytes(ip);
+    const bytes = raw.length === 4 ? Uint8Array.from([...new Array(12).fill(0), ...raw]) : raw;
+    const bits = raw.length === 4 ? prefix + 96 : prefix;
+    const offset = data.length;
+    data.push(...encode(record));
+
+    let node = 0;
+    for (let depth = 0; depth < bits; depth++) {
+      const bit = (bytes[depth >> 3] >> (7 - (depth & 7))) & 1;
+      if (depth === bits - 1) {
+        nodes[node][bit] = { data: offset };
+      } else {
+        if (typeof nodes[node][bit] !== 'number') {
+          nodes.push([null, null]);
+          nodes[node][bit] = nodes.length - 1;
+        }
+        node = nodes[node][bit];
+      }
+    }
+  }
+
+  const nodeCount = nodes.length;
+  const recordValue = (r) => (r === null ? nodeCount : typeof r === 'number' ? r : nodeCount + 16 + r.data);
+  const tree = nodes.flatMap(([left, right]) =>
+    [recordValue(left), recordValue(right)].flatMap((v) => [(v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff])
+  );
+  const metadata = encode({
+    node_count: nodeCount,
+    record_size: 24,
+    ip_version: 6,
+    database_type: 'GeoLite2-City-Test',
+    languages: ['en', 'zh-CN'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: 1700000000
+  });
+  return Uint8Array.from([...tree, ...new Array(16).fill(0), ...data, ...METADATA_MARKER, ...metadata]);
+}
+
+const googleRecord = {
+  city: { names: { en: 'Mountain View', 'zh-CN': '山景城' } },
+  continent: { code: 'NA', names: { en: 'North America', 'zh-CN': '北美洲' } },
+  country: { iso_code: 'US', names: { en: 'United States', 'zh-CN': '美国' } },
+  location: { latitude: 37.386, longitude: -122.0838, accuracy_radius: 1000, time_zone: 'America/Los_Angeles' },
+  subdivisions: [{ iso_code: 'CA', names: { en: 'California' } }],
+  autonomous_system_number: 15169,
+  autonomous_system_organization: 'GOOGLE'
+};
+
+const docV6Record = {
+  country: { iso_code: 'DE', names: { en: 'Germany', de: 'Deutschland' } },
+  location: { latitude: 51.2993, longitude: 9.491 }
+};
+
+const db = buildMMDB([
+  { ip: '8.8.8.0', prefix: 24, record: googleRecord },
+  { ip: '2001:db8::', prefix: 32, record: docV6Record }
+]);
+
+describe('MMDBReader', () => {
+  it('解析元数据', () => {
+    const reader = new MMDBReader(db);
+    expect(reader.metadata.database_type).toBe('GeoLite2-City-Test');
+    expect(reader.metadata.languages).toEqual(['en', 'zh-CN']);
+    expect(reader.recordSize).toBe(24);
+  });
+
+  it('IPv4 经 ::/96 子树命中，prefixLength 按 IPv4 位数计', () => {
+    const hit = new MMDBReader(db).lookup('8.8.8.8');
+    expect(hit.prefixLength).toBe(24);
+    expect(hit.record.country.iso_code).toBe('US');
+    expect(hit.record.location.latitude).toBeCloseTo(37.386);
+    expect(hit.record.autonomous_system_number).toBe(15169);
+  });
+
+  it('IPv6 命中', () => {
+    const hit = new MMDBReader(db.buffer).lookup('2001:db8::1');
+    expect(hit.prefixLength).toBe(32);
+    expect(hit.record.country.iso_code).toBe('DE');
+  });
+
+  it('库中无记录返回 null', () => {
+    const reader = new MMDBReader(db);
+    expect(reader.lookup('1.1.1.1')).toBeNull();
+    expect(reader.lookup('2001:4860::1')).toBeNull();
+    expect(reader.lookup('not-an-ip')).toBeNull();
+  });
+
+  it('非 MMDB 数据抛 MMDBFormatError', () => {
+    expect(() => new MMDBReader(new Uint8Array(64))).toThrow(MMDBFormatError);
+  });
+});
+
+describe('MaxMindDatabaseProvider', () => {
+  afterEach(() => {
+    delete globalThis.MAXMIND_DB;
+  });
+
+  it('未配置数据源时 isConfigured=false 且返回 null', () => {
+    const p = new MaxMindDatabaseProvider({});
+    expect(p.tier).toBe('sync');
+    expect(p.isConfigured()).toBe(false);
+    expect(p.tryExtractSync('8.8.8.8', {}, {})).toBeNull();
+  });
+
+  it('打包资产 MAXMIND_DB：返回规范 GeoData（ip 由调用方补齐）', () => {
+    const p = new MaxMindDatabaseProvider({ MAXMIND_DB: db });
+    expect(p.isConfigured()).toBe(true);
+    const r = p.tryExtractSync('8.8.8.8', {}, { language: 'en' });
+    expect(r.ip).toBe('8.8.8.8');
+    expect(r.country).toMatchObject({
+      name: 'United States',
+      code: 'US',
+      region: 'California',
+      regionCode: 'CA',
+      city: 'Mountain View',
+      continentCode: 'NA'
+    });
+    expect(r.location.timezone).toBe('America/Los_Angeles');
+    expect(r.network.asn).toBe(15169);
+    expect(r.network.organization).toBe('GOOGLE');
+    // 命中的库网段（前缀缓存据此复用结果）
+    expect(r.network.prefix).toBe('8.8.8.0/24');
+  });
+
+  it('按 language 取本地化 names（zh → zh-CN），缺失时回退 en', () => {
+    const p = new MaxMindDatabaseProvider({ MAXMIND_DB: db });
+    const zh = p.tryExtractSync('8.8.8.8', {}, { language: 'zh' });
+    expect(zh.country.name).toBe('美国');
+    expect(zh.country.city).toBe('山景城');
+    expect(zh.country.region).toBe('California');
+
+    const de = p.tryExtractSync('2001:db8::42', {}, { language: 'de' });
+    expect(de.country.name).toBe('Deutschland');
+  });
+
+  it('globalThis.MAXMIND_DB 同样生效；未命中 IP 返回 null', () => {
+    globalThis.MAXMIND_DB = db.buffer;
+    const p = new MaxMindDatabaseProvider();
+    expect(p.getMetadata().database_type).toBe('GeoLite2-City-Test');
+    expect(p.tryExtractSync('1.1.1.1', {}, {})).toBeNull();
+  });
+
+  it('文件路径不存在时视为未配置（不抛出）', () => {
+    const p = new MaxMindDatabaseProvider({ MAXMIND_DB_PATH: '/nonexistent/GeoLite2-City.mmdb' });
+    expect(p.isConfigured()).toBe(false);
+  });
+});
+
+describe('MaxMindDatabaseProvider — databasePath 文件', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mmdb-'));
+  const path = join(dir, 'GeoLite2-City-Test.mmdb');
+  writeFileSync(path, db);
+
+  afterEach(async() => {
+    delete process.env.MAXMIND_DB_PATH;
+    await configManager.initialize();
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('经 providers.maxmind.databasePath 读取 .mmdb 文件，输出规范 GeoData 与本地化 names', async() => {
+    process.env.MAXMIND_DB_PATH = path;
+    await configManager.initialize();
+    expect(configManager.get('providers.maxmind.databasePath')).toBe(path);
+
+    const p = new MaxMindDatabaseProvider({});
+    expect(p.isConfigured()).toBe(true);
+    expect(p.getMetadata().database_type).toBe('GeoLite2-City-Test');
+
+    const en = p.tryExtractSync('8.8.8.8', {}, { language: 'en' });
+    expect(en).toMatchObject({
+      ip: '8.8.8.8',
+      country: { name: 'United States', code: 'US', city: 'Mountain View', continentCode: 'NA' },
+      location: { coordinates: { latitude: 37.386, longitude: -122.0838 }, timezone: 'America/Los_Angeles' },
+      network: { asn: 15169, organization: 'GOOGLE', prefix: '8.8.8.0/24' }
+    });
+    const zh = p.tryExtractSync('8.8.8.8', {}, { language: 'zh-CN' });
+    expect(zh.country.name).toBe(googleRecord.country.names['zh-CN']);
+    expect(zh.country.city).toBe(googleRecord.city.names['zh-CN']);
+  });
+});
+
+describe('GeoLookup — 本地库命中时跳过 primary', () => {
+  afterEach(() => {
+    delete globalThis.MAXMIND_DB;
+  });
+
+  function setup() {
+    globalThis.MAXMIND_DB = db;
+    const fetch = vi.fn(async(ip) => createGeoData({ ip, country: { code: 'JP', name: 'Japan' } }));
+    class Primary extends BaseProvider {
+      constructor() {
+        super('RemoteAPI', { tier: 'async', priority: 80 });
+      }
+      isConfigured() {
+        return true;
+      }
+      fetch(ip) {
+        return fetch(ip);
+      }
+    }
+    const geo = new GeoLookup({
+      providers: [
+        { name: 'maxmindDb', ProviderClass: MaxMindDatabaseProvider },
+        { name: 'remote', ProviderClass: Primary }
+      ]
+    });
+    return { geo, fetch };
+  }
+
+  it('MMDB 给出国家码与坐标：primary 不被调用，provenance 记为 skipped / SYNC_HIT', async() => {
+    const { geo, fetch } = setup();
+    const r = await geo.get('8.8.8.8', null, { language: 'en' });
+    expect(fetch).not.toHaveBeenCalled();
+    expect(r.country.code).toBe('US');
+    expect(r.provenance.providers.find((p) => p.name === 'RemoteAPI')).toMatchObject({
+      tier: 'primary',
+      outcome: 'skipped',
+      code: 'SYNC_HIT'
+    });
+    geo.destroy();
+  });
+
+  it('MMDB 无记录时照常调用 primary；geo.syncShortCircuit=false 时始终调用', async() => {
+    const { geo, fetch } = setup();
+    const miss = await geo.get('1.1.1.1', null, {});
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(miss.country.code).toBe('JP');
+
+    geo.syncShortCircuit = false;
+    geo._ensureConfigured = () => {};
+    await geo.get('8.8.4.4', null, {});
+    expect(fetch).toHaveBeenCalledTimes(2);
+    geo.destroy();
+  });
+
+  it('Cloudflare 的 request.cf 描述调用方而非查询 IP：有国家码与坐标也照常调用 primary', async() => {
+    const fetch = vi.fn(async(ip) => createGeoData({ ip, country: { code: 'JP', name: 'Japan' } }));
+    class Primary extends BaseProvider {
+      constructor() {
+        super('RemoteAPI', { tier: 'async', priority: 80 });
+      }
+      fetch(ip) {
+        return fetch(ip);
+      }
+    }
+    const geo = new GeoLookup({
+      providers: [
+        { name: 'cloudflare', ProviderClass: CloudflareProvider },
+        { name: 'remote', ProviderClass: Primary }
+      ]
+    });
+    const request = { cf: { country: 'US', latitude: 37.7749, longitude: -122.4194 }, headers: new Headers() };
+    const r = await geo.get('203.0.113.5', request, {});
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(r.provenance.providers.find((p) => p.name === 'RemoteAPI')).toMatchObject({ outcome: 'data' });
+    geo.destroy();
+  });
+});
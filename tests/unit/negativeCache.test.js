@@ -0,0 +1,177 @@
+/**
+ * 🚫 无数据结果的负缓存
+ *
+ * 锁定：provider 均正常应答但无可用数据时结果带 dataAvailable=false，按 negativeTtl 缓存、到期即删且不进入 stale；
+ * 任一 provider 报错 / 熔断跳过且无数据时不缓存（下次重新查询），保留期内的旧值照常兜底；
+ * 路由输出 meta.dataAvailable / meta.outcome，报错结果响应 Cache-Control: no-store；批量结果逐条标注。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import '../setup.js';
+import { GeoLookup, geoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+const NEGATIVE = 1000;
+
+// 每个 provider 的行为：'data' | 'null' | 'error'
+function setup(behaviours) {
+  const calls = [];
+  const providers = behaviours.map((behaviour, i) => ({
+    name: `p${i}`,
+    ProviderClass: class extends BaseProvider {
+      constructor() {
+        super(`P${i}`, { priority: 80 - i });
+      }
+      async fetch(ip) {
+        calls.push(`p${i}`);
+        if (behaviour.mode === 'error') {
+          throw Object.assign(new Error('upstream down'), { code: 'UPSTREAM_ERROR' });
+        }
+        return behaviour.mode === 'data' ? createGeoData({ ip, country: { code: 'NL' } }) : null;
+      }
+    }
+  }));
+  const lookup = new GeoLookup({ providers });
+  lookup._ensureConfigured();
+  lookup.cache.negativeTtl = NEGATIVE;
+  return { lookup, calls };
+}
+
+describe('GeoLookup 负缓存', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('provider 均返回 null：dataAvailable=false，negativeTtl 内命中', async() => {
+    const { lookup, calls } = setup([{ mode: 'null' }, { mode: 'null' }]);
+    const first = await lookup.get('198.51.100.10', null, {});
+    expect(first).toMatchObject({ dataAvailable: false, outcome: 'no-data', provider: 'unknown' });
+
+    vi.setSystemTime(NEGATIVE - 1);
+    const hit = await lookup.get('198.51.100.10', null, {});
+    expect(hit).toMatchObject({ cached: true, dataAvailable: false });
+    expect(hit.stale).toBeUndefined();
+    expect(calls).toHaveLength(2);
+    expect(lookup.getStats().cache).toMatchObject({ hits: 1, negativeHits: 1 });
+    lookup.destroy();
+  });
+
+  it('负缓存到期后重新查询，不作为 stale 返回', async() => {
+    const { lookup, calls } = setup([{ mode: 'null' }]);
+    await lookup.get('198.51.100.10', null, {});
+    vi.setSystemTime(NEGATIVE + 1);
+
+    const again = await lookup.get('198.51.100.10', null, {});
+    expect(again.cached).toBeUndefined();
+    expect(calls).toHaveLength(2);
+    lookup.destroy();
+  });
+
+  it('部分 provider 报错且无数据：不缓存，下次重新查询', async() => {
+    const { lookup, calls } = setup([{ mode: 'null' }, { mode: 'error' }]);
+    const first = await lookup.get('198.51.100.10', null, {});
+    expect(first).toMatchObject({ dataAvailable: false, outcome: 'error' });
+    expect(first.provenance.providers.map((p) => p.outcome)).toEqual(['null', 'error']);
+
+    const second = await lookup.get('198.51.100.10', null, {});
+    expect(second.cached).toBeUndefined();
+    expect(calls).toHaveLength(4);
+    expect(lookup.getStats().cache.size).toBe(0);
+    lookup.destroy();
+  });
+
+  it('部分 provider 报错时以保留期内的旧值兜底', async() => {
+    const behaviours = [{ mode: 'data' }, { mode: 'null' }];
+    const { lookup } = setup(behaviours);
+    await lookup.get('198.51.100.10', null, {});
+    behaviours[0].mode = 'error';
+
+    const fallback = await lookup.get('198.51.100.10', null, { refresh: true });
+    expect(fallback).toMatchObject({ stale: true, dataAvailable: true, country: { code: 'NL' } });
+    lookup.destroy();
+  });
+
+  it('有数据时 dataAvailable=true，按常规 TTL 缓存', async() => {
+    const { lookup } = setup([{ mode: 'data' }, { mode: 'error' }]);
+    expect((await lookup.get('198.51.100.10', null, {})).dataAvailable).toBe(true);
+    vi.setSystemTime(NEGATIVE + 1);
+    expect((await lookup.get('198.51.100.10', null, {})).cached).toBe(true);
+    lookup.destroy();
+  });
+});
+
+describe('路由：meta.dataAvailable', () => {
+  const headers = { 'X-API-Key': 'sk-test-1234567890abcdef' };
+  const geo = (extra = {}) => ({ ...createGeoData({ ip: '8.8.8.8', country: { code: 'US' } }), ...extra });
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('单条查询输出 meta.dataAvailable', async() => {
+    const spy = vi.spyOn(geoLookup, 'get').mockResolvedValue({ ...createGeoData({}), dataAvailable: false });
+    const req = () => app.fetch(new Request('https://example.test/api/v1/ips/8.8.8.8', { headers }));
+    expect((await (await req()).json()).meta).toMatchObject({ dataAvailable: false, provider: 'unknown' });
+
+    spy.mockResolvedValue(geo({ dataAvailable: true }));
+    expect((await (await req()).json()).meta.dataAvailable).toBe(true);
+  });
+
+  it('provider 报错的结果输出 meta.outcome=error 且 Cache-Control: no-store', async() => {
+    const spy = vi.spyOn(geoLookup, 'get').mockResolvedValue({
+      ...createGeoData({}), dataAvailable: false, outcome: 'error'
+    });
+    const req = () => app.fetch(new Request('https://example.test/api/v1/ips/8.8.8.8', { headers }));
+    const failed = await req();
+    expect(failed.headers.get('Cache-Control')).toBe('no-store');
+    expect((await failed.json()).meta).toMatchObject({ dataAvailable: false, outcome: 'error' });
+
+    spy.mockResolvedValue({ ...createGeoData({}), dataAvailable: false, outcome: 'no-data' });
+    const empty = await req();
+    expect(empty.headers.get('Cache-Control')).toBe('public, max-age=300');
+    expect((await empty.json()).meta.outcome).toBe('no-data');
+
+    // 早于 outcome 字段写入的缓存条目按 dataAvailable 推断
+    spy.mockResolvedValue(geo({ dataAvailable: true, cached: true }));
+    expect((await (await req()).json()).meta.outcome).toBe('data');
+  });
+
+  it('批量结果仅在无数据时标注 dataAvailable=false', async() => {
+    vi.spyOn(geoLookup, 'get').mockImplementation(async(ip) => (
+      ip === '8.8.8.8' ? { ...createGeoData({ ip }), dataAvailable: false } : geo({ dataAvailable: true })
+    ));
+    const res = await app.fetch(new Request('https://example.test/api/v1/ips:batch', {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ips: ['8.8.8.8', '1.1.1.1'] })
+    }));
+    const { data } = await res.json();
+    expect(data.results[0]).toMatchObject({ ip: '8.8.8.8', dataAvailable: false });
+    expect(data.results[1]).not.toHaveProperty('dataAvailable');
+    expect(data.results[0]).not.toHaveProperty('outcome');
+  });
+
+  it('批量结果标注 provider 报错的条目 outcome=error', async() => {
+    vi.spyOn(geoLookup, 'get').mockResolvedValue({ ...createGeoData({}), dataAvailable: false, outcome: 'error' });
+    const res = await app.fetch(new Request('https://example.test/api/v1/ips:batch', {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ips: ['8.8.8.8'] })
+    }));
+    const { data } = await res.json();
+    expect(data.results[0]).toMatchObject({ dataAvailable: false, outcome: 'error' });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * 🧱 网段前缀缓存测试
+ *
+ * 锁定：最长前缀匹配、过期与 LRU 淘汰、拒绝不含该 IP 的网段；缓存块取各 provider 网段的交集，
+ * 未报告网段按兜底粒度；GeoLookup 对同网段的后续 IP 不再调用 provider，但按 IP 重算 ip / rDNS / 威胁；
+ * 各层命中统计。
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PrefixCache } from '../../src/services/prefixCache.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+import { parseMaxMindRecord } from '../../src/providers/maxmind.js';
+import { buildPrometheusMetrics } from '../../src/routes/system.js';
+
+const geo = (prefix, code = 'US') => createGeoData({ country: { code }, network: { asn: 15169, prefix } });
+
+describe('PrefixCache', () => {
+  it('最长前缀匹配，按 language 区分', () => {
+    const cache = new PrefixCache();
+    cache.set('8.8.8.8', '8.8.0.0/16', { language: 'en' }, { tag: '/16' });
+    cache.set('8.8.8.8', '8.8.8.0/24', { language: 'en' }, { tag: '/24' });
+
+    expect(cache.get('8.8.8.200', { language: 'en' })).toEqual({ data: { tag: '/24' }, prefix: '8.8.8.0/24' });
+    expect(cache.get('8.8.4.4', { language: 'en' })).toEqual({ data: { tag: '/16' }, prefix: '8.8.0.0/16' });
+    expect(cache.get('8.9.0.1', { language: 'en' })).toBeNull();
+    expect(cache.get('8.8.8.8', { language: 'de' })).toBeNull();
+    expect(cache.getStats()).toMatchObject({ size: 2, hits: 2, misses: 2, hitRate: 0.5 });
+  });
+
+  it('IPv6 与 v4-mapped 写法', () => {
+    const cache = new PrefixCache();
+    expect(cache.set('2001:db8:1::5', '2001:db8:1::/48', {}, 'v6')).toBe('2001:db8:1::/48');
+    expect(cache.get('2001:db8:1:ffff::1').data).toBe('v6');
+    cache.set('1.2.3.4', '1.2.3.0/24', {}, 'v4');
+    expect(cache.get('::ffff:1.2.3.99').data).toBe('v4');
+  });
+
+  it('拒绝不包含该 IP 的网段；过期条目不命中', () => {
+    let now = 0;
+    const cache = new PrefixCache({ ttl: 1000 }, () => now);
+    expect(cache.set('8.8.8.8', '1.1.1.0/24', {}, 'x')).toBeNull();
+    expect(cache.set('8.8.8.8', 'garbage', {}, 'x')).toBeNull();
+
+    cache.set('8.8.8.8', '8.8.8.0/24', {}, 'x');
+    now = 1000;
+    expect(cache.get('8.8.8.9')).toBeNull();
+    expect(cache.getStats().size).toBe(0);
+  });
+
+  it('超出 maxSize 淘汰最久未用的网段', () => {
+    const cache = new PrefixCache({ maxSize: 2 });
+    cache.set('1.0.0.1', '1.0.0.0/24', {}, 'a');
+    cache.set('2.0.0.1', '2.0.0.0/24', {}, 'b');
+    cache.get('1.0.0.9');
+    cache.set('3.0.0.1', '3.0.0.0/24', {}, 'c');
+    expect(cache.get('1.0.0.2')?.data).toBe('a');
+    expect(cache.get('2.0.0.2')).toBeNull();
+    expect(cache.get('3.0.0.2')?.data).toBe('c');
+  });
+
+  it('blockFor：网段取交集，未报告网段的 provider 按兜底粒度', () => {
+    const cache = new PrefixCache({ fallbackPrefixV4: 24, fallbackPrefixV6: 48 });
+    expect(cache.blockFor('8.8.8.8', [geo('8.8.0.0/16')])).toBe('8.8.0.0/16');
+    expect(cache.blockFor('8.8.8.8', [geo('8.8.0.0/16'), geo('8.8.8.0/25')])).toBe('8.8.8.0/25');
+    expect(cache.blockFor('8.8.8.8', [geo('8.8.0.0/16'), geo(null)])).toBe('8.8.8.0/24');
+    // 不含该 IP 的上游网段按未报告处理
+    expect(cache.blockFor('8.8.8.8', [geo('1.1.1.0/24')])).toBe('8.8.8.0/24');
+    expect(cache.blockFor('2001:db8:1:2::1', [])).toBe('2001:db8:1::/48');
+  });
+});
+
+describe('provider 网段上报', () => {
+  it('createGeoData 规范化 network.prefix，无效值为 null', () => {
+    expect(createGeoData({ network: { prefix: '8.8.8.8/24' } }).network.prefix).toBe('8.8.8.0/24');
+    expect(createGeoData({ network: { prefix: 'not-a-cidr' } }).network.prefix).toBeNull();
+  });
+
+  it('MaxMind Web Service 取 traits.network', () => {
+    const record = { country: { iso_code: 'US' }, traits: { ip_address: '8.8.8.8', network: '8.8.8.0/24' } };
+    expect(parseMaxMindRecord(record).network.prefix).toBe('8.8.8.0/24');
+  });
+});
+
+describe('GeoLookup 网段缓存', () => {
+  function setup({ prefix = '198.51.100.0/24' } = {}) {
+    const calls = [];
+    const Provider = class extends BaseProvider {
+      constructor() {
+        super('Upstream', { priority: 80 });
+      }
+      async fetch(ip) {
+        calls.push(ip);
+        return createGeoData({ ip, country: { code: 'NL', city: 'Amsterdam' }, network: { asn: 64500, prefix } });
+      }
+    };
+    const threats = [];
+    const lookup = new GeoLookup({
+      providers: [{ name: 'upstream', ProviderClass: Provider }],
+      prefixCache: new PrefixCache(),
+      threatDetector: async(ip) => {
+        threats.push(ip);
+        return { riskScore: 0 };
+      },
+      reverseDns: { lookup: async(ip) => ({ hostname: `host-${ip.split('.').pop()}.example.net`, verified: true }) }
+    });
+    return { lookup, calls, threats };
+  }
+
+  it('同网段后续 IP 不调用 provider，ip / hostname / 威胁按本 IP 重算', async() => {
+    const { lookup, calls, threats } = setup();
+    const first = await lookup.get('198.51.100.10', null, { includeThreat: true });
+    const second = await lookup.get('198.51.100.77', null, { includeThreat: true });
+
+    expect(calls).toEqual(['198.51.100.10']);
+    expect(threats).toEqual(['198.51.100.10', '198.51.100.77']);
+    expect(second).toMatchObject({
+      ip: '198.51.100.77',
+      country: { code: 'NL', city: 'Amsterdam' },
+      network: { asn: 64500, prefix: '198.51.100.0/24', hostname: 'host-77.example.net', hostnameVerified: true }
+    });
+    expect(second.provenance.prefix).toBe('198.51.100.0/24');
+    expect(first.provenance.prefix).toBeUndefined();
+    // 命中结果不回写到网段缓存条目
+    second.country.code = 'XX';
+    expect((await lookup.get('198.51.100.78', null, {})).country.code).toBe('NL');
+    lookup.destroy();
+  });
+
+  it('上游网段更宽时整段复用；网段外的 IP 重新查询', async() => {
+    const { lookup, calls } = setup({ prefix: '198.51.96.0/20' });
+    await lookup.get('198.51.100.10', null, {});
+    await lookup.get('198.51.111.1', null, {});
+    await lookup.get('198.51.112.1', null, {});
+    expect(calls).toEqual(['198.51.100.10', '198.51.112.1']);
+
+    const stats = lookup.getStats();
+    expect(stats.prefixCache).toMatchObject({ hits: 1, misses: 2 });
+    expect(stats.cache).toMatchObject({ hits: 0, misses: 3 });
+    lookup.destroy();
+  });
+
+  it('未配置时不启用网段缓存', async() => {
+    const lookup = new GeoLookup({ providers: [] });
+    await lookup.get('198.51.100.10', null, {});
+    expect(lookup.getStats().prefixCache).toBeNull();
+    lookup.destroy();
+  });
+
+  it('Prometheus 按层输出命中 / 未命中', () => {
+    const layers = {
+      response: { size: 3, hits: 5, misses: 3, hitRate: 0.63 },
+      result: { size: 2, hits: 1, misses: 2, hitRate: 0.33 },
+      prefix: null
+    };
+    const text = buildPrometheusMetrics({}, { running: true }, { heapUsed: 0 }, [], layers);
+    expect(text).toContain('geo_cache_requests_total{layer="response",result="hit"} 5');
+    expect(text).toContain('geo_cache_requests_total{layer="result",result="miss"} 2');
+    expect(text).toContain('geo_cache_entries{layer="result"} 2');
+    expect(text).not.toContain('layer="prefix"');
+  });
+});
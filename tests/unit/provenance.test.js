@@ -0,0 +1,131 @@
+/**
+ * 🔎 查询 provenance 测试
+ *
+ * 锁定：basicMerge/deepFillNulls 记录逐字段来源；共识投票改写字段时同步更新来源；
+ * get() 记录每个 provider 的 tier 与结果（data / null / error+code / skipped）；缓存命中保留该记录。
+ */
+
+import { describe, it, expect } from 'vitest';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import {
+  BaseProvider,
+  ProviderError,
+  ProviderErrorCode,
+  createGeoData
+} from '../../src/providers/BaseProvider.js';
+import { buildGeoResource } from '../../src/utils/geoFormatter.js';
+
+const fulfilled = (value) => ({ status: 'fulfilled', value });
+
+function providerClass(name, { tier = 'async', priority = 60, fetch, sync } = {}) {
+  return class extends BaseProvider {
+    constructor() {
+      super(name, { tier, priority });
+    }
+    tryExtractSync(ip) {
+      return sync ? sync(ip) : null;
+    }
+    async fetch(ip) {
+      return fetch ? fetch(ip) : null;
+    }
+  };
+}
+
+describe('basicMerge 字段来源', () => {
+  it('每个被填充的叶子字段记录提供它的 provider', () => {
+    const gl = new GeoLookup({ providers: [] });
+    gl.mergeStrategy = 'priority';
+    const merged = gl.mergeResults([
+      fulfilled(createGeoData({ country: { code: 'US' } })),
+      fulfilled(createGeoData({ country: { code: 'CA', city: 'Ashburn' }, network: { asn: 15169 } }))
+    ], [{ name: 'Cloudflare', priority: 100 }, { name: 'IPInfo', priority: 60 }], '8.8.8.8');
+
+    expect(merged.provenance.fields).toEqual({
+      'country.code': 'Cloudflare',
+      'country.city': 'IPInfo',
+      'network.asn': 'IPInfo'
+    });
+  });
+
+  it('共识投票改写的字段来源随之更新', () => {
+    const gl = new GeoLookup({ providers: [] });
+    gl.mergeStrategy = 'consensus';
+    const merged = gl.mergeResults([
+      fulfilled(createGeoData({ country: { code: 'DE', city: 'Berlin' } })),
+      fulfilled(createGeoData({ country: { code: 'NL', city: 'Amsterdam' } })),
+      fulfilled(createGeoData({ country: { code: 'NL' } }))
+    ], [
+      { name: 'Cloudflare', priority: 100 },
+      { name: 'IPInfo', priority: 60 },
+      { name: 'IPApiCom', priority: 50 }
+    ], '203.0.113.1');
+
+    expect(merged.country.code).toBe('NL');
+    expect(merged.provenance.fields['country.code']).toBe('IPInfo');
+    expect(merged.provenance.fields['country.city']).toBe('IPInfo');
+  });
+});
+
+describe('GeoLookup.get provenance', () => {
+  it('记录各 provider 的 tier 与结果，错误带 ProviderError.code', async() => {
+    const Sync = providerClass('LocalDB', {
+      tier: 'sync', priority: 90, sync: (ip) => createGeoData({ ip, country: { code: 'US' } })
+    });
+    const Auth = providerClass('MaxMind', {
+      priority: 80,
+      fetch: () => { throw new ProviderError(ProviderErrorCode.AUTH_FAILURE, 'MaxMind', '401'); }
+    });
+    const Empty = providerClass('IPInfo', { priority: 60 });
+
+    const geo = new GeoLookup({
+      providers: [{ ProviderClass: Sync }, { ProviderClass: Auth }, { ProviderClass: Empty }]
+    });
+    const result = await geo.get('203.0.113.10', null, {});
+
+    expect(result.provenance.fields['country.code']).toBe('LocalDB');
+    expect(result.provenance.providers).toEqual([
+      { name: 'LocalDB', tier: 'sync', outcome: 'data' },
+      { name: 'MaxMind', tier: 'primary', outcome: 'error', code: 'AUTH_FAILURE' },
+      { name: 'IPInfo', tier: 'primary', outcome: 'null' }
+    ]);
+
+    // 熔断中的 provider 记为 skipped；缓存命中返回写入缓存时的记录
+    const second = await geo.get('203.0.113.11', null, {});
+    expect(second.provenance.providers[1]).toEqual({
+      name: 'MaxMind', tier: 'primary', outcome: 'skipped', code: 'CIRCUIT_OPEN'
+    });
+    const cached = await geo.get('203.0.113.10', null, {});
+    expect(cached.provenance).toEqual(result.provenance);
+    geo.destroy();
+  });
+
+  it('fallback 仅在被调用时出现在 providers 中', async() => {
+    const Primary = providerClass('Primary', { priority: 60 });
+    const Fallback = providerClass('Fallback', {
+      priority: 10, fetch: (ip) => createGeoData({ ip, country: { code: 'FR' } })
+    });
+    const geo = new GeoLookup({ providers: [{ ProviderClass: Primary }, { ProviderClass: Fallback }] });
+    const result = await geo.get('203.0.113.20', null, {});
+    expect(result.provenance.providers.map((p) => [p.name, p.tier, p.outcome])).toEqual([
+      ['Primary', 'primary', 'null'],
+      ['Fallback', 'fallback', 'data']
+    ]);
+    expect(result.provenance.fields['country.code']).toBe('Fallback');
+    geo.destroy();
+  });
+});
+
+describe('buildGeoResource provenance', () => {
+  const geoInfo = {
+    country: { code: 'US' },
+    provenance: {
+      fields: { 'country.code': 'Cloudflare' },
+      providers: [{ name: 'Cloudflare', tier: 'sync', outcome: 'data' }]
+    }
+  };
+
+  it('仅 explain=true 时输出', () => {
+    expect(buildGeoResource(geoInfo, '8.8.8.8', {})).not.toHaveProperty('provenance');
+    expect(buildGeoResource(geoInfo, '8.8.8.8', { explain: true }).provenance).toEqual(geoInfo.provenance);
+  });
+});
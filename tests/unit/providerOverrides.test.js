@@ -0,0 +1,114 @@
+/**
+ * 🎛️ Provider 运行时覆盖测试
+ *
+ * 锁定：enabled / priority / tier / timeout 覆盖在 getOptimizedProviders 与 tier 划分中生效；
+ * null 清除覆盖并恢复原始优先级；providers.<configKey>.enabled=false 过滤 provider。
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+import { configManager } from '../../src/config/configManager.js';
+
+function providerClass(name, { tier = 'async', priority = 60, configKey, fetch } = {}) {
+  return class extends BaseProvider {
+    constructor() {
+      super(name, { tier, priority, configKey });
+    }
+    async fetch(ip) {
+      return fetch ? fetch(ip) : null;
+    }
+  };
+}
+
+const registry = () => [
+  { name: 'primary', ProviderClass: providerClass('Primary', { priority: 80 }) },
+  { name: 'secondary', ProviderClass: providerClass('Secondary', { priority: 60 }) },
+  { name: 'sync', ProviderClass: providerClass('Sync', { tier: 'sync', priority: 100 }) }
+];
+
+describe('GeoLookup provider 覆盖', () => {
+  let geo;
+  beforeEach(() => {
+    geo = new GeoLookup({ providers: registry() });
+  });
+  afterEach(() => {
+    geo.destroy();
+  });
+
+  it('enabled=false 从候选中移除，null 恢复', async() => {
+    geo.setProviderOverride('primary', { enabled: false });
+    expect((await geo.getOptimizedProviders()).map((p) => p.name)).toEqual(['Sync', 'Secondary']);
+
+    geo.setProviderOverride('primary', { enabled: null });
+    expect((await geo.getOptimizedProviders()).map((p) => p.name)).toEqual(['Sync', 'Primary', 'Secondary']);
+    expect(geo.providerOverrides.has('primary')).toBe(false);
+  });
+
+  it('priority 覆盖改变排序与 tier，清除后恢复原始优先级', async() => {
+    geo.setProviderOverride('secondary', { priority: 95 });
+    const providers = await geo.getOptimizedProviders();
+    expect(providers.map((p) => p.name)).toEqual(['Sync', 'Secondary', 'Primary']);
+
+    geo.setProviderOverride('primary', { priority: 20 });
+    const demoted = (await geo.getOptimizedProviders()).find((p) => p.name === 'Primary');
+    expect(geo.tierOf(demoted)).toBe('fallback');
+
+    geo.setProviderOverride('primary', { priority: null });
+    const restored = (await geo.getOptimizedProviders()).find((p) => p.name === 'Primary');
+    expect(restored.priority).toBe(80);
+    expect(geo.tierOf(restored)).toBe('primary');
+  });
+
+  it('tier 覆盖：降为 fallback 后仅在 primary 无数据时调用', async() => {
+    const calls = [];
+    geo = new GeoLookup({
+      providers: [
+        { name: 'a', ProviderClass: providerClass('A', {
+          priority: 80, fetch: (ip) => { calls.push('A'); return createGeoData({ ip, country: { code: 'US' } }); }
+        }) },
+        { name: 'b', ProviderClass: providerClass('B', {
+          priority: 60, fetch: (ip) => { calls.push('B'); return createGeoData({ ip, country: { code: 'DE' } }); }
+        }) }
+      ]
+    });
+    geo.setProviderOverride('a', { tier: 'fallback' });
+    const result = await geo.get('203.0.113.30', null, {});
+    expect(result.country.code).toBe('DE');
+    expect(calls).toEqual(['B']);
+    expect(geo.describeProviders().find((p) => p.name === 'a')).toMatchObject({
+      tier: 'fallback', overrides: { tier: 'fallback' }
+    });
+  });
+
+  it('timeout 覆盖作为该 provider 的总预算', async() => {
+    geo.setProviderOverride('secondary', { timeout: 1500 });
+    const entry = geo.describeProviders().find((p) => p.name === 'secondary');
+    expect(entry.timeoutMs).toBe(1500);
+    expect(geo.describeProviders().find((p) => p.name === 'primary').timeoutMs).toBe(geo.providerTimeoutMs);
+  });
+
+  it('未知 name 返回 null', () => {
+    expect(geo.setProviderOverride('nope', { enabled: false })).toBeNull();
+  });
+});
+
+describe('providers.<configKey>.enabled', () => {
+  it('配置 enabled=false 的 provider 被过滤，运行时覆盖优先', async() => {
+    await configManager.initialize();
+    const previous = configManager.get('providers.ipinfo.enabled');
+    configManager.set('providers.ipinfo.enabled', false);
+    try {
+      const geo = new GeoLookup({
+        providers: [{ name: 'ipinfo', ProviderClass: providerClass('IPInfo', { configKey: 'ipinfo' }) }]
+      });
+      expect(await geo.getOptimizedProviders()).toEqual([]);
+      expect(geo.describeProviders()[0].enabled).toBe(false);
+
+      geo.setProviderOverride('ipinfo', { enabled: true });
+      expect((await geo.getOptimizedProviders()).map((p) => p.name)).toEqual(['IPInfo']);
+    } finally {
+      configManager.set('providers.ipinfo.enabled', previous);
+    }
+  });
+});
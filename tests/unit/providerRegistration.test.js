@@ -0,0 +1,97 @@
+/**
+ * 🔌 Provider 插件注册测试
+ *
+ * 锁定：registerProvider 追加的 provider 保持 ProviderPool 池化（跨查询同一实例），
+ * fingerprint 变化时重建实例；tier / priority 选项生效；unregisterProvider 移除并清理；
+ * 模块级 DEFAULT_PROVIDER_REGISTRY 不被修改。
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { GeoLookup, getDefaultProviders } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+
+let instances = 0;
+class InHouseProvider extends BaseProvider {
+  constructor(env = {}) {
+    super('InHouse', { priority: 30 });
+    this.region = env.INHOUSE_REGION || 'eu';
+    instances++;
+  }
+  async fetch(ip) {
+    return createGeoData({ ip, country: { code: this.region === 'eu' ? 'DE' : 'US' } });
+  }
+}
+
+describe('GeoLookup.registerProvider', () => {
+  let geo;
+  afterEach(() => {
+    geo?.destroy();
+    instances = 0;
+  });
+
+  it('注册的 provider 走池化：多次查询复用同一实例', async() => {
+    geo = new GeoLookup();
+    geo.registerProvider(InHouseProvider, { name: 'inhouse' });
+    const first = (await geo.getOptimizedProviders()).find((p) => p.name === 'InHouse');
+    const second = (await geo.getOptimizedProviders()).find((p) => p.name === 'InHouse');
+    expect(first).toBe(second);
+    expect(instances).toBe(1);
+    expect(geo.providerPool.providers.has('inhouse:default')).toBe(true);
+  });
+
+  it('fingerprint 参与池 key：配置变化时重建实例', async() => {
+    geo = new GeoLookup();
+    geo.registerProvider(InHouseProvider, { name: 'inhouse', fingerprint: (env) => env.INHOUSE_REGION || 'eu' });
+    const eu = (await geo.getOptimizedProviders({})).find((p) => p.name === 'InHouse');
+    const us = (await geo.getOptimizedProviders({ INHOUSE_REGION: 'us' })).find((p) => p.name === 'InHouse');
+    expect(eu).not.toBe(us);
+    expect(us.region).toBe('us');
+    expect(geo.providerPool.providers.has('inhouse:us')).toBe(true);
+  });
+
+  it('tier / priority 选项覆盖类自身设置', async() => {
+    geo = new GeoLookup({ providers: [] });
+    geo.registerProvider(InHouseProvider, { name: 'inhouse', tier: 'primary', priority: 20 });
+    const [entry] = geo.describeProviders();
+    expect(entry).toMatchObject({ name: 'inhouse', provider: 'InHouse', tier: 'primary', priority: 20 });
+
+    const result = await geo.get('203.0.113.50', null, {});
+    expect(result.provenance.providers).toEqual([{ name: 'InHouse', tier: 'primary', outcome: 'data' }]);
+  });
+
+  it('不修改模块级默认注册表', () => {
+    geo = new GeoLookup();
+    geo.registerProvider(InHouseProvider, { name: 'inhouse' });
+    expect(getDefaultProviders()).toHaveLength(5);
+    expect(geo.providers).toHaveLength(6);
+    expect(geo.pooled).toBe(true);
+  });
+
+  it('重复 name、非法 tier / fingerprint 抛错', () => {
+    geo = new GeoLookup();
+    expect(() => geo.registerProvider(InHouseProvider, { name: 'ipinfo' })).toThrow('already registered');
+    expect(() => geo.registerProvider(InHouseProvider, { tier: 'edge' })).toThrow(TypeError);
+    expect(() => geo.registerProvider(InHouseProvider, { fingerprint: 'x' })).toThrow(TypeError);
+    expect(() => geo.registerProvider(null)).toThrow(TypeError);
+  });
+});
+
+describe('GeoLookup.unregisterProvider', () => {
+  it('移除条目、池化实例与运行时覆盖', async() => {
+    const geo = new GeoLookup();
+    geo.registerProvider(InHouseProvider, { name: 'inhouse' });
+    geo.setProviderOverride('inhouse', { priority: 70 });
+    await geo.getOptimizedProviders();
+
+    expect(geo.unregisterProvider('inhouse')).toBe(true);
+    expect(geo.providers.map((e) => e.name)).not.toContain('inhouse');
+    expect(geo.providerPool.providers.has('inhouse:default')).toBe(false);
+    expect(geo.providerOverrides.has('inhouse')).toBe(false);
+    expect(geo.unregisterProvider('inhouse')).toBe(false);
+
+    // 内置 provider 同样可注销
+    expect(geo.unregisterProvider('ipapicom')).toBe(true);
+    expect(geo.describeProviders().map((p) => p.name)).toEqual(['cloudflare', 'maxmindDb', 'maxmind', 'ipinfo']);
+    geo.destroy();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * 📈 Provider 调用统计测试
+ *
+ * 锁定：ProviderStatsTracker 的计数 / 错误码细分 / 延迟分位；
+ * GeoLookup.get 在 sync 与 async tier 记录每个 provider 的最终结果（重试只计一次），熔断跳过记为 skipped；
+ * describeProviders 逐项列出注册表（未配置的 provider 也在列）。
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ProviderStatsTracker } from '../../src/services/providerStats.js';
+import { GeoLookup, getDefaultProviders } from '../../src/services/geoLookup.js';
+import {
+  BaseProvider,
+  ProviderError,
+  ProviderErrorCode,
+  createGeoData
+} from '../../src/providers/BaseProvider.js';
+
+function providerClass(name, { tier = 'async', priority = 60, configured = true, fetch, sync } = {}) {
+  return class extends BaseProvider {
+    constructor() {
+      super(name, { tier, priority });
+    }
+    isConfigured() {
+      return configured;
+    }
+    tryExtractSync(ip) {
+      return sync ? sync(ip) : null;
+    }
+    async fetch(ip) {
+      return fetch ? fetch(ip) : null;
+    }
+  };
+}
+
+describe('ProviderStatsTracker', () => {
+  it('按结果计数，错误按 code 细分，skipped 不计延迟', () => {
+    const stats = new ProviderStatsTracker();
+    stats.record('IPInfo', { outcome: 'success', durationMs: 10 });
+    stats.record('IPInfo', { outcome: 'empty', durationMs: 20 });
+    stats.record('IPInfo', { outcome: 'error', code: 'TIMEOUT', durationMs: 30 });
+    stats.record('IPInfo', { outcome: 'error', code: 'TIMEOUT', durationMs: 40 });
+    stats.record('IPInfo', { outcome: 'error', durationMs: 50 });
+    stats.record('IPInfo', { outcome: 'skipped' });
+
+    const s = stats.get('IPInfo');
+    expect(s.counts).toEqual({ success: 1, empty: 1, error: 3, skipped: 1 });
+    expect(s.errors).toEqual({ TIMEOUT: 2, UNKNOWN: 1 });
+    expect(s.latencyMs).toEqual({ p50: 30, p95: 50, samples: 5 });
+    expect(typeof s.lastSuccessAt).toBe('string');
+  });
+
+  it('未记录过的 provider 返回零值', () => {
+    expect(new ProviderStatsTracker().get('MaxMind')).toEqual({
+      counts: { success: 0, empty: 0, error: 0, skipped: 0 },
+      errors: {},
+      latencyMs: { p50: 0, p95: 0, samples: 0 },
+      lastSuccessAt: null,
+      lastErrorAt: null
+    });
+  });
+});
+
+describe('GeoLookup provider 统计', () => {
+  it('get() 记录 sync / primary 结果，熔断中记为 skipped', async() => {
+    const Sync = providerClass('LocalDB', {
+      tier: 'sync', priority: 90, sync: (ip) => createGeoData({ ip, country: { code: 'US' } })
+    });
+    const Auth = providerClass('MaxMind', {
+      priority: 80,
+      fetch: () => { throw new ProviderError(ProviderErrorCode.AUTH_FAILURE, 'MaxMind', '401'); }
+    });
+    const Empty = providerClass('IPInfo', { priority: 60 });
+    const geo = new GeoLookup({
+      providers: [
+        { name: 'localdb', ProviderClass: Sync },
+        { name: 'maxmind', ProviderClass: Auth },
+        { name: 'ipinfo', ProviderClass: Empty }
+      ]
+    });
+
+    await geo.get('203.0.113.10', null, {});
+    await geo.get('203.0.113.11', null, {});
+
+    const byName = Object.fromEntries(geo.describeProviders().map((p) => [p.name, p]));
+    expect(byName.localdb).toMatchObject({ provider: 'LocalDB', tier: 'sync', priority: 90, configured: true });
+    expect(byName.localdb.counts.success).toBe(2);
+    expect(byName.localdb.lastSuccessAt).not.toBeNull();
+    expect(byName.maxmind.tier).toBe('primary');
+    expect(byName.maxmind.counts).toMatchObject({ error: 1, skipped: 1 });
+    expect(byName.maxmind.errors).toEqual({ AUTH_FAILURE: 1 });
+    expect(byName.maxmind.circuit).toBe('open');
+    expect(byName.maxmind.lastSuccessAt).toBeNull();
+    expect(byName.ipinfo.counts).toMatchObject({ empty: 2, success: 0 });
+    geo.destroy();
+  });
+
+  it('未配置的 provider 仍列出，tier 按 primaryThreshold 归类', () => {
+    const Fallback = providerClass('Fallback', { priority: 10, configured: false });
+    const geo = new GeoLookup({ providers: [{ name: 'fallback', ProviderClass: Fallback }] });
+    expect(geo.describeProviders()).toEqual([expect.objectContaining({
+      name: 'fallback', configured: false, tier: 'fallback', circuit: 'closed'
+    })]);
+    // 只读查询不创建熔断器
+    expect(geo.getStats().circuitBreakers).toEqual([]);
+  });
+
+  it('默认注册表每项有稳定 name', () => {
+    expect(getDefaultProviders().map((entry) => entry.name)).toEqual([
+      'cloudflare', 'maxmindDb', 'maxmind', 'ipinfo', 'ipapicom'
+    ]);
+  });
+});
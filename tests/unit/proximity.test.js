@@ -0,0 +1,188 @@
+/**
+ * 📏 距离与邻近
+ *
+ * 锁定：大圆距离 km / mi 与初始方位角；两端误差半径放宽为 [minKm, maxKm]，半径未知时为 null；
+ * 同国家 / ASN / 时区任一端未知为 null；邻近排名按距离升序，possiblyNearest 按 2r 判定；
+ * 三个端点经 GeoLookup 定位，私有地址与格式错误 400。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import '../setup.js';
+import { compassPoint, initialBearing } from '../../src/utils/geoMath.js';
+import {
+  compareEndpoints,
+  endpointFromGeo,
+  endpointFromPoint,
+  parseLatLng,
+  rankByDistance
+} from '../../src/services/proximity.js';
+import { geoLookup } from '../../src/services/geoLookup.js';
+import { createGeoData } from '../../src/providers/BaseProvider.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const PARIS = { latitude: 48.8566, longitude: 2.3522 };
+const NEW_YORK = { latitude: 40.7128, longitude: -74.006 };
+
+const geo = (ip, country, asn, coordinates, accuracy, timezone = null) => createGeoData({
+  ip,
+  country: { code: country },
+  network: { asn },
+  location: { timezone, coordinates: { ...coordinates, accuracy } }
+});
+
+describe('geoMath 方位角', () => {
+  it('初始方位角与八方位', () => {
+    expect(initialBearing(LONDON, NEW_YORK)).toBeCloseTo(288.3, 0);
+    expect(initialBearing(PARIS, LONDON)).toBeCloseTo(330.0, 0);
+    expect(compassPoint(0)).toBe('N');
+    expect(compassPoint(359)).toBe('N');
+    expect(compassPoint(135)).toBe('SE');
+  });
+});
+
+describe('proximity', () => {
+  it('parseLatLng 只接受合法范围内的 "lat,lng"', () => {
+    expect(parseLatLng(' 51.5, -0.12 ')).toEqual({ latitude: 51.5, longitude: -0.12 });
+    expect(parseLatLng('91,0')).toBeNull();
+    expect(parseLatLng('8.8.8.8')).toBeNull();
+  });
+
+  it('距离按两端误差半径放宽；方位角；同国家 / ASN / 时区', () => {
+    const a = endpointFromGeo('8.8.8.8', '8.8.8.8', geo('8.8.8.8', 'GB', 15169, LONDON, 20, 'Europe/London'));
+    const b = endpointFromGeo('1.1.1.1', '1.1.1.1', geo('1.1.1.1', 'FR', 15169, PARIS, 50, 'Europe/Paris'));
+    const result = compareEndpoints(a, b);
+
+    expect(result.distance.km).toBeCloseTo(343.6, 0);
+    expect(result.distance.mi).toBeCloseTo(213.5, 0);
+    expect(result.distance.uncertaintyKm).toBe(70);
+    expect(result.distance.minKm).toBeCloseTo(result.distance.km - 70, 1);
+    expect(result.distance.maxKm).toBeCloseTo(result.distance.km + 70, 1);
+    expect(result.bearing.compass).toBe('SE');
+    expect(result).toMatchObject({ sameCountry: false, sameAsn: true, sameTimezone: false });
+  });
+
+  it('误差半径未知时区间为 null；坐标端点国家 / ASN 未知、时区推断', () => {
+    const ip = endpointFromGeo('8.8.8.8', '8.8.8.8', geo('8.8.8.8', 'US', 15169, NEW_YORK, undefined));
+    const point = endpointFromPoint('48.8566,2.3522', PARIS);
+    expect(point).toMatchObject({ ip: null, accuracyKm: 0, timezone: 'Europe/Paris' });
+
+    const result = compareEndpoints(ip, point);
+    expect(result.distance).toMatchObject({ uncertaintyKm: null, minKm: null, maxKm: null });
+    expect(result).toMatchObject({ sameCountry: null, sameAsn: null, sameTimezone: null });
+
+    const noCoords = endpointFromGeo('9.9.9.9', '9.9.9.9', createGeoData({ ip: '9.9.9.9' }));
+    expect(compareEndpoints(noCoords, point)).toMatchObject({ distance: null, bearing: null });
+  });
+
+  it('邻近排名：possiblyNearest 考虑 origin 误差半径', () => {
+    const origin = { coordinates: LONDON, accuracyKm: 200 };
+    const ranked = rankByDistance(origin, [
+      { name: 'nyc', ...NEW_YORK },
+      { name: 'paris', ...PARIS },
+      { name: 'brussels', latitude: 50.8503, longitude: 4.3517 }
+    ]);
+    expect(ranked.map((r) => [r.rank, r.name, r.possiblyNearest])).toEqual([
+      [1, 'brussels', true],
+      [2, 'paris', true],
+      [3, 'nyc', false]
+    ]);
+    expect(ranked[0].distance.minKm).toBeCloseTo(ranked[0].distance.km - 200, 1);
+
+    const unknown = rankByDistance({ coordinates: LONDON, accuracyKm: null }, [{ name: 'p', ...PARIS }]);
+    expect(unknown[0].distance).toMatchObject({ minKm: null, maxKm: null });
+  });
+});
+
+describe('路由：distance / nearest', () => {
+  const headers = { 'X-API-Key': 'sk-test-1234567890abcdef', 'Content-Type': 'application/json' };
+  const get = async(path) => {
+    const res = await app.fetch(new Request(`https://example.test${path}`, { headers }));
+    return { status: res.status, body: await res.json() };
+  };
+  const post = async(path, body, extraHeaders = {}) => {
+    const res = await app.fetch(new Request(`https://example.test${path}`, {
+      method: 'POST',
+      headers: { ...headers, ...extraHeaders },
+      body: JSON.stringify(body)
+    }));
+    return { status: res.status, body: await res.json() };
+  };
+
+  const fixtures = {
+    '8.8.8.8': geo('8.8.8.8', 'GB', 15169, LONDON, 20, 'Europe/London'),
+    '1.1.1.1': geo('1.1.1.1', 'FR', 13335, PARIS, 50, 'Europe/Paris'),
+    '9.9.9.9': geo('9.9.9.9', 'US', 19281, NEW_YORK, 100, 'America/New_York')
+  };
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+    vi.spyOn(geoLookup, 'get').mockImplementation(async(ip) => fixtures[ip] ?? fixtures['9.9.9.9']);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('GET /ips/:ip/distance 支持 IP 与坐标目标；私有地址与无效目标 400', async() => {
+    const { status, body } = await get('/api/v1/ips/::ffff:8.8.8.8/distance?to=1.1.1.1');
+    expect(status).toBe(200);
+    expect(body.data.from).toMatchObject({ input: '::ffff:8.8.8.8', ip: '8.8.8.8', countryCode: 'GB' });
+    expect(body.data.distance.km).toBeCloseTo(343.6, 0);
+    expect(body.meta.dataAvailable).toBe(true);
+
+    const toPoint = await get('/api/v1/ips/8.8.8.8/distance?to=51.5074,-0.1278');
+    expect(toPoint.body.data.distance).toMatchObject({ km: 0, uncertaintyKm: 20, maxKm: 20 });
+    expect(toPoint.body.data.sameTimezone).toBe(true);
+
+    expect((await get('/api/v1/ips/8.8.8.8/distance?to=10.0.0.1')).status).toBe(400);
+    expect((await get('/api/v1/ips/8.8.8.8/distance?to=nowhere')).status).toBe(400);
+    expect((await get('/api/v1/ips/8.8.8.8/distance')).status).toBe(400);
+  });
+
+  it('POST ips:distance 返回对称矩阵与逐对比较', async() => {
+    const { status, body } = await post('/api/v1/ips:distance', {
+      points: ['8.8.8.8', { latitude: 48.8566, longitude: 2.3522 }, '9.9.9.9']
+    });
+    expect(status).toBe(200);
+    const { km } = body.data.matrix;
+    expect(km[0][0]).toBe(0);
+    expect(km[0][1]).toBe(km[1][0]);
+    expect(km[0][2]).toBeGreaterThan(5000);
+    expect(body.data.pairs.map((p) => [p.from, p.to])).toEqual([[0, 1], [0, 2], [1, 2]]);
+    expect(body.data.points[1]).toMatchObject({ ip: null, timezone: 'Europe/Paris' });
+
+    expect((await post('/api/v1/ips:distance', { points: ['8.8.8.8'] })).status).toBe(400);
+    expect((await post('/api/v1/ips:distance', { points: Array(11).fill('8.8.8.8') })).status).toBe(400);
+  });
+
+  it('POST ips:nearest 以 from（IP 或坐标）为起点，limit 截断结果', async() => {
+    const points = [
+      { name: 'nyc', ...NEW_YORK },
+      { name: 'paris', ...PARIS },
+      { name: 'london', ...LONDON }
+    ];
+    const { status, body } = await post('/api/v1/ips:nearest', { from: '8.8.8.8', points, limit: 2 });
+    expect(status).toBe(200);
+    expect(body.data.origin).toMatchObject({ ip: '8.8.8.8', accuracyKm: 20 });
+    expect(body.data.results.map((r) => r.name)).toEqual(['london', 'paris']);
+    expect(body.meta.dataAvailable).toBe(true);
+
+    const fromPoint = await post('/api/v1/ips:nearest', { from: '40.7,-74.0', points });
+    expect(fromPoint.body.data.results[0].name).toBe('nyc');
+    expect((await post('/api/v1/ips:nearest', { points: [{ name: 'x', latitude: 100, longitude: 0 }] })).status)
+      .toBe(400);
+  });
+
+  it('POST ips:nearest 缺省 from 且调用方 IP 缺失或为私有地址时 400，不发起查询', async() => {
+    const points = [{ name: 'paris', ...PARIS }, { name: 'london', ...LONDON }];
+    expect((await post('/api/v1/ips:nearest', { points })).status).toBe(400);
+    const privateClient = await post('/api/v1/ips:nearest', { points }, { 'CF-Connecting-IP': '10.0.0.1' });
+    expect(privateClient.status).toBe(400);
+    expect(privateClient.body.error.code).toBe('BAD_REQUEST');
+    expect(geoLookup.get).not.toHaveBeenCalled();
+  });
+});
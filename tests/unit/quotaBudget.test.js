@@ -0,0 +1,130 @@
+/**
+ * 🪙 上游配额预算测试
+ *
+ * 锁定：令牌桶按速率回填；日/月预算按 UTC 自然窗口清零；任一维度耗尽即无预算；
+ * GeoLookup 跳过预算耗尽的 provider（同未配置）、重试不超过剩余配额、达到 warnPercent 时报告告警。
+ */
+
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { ProviderQuota, TokenBucket } from '../../src/services/quotaBudget.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import {
+  BaseProvider,
+  ProviderError,
+  ProviderErrorCode,
+  createGeoData
+} from '../../src/providers/BaseProvider.js';
+import { configManager } from '../../src/config/configManager.js';
+
+const clock = (start) => {
+  const c = { t: start, now: () => c.t };
+  return c;
+};
+
+describe('TokenBucket', () => {
+  it('耗尽后按速率回填，不超过容量', () => {
+    const c = clock(0);
+    const bucket = new TokenBucket(2, 1 / 1000, c.now);
+    bucket.take();
+    bucket.take();
+    expect(bucket.available()).toBe(0);
+    c.t = 1500;
+    expect(bucket.available()).toBe(1);
+    c.t = 60000;
+    expect(bucket.available()).toBe(2);
+  });
+});
+
+describe('ProviderQuota', () => {
+  it('daily 预算在 UTC 零点清零', () => {
+    const c = clock(Date.UTC(2024, 0, 15, 23, 59));
+    const quota = new ProviderQuota('ipinfo', { daily: 2 }, c.now);
+    quota.consume();
+    quota.consume();
+    expect(quota.hasBudget()).toBe(false);
+    expect(quota.getState().daily).toMatchObject({ limit: 2, used: 2, remaining: 0 });
+
+    c.t = Date.UTC(2024, 0, 16, 0, 1);
+    expect(quota.hasBudget()).toBe(true);
+    expect(quota.getState().daily).toMatchObject({ used: 0, resetsAt: '2024-01-17T00:00:00.000Z' });
+  });
+
+  it('available 取各维度最小值，usagePercent 取日/月较高者', () => {
+    const c = clock(Date.UTC(2024, 1, 10));
+    const quota = new ProviderQuota('ipinfo', { ratePerMinute: 60, daily: 100, monthly: 10, warnPercent: 50 }, c.now);
+    expect(quota.available()).toBe(10);
+    for (let i = 0; i < 4; i++) quota.consume();
+    expect(quota.usagePercent()).toBe(40);
+    expect(quota.isWarning()).toBe(false);
+    quota.consume();
+    expect(quota.isWarning()).toBe(true);
+    expect(quota.getState().monthly.resetsAt).toBe('2024-03-01T00:00:00.000Z');
+  });
+
+  it('无任何限制时不设上限', () => {
+    const quota = new ProviderQuota('x', {});
+    expect(quota.available()).toBe(Infinity);
+    expect(quota.getState()).toMatchObject({ perMinute: null, daily: null, monthly: null, exhausted: false });
+  });
+});
+
+describe('GeoLookup 配额', () => {
+  let previous;
+  beforeAll(async() => {
+    await configManager.initialize();
+  });
+  afterEach(() => {
+    configManager.set('providers.ipinfo', previous);
+  });
+
+  function setQuota(quota, extra = {}) {
+    previous = configManager.get('providers.ipinfo');
+    configManager.set('providers.ipinfo', { ...previous, ...extra, quota });
+  }
+
+  const providerClass = (fetch) => class extends BaseProvider {
+    constructor() {
+      super('IPInfo', { priority: 60, configKey: 'ipinfo' });
+    }
+    async fetch(ip) {
+      return fetch(ip);
+    }
+  };
+
+  it('预算耗尽的 provider 像未配置一样被跳过', async() => {
+    setQuota({ daily: 1, warnPercent: 100 });
+    let calls = 0;
+    const geo = new GeoLookup({
+      providers: [{ name: 'ipinfo', ProviderClass: providerClass((ip) => {
+        calls++;
+        return createGeoData({ ip, country: { code: 'US' } });
+      }) }]
+    });
+
+    expect((await geo.get('203.0.113.40', null, {})).country.code).toBe('US');
+    expect(geo.getQuotaWarnings()).toEqual([{ provider: 'ipinfo', usagePercent: 100, warnPercent: 100 }]);
+
+    expect(await geo.getOptimizedProviders()).toEqual([]);
+    // 不同 /24：避开网段前缀缓存，确实走到 provider 选择
+    const second = await geo.get('198.51.100.41', null, {});
+    expect(second.country.code).toBeUndefined();
+    expect(second.provenance.providers).toEqual([]);
+    expect(calls).toBe(1);
+    expect(geo.describeProviders()[0].quota).toMatchObject({ exhausted: true, daily: { remaining: 0 } });
+    geo.destroy();
+  });
+
+  it('重试次数不超过剩余配额', async() => {
+    setQuota({ daily: 2 }, { retryAttempts: 5 });
+    let calls = 0;
+    const geo = new GeoLookup({
+      providers: [{ name: 'ipinfo', ProviderClass: providerClass(() => {
+        calls++;
+        throw new ProviderError(ProviderErrorCode.TIMEOUT, 'IPInfo', 'slow', { retryable: true });
+      }) }]
+    });
+    await geo.get('203.0.113.42', null, {});
+    expect(calls).toBe(2);
+    geo.destroy();
+  });
+});
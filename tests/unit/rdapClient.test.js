@@ -0,0 +1,219 @@
+/**
+ * 🏛️ RDAP 注册信息测试
+ *
+ * RDAP 服务器指向本地 HTTP 替身（node:http，application/rdap+json 形状），不触达真实 RIR。
+ * 锁定：bootstrap 最长前缀选服、CIDR 推算（cidr0 优先，否则起止区间）、abuse 联系人递归提取、
+ * 错误码映射；/api/v1/ips/:ip/registration 返回注册信息并走独立缓存。
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import '../setup.js';
+import { RdapClient, RdapError, RdapErrorCode, parseRdapNetwork } from '../../src/services/rdapClient.js';
+import { parseCIDR, ipInCIDR, rangeToCIDRs } from '../../src/utils/ipValidation.js';
+import { getRegistrationCache } from '../../src/utils/secureCache.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+const vcard = (props) => ['vcard', [['version', {}, 'text', '4.0'], ...props]];
+
+// ARIN 形状：abuse 联系人嵌套在 registrant 实体下，带 cidr0 扩展
+const GOOGLE_NET = {
+  objectClassName: 'ip network',
+  handle: 'NET-8-8-8-0-2',
+  startAddress: '8.8.8.0',
+  endAddress: '8.8.8.255',
+  ipVersion: 'v4',
+  name: 'GOGL',
+  type: 'DIRECT ALLOCATION',
+  parentHandle: 'NET-8-0-0-0-0',
+  cidr0_cidrs: [{ v4prefix: '8.8.8.0', length: 24 }],
+  port43: 'whois.arin.net',
+  events: [
+    { eventAction: 'registration', eventDate: '2023-12-28T17:24:33-05:00' },
+    { eventAction: 'last changed', eventDate: '2023-12-28T17:24:56-05:00' }
+  ],
+  entities: [{
+    handle: 'GOGL',
+    roles: ['registrant'],
+    vcardArray: vcard([['fn', {}, 'text', 'Google LLC']]),
+    entities: [{
+      handle: 'ABUSE5250-ARIN',
+      roles: ['abuse'],
+      vcardArray: vcard([
+        ['fn', {}, 'text', 'Abuse'],
+        ['email', {}, 'text', 'network-abuse@google.com'],
+        ['tel', { type: ['work', 'voice'] }, 'uri', 'tel:+1-650-253-0000']
+      ])
+    }]
+  }]
+};
+
+// RIPE 形状：无 cidr0，只有起止地址（区间跨两个前缀）
+const RANGE_NET = {
+  objectClassName: 'ip network',
+  handle: '193.0.0.0 - 193.0.11.255',
+  startAddress: '193.0.0.0',
+  endAddress: '193.0.11.255',
+  name: 'RIPE-NCC',
+  country: 'NL',
+  port43: 'whois.ripe.net',
+  events: [{ eventAction: 'last changed', eventDate: '2024-03-01T10:00:00Z' }],
+  entities: [{
+    roles: ['abuse'],
+    vcardArray: vcard([['email', {}, 'text', 'abuse@ripe.net']])
+  }]
+};
+
+const networks = { '8.8.8.8': GOOGLE_NET, '193.0.6.139': RANGE_NET };
+
+let server;
+let baseUrl;
+let requests = [];
+let status = null;
+
+beforeAll(async() => {
+  server = createServer((req, res) => {
+    requests.push(req.url);
+    const ip = decodeURIComponent(req.url.replace(/^.*\/ip\//, ''));
+    if (status) {
+      res.writeHead(status).end();
+      return;
+    }
+    const body = networks[ip];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/rdap+json' });
+    res.end(JSON.stringify(body || { errorCode: 404, title: 'Not Found' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/rdap/`;
+});
+
+afterAll(async() => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  status = null;
+});
+
+describe('CIDR 工具', () => {
+  it('parseCIDR 截断主机位，ipInCIDR 同族比较', () => {
+    expect(parseCIDR('8.8.8.8/24')).toEqual({ address: '8.8.8.0', prefixLength: 24, version: 4 });
+    expect(parseCIDR('2001:db8::1/32')).toEqual({ address: '2001:db8::', prefixLength: 32, version: 6 });
+    expect(parseCIDR('8.8.8.0/33')).toBeNull();
+    expect(ipInCIDR('8.8.8.8', '8.8.8.0/24')).toBe(true);
+    expect(ipInCIDR('::ffff:8.8.8.8', '8.8.0.0/16')).toBe(true);
+    expect(ipInCIDR('2001:db8::1', '8.0.0.0/8')).toBe(false);
+  });
+
+  it('rangeToCIDRs 给出最少前缀', () => {
+    expect(rangeToCIDRs('193.0.0.0', '193.0.11.255')).toEqual(['193.0.0.0/21', '193.0.8.0/22']);
+    expect(rangeToCIDRs('10.0.0.1', '10.0.0.2')).toEqual(['10.0.0.1/32', '10.0.0.2/32']);
+    expect(rangeToCIDRs('2001:db8::', '2001:db8::ffff')).toEqual(['2001:db8::/112']);
+  });
+});
+
+describe('RdapClient', () => {
+  it('bootstrap 按最长前缀选择 RIR 服务器', () => {
+    const client = new RdapClient();
+    expect(client.serverFor('8.8.8.8')).toEqual({ url: 'https://rdap.arin.net/registry/', rir: 'ARIN' });
+    expect(client.serverFor('1.1.1.1').rir).toBe('APNIC');
+    expect(client.serverFor('193.0.6.139').rir).toBe('RIPE');
+    expect(client.serverFor('2a00:1450::1').rir).toBe('RIPE');
+
+    const custom = new RdapClient({
+      bootstrap: {
+        ipv4: {
+          services: [
+            [['8.0.0.0/8'], ['https://rdap.arin.net/registry/']],
+            [['8.8.0.0/16'], ['http://mirror.example/rdap/', 'https://rdap.lacnic.net/rdap/']]
+          ]
+        }
+      }
+    });
+    expect(custom.serverFor('8.8.8.8')).toEqual({ url: 'https://rdap.lacnic.net/rdap/', rir: 'LACNIC' });
+    expect(custom.serverFor('9.9.9.9')).toBeNull();
+  });
+
+  it('lookup 解析网段、日期与嵌套的 abuse 联系人', async() => {
+    const result = await new RdapClient({ baseUrl }).lookup('8.8.8.8');
+    expect(requests).toEqual(['/rdap/ip/8.8.8.8']);
+    expect(result).toMatchObject({
+      ip: '8.8.8.8',
+      cidr: '8.8.8.0/24',
+      name: 'GOGL',
+      handle: 'NET-8-8-8-0-2',
+      rir: 'ARIN',
+      registrationDate: '2023-12-28T22:24:33.000Z',
+      lastChangedDate: '2023-12-28T22:24:56.000Z',
+      abuse: { name: 'Abuse', email: 'network-abuse@google.com', phone: '+1-650-253-0000' },
+      source: '127.0.0.1'
+    });
+  });
+
+  it('无 cidr0 时由起止区间推算，cidr 取包含查询 IP 的前缀', () => {
+    const result = parseRdapNetwork(RANGE_NET, '193.0.10.1', { source: 'rdap.db.ripe.net' });
+    expect(result.cidrs).toEqual(['193.0.0.0/21', '193.0.8.0/22']);
+    expect(result.cidr).toBe('193.0.8.0/22');
+    expect(result.rir).toBe('RIPE');
+    expect(result.registrationDate).toBeNull();
+    expect(result.abuse).toEqual({ name: null, email: 'abuse@ripe.net', phone: null });
+  });
+
+  it('错误映射：404 NOT_FOUND、5xx UPSTREAM_ERROR、非网段对象、无覆盖', async() => {
+    const client = new RdapClient({ baseUrl });
+    await expect(client.lookup('9.9.9.9')).rejects.toMatchObject({ code: RdapErrorCode.NOT_FOUND, httpStatus: 404 });
+
+    status = 503;
+    await expect(client.lookup('8.8.8.8')).rejects.toMatchObject({ code: RdapErrorCode.UPSTREAM_ERROR });
+
+    expect(() => parseRdapNetwork({ objectClassName: 'entity' }, '8.8.8.8')).toThrow(RdapError);
+
+    const empty = new RdapClient({ bootstrap: { ipv4: { services: [] } } });
+    await expect(empty.lookup('8.8.8.8')).rejects.toMatchObject({ code: RdapErrorCode.NO_REGISTRY });
+  });
+});
+
+describe('GET /api/v1/ips/:ip/registration', () => {
+  const req = async(path) => {
+    const res = await app.fetch(new Request(`https://example.test${path}`, {
+      headers: { 'X-API-Key': 'sk-test-1234567890abcdef' }
+    }));
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+    // 首个请求会触发应用初始化（重新加载配置），覆盖须在其之后
+    await app.fetch(new Request('https://example.test/health'));
+    configManager.set('rdap.baseUrl', baseUrl);
+    getRegistrationCache().clear();
+  });
+
+  it('返回注册信息，第二次命中独立缓存', async() => {
+    const first = await req('/api/v1/ips/8.8.8.8/registration');
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({ cidr: '8.8.8.0/24', name: 'GOGL', rir: 'ARIN' });
+    expect(first.body.data.abuse.email).toBe('network-abuse@google.com');
+    expect(first.body.meta.cached).toBe(false);
+    expect(first.body.links.geo.href).toMatch(/\/api\/v1\/ips\/8\.8\.8\.8$/);
+
+    const second = await req('/api/v1/ips/8.8.8.8/registration');
+    expect(second.body.meta.cached).toBe(true);
+    expect(requests).toHaveLength(1);
+  });
+
+  it('无注册记录 → 404，上游故障 → 502，私有地址 → 400', async() => {
+    expect((await req('/api/v1/ips/9.9.9.9/registration')).status).toBe(404);
+
+    status = 500;
+    const failed = await req('/api/v1/ips/193.0.6.139/registration');
+    expect(failed.status).toBe(502);
+    expect(failed.body.error.code).toBe('BAD_GATEWAY');
+
+    expect((await req('/api/v1/ips/10.0.0.1/registration')).status).toBe(400);
+  });
+});
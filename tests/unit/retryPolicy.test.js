@@ -0,0 +1,135 @@
+/**
+ * 🔁 Provider 重试策略测试
+ *
+ * 只重试可恢复错误（TIMEOUT / NETWORK_FAILURE / 5xx），指数退避 + jitter，
+ * 所有尝试共享总超时预算；GeoLookup 按 providers.<configKey>.retryAttempts 重试并记录每次尝试。
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  retryWithBudget,
+  backoffDelay,
+  isRetryableProviderError
+} from '../../src/utils/retryPolicy.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, ProviderError, ProviderErrorCode, createGeoData } from '../../src/providers/BaseProvider.js';
+
+const err = (code, options = {}) => new ProviderError(code, 'Fake', 'boom', options);
+
+function fakeClock() {
+  const state = { t: 0 };
+  return {
+    now: () => state.t,
+    sleep: async(ms) => { state.t += ms; },
+    advance: (ms) => { state.t += ms; },
+    state
+  };
+}
+
+describe('isRetryableProviderError', () => {
+  it('TIMEOUT / NETWORK_FAILURE / 5xx 可重试，其余不可', () => {
+    expect(isRetryableProviderError(err(ProviderErrorCode.TIMEOUT))).toBe(true);
+    expect(isRetryableProviderError(err(ProviderErrorCode.NETWORK_FAILURE))).toBe(true);
+    expect(isRetryableProviderError(err(ProviderErrorCode.UPSTREAM_ERROR, { retryable: true, httpStatus: 502 })))
+      .toBe(true);
+    expect(isRetryableProviderError(err(ProviderErrorCode.UPSTREAM_ERROR, { httpStatus: 400 }))).toBe(false);
+    expect(isRetryableProviderError(err(ProviderErrorCode.AUTH_FAILURE))).toBe(false);
+    expect(isRetryableProviderError(err(ProviderErrorCode.RATE_LIMITED))).toBe(false);
+    expect(isRetryableProviderError(err(ProviderErrorCode.PARSE_ERROR))).toBe(false);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('指数增长且不超过 maxDelayMs（full jitter 上界）', () => {
+    const max = () => 0.9999;
+    expect(backoffDelay(1, { baseDelayMs: 100, maxDelayMs: 1000 }, max)).toBe(99);
+    expect(backoffDelay(3, { baseDelayMs: 100, maxDelayMs: 1000 }, max)).toBe(399);
+    expect(backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000 }, max)).toBe(999);
+    expect(backoffDelay(3, {}, () => 0)).toBe(0);
+  });
+});
+
+describe('retryWithBudget', () => {
+  it('可重试错误重试至成功，每次尝试回调 onAttempt', async() => {
+    const clock = fakeClock();
+    const attempts = [];
+    const fn = vi.fn()
+      .mockRejectedValueOnce(err(ProviderErrorCode.TIMEOUT))
+      .mockResolvedValueOnce('ok');
+
+    const value = await retryWithBudget(fn, {
+      retries: 2, budgetMs: 5000, ...clock, random: () => 0.5, onAttempt: (a) => attempts.push(a)
+    });
+    expect(value).toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(attempts.map((a) => [a.attempt, a.error?.code || null])).toEqual([[1, 'TIMEOUT'], [2, null]]);
+  });
+
+  it('不可重试错误立即抛出', async() => {
+    const fn = vi.fn().mockRejectedValue(err(ProviderErrorCode.AUTH_FAILURE));
+    await expect(retryWithBudget(fn, { retries: 3, ...fakeClock() })).rejects.toMatchObject({ code: 'AUTH_FAILURE' });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('用尽 retries 后抛出最后一次错误', async() => {
+    const fn = vi.fn().mockRejectedValue(err(ProviderErrorCode.NETWORK_FAILURE));
+    await expect(retryWithBudget(fn, { retries: 2, ...fakeClock(), random: () => 0 })).rejects.toThrow(/NETWORK/);
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('每次尝试拿到剩余预算；预算不足时不再重试', async() => {
+    const clock = fakeClock();
+    const budgets = [];
+    const fn = vi.fn(async(_attempt, remainingMs) => {
+      budgets.push(remainingMs);
+      clock.advance(remainingMs - 100); // 模拟一次耗尽大部分预算的超时
+      throw err(ProviderErrorCode.TIMEOUT);
+    });
+
+    await expect(retryWithBudget(fn, { retries: 5, budgetMs: 1000, ...clock, random: () => 0 })).rejects.toThrow();
+    expect(budgets[0]).toBe(1000);
+    expect(fn).toHaveBeenCalledTimes(1); // 剩余 100ms < minAttemptMs
+  });
+
+  it('原始错误经 classify 归类后再判断', async() => {
+    const fn = vi.fn()
+      .mockRejectedValueOnce(new Error('provider timeout after 5000ms'))
+      .mockResolvedValueOnce('ok');
+    const classify = (e) => new BaseProvider('Fake').classify(e, 'lookup');
+    await expect(retryWithBudget(fn, { retries: 1, classify, ...fakeClock() })).resolves.toBe('ok');
+  });
+});
+
+describe('GeoLookup — provider 重试', () => {
+  it('按 retryAttempts 重试 5xx 并记录每次尝试', async() => {
+    let calls = 0;
+    class FlakyProvider extends BaseProvider {
+      constructor() {
+        super('Flaky', { priority: 60, tier: 'async', configKey: 'ipinfo' });
+      }
+      async fetch(ip) {
+        calls++;
+        if (calls === 1) {
+          throw err(ProviderErrorCode.UPSTREAM_ERROR, { retryable: true, httpStatus: 503 });
+        }
+        return createGeoData({ ip, country: { code: 'US' } });
+      }
+    }
+    const geo = new GeoLookup({ providers: [{ ProviderClass: FlakyProvider }] });
+    vi.spyOn(geo, 'retryAttemptsFor').mockReturnValue(2);
+
+    const result = await geo.get('203.0.113.7', null, {});
+    expect(result.country.code).toBe('US');
+    expect(calls).toBe(2);
+    const metrics = geo.getStats().monitor.metrics;
+    expect(metrics.provider_attempt.count).toBe(2);
+    expect(metrics.provider_retry.count).toBe(1);
+    expect(geo.getStats().circuitBreakers[0].state).toBe('closed');
+    geo.destroy();
+  });
+
+  it('无 configKey 的 provider 不重试', async() => {
+    const geo = new GeoLookup({ providers: [] });
+    expect(geo.retryAttemptsFor(new BaseProvider('Plain'))).toBe(0);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * 🔁 反向 DNS / FCrDNS 测试
+ *
+ * DoH 端点指向本地 HTTP 替身（node:http，application/dns-json 形状），不触达真实 DNS。
+ * 锁定：PTR 查询名构造、正向确认、失败不缓存；ThreatService 用验证后的主机名放行真爬虫、
+ * 识别伪造爬虫与托管/住宅主机名；GeoLookup 输出 network.hostname / hostnameVerified 并把 rdns 交给威胁检测。
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import { createMockRequest } from '../setup.js';
+import { ReverseDnsResolver, ptrName } from '../../src/services/reverseDns.js';
+import { ThreatService } from '../../src/services/threatService.js';
+import { GeoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+
+const RR = { A: 1, PTR: 12, AAAA: 28 };
+
+// name|type → data[]；未登记的名字按 NXDOMAIN 应答
+const zone = {
+  '1.66.249.66.in-addr.arpa|PTR': ['crawl-66-249-66-1.googlebot.com.'],
+  'crawl-66-249-66-1.googlebot.com|A': ['66.249.66.1'],
+  '9.113.0.203.in-addr.arpa|PTR': ['crawl-fake.googlebot.com.'],
+  'crawl-fake.googlebot.com|A': ['203.0.113.250'],
+  '1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa|PTR': ['host.example.net.'],
+  'host.example.net|AAAA': ['2001:db8:0:0::1']
+};
+
+let server;
+let endpoint;
+let requests = [];
+let failing = false;
+let delayMs = 0;
+
+beforeAll(async() => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const name = url.searchParams.get('name');
+    const type = url.searchParams.get('type');
+    requests.push(`${name}|${type}`);
+    if (failing) {
+      res.writeHead(502).end();
+      return;
+    }
+    const data = zone[`${name}|${type}`];
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'application/dns-json' });
+      res.end(JSON.stringify(data
+        ? { Status: 0, Answer: data.map((d) => ({ name, type: RR[type], TTL: 300, data: d })) }
+        : { Status: 3 }));
+    }, delayMs);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/dns-query`;
+});
+
+afterAll(async() => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  failing = false;
+  delayMs = 0;
+});
+
+describe('ptrName', () => {
+  it('IPv4 倒序 in-addr.arpa，IPv6 半字节倒序 ip6.arpa', () => {
+    expect(ptrName('8.8.4.4')).toBe('4.4.8.8.in-addr.arpa');
+    expect(ptrName('::ffff:8.8.4.4')).toBe('4.4.8.8.in-addr.arpa');
+    expect(ptrName('2001:db8::1')).toBe('1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa');
+    expect(ptrName('nope')).toBeNull();
+  });
+});
+
+describe('ReverseDnsResolver', () => {
+  it('PTR 主机名正向解析回原 IP → verified', async() => {
+    const resolver = new ReverseDnsResolver({ dohEndpoint: endpoint });
+    expect(await resolver.lookup('66.249.66.1')).toEqual({
+      hostname: 'crawl-66-249-66-1.googlebot.com', verified: true
+    });
+    expect(await resolver.lookup('2001:DB8::1')).toEqual({ hostname: 'host.example.net', verified: true });
+  });
+
+  it('正向解析不回指 → verified=false；无 PTR → hostname=null', async() => {
+    const resolver = new ReverseDnsResolver({ dohEndpoint: endpoint });
+    expect(await resolver.lookup('203.0.113.9')).toEqual({ hostname: 'crawl-fake.googlebot.com', verified: false });
+    expect(await resolver.lookup('198.51.100.7')).toEqual({ hostname: null, verified: false });
+  });
+
+  it('结果缓存；DoH 失败返回 null 且不缓存', async() => {
+    const resolver = new ReverseDnsResolver({ dohEndpoint: endpoint });
+    await resolver.lookup('66.249.66.1');
+    await resolver.lookup('66.249.66.1');
+    expect(requests).toHaveLength(2); // PTR + A 各一次
+
+    failing = true;
+    expect(await resolver.lookup('203.0.113.9')).toBeNull();
+    failing = false;
+    expect((await resolver.lookup('203.0.113.9')).hostname).toBe('crawl-fake.googlebot.com');
+  });
+
+  it('PTR 与正向确认共用一个 timeoutMs 截止时间', async() => {
+    delayMs = 150;
+    const resolver = new ReverseDnsResolver({ dohEndpoint: endpoint, timeoutMs: 250 });
+    expect(await resolver.lookup('66.249.66.1')).toBeNull(); // 单次查询未超时，但 PTR + A 合计超过截止时间
+    delayMs = 0;
+    expect(await resolver.lookup('66.249.66.1')).toMatchObject({ verified: true }); // 超时未缓存
+  });
+
+  it('调用方 signal 已中止时不发出查询，返回 null', async() => {
+    const controller = new AbortController();
+    controller.abort();
+    const resolver = new ReverseDnsResolver({ dohEndpoint: endpoint });
+    expect(await resolver.lookup('66.249.66.1', { signal: controller.signal })).toBeNull();
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('ThreatService 使用 rDNS', () => {
+  const googlebotUA = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+  const request = () => createMockRequest('/', { headers: { 'user-agent': googlebotUA, accept: 'text/html' } });
+  const service = new ThreatService();
+
+  it('FCrDNS 验证通过的 Googlebot 放行并标注 crawler', async() => {
+    const rdns = { hostname: 'crawl-66-249-66-1.googlebot.com', verified: true };
+    const info = await service.getThreatInfo('66.249.66.1', request(), { rdns });
+    expect(info.isBot).toBe(false);
+    expect(info.crawler).toBe('Googlebot');
+    expect(info.hostnameType).toBeNull();
+  });
+
+  it('UA 声称 Googlebot 但主机名未确认或不在官方域名 → 伪造爬虫', async() => {
+    for (const rdns of [
+      { hostname: 'crawl-fake.googlebot.com', verified: false },
+      { hostname: 'googlebot.attacker.example', verified: true },
+      { hostname: null, verified: false }
+    ]) {
+      const bot = await service.checkBot('203.0.113.9', request(), rdns);
+      expect(bot).toMatchObject({ detected: true, indicators: ['spoofed_crawler'] });
+    }
+  });
+
+  it('GCE 实例主机名（googleusercontent.com）不能冒充 Googlebot，且保留托管信号', async() => {
+    const rdns = { hostname: '34.120.1.2.bc.googleusercontent.com', verified: true };
+    const bot = await service.checkBot('34.120.1.2', request(), rdns);
+    expect(bot).toMatchObject({ detected: true, indicators: ['spoofed_crawler'] });
+    expect(service.classifyHostname(rdns)).toBe('hosting');
+  });
+
+  it('无 rDNS 数据时沿用 UA 判定', async() => {
+    const bot = await service.checkBot('66.249.66.1', request(), null);
+    expect(bot).toMatchObject({ detected: false, indicators: ['legitimate_bot'] });
+  });
+
+  it('托管主机名计入 VPN 风险，住宅主机名仅标注', async() => {
+    const hosting = await service.checkVPN('203.0.113.20', request(), {
+      hostname: 'ec2-203-0-113-20.compute-1.amazonaws.com', verified: true
+    });
+    expect(hosting.detected).toBe(true);
+    expect(hosting.indicators).toContain('hosting_hostname');
+
+    const residential = await service.checkVPN('203.0.113.21', request(), {
+      hostname: 'pool-203-0-113-21.nycmny.fios.verizon.net', verified: true
+    });
+    expect(residential.indicators).toContain('residential_hostname');
+    expect(residential.indicators).not.toContain('hosting_hostname');
+  });
+
+  it('经确认的 legitimateDomains 主机名提升声誉', async() => {
+    const reputation = await service.checkReputation('203.0.113.30', request(), {
+      hostname: 'edge-1.github.com', verified: true
+    });
+    expect(reputation.reputation).toBe('good');
+    expect(reputation.sources).toContain('rdns_whitelist');
+
+    const unverified = await service.checkReputation('203.0.113.30', request(), {
+      hostname: 'edge-1.github.com', verified: false
+    });
+    expect(unverified.sources).not.toContain('rdns_whitelist');
+  });
+});
+
+describe('GeoLookup rDNS 富化', () => {
+  class Static extends BaseProvider {
+    constructor() {
+      super('Static', { priority: 60 });
+    }
+    async fetch(ip) {
+      return createGeoData({ ip, country: { code: 'US' } });
+    }
+  }
+
+  it('输出 network.hostname / hostnameVerified，并把 rdns 交给 threatDetector', async() => {
+    const contexts = [];
+    const geo = new GeoLookup({
+      providers: [{ name: 'static', ProviderClass: Static }],
+      reverseDns: new ReverseDnsResolver({ dohEndpoint: endpoint }),
+      threatDetector: async(ip, request, context) => {
+        contexts.push(context);
+        return { riskScore: 0 };
+      }
+    });
+
+    const result = await geo.get('66.249.66.1', null, { includeThreat: true });
+    expect(result.network).toMatchObject({ hostname: 'crawl-66-249-66-1.googlebot.com', hostnameVerified: true });
+    expect(result.provenance.fields['network.hostname']).toBe('ReverseDNS');
+    expect(contexts[0].rdns).toEqual({ hostname: 'crawl-66-249-66-1.googlebot.com', verified: true });
+    geo.destroy();
+  });
+
+  it('DoH 不可用时 hostname 为 null，地理结果不受影响', async() => {
+    failing = true;
+    const geo = new GeoLookup({
+      providers: [{ name: 'static', ProviderClass: Static }],
+      reverseDns: new ReverseDnsResolver({ dohEndpoint: endpoint })
+    });
+    const result = await geo.get('66.249.66.2', null, { includeHostname: true });
+    expect(result.country.code).toBe('US');
+    expect(result.network).toMatchObject({ hostname: null, hostnameVerified: null });
+    geo.destroy();
+  });
+
+  it('未请求 threat / hostname 时不做反向 DNS；includeHostname 单独入缓存键', async() => {
+    const geo = new GeoLookup({
+      providers: [{ name: 'static', ProviderClass: Static }],
+      reverseDns: new ReverseDnsResolver({ dohEndpoint: endpoint })
+    });
+    const plain = await geo.get('66.249.66.1', null, {});
+    expect(plain.network).toMatchObject({ hostname: null, hostnameVerified: null });
+    expect(requests).toHaveLength(0);
+
+    const withHostname = await geo.get('66.249.66.1', null, { includeHostname: true });
+    expect(withHostname.network.hostname).toBe('crawl-66-249-66-1.googlebot.com');
+    expect(geo.cache.generateKey('66.249.66.1', { includeHostname: false }))
+      .toBe(geo.cache.generateKey('66.249.66.1', {}));
+    geo.destroy();
+  });
+});
@@ -211,7 +211,7 @@ describe('M1: threat 检测失败时不缓存错误哨兵', () => {
     const r1 = await optimizer.get('203.0.113.99', request, { includeThreat: true });
     expect(r1.threat).toEqual({ error: 'Threat detection unavailable' });
     // 缓存应为空（threat 失败跳过 cache.set）
-    expect(optimizer.cache.cache.size).toBe(0);
+    expect(optimizer.cache.getStats().size).toBe(0);
 
     // 第二次查询：因未缓存，threatDetector 应被再次调用（而非命中错误缓存）
     throwingDetector.mockResolvedValue({ riskScore: 10, threats: {} });
@@ -0,0 +1,195 @@
+/**
+ * ♻️ 软 / 硬 TTL：stale-while-revalidate 与 stale-if-error
+ *
+ * 锁定：软 TTL 内直接命中；软 TTL ~ 硬 TTL 立即返回旧值（stale: true）并经 waitUntil 后台刷新一次；
+ * 硬 TTL 后重新查询，仅 provider 全部失败（或查询整体抛错）时返回保留的旧值；refresh 绕过缓存与网段缓存；
+ * 路由输出 meta.cached / meta.stale，Cache-Control: no-cache 以 refresh 查询。
+ */
+
+import { describe, it, expect, vi, afterEach, beforeEach } from 'vitest';
+import '../setup.js';
+import { GeoLookup, geoLookup } from '../../src/services/geoLookup.js';
+import { PrefixCache } from '../../src/services/prefixCache.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+const SOFT = 1000;
+const HARD = 5000;
+const RETAIN = 20000;
+
+function setup({ prefixCache } = {}) {
+  const upstream = { calls: 0, fail: false, city: 'Amsterdam' };
+  const Provider = class extends BaseProvider {
+    constructor() {
+      super('Upstream', { priority: 80 });
+    }
+    async fetch(ip) {
+      upstream.calls++;
+      if (upstream.fail) {
+        throw Object.assign(new Error('upstream down'), { code: 'UPSTREAM_ERROR' });
+      }
+      return createGeoData({ ip, country: { code: 'NL', city: upstream.city } });
+    }
+  };
+  const lookup = new GeoLookup({ providers: [{ name: 'upstream', ProviderClass: Provider }], prefixCache });
+  lookup._ensureConfigured();
+  Object.assign(lookup.cache, { ttl: SOFT, hardTtl: HARD, staleIfErrorTtl: RETAIN });
+  return { lookup, upstream };
+}
+
+describe('GeoLookup 软 / 硬 TTL', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('软 TTL 内命中缓存，不调用 provider', async() => {
+    const { lookup, upstream } = setup();
+    await lookup.get('198.51.100.10', null, {});
+    vi.setSystemTime(SOFT);
+    const hit = await lookup.get('198.51.100.10', null, {});
+    expect(upstream.calls).toBe(1);
+    expect(hit.stale).toBeUndefined();
+    lookup.destroy();
+  });
+
+  it('软 TTL 后立即返回旧值并经 waitUntil 后台刷新一次', async() => {
+    const { lookup, upstream } = setup();
+    await lookup.get('198.51.100.10', null, {});
+    upstream.city = 'Rotterdam';
+    vi.setSystemTime(SOFT + 1);
+
+    const scheduled = [];
+    const waitUntil = (promise) => scheduled.push(promise);
+    const first = await lookup.get('198.51.100.10', null, { waitUntil });
+    const second = await lookup.get('198.51.100.10', null, { waitUntil });
+    expect(first).toMatchObject({ stale: true, country: { city: 'Amsterdam' } });
+    expect(second.stale).toBe(true);
+    // 同键并发只刷新一次
+    expect(scheduled).toHaveLength(1);
+
+    await Promise.all(scheduled);
+    expect(upstream.calls).toBe(2);
+    const refreshed = await lookup.get('198.51.100.10', null, {});
+    expect(refreshed.stale).toBeUndefined();
+    expect(refreshed.country.city).toBe('Rotterdam');
+    expect(lookup.getStats().cache).toMatchObject({ staleHits: 2 });
+    lookup.destroy();
+  });
+
+  it('硬 TTL 后重新查询；provider 全部失败时返回保留的旧值且不回写', async() => {
+    const { lookup, upstream } = setup();
+    await lookup.get('198.51.100.10', null, {});
+    vi.setSystemTime(HARD + 1);
+    upstream.fail = true;
+
+    const fallback = await lookup.get('198.51.100.10', null, {});
+    expect(upstream.calls).toBe(2);
+    expect(fallback).toMatchObject({ stale: true, country: { code: 'NL', city: 'Amsterdam' } });
+
+    upstream.fail = false;
+    upstream.city = 'Utrecht';
+    const fresh = await lookup.get('198.51.100.10', null, {});
+    expect(upstream.calls).toBe(3);
+    expect(fresh.stale).toBeUndefined();
+    expect(fresh.country.city).toBe('Utrecht');
+    lookup.destroy();
+  });
+
+  it('超出保留期后失败不再兜底', async() => {
+    const { lookup, upstream } = setup();
+    await lookup.get('198.51.100.10', null, {});
+    vi.setSystemTime(RETAIN + 1);
+    upstream.fail = true;
+    const result = await lookup.get('198.51.100.10', null, {});
+    expect(result.stale).toBeUndefined();
+    expect(result.provenance.providers[0]).toMatchObject({ outcome: 'error', code: 'UPSTREAM_ERROR' });
+    lookup.destroy();
+  });
+
+  it('查询整体抛错时同样返回保留的旧值，无旧值则抛出', async() => {
+    const { lookup } = setup();
+    await lookup.get('198.51.100.10', null, {});
+    vi.setSystemTime(HARD + 1);
+    vi.spyOn(lookup, 'resolveFromProviders').mockRejectedValue(new Error('pipeline broken'));
+
+    expect(await lookup.get('198.51.100.10', null, {})).toMatchObject({ cached: true, stale: true });
+    await expect(lookup.get('198.51.100.20', null, {})).rejects.toThrow('pipeline broken');
+    lookup.destroy();
+  });
+
+  it('refresh 绕过结果缓存与网段缓存', async() => {
+    const { lookup, upstream } = setup({ prefixCache: new PrefixCache() });
+    await lookup.get('198.51.100.10', null, {});
+    await lookup.get('198.51.100.11', null, {});
+    expect(upstream.calls).toBe(1);
+
+    upstream.city = 'Rotterdam';
+    const refreshed = await lookup.get('198.51.100.10', null, { refresh: true });
+    expect(upstream.calls).toBe(2);
+    expect(refreshed.country.city).toBe('Rotterdam');
+    lookup.destroy();
+  });
+});
+
+describe('路由：meta.stale 与 Cache-Control: no-cache', () => {
+  const headers = { 'X-API-Key': 'sk-test-1234567890abcdef' };
+  const req = async(path, extra = {}) => {
+    const res = await app.fetch(new Request(`https://example.test${path}`, { headers: { ...headers, ...extra } }));
+    return { status: res.status, cacheControl: res.headers.get('Cache-Control'), body: await res.json() };
+  };
+  const geo = (extra = {}) => ({ ...createGeoData({ ip: '8.8.8.8', country: { code: 'US' } }), ...extra });
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('GeoLookup 返回旧值：meta.stale=true、max-age=0；新鲜结果无 stale', async() => {
+    const spy = vi.spyOn(geoLookup, 'get').mockResolvedValue(geo({ cached: true, stale: true }));
+    const first = await req('/api/v1/ips/8.8.8.8');
+    expect(first.status).toBe(200);
+    expect(first.body.meta).toMatchObject({ cached: true, stale: true });
+    expect(first.cacheControl).toBe('public, max-age=0');
+
+    spy.mockResolvedValue(geo());
+    const second = await req('/api/v1/ips/8.8.8.8');
+    expect(second.body.meta.cached).toBe(false);
+    expect(second.body.meta).not.toHaveProperty('stale');
+    expect(second.cacheControl).toBe('public, max-age=300');
+  });
+
+  it('Cache-Control: no-cache 以 refresh 查询', async() => {
+    const spy = vi.spyOn(geoLookup, 'get').mockResolvedValue(geo());
+    await req('/api/v1/ips/8.8.8.8');
+    await req('/api/v1/ips/8.8.8.8', { 'Cache-Control': 'no-cache' });
+    expect(spy.mock.calls[0][2].refresh).toBe(false);
+    expect(spy.mock.calls[1][2].refresh).toBe(true);
+  });
+
+  it('批量结果逐条带 cached / stale', async() => {
+    vi.spyOn(geoLookup, 'get').mockImplementation(async(ip) => (
+      ip === '8.8.8.8' ? geo({ cached: true, stale: true }) : geo()
+    ));
+    const res = await app.fetch(new Request('https://example.test/api/v1/ips:batch', {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ips: ['8.8.8.8', '1.1.1.1'] })
+    }));
+    const { data } = await res.json();
+    expect(data.results[0]).toMatchObject({ ip: '8.8.8.8', cached: true, stale: true });
+    expect(data.results[1]).toMatchObject({ ip: '1.1.1.1', cached: false });
+    expect(data.results[1]).not.toHaveProperty('stale');
+    expect(data.summary.cached).toBe(1);
+  });
+});
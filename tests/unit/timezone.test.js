@@ -0,0 +1,153 @@
+/**
+ * 🕒 时区块与时区推断
+ *
+ * 锁定：偏移 / 本地时间 / 夏令时按 Intl 计算，南半球夏令时判定正确，下一次切换精确到秒、无夏令时为 null；
+ * 坐标推断优先同国家时区，不覆盖 provider 时区名；路由仅 includeTimezone=true 时输出 timezone 块。
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import '../setup.js';
+import { describeTimezone, enrichTimezone, inferTimezone, isValidTimezone } from '../../src/utils/timezone.js';
+import { GeoLookup, geoLookup } from '../../src/services/geoLookup.js';
+import { BaseProvider, createGeoData } from '../../src/providers/BaseProvider.js';
+import { app } from '../../src/app.js';
+import { configManager } from '../../src/config/configManager.js';
+import { monitoringService } from '../../src/monitoring/monitoringService.js';
+
+describe('describeTimezone', () => {
+  it('夏令时切换前：标准时偏移与下一次切换（精确到秒）', () => {
+    const tz = describeTimezone('Europe/Berlin', Date.UTC(2026, 2, 29, 0, 30, 15));
+    expect(tz).toEqual({
+      name: 'Europe/Berlin',
+      localTime: '2026-03-29T01:30:15+01:00',
+      utcOffsetSeconds: 3600,
+      abbreviation: 'GMT+1',
+      isDst: false,
+      nextTransition: { at: '2026-03-29T01:00:00.000Z', utcOffsetSeconds: 7200, isDst: true }
+    });
+  });
+
+  it('南半球 1 月为夏令时；北美缩写', () => {
+    const january = Date.UTC(2026, 0, 15, 12);
+    expect(describeTimezone('Australia/Sydney', january)).toMatchObject({ utcOffsetSeconds: 39600, isDst: true });
+    expect(describeTimezone('America/New_York', january)).toMatchObject({
+      localTime: '2026-01-15T07:00:00-05:00',
+      abbreviation: 'EST',
+      isDst: false,
+      nextTransition: { at: '2026-03-08T07:00:00.000Z', utcOffsetSeconds: -14400, isDst: true }
+    });
+  });
+
+  it('不实行夏令时：nextTransition 为 null；非整点偏移', () => {
+    const tz = describeTimezone('Asia/Kolkata', Date.UTC(2026, 5, 1));
+    expect(tz).toMatchObject({ localTime: '2026-06-01T05:30:00+05:30', utcOffsetSeconds: 19800, isDst: false });
+    expect(tz.nextTransition).toBeNull();
+  });
+
+  it('无效时区名返回 null', () => {
+    expect(describeTimezone('Mars/Olympus_Mons')).toBeNull();
+    expect(describeTimezone(null)).toBeNull();
+    expect(isValidTimezone('UTC')).toBe(true);
+  });
+});
+
+describe('inferTimezone / enrichTimezone', () => {
+  it('按时区边界推断；国家码须与边界一致', () => {
+    expect(inferTimezone({ latitude: 41.88, longitude: -87.63 }, 'US')).toBe('America/Chicago');
+    expect(inferTimezone({ latitude: -31.95, longitude: 115.86 }, 'au')).toBe('Australia/Perth');
+    expect(inferTimezone({ latitude: 48.86, longitude: 2.35 })).toBe('Europe/Paris');
+    // 国家约束：巴黎坐标但国家为 DE（多时区国家）→ 不猜；单时区国家取该国时区
+    expect(inferTimezone({ latitude: 48.86, longitude: 2.35 }, 'DE')).toBeNull();
+    expect(inferTimezone({ latitude: 48.86, longitude: 2.35 }, 'IT')).toBe('Europe/Rome');
+    expect(inferTimezone({ latitude: null, longitude: 2.35 }, 'FR')).toBeNull();
+  });
+
+  it('跨时区国家的边界城市按所在时区推断（非最近代表点）', () => {
+    expect(inferTimezone({ latitude: 45.52, longitude: -122.68 }, 'US')).toBe('America/Los_Angeles'); // Portland
+    expect(inferTimezone({ latitude: 47.61, longitude: -122.33 }, 'US')).toBe('America/Los_Angeles'); // Seattle
+    expect(inferTimezone({ latitude: 31.76, longitude: -106.49 }, 'US')).toBe('America/Denver'); // El Paso
+    expect(inferTimezone({ latitude: 51.05, longitude: -114.07 }, 'CA')).toBe('America/Edmonton'); // Calgary
+
+    const now = Date.UTC(2025, 6, 1, 12);
+    expect(describeTimezone(inferTimezone({ latitude: 45.52, longitude: -122.68 }, 'US'), now))
+      .toMatchObject({ utcOffsetSeconds: -25200, isDst: true });
+    expect(describeTimezone(inferTimezone({ latitude: 31.76, longitude: -106.49 }, 'US'), now))
+      .toMatchObject({ utcOffsetSeconds: -21600, isDst: true });
+  });
+
+  it('海上坐标：单时区国家取该国时区，多时区国家或国家未知为 null', () => {
+    expect(inferTimezone({ latitude: 30, longitude: -40 })).toBeNull();
+    expect(inferTimezone({ latitude: 30, longitude: -40 }, 'US')).toBeNull();
+    expect(inferTimezone({ latitude: 35.5, longitude: 141.5 }, 'JP')).toBe('Asia/Tokyo');
+  });
+
+  it('只在有坐标、无时区名时补齐并记录来源', () => {
+    const geo = createGeoData({
+      country: { code: 'JP' },
+      location: { coordinates: { latitude: 35.7, longitude: 139.7 } }
+    });
+    geo.provenance = { fields: {} };
+    expect(enrichTimezone(geo)).toBe(true);
+    expect(geo.location.timezone).toBe('Asia/Tokyo');
+    expect(geo.provenance.fields['location.timezone']).toBe('TimezoneLookup');
+
+    const supplied = createGeoData({
+      location: { timezone: 'Asia/Seoul', coordinates: { latitude: 35.7, longitude: 139.7 } }
+    });
+    expect(enrichTimezone(supplied)).toBe(false);
+    expect(supplied.location.timezone).toBe('Asia/Seoul');
+  });
+
+  it('GeoLookup 合并后推断时区', async() => {
+    const lookup = new GeoLookup({
+      providers: [{
+        name: 'coords',
+        ProviderClass: class extends BaseProvider {
+          constructor() {
+            super('Coords', { priority: 80 });
+          }
+          async fetch(ip) {
+            return createGeoData({
+              ip,
+              country: { code: 'BR' },
+              location: { coordinates: { latitude: -3.1, longitude: -60.02 } }
+            });
+          }
+        }
+      }]
+    });
+    const result = await lookup.get('200.160.2.3', null, {});
+    expect(result.location.timezone).toBe('America/Manaus');
+    lookup.destroy();
+  });
+});
+
+describe('路由：includeTimezone', () => {
+  const headers = { 'X-API-Key': 'sk-test-1234567890abcdef' };
+  const req = (path) => app.fetch(new Request(`https://example.test${path}`, { headers }));
+
+  beforeEach(async() => {
+    await configManager.initialize();
+    await monitoringService.start();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('includeTimezone=true 时输出 timezone 块，默认不输出', async() => {
+    const spy = vi.spyOn(geoLookup, 'get').mockResolvedValue(createGeoData({
+      ip: '8.8.8.8',
+      country: { code: 'US' },
+      location: { timezone: 'America/Chicago' }
+    }));
+
+    const { data } = await (await req('/api/v1/ips/8.8.8.8?includeTimezone=true')).json();
+    expect(data.timezone).toMatchObject({ name: 'America/Chicago' });
+    expect([-21600, -18000]).toContain(data.timezone.utcOffsetSeconds);
+    expect((await (await req('/api/v1/ips/8.8.8.8')).json()).data).not.toHaveProperty('timezone');
+
+    spy.mockResolvedValue(createGeoData({ ip: '8.8.8.8', country: { code: 'US' } }));
+    expect((await (await req('/api/v1/ips/8.8.8.8?includeTimezone=true')).json()).data.timezone).toBeNull();
+  });
+});